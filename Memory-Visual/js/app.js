@@ -20,12 +20,15 @@
     selectedAllocId: null,
     selectedEventId: null,
     selectedFindingId: null,
+    heatCell: null, // 热力图点中的格子 { regionId, tick, addrStart, addrEnd }
     explorerView: 'files',
     selectedFile: 'kernel_cpp',
     expandedFolders: new Set(['root', 'op_host', 'op_kernel', 'scripts', 'tests']),
     plannerLayoutMode: 'list',
     plannerRegionId: 'UB',
     plannerBufferName: 'gammaBuf',
+    diffRunIds: ['t32', 't32db'], // 并排对比钉住的 A / B 两组候选
+    importError: null, // 最近一次导入失败：{ fileName, errors }，成功导入后清空
   };
 
   let chip = null;
@@ -34,6 +37,7 @@
   let metrics = null;
   let findings = [];
   let runIndex = new Map(); // runId -> { run, metrics, findings, summary }
+  let imports = []; // 已导入的原始 trace：{ raw, fileName }，切芯片时按新芯片描述重新导入
   let views = {};
   let frameController = null;
   let plannerArchController = null;
@@ -44,12 +48,17 @@
   function loadChip(chipId) {
     chip = global.MemVizChips.get(chipId);
     runs = global.MemVizRuns.buildAll(chip);
+    imports.forEach((item, index) => {
+      item.result = global.MemVizTraceImport.importTrace(item.raw, chip, { fileName: item.fileName, id: `import-${index + 1}` });
+      runs.push(...item.result.runs);
+    });
     runIndex = new Map(runs.map((item) => {
       const m = global.MemVizMetrics.compute(item, chip);
       const f = global.MemVizDiagnostics.analyze(item, m);
       return [item.id, { run: item, metrics: m, findings: f, summary: global.MemVizDiagnostics.summarize(f) }];
     }));
     if (!runIndex.has(state.runId)) state.runId = runs[0].id;
+    state.diffRunIds = state.diffRunIds.map((id, index) => (runIndex.has(id) ? id : runs[Math.min(index, runs.length - 1)].id));
     if (!chip.regions.some((r) => r.id === state.focusRegionId)) state.focusRegionId = chip.regions[0].id;
   }
 
@@ -63,6 +72,50 @@
     state.selectedAllocId = null;
     state.selectedEventId = null;
     state.selectedFindingId = null;
+    state.heatCell = null;
+  }
+
+  /** 导入一份 trace 作为新候选；失败时不改动现有候选，只在分析日志里列出原因。 */
+  function importTraceFile(fileName, raw) {
+    imports.push({ raw, fileName });
+    loadChip(state.chipId);
+    const { result } = imports[imports.length - 1];
+    if (result.runs.length) {
+      state.importError = null;
+      selectRun(result.runs[0].id);
+    } else {
+      imports.pop();
+      loadChip(state.chipId);
+      state.importError = { fileName, errors: result.errors.length ? result.errors : result.warnings.map((message) => ({ path: '$', message })) };
+      selectRun(state.runId);
+    }
+    render();
+    window.requestAnimationFrame(redrawViews);
+  }
+
+  function importFailed(fileName, message) {
+    state.importError = { fileName, errors: [{ path: '$', message }] };
+    renderTerminal();
+  }
+
+  /** 源码试算只对生成的候选有意义；当前是导入的 trace 时借第一组生成候选的 TilingData。 */
+  function sourceRun() {
+    return run.imported ? runs.find((item) => !item.imported) : run;
+  }
+
+  /** 把候选钉到对比的 A（0）或 B（1）侧；已钉在另一侧时两侧互换，然后切到对比页签。 */
+  function pinDiffRun(side, runId) {
+    const other = 1 - side;
+    if (state.diffRunIds[other] === runId) state.diffRunIds[other] = state.diffRunIds[side];
+    state.diffRunIds[side] = runId;
+    state.view = 'diff';
+    render();
+    window.requestAnimationFrame(redrawViews);
+  }
+
+  function tickLimit() {
+    if (state.view !== 'diff') return run.totalTicks;
+    return Math.max(...state.diffRunIds.map((id) => runIndex.get(id).run.totalTicks));
   }
 
   // ---------------------------------------------------------------
@@ -164,6 +217,19 @@
       { cls: 'is-wait', label: '可归因等待' },
       { cls: 'is-gap', label: '复用同一地址' },
     ],
+    heatmap: [
+      { cls: '', label: '持有（越深越满）' },
+      { cls: 'is-ghost', label: '预留未用' },
+      { cls: 'is-frag', label: '碎片' },
+      { cls: 'is-over', label: '地址重叠' },
+      { cls: 'is-bank', label: 'bank 冲突' },
+    ],
+    diff: [
+      { cls: 'is-diff-only', label: '仅一侧存在' },
+      { cls: 'is-diff-changed', label: '地址 / 大小变化' },
+      { cls: 'is-diff-reuse', label: '手工复用' },
+      { cls: 'is-wait', label: '可归因等待' },
+    ],
   };
 
   function renderLegend() {
@@ -321,14 +387,15 @@
 
   function analyzeSourceBuffers() {
     const source = global.MemVizKernelSource.text;
+    const { tiling } = sourceRun();
     const variables = {
-      tileM_: run.tiling.tileM,
-      tileNum_: run.tiling.tileNum,
-      A_L1_DB: run.tiling.bufferNum.aL1,
-      A_L0A_DB: run.tiling.bufferNum.aL0A,
-      C_L0C_DB: run.tiling.bufferNum.cL0C,
-      MM_OUT_DB: run.tiling.bufferNum.mmOut,
-      Y_DB: run.tiling.bufferNum.yUb,
+      tileM_: tiling.tileM,
+      tileNum_: tiling.tileNum,
+      A_L1_DB: tiling.bufferNum.aL1,
+      A_L0A_DB: tiling.bufferNum.aL0A,
+      C_L0C_DB: tiling.bufferNum.cL0C,
+      MM_OUT_DB: tiling.bufferNum.mmOut,
+      Y_DB: tiling.bufferNum.yUb,
     };
     for (const match of source.matchAll(/constexpr\s+\w+\s+(\w+)\s*=\s*(\d+)/g)) {
       variables[match[1]] = Number(match[2]);
@@ -600,6 +667,7 @@
     plannerArchController?.destroy?.();
     plannerArchController = null;
     const plan = analyzeSourceBuffers();
+    const base = sourceRun();
     const ub = plan.regions.find((region) => region.id === 'UB');
     const critical = plan.regions.reduce((worst, region) => !worst || region.ratio > worst.ratio ? region : worst, null);
     const severity = critical?.ratio > 1 ? 'danger' : critical?.ratio >= 0.85 ? 'warning' : 'success';
@@ -611,18 +679,18 @@
       <section class="mv-sec">
         <div class="mv-sec-head"><span class="mv-sec-title">TilingData 试算</span><span class="mv-label">实时</span></div>
         <div class="segmented-control segmented-control-muted mv-plan-candidates" role="group" aria-label="TilingData 试算候选">
-          ${runs.map((item) => `<button class="btn btn-sm${item.id === state.runId ? ' is-selected' : ''}" type="button" data-plan-run="${item.id}" title="${F.escapeHtml(item.note)}">${F.escapeHtml(item.label)}</button>`).join('')}
+          ${runs.filter((item) => !item.imported).map((item) => `<button class="btn btn-sm${item.id === state.runId ? ' is-selected' : ''}" type="button" data-plan-run="${item.id}" title="${F.escapeHtml(item.note)}">${F.escapeHtml(item.label)}</button>`).join('')}
         </div>
-        <p class="mv-plan-source-note">${F.escapeHtml(run.note)}</p>
+        <p class="mv-plan-source-note">${F.escapeHtml(base.note)}</p>
       </section>
       <section class="mv-sec">
         <div class="mv-sec-head"><span class="mv-sec-title">静态规划结果</span><span class="stat-chip mv-sev-${severity === 'warning' ? 'warn' : severity}">${severity === 'danger' ? '超限' : severity === 'warning' ? '接近上限' : '容量安全'}</span></div>
         <div class="mv-soft ${severity === 'danger' ? 'is-danger' : severity === 'warning' ? 'is-warning' : ''} mv-plan-summary">
           <div class="mv-plan-summary-line">${summary}</div>
           <div class="mv-chip-row">
-            <span class="stat-chip">tileM ${run.tiling.tileM}</span>
-            <span class="stat-chip">tileNum ${run.tiling.tileNum}</span>
-            <span class="stat-chip">block_dim ${run.kernel.blockDim}</span>
+            <span class="stat-chip">tileM ${base.tiling.tileM}</span>
+            <span class="stat-chip">tileNum ${base.tiling.tileNum}</span>
+            <span class="stat-chip">block_dim ${base.kernel.blockDim}</span>
           </div>
         </div>
         <p class="mv-plan-source-note">无需编译 · 基于 TilingData 与源码声明实时推导</p>
@@ -642,7 +710,7 @@
         <div class="mv-kv"><span>InitBuffer</span><b>${plan.buffers.length}</b></div>
         <div class="mv-kv"><span>TQue / TBuf</span><b>${plan.queueCount} / ${plan.tbufCount}</b></div>
         <div class="mv-kv"><span>AllocTensor</span><b>${plan.allocTensorCount}</b></div>
-        <div class="mv-kv"><span>TilingData</span><b>tileM=${run.tiling.tileM}, tileNum=${run.tiling.tileNum}</b></div>
+        <div class="mv-kv"><span>TilingData</span><b>tileM=${base.tiling.tileM}, tileNum=${base.tiling.tileNum}</b></div>
         <p class="mv-plan-source-note">容量来自 ${F.escapeHtml(chip.specRef)}；当前 demo 为占位规格，接入工程后替换为目标 SoC 官方规格。</p>
       </section>
     `;
@@ -746,16 +814,18 @@
 
     const info = document.createElement('div');
     info.className = 'mv-kernel-block';
+    const { shape } = run.kernel;
     info.innerHTML = `
       <div class="mv-kernel-name">${F.escapeHtml(run.kernel.name)}</div>
       <div class="mv-chip-row">
-        <span class="stat-chip">mix · Cube + Vector</span>
+        <span class="stat-chip">${run.imported ? F.escapeHtml(run.kicker) : 'mix · Cube + Vector'}</span>
         <span class="stat-chip">block_dim ${run.kernel.blockDim}</span>
       </div>
       <div class="mv-kernel-facts">
         <div class="mv-kv"><span>源文件</span><b>${F.escapeHtml(run.kernel.source)}</b></div>
-        <div class="mv-kv"><span>形状 M×N×K</span><b>${run.kernel.shape.M}×${run.kernel.shape.N}×${run.kernel.shape.K}</b></div>
-        <div class="mv-kv"><span>L0 分形块 K0</span><b>${run.kernel.shape.K0}</b></div>
+        ${shape ? `<div class="mv-kv"><span>形状 M×N×K</span><b>${shape.M}×${shape.N}×${shape.K}</b></div>
+        <div class="mv-kv"><span>L0 分形块 K0</span><b>${shape.K0}</b></div>` : ''}
+        ${run.imported ? `<div class="mv-kv"><span>导入自</span><b>${F.escapeHtml(run.imported.fileName)}</b></div>` : ''}
         <div class="mv-kv"><span>规格来源</span><b>${F.escapeHtml(chip.specRef)}</b></div>
       </div>
     `;
@@ -767,8 +837,10 @@
       <div class="mv-sec-head">
         <span class="mv-sec-title">Tiling 候选</span>
         <span class="mv-label">${runs.length} 组</span>
+        <button class="btn btn-sm btn-ghost" type="button" data-import-trace title="PyPTO dump / msprof trace / tiling trace / 中间格式 JSON">导入 trace</button>
       </div>
     `;
+    group.querySelector('[data-import-trace]').addEventListener('click', () => $('traceFileInput').click());
     host.appendChild(group);
 
     const list = document.createElement('div');
@@ -784,6 +856,10 @@
         <div class="mv-run-head">
           <span class="mv-run-title">${F.escapeHtml(item.label)}</span>
           <span class="stat-chip">${F.escapeHtml(item.kicker)}</span>
+          <span class="mv-run-pins">${['A', 'B'].map((side, index) => {
+            const pinned = state.diffRunIds[index] === item.id;
+            return `<span class="mv-run-pin${pinned ? ' is-selected' : ''}" role="button" tabindex="0" aria-pressed="${pinned}" data-pin="${index}" title="钉为对比 ${side}">${side}</span>`;
+          }).join('')}</span>
         </div>
         <div class="mv-run-note">${F.escapeHtml(item.note)}</div>
         <div class="mv-bar"><i style="width:${Math.min(100, ub.reservedRatio * 100).toFixed(1)}%;background:${over ? 'var(--danger)' : ub.accent}"></i></div>
@@ -813,6 +889,18 @@
         selectRun(item.id);
         render();
       });
+      // 钉选控件嵌在卡片按钮里，必须截住事件，否则会同时切换当前候选
+      btn.querySelectorAll('[data-pin]').forEach((pin) => {
+        const activate = (event) => {
+          event.preventDefault();
+          event.stopPropagation();
+          pinDiffRun(Number(pin.dataset.pin), item.id);
+        };
+        pin.addEventListener('click', activate);
+        pin.addEventListener('keydown', (event) => {
+          if (event.key === 'Enter' || event.key === ' ') activate(event);
+        });
+      });
       list.appendChild(btn);
     });
     group.appendChild(list);
@@ -935,10 +1023,10 @@
           <div class="mv-kv"><span>活跃区间数</span><b>${alloc.intervals.length}</b></div>
           ${alloc.padReason ? `<div class="mv-soft is-warning"><span class="mv-soft-label">对齐说明</span><span class="mv-soft-text">${F.escapeHtml(alloc.padReason)}</span></div>` : ''}
           ${related.length ? `<div class="mv-soft ${related[0].severity === 'danger' ? 'is-danger' : 'is-warning'}"><span class="mv-soft-label">关联诊断</span><span class="mv-soft-text">${related.map((f) => F.escapeHtml(f.title)).join('、')}</span></div>` : ''}
-          <span class="mv-soft-label">源码 ${F.escapeHtml(alloc.src.file)}:${alloc.src.hotLine + 1}</span>
-          <pre class="mv-code">${F.escapeHtml(alloc.code)}</pre>
-          <span class="mv-soft-label">CCE</span>
-          <pre class="mv-code">${F.escapeHtml(alloc.cce)}</pre>
+          ${alloc.src.file ? `<span class="mv-soft-label">源码 ${F.escapeHtml(alloc.src.file)}${alloc.src.hotLine >= 0 ? `:${alloc.src.hotLine + 1}` : ''}</span>` : ''}
+          ${alloc.code ? `<pre class="mv-code">${F.escapeHtml(alloc.code)}</pre>` : ''}
+          ${alloc.cce ? `<span class="mv-soft-label">${run.imported ? '采集记录' : 'CCE'}</span>
+          <pre class="mv-code">${F.escapeHtml(alloc.cce)}</pre>` : ''}
         </div>
       `;
       return;
@@ -963,15 +1051,68 @@
             ? `<div class="mv-soft is-warning"><span class="mv-soft-label">等待 ${event.gap} cycle</span><span class="mv-soft-text">等 ${F.escapeHtml(run.allocations.find((a) => a.id === event.blockedBy)?.name || '')} 的 slot 释放</span></div>`
             : ''}
           ${event.tailRows != null ? `<div class="mv-soft is-warning"><span class="mv-soft-label">尾块</span><span class="mv-soft-text">本次只有 ${event.tailRows} / ${run.tiling.tileM} 行有效</span></div>` : ''}
-          <span class="mv-soft-label">源码 ${F.escapeHtml(run.kernel.source)}:${(event.srcLine || 0) + 1}</span>
-          <pre class="mv-code">${F.escapeHtml(global.MemVizKernelSource.snippet(Math.max(0, (event.srcLine || 0) - 1), (event.srcLine || 0) + 1))}</pre>
+          ${run.imported
+            ? (event.srcLine != null ? `<span class="mv-soft-label">源码 ${F.escapeHtml(run.kernel.source)}:${event.srcLine + 1}</span>` : '')
+            : `<span class="mv-soft-label">源码 ${F.escapeHtml(run.kernel.source)}:${(event.srcLine || 0) + 1}</span>
+          <pre class="mv-code">${F.escapeHtml(global.MemVizKernelSource.snippet(Math.max(0, (event.srcLine || 0) - 1), (event.srcLine || 0) + 1))}</pre>`}
         </div>
       `;
       return;
     }
 
+    if (state.view === 'heatmap' && state.heatCell) {
+      renderHeatCellDetail(host, kicker, state.heatCell);
+      return;
+    }
+
     kicker.textContent = '未选中';
-    host.innerHTML = '<p class="mv-empty">点击布局图色块、泳道任务或诊断条目查看详情。</p>';
+    host.innerHTML = '<p class="mv-empty">点击布局图色块、泳道任务、热力图格子或诊断条目查看详情。</p>';
+  }
+
+  function renderHeatCellDetail(host, kicker, cell) {
+    const region = metrics.regionById[cell.regionId];
+    const covering = region.allocations
+      .filter((a) => a.offset < cell.addrEnd && a.offset + a.size > cell.addrStart)
+      .map((a) => ({ alloc: a, live: global.MemVizMetrics.liveAt(a, cell.tick) }))
+      .sort((a, b) => Number(b.live) - Number(a.live) || a.alloc.offset - b.alloc.offset);
+    const bankBytes = global.MemVizMetrics.bankSize(region);
+    const banks = bankBytes
+      ? `b${Math.floor(cell.addrStart / bankBytes)}–b${Math.min(region.banks - 1, Math.floor((cell.addrEnd - 1) / bankBytes))}`
+      : '—';
+    const eventIds = new Set(global.MemVizMetrics.bankConflicts(run, region)
+      .filter((c) => c.start <= cell.tick && cell.tick < c.end
+        && c.bank * bankBytes < cell.addrEnd && (c.bank + 1) * bankBytes > cell.addrStart)
+      .flatMap((c) => c.eventIds));
+    const conflictEvents = run.events.filter((e) => eventIds.has(e.id));
+
+    kicker.textContent = `${region.id} · 热力格`;
+    host.innerHTML = `
+      <div class="mv-sec" style="padding:0;border:0;gap:var(--space-2)">
+        <div class="mv-detail-title">${F.hex(cell.addrStart)} – ${F.hex(cell.addrEnd)}</div>
+        <div class="mv-kv"><span>时刻</span><b>${F.tick(cell.tick)}</b></div>
+        <div class="mv-kv"><span>bank</span><b>${banks}</b></div>
+        <span class="mv-soft-label">覆盖该格的分配 · ${covering.length}</span>
+        ${covering.length ? covering.map(({ alloc, live }) => `
+          <button class="mv-heat-alloc" type="button" data-heat-alloc="${F.escapeHtml(alloc.id)}">
+            <span class="mv-heat-alloc-name">${F.escapeHtml(alloc.name)}</span>
+            <span class="${live ? 'mv-sev-success' : 'mv-label'}">${live ? '持有' : '预留未用'}</span>
+            <span class="mv-heat-alloc-meta">${F.hex(alloc.offset)} + ${F.bytes(alloc.size)} · ${F.escapeHtml(alloc.queue)}</span>
+          </button>`).join('') : '<p class="mv-empty">没有分配覆盖这段地址：这是空闲或碎片区。</p>'}
+        ${conflictEvents.length ? `
+          <div class="mv-soft is-danger">
+            <span class="mv-soft-label">bank 冲突候选</span>
+            <span class="mv-soft-text">${conflictEvents.map((e) => `${F.escapeHtml(e.pipe)} · ${F.escapeHtml(e.label)}`).join('<br>')}</span>
+          </div>` : ''}
+      </div>
+    `;
+    host.querySelectorAll('[data-heat-alloc]').forEach((button) => {
+      button.addEventListener('click', () => {
+        state.selectedAllocId = button.dataset.heatAlloc;
+        state.selectedEventId = null;
+        renderDetail();
+        renderViews();
+      });
+    });
   }
 
   // ---------------------------------------------------------------
@@ -980,9 +1121,19 @@
   function renderTerminal() {
     const summary = global.MemVizDiagnostics.summarize(findings);
     const exitCode = summary.danger ? 2 : summary.warn ? 1 : 0;
+    const { importError } = state;
     const lines = [
-      `<span class="is-dim">$</span> memviz analyze ${run.kernel.source} --chip ${chip.id} --tiling tileM=${run.tiling.tileM} --fail-on danger`,
+      ...(importError ? [
+        `<span class="is-dim">$</span> memviz import ${F.escapeHtml(importError.fileName)} --chip ${chip.id}`,
+        ...importError.errors.map((item) => `<span class="is-danger">ERROR  </span> ${F.escapeHtml(item.path)}  ${F.escapeHtml(item.message)}`),
+        '<span class="is-danger">exit 3</span>',
+        '',
+      ] : []),
+      run.imported
+        ? `<span class="is-dim">$</span> memviz analyze --trace ${F.escapeHtml(run.imported.fileName)} --format ${run.imported.format} --chip ${chip.id} --fail-on danger`
+        : `<span class="is-dim">$</span> memviz analyze ${run.kernel.source} --chip ${chip.id} --tiling tileM=${run.tiling.tileM} --fail-on danger`,
       `<span class="is-dim">loaded  </span> chip spec ${chip.specRef} <span class="is-dim">(占位规格)</span>`,
+      ...(run.imported ? run.imported.warnings.map((text) => `<span class="is-warn">degrade </span> ${F.escapeHtml(text)}`) : []),
       `<span class="is-dim">parsed  </span> ${run.allocations.length} allocations · ${run.events.length} events · ${run.totalTicks} cycles`,
       '',
       ...metrics.regions.map((region) => {
@@ -1019,7 +1170,7 @@
     $('statusStrip').innerHTML = `
       <span class="mv-status-item">芯片 <b>${F.escapeHtml(chip.name)}</b></span>
       <span class="mv-status-item">候选 <b>${F.escapeHtml(run.label)}</b></span>
-      <span class="mv-status-item">tileM <b>${run.tiling.tileM}</b> × <b>${run.tiling.tileNum}</b>${run.tiling.hasTail ? `（尾块 ${run.tiling.tailM}）` : ''}</span>
+      ${run.tiling.tileM != null ? `<span class="mv-status-item">tileM <b>${run.tiling.tileM}</b> × <b>${run.tiling.tileNum}</b>${run.tiling.hasTail ? `（尾块 ${run.tiling.tailM}）` : ''}</span>` : ''}
       <span class="mv-status-item">${region.id} <b class="${region.reserved > region.capacity ? 'mv-sev-danger' : ''}">${region.isRegister
         ? `${region.reservedRegs} / ${region.capacityRegs} regs`
         : `${F.bytes(region.reserved)} / ${F.bytes(region.capacity)}`}</b></span>
@@ -1028,7 +1179,7 @@
       <span class="mv-status-item">游标 <b>${F.tick(state.tick)} / ${F.tick(run.totalTicks)}</b></span>
       <span class="mv-status-spacer"></span>
       <span class="mv-status-item">诊断 <b class="${summary.danger ? 'mv-sev-danger' : summary.warn ? 'mv-sev-warn' : 'mv-sev-success'}">${summary.danger}D / ${summary.warn}W / ${summary.info}I</b></span>
-      <span class="mv-status-item">数据等级 <b>L2 · 构造样例</b></span>
+      <span class="mv-status-item">数据等级 <b>${run.imported ? `导入 · ${F.escapeHtml(run.kicker)}` : 'L2 · 构造样例'}</b></span>
     `;
   }
 
@@ -1036,7 +1187,7 @@
   // 视图
   // ---------------------------------------------------------------
   function renderViews() {
-    ['layout', 'pipeline'].forEach((id) => {
+    ['layout', 'pipeline', 'heatmap', 'diff'].forEach((id) => {
       const el = $(`view${id[0].toUpperCase()}${id.slice(1)}`);
       el.classList.toggle('is-active', state.view === id);
     });
@@ -1064,6 +1215,19 @@
         highlightIds: marks.highlightIds,
         conflictIds: marks.conflictIds,
       });
+    } else if (state.view === 'heatmap') {
+      views.heatmap.update({
+        run, metrics, tick: state.tick,
+        focusRegionId: state.focusRegionId,
+        selectedCell: state.heatCell,
+      });
+    } else if (state.view === 'diff') {
+      views.diff.update({
+        left: runIndex.get(state.diffRunIds[0]),
+        right: runIndex.get(state.diffRunIds[1]),
+        tick: state.tick,
+        focusRegionId: state.focusRegionId,
+      });
     } else {
       views.pipeline.update({
         run, metrics, tick: state.tick,
@@ -1098,6 +1262,8 @@
     views.layout?.redraw?.();
     if (state.view === 'layout' && state.layoutMode === 'arch') views.arch?.redraw?.();
     views.pipeline?.redraw?.();
+    if (state.view === 'heatmap') views.heatmap?.redraw?.();
+    if (state.view === 'diff') views.diff?.redraw?.();
     views.watermark?.redraw?.();
   }
 
@@ -1105,7 +1271,7 @@
   // 时间游标
   // ---------------------------------------------------------------
   function setTick(next) {
-    const clamped = Math.max(0, Math.min(run.totalTicks, Math.round(next)));
+    const clamped = Math.max(0, Math.min(tickLimit(), Math.round(next)));
     if (clamped === state.tick) return;
     state.tick = clamped;
     renderStatus();
@@ -1217,6 +1383,7 @@
     document.querySelectorAll('#viewTabs .tab-control-item').forEach((tab) => {
       tab.addEventListener('click', () => {
         state.view = tab.dataset.view;
+        state.tick = Math.min(state.tick, tickLimit());
         render();
         window.requestAnimationFrame(redrawViews);
       });
@@ -1241,6 +1408,36 @@
     });
   }
 
+  function bindTraceImport() {
+    const input = $('traceFileInput');
+    input.addEventListener('change', () => {
+      const file = input.files[0];
+      input.value = '';
+      if (!file) return;
+      file.text().then((text) => {
+        let raw;
+        try {
+          raw = JSON.parse(text);
+        } catch (error) {
+          importFailed(file.name, `JSON 解析失败：${error.message}`);
+          return;
+        }
+        importTraceFile(file.name, raw);
+      });
+    });
+    // ?trace=<url> 可重复，启动时依次导入（CI 产物、共享链接）
+    new URLSearchParams(window.location.search).getAll('trace').forEach((url) => {
+      const fileName = url.split(/[?#]/)[0].split('/').pop() || url;
+      fetch(url)
+        .then((response) => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.json();
+        })
+        .then((raw) => importTraceFile(fileName, raw))
+        .catch((error) => importFailed(fileName, `加载失败：${error.message}`));
+    });
+  }
+
   function bindKeyboard() {
     window.addEventListener('keydown', (event) => {
       if (event.target.matches('input, textarea')) return;
@@ -1287,6 +1484,19 @@
       },
       onSeek: setTick,
     });
+    views.heatmap = global.MemVizHeatmapView.create($('heatmapHost'), {
+      onSelectCell: (cell) => {
+        if (state.explorerView !== 'tiling') return;
+        state.heatCell = cell;
+        state.tick = cell.tick;
+        state.selectedAllocId = null;
+        state.selectedEventId = null;
+        renderDetail();
+        renderStatus();
+        renderViews();
+      },
+    });
+    views.diff = global.MemVizDiffView.create($('diffHost'), { onSeek: setTick });
     views.watermark = global.MemVizWatermarkView.create($('watermarkHost'), { onSeek: setTick });
 
     frameController = global.PtoIdeFrame?.init($('ideFrame'), {
@@ -1299,6 +1509,7 @@
     bindPanelToggles();
     bindTabs();
     bindToolbar();
+    bindTraceImport();
     bindKeyboard();
     render();
     redrawViews();
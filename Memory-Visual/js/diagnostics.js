@@ -138,7 +138,9 @@
           ? `${worst.label} 只用到 ${F.pct(worst.reservedRatio, 1)}（${F.bytes(worst.reserved)} / ${F.bytes(worst.capacity)}）。`
           : `${underutilized.map((r) => `${r.id} ${F.pct(r.reservedRatio, 0)}`).join('、')} 均低于 ${F.pct(th.underutilizedRatio, 0)} 利用率。`,
         impact: `合计闲置 ${F.bytes(idle)}；切分过细让搬运次数上升、单次搬运效率下降。`,
-        suggest: `可尝试把 tileM 从 ${run.tiling.tileM} 增大一档，用容量换搬运次数。`,
+        suggest: run.tiling.tileM != null
+          ? `可尝试把 tileM 从 ${run.tiling.tileM} 增大一档，用容量换搬运次数。`
+          : '可尝试增大切分粒度，用容量换搬运次数。',
         refs: underutilized.flatMap((r) => r.allocations.slice().sort((a, b) => b.size - a.size).slice(0, 1).map((a) => a.id)),
         evidence: underutilized.map((r) => ({
           label: r.id, value: `${F.bytes(r.reserved)} / ${F.bytes(r.capacity)}`,
@@ -0,0 +1,412 @@
+#!/usr/bin/env node
+/**
+ * memviz-cli.js — Headless workspace planner and memory diagnostics for CI.
+ *
+ * Runs the same planner and rule engines as Memory-Visual/workspace.html and index.html: the
+ * browser modules are loaded unchanged into a vm context whose `window` is the context itself.
+ *
+ *   workspace run (tensors + subgraphs + workspace + layout, as built by data/fusion-runs.js)
+ *     → workspace-planner.js plan() + ws-diagnostics.js
+ *   on-chip run or trace (anything js/trace-import.js accepts)
+ *     → metrics.js + diagnostics.js
+ *
+ * Usage:
+ *   node Memory-Visual/js/memviz-cli.js <run.json> [options]
+ *   node Memory-Visual/js/memviz-cli.js --sample ws-unsafe
+ *
+ * Options:
+ *   --format text|json       Output format (default: from --out extension, else text)
+ *   --out <file>             Write the report here instead of stdout
+ *   --sample <id>            Use a built-in candidate instead of a file (ws-naive, t32, ...)
+ *   --chip <id>              Chip description (default ascend-910b)
+ *   --budget <size>          Workspace budget, e.g. 16MB, 12288KB or bytes (default: run.workspace.budget)
+ *   --baseline <run.json>    Workspace run to compare against; growing `current` past it fails
+ *   --search <ms>            Also run the packing search (workspace-search.js) for up to <ms> and
+ *                            report the best layout and how much of packed − lowerBound it closed
+ *   --fail-on danger|warn    Also fail when a finding of this severity or worse is reported
+ *   --disable <RULE>         Turn a rule off; repeatable
+ *   --threshold <key=value>  Override a rule threshold (see DEFAULT_THRESHOLDS); repeatable
+ *   --limit <n>              Reuse groups / excluded pairs listed in text output (default 10, JSON keeps all)
+ *
+ * Exit status: 0 when within budget or for --help, 1 on bad arguments or an invalid run, 2 when
+ * the workspace budget is exceeded, `current` regressed past --baseline, or an on-chip region
+ * overflows, 3 when --fail-on matched a finding.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const vm   = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const BROWSER_MODULES = [
+  'data/chip-specs.js',
+  'data/kernel-source.js',
+  'data/runs.js',
+  'data/fusion-source.js',
+  'js/format.js',
+  'js/workspace-planner.js',
+  'js/workspace-search.js',
+  'data/fusion-runs.js',
+  'js/ws-diagnostics.js',
+  'js/metrics.js',
+  'js/diagnostics.js',
+  'js/trace-import.js',
+];
+const FORMATS = ['text', 'json'];
+const SEVERITY_RANK = { danger: 0, warn: 1, info: 2 };
+const EXIT = { ok: 0, usage: 1, budget: 2, findings: 3 };
+
+// ── Arguments ────────────────────────────────────────────────────────────────
+
+// Without a message this is --help: the text goes to stdout and the exit is clean.
+function usage(message) {
+  const print = message ? console.error : console.log;
+  if (message) console.error(`error: ${message}\n`);
+  const header = fs.readFileSync(__filename, 'utf8').match(/\/\*\*([\s\S]*?)\*\//)[1];
+  print(header.replace(/^ \* ?/gm, '').trim());
+  process.exit(message ? EXIT.usage : EXIT.ok);
+}
+
+function parseSize(text) {
+  const match = /^(\d+(?:\.\d+)?)\s*(b|k|kb|m|mb|g|gb)?$/i.exec(String(text).trim());
+  if (!match) return NaN;
+  const unit = (match[2] || 'b').toLowerCase()[0];
+  return Math.round(Number(match[1]) * { b: 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 }[unit]);
+}
+
+function parseArgs(argv) {
+  const opts = {
+    file: null, format: null, out: null, sample: null, chip: 'ascend-910b', budget: null,
+    baseline: null, search: null, failOn: null, disabled: [], thresholds: {}, limit: 10,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') usage();
+    if (!arg.startsWith('--')) {
+      if (opts.file) usage(`unexpected argument ${arg}`);
+      opts.file = arg;
+      continue;
+    }
+    const value = argv[++i];
+    if (value == null) usage(`${arg} needs a value`);
+    if (arg === '--format') opts.format = value;
+    else if (arg === '--out') opts.out = value;
+    else if (arg === '--sample') opts.sample = value;
+    else if (arg === '--chip') opts.chip = value;
+    else if (arg === '--budget') opts.budget = parseSize(value);
+    else if (arg === '--baseline') opts.baseline = value;
+    else if (arg === '--search') opts.search = Number(value);
+    else if (arg === '--fail-on') opts.failOn = value;
+    else if (arg === '--disable') opts.disabled.push(value);
+    else if (arg === '--limit') opts.limit = Number(value);
+    else if (arg === '--threshold') {
+      const [key, raw] = value.split('=');
+      if (!key || raw == null || !Number.isFinite(Number(raw))) usage(`--threshold expects key=number, got ${value}`);
+      opts.thresholds[key] = Number(raw);
+    } else usage(`unknown option ${arg}`);
+  }
+  if (!opts.file && !opts.sample) usage('missing <run.json> or --sample <id>');
+  if (opts.file && opts.sample) usage('give either <run.json> or --sample, not both');
+  if (opts.file && !fs.existsSync(opts.file)) usage(`${opts.file} does not exist`);
+  if (opts.baseline && !fs.existsSync(opts.baseline)) usage(`${opts.baseline} does not exist`);
+  if (opts.budget != null && !(opts.budget > 0)) usage('--budget must be a positive size such as 16MB');
+  if (opts.failOn && !['danger', 'warn'].includes(opts.failOn)) usage('--fail-on must be danger or warn');
+  if (!Number.isInteger(opts.limit) || opts.limit < 0) usage('--limit must be a non-negative integer');
+  if (opts.search != null && !(Number.isInteger(opts.search) && opts.search > 0)) usage('--search must be a positive number of milliseconds');
+  if (!opts.format) {
+    const ext = opts.out ? path.extname(opts.out).slice(1).toLowerCase() : '';
+    opts.format = ext === 'json' ? 'json' : 'text';
+  }
+  if (!FORMATS.includes(opts.format)) usage(`--format must be one of ${FORMATS.join(', ')}`);
+  return opts;
+}
+
+// ── Pipeline ─────────────────────────────────────────────────────────────────
+
+function loadBrowserModules() {
+  const context = vm.createContext({ console });
+  context.window = context;
+  for (const file of BROWSER_MODULES) {
+    const full = path.join(ROOT, file);
+    vm.runInContext(fs.readFileSync(full, 'utf8'), context, { filename: full });
+  }
+  return context;
+}
+
+class InputError extends Error {
+  constructor(errors) {
+    super(errors.map(e => `${e.path}: ${e.message}`).join('\n'));
+    this.errors = errors;
+  }
+}
+
+function readJsonFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new InputError([{ path: file, message: `not valid JSON: ${err.message}` }]);
+  }
+}
+
+function isWorkspaceRun(raw) {
+  return raw && Array.isArray(raw.tensors) && raw.workspace && typeof raw.workspace === 'object';
+}
+
+/** Field checks the planner relies on; it assumes a well-formed run and would report NaN otherwise. */
+function validateWorkspaceRun(run) {
+  const errors = [];
+  const push = (p, message) => errors.push({ path: p, message });
+  if (!Array.isArray(run.subgraphs) || !run.subgraphs.length) push('$.subgraphs', 'must be a non-empty array');
+  if (!(run.workspace.budget > 0)) push('$.workspace.budget', 'must be a positive number of bytes');
+  if (!run.layout || typeof run.layout !== 'object') push('$.layout', 'must map tensor id → offset');
+  if (!run.kernel || typeof run.kernel.blockDim !== 'number') push('$.kernel.blockDim', 'must be a number');
+  if (errors.length) return errors;
+  const last = run.subgraphs.length - 1;
+  const ids = new Set();
+  run.tensors.forEach((t, i) => {
+    const at = `$.tensors[${i}]`;
+    if (typeof t.id !== 'string' || ids.has(t.id)) push(`${at}.id`, `missing or duplicate id ${t.id}`);
+    ids.add(t.id);
+    if (!Number.isInteger(t.size) || t.size <= 0) push(`${at}.size`, `invalid size ${t.size}`);
+    if (!t.live || !(t.live.start >= 0 && t.live.end >= t.live.start && t.live.end <= last)) {
+      push(`${at}.live`, `must be { start, end } within subgraphs 0..${last}`);
+    }
+    if (t.role === 'workspace' && !t.onChip && !t.aliasOf && !Number.isInteger(run.layout[t.id])) {
+      push(`$.layout.${t.id}`, 'workspace tensor has no offset');
+    }
+    ['name', 'blockScope'].forEach(key => { if (typeof t[key] !== 'string') push(`${at}.${key}`, 'must be a string'); });
+    if (!Array.isArray(t.consumers)) push(`${at}.consumers`, 'must be an array');
+  });
+  return errors;
+}
+
+function loadRun(window, opts) {
+  const chip = window.MemVizChips.CHIPS[opts.chip];
+  if (!chip) usage(`unknown chip ${opts.chip} (${Object.keys(window.MemVizChips.CHIPS).join(', ')})`);
+  if (opts.sample) {
+    const run = window.MemVizFusionRuns.buildAll().find(r => r.id === opts.sample)
+      || window.MemVizRuns.buildAll(chip).find(r => r.id === opts.sample);
+    if (!run) {
+      const ids = window.MemVizFusionRuns.buildAll().map(r => r.id).concat(window.MemVizRuns.buildAll(chip).map(r => r.id));
+      usage(`unknown sample ${opts.sample} (${ids.join(', ')})`);
+    }
+    return { chip, run, source: `sample:${opts.sample}`, warnings: [] };
+  }
+  const raw = readJsonFile(opts.file);
+  if (isWorkspaceRun(raw)) {
+    const errors = validateWorkspaceRun(raw);
+    if (errors.length) throw new InputError(errors);
+    return { chip, run: raw, source: opts.file, warnings: [] };
+  }
+  const result = window.MemVizTraceImport.importTrace(raw, chip, { fileName: path.basename(opts.file), id: 'import' });
+  if (result.errors.length) throw new InputError(result.errors);
+  if (result.runs.length > 1) result.warnings.push(`${result.runs.length} runs in the file, analysing ${result.runs[0].label}`);
+  return { chip, run: result.runs[0], source: opts.file, format: result.format, warnings: result.warnings };
+}
+
+function summarizeFindings(findings) {
+  return {
+    danger: findings.filter(f => f.severity === 'danger').length,
+    warn: findings.filter(f => f.severity === 'warn').length,
+    info: findings.filter(f => f.severity === 'info').length,
+  };
+}
+
+function findingRecord(f) {
+  return {
+    rule: f.rule, severity: f.severity, category: f.category, title: f.title,
+    detail: f.detail, impact: f.impact, suggest: f.suggest, refs: f.refs, evidence: f.evidence,
+  };
+}
+
+function analyzeWorkspace(window, loaded, opts) {
+  const { run, chip } = loaded;
+  if (opts.budget != null) run.workspace.budget = opts.budget;
+  const planner = window.MemVizWorkspacePlanner;
+  const plan = planner.plan(run);
+  const findings = window.MemVizWorkspaceDiagnostics.analyze(run, plan, chip, {
+    thresholds: opts.thresholds, disabledRules: opts.disabled,
+  });
+
+  let baseline = null;
+  if (opts.baseline) {
+    const raw = readJsonFile(opts.baseline);
+    const errors = isWorkspaceRun(raw) ? validateWorkspaceRun(raw) : [{ path: opts.baseline, message: 'not a workspace run' }];
+    if (errors.length) throw new InputError(errors);
+    const base = planner.plan(raw);
+    baseline = {
+      source: opts.baseline,
+      current: base.current, packed: base.packed, lowerBound: base.lowerBound,
+      delta: { current: plan.current - base.current, packed: plan.packed - base.packed, lowerBound: plan.lowerBound - base.lowerBound },
+      regressed: plan.current > base.current,
+    };
+  }
+
+  let search = null;
+  if (opts.search != null) {
+    const result = window.MemVizWorkspaceSearch.search(run, { timeMs: opts.search });
+    search = {
+      height: result.height, packed: result.packed, lowerBound: result.lowerBound,
+      saved: result.saved, gapClosed: result.gapClosed, exact: result.exact,
+      method: result.method, label: result.label,
+      evaluated: result.evaluated, nodes: result.nodes, elapsedMs: result.elapsedMs,
+      layout: plan.tensors.map(t => ({ id: t.id, name: t.name, offset: result.layout[t.id], size: t.size }))
+        .sort((a, b) => a.offset - b.offset || b.size - a.size),
+    };
+  }
+
+  const name = (t) => t.name;
+  return {
+    kind: 'workspace',
+    source: loaded.source,
+    run: { id: run.id, label: run.label, kernel: run.kernel.name, blockDim: run.kernel.blockDim },
+    chip: chip.id,
+    subgraphs: run.subgraphs.length,
+    tensors: plan.tensors.length,
+    budget: plan.budget,
+    current: plan.current,
+    packed: plan.packed,
+    lowerBound: plan.lowerBound,
+    ratio: plan.ratio,
+    policyWaste: plan.policyWaste,
+    packFragment: plan.packFragment,
+    overBudget: plan.overBudget,
+    bestOrder: plan.bestOrder,
+    packings: plan.packings.map(p => ({ order: p.order, height: p.height })),
+    peak: { subgraph: plan.peak.index, id: plan.peak.id, name: plan.peak.name, bytes: plan.peak.bytes, members: plan.peak.members.map(name) },
+    groups: plan.groups.map(g => ({ members: g.members.map(name), peak: g.peak, saving: g.saving, blockScope: g.blockScope })),
+    excluded: plan.excluded.map(e => ({ a: e.a.name, b: e.b.name, saving: e.saving, reason: e.reason })),
+    conflicts: plan.conflicts.map(c => ({ kind: c.kind, a: c.a.name, b: c.b.name, overlapBytes: c.overlapBytes })),
+    baseline,
+    search,
+    findings: findings.map(findingRecord),
+    summary: summarizeFindings(findings),
+    warnings: loaded.warnings,
+    overLimit: plan.overBudget > 0 || Boolean(baseline && baseline.regressed),
+  };
+}
+
+function analyzeOnChip(window, loaded, opts) {
+  const { run, chip } = loaded;
+  const metrics = window.MemVizMetrics.compute(run, chip);
+  const findings = window.MemVizDiagnostics.analyze(run, metrics, {
+    thresholds: opts.thresholds, disabledRules: opts.disabled,
+  });
+  const regions = metrics.regions.filter(r => r.allocations.length).map(r => ({
+    id: r.id,
+    reserved: r.isRegister ? r.reservedRegs : r.reserved,
+    capacity: r.isRegister ? r.capacityRegs : r.capacity,
+    unit: r.isRegister ? 'regs' : 'bytes',
+    ratio: r.reservedRatio,
+    peakLive: r.peakLive,
+    peakTick: r.peakTick,
+    over: r.reserved > r.capacity,
+  }));
+  return {
+    kind: 'onchip',
+    source: loaded.source,
+    format: loaded.format || 'generated',
+    run: { id: run.id, label: run.label, kernel: run.kernel.name },
+    chip: chip.id,
+    allocations: run.allocations.length,
+    events: run.events.length,
+    totalTicks: run.totalTicks,
+    regions,
+    findings: findings.map(findingRecord),
+    summary: summarizeFindings(findings),
+    warnings: loaded.warnings.concat(run.imported ? run.imported.warnings.filter(w => !loaded.warnings.includes(w)) : []),
+    overLimit: regions.some(r => r.over),
+  };
+}
+
+function exitCodeOf(report, opts) {
+  if (report.overLimit) return EXIT.budget;
+  if (opts.failOn && report.findings.some(f => SEVERITY_RANK[f.severity] <= SEVERITY_RANK[opts.failOn])) return EXIT.findings;
+  return EXIT.ok;
+}
+
+// ── Text output ──────────────────────────────────────────────────────────────
+
+function renderText(report, F, opts) {
+  const lines = [];
+  const more = (list) => (list.length > opts.limit ? [`  … ${list.length - opts.limit} more (use --format json for all)`] : []);
+  lines.push(`${report.run.kernel} · ${report.run.id} ${report.run.label || ''}`.trim());
+  lines.push(`  source ${report.source}  chip ${report.chip}`);
+  report.warnings.forEach(w => lines.push(`  degrade  ${w}`));
+  lines.push('');
+
+  if (report.kind === 'workspace') {
+    lines.push(`current      ${F.bytes(report.current).padStart(9)}   budget ${F.bytes(report.budget)}${report.overBudget ? `, over by ${F.bytes(report.overBudget)}` : ''}`);
+    lines.push(`packed       ${F.bytes(report.packed).padStart(9)}   ${report.bestOrder} (${report.packings.map(p => `${p.order} ${F.bytes(p.height)}`).join(', ')})`);
+    lines.push(`lowerBound   ${F.bytes(report.lowerBound).padStart(9)}   @ sg${report.peak.subgraph} ${report.peak.name}: ${report.peak.members.join(' + ')}`);
+    lines.push(`ratio        ${report.ratio.toFixed(2).padStart(8)}×   policyWaste ${F.bytes(report.policyWaste)}, packFragment ${F.bytes(report.packFragment)}`);
+    if (report.baseline) {
+      const sign = (v) => (v > 0 ? `+${F.bytes(v)}` : v < 0 ? `-${F.bytes(-v)}` : '±0');
+      lines.push(`baseline     ${F.bytes(report.baseline.current).padStart(9)}   current ${sign(report.baseline.delta.current)}, packed ${sign(report.baseline.delta.packed)}, lowerBound ${sign(report.baseline.delta.lowerBound)}${report.baseline.regressed ? '  REGRESSED' : ''}`);
+    }
+    if (report.search) {
+      const r = report.search;
+      const closed = r.gapClosed == null ? 'no gap' : `gapClosed ${(r.gapClosed * 100).toFixed(1)}%`;
+      lines.push(`searched     ${F.bytes(r.height).padStart(9)}   ${r.label}, saved ${F.bytes(r.saved)}, ${closed}${r.exact ? ', exact' : ''} (${r.evaluated} layouts, ${r.nodes} nodes, ${r.elapsedMs} ms)`);
+    }
+    lines.push('');
+    if (report.search && report.search.saved > 0) {
+      lines.push(`searched layout (${report.search.layout.length})`);
+      report.search.layout.slice(0, opts.limit).forEach(t => lines.push(`  ${F.hex(t.offset, 6)}  ${t.name.padEnd(12)} ${F.bytes(t.size)}`));
+      lines.push(...more(report.search.layout));
+    }
+    lines.push(`reuse groups (${report.groups.length})`);
+    report.groups.slice(0, opts.limit).forEach(g => lines.push(`  ${g.members.join(' / ')}  save ${F.bytes(g.saving)}  (peak ${F.bytes(g.peak)}, ${g.blockScope})`));
+    lines.push(...more(report.groups));
+    lines.push(`excluded pairs (${report.excluded.length})`);
+    report.excluded.slice(0, opts.limit).forEach(e => lines.push(`  ${e.a} / ${e.b}  ${F.bytes(e.saving)}  ${e.reason}`));
+    lines.push(...more(report.excluded));
+    if (report.conflicts.length) {
+      lines.push(`conflicts (${report.conflicts.length})`);
+      report.conflicts.forEach(c => lines.push(`  ${c.kind.padEnd(10)} ${c.a} / ${c.b}  overlap ${F.bytes(c.overlapBytes)}`));
+    }
+  } else {
+    lines.push(`parsed       ${report.allocations} allocations · ${report.events} events · ${report.totalTicks} cycles`);
+    report.regions.forEach(r => {
+      const used = r.unit === 'regs' ? `${r.reserved} regs` : F.bytes(r.reserved);
+      const cap = r.unit === 'regs' ? `${r.capacity} regs` : F.bytes(r.capacity);
+      lines.push(`region ${r.id.padEnd(5)} ${used.padStart(9)} / ${cap.padStart(9)}  ${F.pct(r.ratio, 1).padStart(7)}${r.over ? '  OVER' : ''}`);
+    });
+  }
+
+  lines.push('');
+  lines.push(`findings (${report.findings.length})`);
+  report.findings.forEach(f => {
+    const level = f.severity === 'danger' ? 'ERROR' : f.severity === 'warn' ? 'WARN ' : 'INFO ';
+    lines.push(`  ${level} ${f.rule.padEnd(24)} ${f.detail}`);
+    if (f.suggest) lines.push(`        ${' '.repeat(24)} → ${f.suggest}`);
+  });
+  lines.push('');
+  lines.push(`summary ${report.summary.danger} danger, ${report.summary.warn} warn, ${report.summary.info} info → exit ${report.exitCode}`);
+  return `${lines.join('\n')}\n`;
+}
+
+// ── Main ─────────────────────────────────────────────────────────────────────
+
+const opts = parseArgs(process.argv.slice(2));
+try {
+  const window = loadBrowserModules();
+  const loaded = loadRun(window, opts);
+  const report = isWorkspaceRun(loaded.run) ? analyzeWorkspace(window, loaded, opts) : analyzeOnChip(window, loaded, opts);
+  report.exitCode = exitCodeOf(report, opts);
+  const text = opts.format === 'json' ? `${JSON.stringify(report, null, 2)}\n` : renderText(report, window.MemVizFormat, opts);
+  if (opts.out) {
+    fs.writeFileSync(opts.out, text);
+    console.error(`✓ ${report.summary.danger} danger, ${report.summary.warn} warn → ${opts.out} (exit ${report.exitCode})`);
+  } else {
+    process.stdout.write(text);
+  }
+  process.exitCode = report.exitCode;
+} catch (err) {
+  if (err instanceof InputError) {
+    err.errors.forEach(e => console.error(`error: ${e.path}  ${e.message}`));
+  } else {
+    console.error(err?.stack || err);
+  }
+  process.exit(EXIT.usage);
+}
@@ -46,6 +46,130 @@
     return a.offset < b.offset + b.size && b.offset < a.offset + a.size;
   }
 
+  /** 把字节区间 [start, end) 按地址桶累加进某一列。 */
+  function addSpan(grid, cols, col, bucketBytes, rows, start, end) {
+    if (end <= start) return;
+    const last = Math.min(rows - 1, Math.floor((end - 1) / bucketBytes));
+    for (let row = Math.floor(start / bucketBytes); row <= last; row += 1) {
+      const lo = Math.max(start, row * bucketBytes);
+      const hi = Math.min(end, (row + 1) * bucketBytes);
+      grid[row * cols + col] += hi - lo;
+    }
+  }
+
+  /**
+   * 地址 × tick 热力图（规划文档 §4.3-5）。逐 tick 用 liveAt 聚合，再按格子取平均：
+   *   live —— 张量持有的字节占格子的比例，> 1 说明两个持有中的分配地址重叠；
+   *   idle —— 预留着但此刻为空；
+   *   frag —— 低于此刻持有高水位、却没有任何张量持有的空洞，即碎片。
+   * 每个比例都是「格子内字节 × tick」除以「格子字节 × 列内 tick 数」。
+   */
+  function heatmap(region, ticks, { addrBuckets = 48, tickBuckets = 96 } = {}) {
+    const scale = Math.max(1, region.capacity, region.reserved);
+    const rows = Math.max(1, addrBuckets);
+    const cols = Math.max(1, Math.min(tickBuckets, ticks + 1));
+    const bucketBytes = scale / rows;
+    const ticksPerCol = (ticks + 1) / cols;
+    const live = new Float64Array(rows * cols);
+    const idle = new Float64Array(rows * cols);
+    const frag = new Float64Array(rows * cols);
+    const colTicks = new Float64Array(cols);
+    let peakFrag = 0;
+    let peakFragTick = 0;
+
+    for (let t = 0; t <= ticks; t += 1) {
+      const col = Math.min(cols - 1, Math.floor(t / ticksPerCol));
+      colTicks[col] += 1;
+      const held = [];
+      region.allocations.forEach((a) => {
+        if (liveAt(a, t)) held.push(a);
+        else addSpan(idle, cols, col, bucketBytes, rows, a.offset, a.offset + a.size);
+      });
+      held.sort((a, b) => a.offset - b.offset);
+      let cursor = 0;
+      let holes = 0;
+      held.forEach((a) => {
+        addSpan(live, cols, col, bucketBytes, rows, a.offset, a.offset + a.size);
+        if (a.offset > cursor) {
+          addSpan(frag, cols, col, bucketBytes, rows, cursor, a.offset);
+          holes += a.offset - cursor;
+        }
+        cursor = Math.max(cursor, a.offset + a.size);
+      });
+      if (holes > peakFrag) { peakFrag = holes; peakFragTick = t; }
+    }
+
+    for (let row = 0; row < rows; row += 1) {
+      for (let col = 0; col < cols; col += 1) {
+        const norm = bucketBytes * (colTicks[col] || 1);
+        const index = row * cols + col;
+        live[index] /= norm;
+        idle[index] /= norm;
+        frag[index] /= norm;
+      }
+    }
+
+    return { rows, cols, scale, bucketBytes, ticksPerCol, live, idle, frag, peakFrag, peakFragTick };
+  }
+
+  /** 按容量等分的 bank 区间（占位模型：chip-specs 只给了 bank 数）。 */
+  function bankSize(region) {
+    return region.banks ? region.capacity / region.banks : 0;
+  }
+
+  function banksOf(region, alloc) {
+    const size = bankSize(region);
+    if (!size) return [];
+    const first = Math.floor(alloc.offset / size);
+    const last = Math.min(region.banks - 1, Math.floor((alloc.offset + alloc.size - 1) / size));
+    const list = [];
+    for (let bank = first; bank <= last; bank += 1) list.push(bank);
+    return list;
+  }
+
+  /**
+   * bank 冲突候选：两条不同流水在时间上重叠、且读写的分配落在同一 bank。
+   * 只有事件读写引用，没有逐条访存地址，所以这是「可能冲突」的上界，用来定位热点而不是计数。
+   * 每个 bank 按开始时刻扫描，只和仍在进行的事件比较，代价随实际重叠数增长而不是事件数的平方。
+   */
+  function bankConflicts(run, region) {
+    if (!region.banks) return [];
+    const allocById = new Map(region.allocations.map((a) => [a.id, a]));
+    const touchingByBank = new Map(); // bank -> [{ event, index }]，index 为事件在 run.events 中的序号
+    run.events.forEach((event, index) => {
+      const banks = new Set();
+      event.reads.concat(event.writes).forEach((id) => {
+        const alloc = allocById.get(id);
+        if (alloc) banksOf(region, alloc).forEach((bank) => banks.add(bank));
+      });
+      banks.forEach((bank) => {
+        if (!touchingByBank.has(bank)) touchingByBank.set(bank, []);
+        touchingByBank.get(bank).push({ event, index });
+      });
+    });
+
+    const found = [];
+    touchingByBank.forEach((touching, bank) => {
+      touching.sort((a, b) => a.event.t - b.event.t || a.index - b.index);
+      let active = [];
+      touching.forEach((entry) => {
+        const start = entry.event.t;
+        active = active.filter((other) => other.event.end > start);
+        active.forEach((other) => {
+          if (other.event.pipe === entry.event.pipe) return;
+          const end = Math.min(other.event.end, entry.event.end);
+          if (end <= start) return;
+          const [a, b] = other.index < entry.index ? [other, entry] : [entry, other];
+          found.push({ first: a.index, second: b.index, conflict: { bank, start, end, eventIds: [a.event.id, b.event.id] } });
+        });
+        active.push(entry);
+      });
+    });
+    // 与逐对比较时的输出顺序一致：按事件对，再按 bank
+    found.sort((x, y) => x.first - y.first || x.second - y.second || x.conflict.bank - y.conflict.bank);
+    return found.map((item) => item.conflict);
+  }
+
   function compute(run, chip) {
     const ticks = run.totalTicks;
     const regions = chip.regions.map((spec) => {
@@ -151,5 +275,9 @@
     intervalsOverlap,
     allocsOverlapInTime,
     allocsOverlapInSpace,
+    heatmap,
+    bankSize,
+    banksOf,
+    bankConflicts,
   };
 })(window);
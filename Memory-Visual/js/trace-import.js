@@ -0,0 +1,1082 @@
+/*
+  Trace 导入 —— 规划文档 §4.1 采集层 → §6 中间格式
+  ------------------------------------------------------------------
+  data/runs.js 从 tiling 参数推导候选；本文件从真实采集物推导同一份中间格式
+  （allocations + intervals + 流水 events），视图与规则引擎不区分两者。支持四种输入：
+
+    · PyPTO leaf function dump（functions[].operations / tensors / rawtensors，含 *_ALLOC op）
+      地址取 tensor.mem_range，层级取 mem_type.tobe，dtype 取 rawtensor.datatype；
+      同一符号落在不同地址上的几块即该队列的几个 slot（buffer_num 由此反推）。
+      dump 里没有时间戳，时序按 op 顺序 + latency 用与 runs.js 相同的顺序模型模拟。
+    · msprof / Chrome trace JSON（traceEvents）
+      时序取 ts / dur，流水取线程名；args 里带地址（src / dst 形如 "UB:0x1000"，配 size）
+      时才建分配，否则只出流水泳道（降级展示）。多核 trace 只导入一个核。
+    · tiling/data/schemas/trace.schema.json 描述的讲解 trace
+      步骤 → 事件，bufferBlocks.cellRange 按 cellBytes 换算成地址 —— 这是网格近似，不是字节地址。
+    · §6 中间格式本身：规划文档里的 snake_case 草案，或 runs.js 产出的 camelCase run。
+
+  校验分两层：输入先按各自格式校验（缺字段、类型不对直接报错，不静默吞掉）；
+  产出的 run 再按中间格式校验一遍（层级 / 流水在芯片描述里存在、引用的分配存在、
+  区间合法），两层都过了才交给 metrics / diagnostics。规划文档 §5「鲁棒性」要求
+  输入不完整时明确降级提示 —— 降级项记在 warnings，并随 run.imported 一起带走。
+
+  数据等级：取决于导入的文件；run.imported 记录来源格式、文件名与降级提示。
+*/
+(function registerMemVizTraceImport(global) {
+  'use strict';
+
+  const MAX_TICKS = 20000;   // metrics 逐 tick 聚合水位，超过就按整数倍降采样
+  const MAX_ISSUES = 40;     // 一份坏文件的报错只列前若干条，够定位即可
+  const MAX_FUNCTIONS = 8;   // 一个 dump 最多拆出的 leaf 候选数
+  const TRACE_CELLS = 64;    // tiling trace 未给 cellBytes 时，每个 buffer 按多少格摊开容量
+  const STEP_TICKS = 10;     // tiling trace 每一步的名义时长（只表达先后，不表达耗时）
+
+  const FORMAT_LABELS = {
+    pypto: 'PyPTO dump',
+    msprof: 'msprof trace',
+    tiling: 'tiling trace',
+    intermediate: '中间格式',
+  };
+
+  // PyPTO MemoryType（tensor.mem_type.tobe）→ region；DDR 不建片上分配
+  const PYPTO_MEM = { 0: 'UB', 1: 'L1', 2: 'L0A', 3: 'L0B', 4: 'L0C', 15: 'GM' };
+  // PyPTO DataType 枚举 → [dtype, 每元素字节]
+  const PYPTO_DTYPE = {
+    1: ['int8', 1], 2: ['int16', 2], 3: ['int32', 4], 4: ['int64', 8],
+    5: ['fp8', 1], 6: ['float16', 2], 7: ['float32', 4], 8: ['bfloat16', 2],
+  };
+
+  // 采集物里的流水命名五花八门（MTE2 / aic_mte2 / VECTOR / FIXP / M），统一到芯片描述的 pipe id
+  const PIPE_PATTERNS = [
+    [/mte2/i, 'MTE2'],
+    [/mte1/i, 'MTE1'],
+    [/mte3/i, 'MTE3'],
+    [/fix/i, 'FixPipe'],
+    [/^vf$|regbase|simd_vf/i, 'VF'],
+    [/cube|mmad|^m$|(^|[_\s])m$/i, 'Cube'],
+    [/vec|^v$|(^|[_\s])v$/i, 'Vector'],
+  ];
+
+  const PIPE_TYPES = { MTE2: 'copy_in', MTE1: 'load', MTE3: 'copy_out', FixPipe: 'move' };
+
+  // ---------------------------------------------------------------
+  // 输入校验 —— 只覆盖导入真正依赖的字段，其余字段原样忽略
+  // ---------------------------------------------------------------
+  const INT_PAIR = { type: 'array', items: { type: 'integer' } };
+
+  const PYPTO_SCHEMA = {
+    type: 'object',
+    required: ['functions'],
+    properties: {
+      functions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['operations', 'tensors', 'rawtensors'],
+          properties: {
+            operations: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['opcode', 'opmagic', 'ioperands', 'ooperands'],
+                properties: {
+                  opcode: { type: 'string' },
+                  opmagic: { type: 'integer' },
+                  ioperands: INT_PAIR,
+                  ooperands: INT_PAIR,
+                  latency: { type: 'number' },
+                },
+              },
+            },
+            tensors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['magic', 'mem_type', 'mem_range', 'rawtensor'],
+                properties: {
+                  magic: { type: 'integer' },
+                  mem_type: { type: 'object', required: ['tobe'], properties: { tobe: { type: 'integer' } } },
+                  mem_range: INT_PAIR,
+                  rawtensor: { type: 'integer' },
+                  shape: { type: 'array' },
+                },
+              },
+            },
+            rawtensors: {
+              type: 'array',
+              items: { type: 'object', required: ['rawmagic'], properties: { rawmagic: { type: 'integer' }, symbol: { type: 'string' } } },
+            },
+          },
+        },
+      },
+    },
+  };
+
+  const MSPROF_EVENT_SCHEMA = {
+    type: 'object',
+    required: ['name', 'ts', 'dur'],
+    properties: { name: { type: 'string' }, ts: { type: 'number' }, dur: { type: 'number' }, args: { type: 'object' } },
+  };
+
+  // 与 tiling/data/schemas/trace.schema.json 的 required 结构一致（只取导入用到的分支）
+  const TILING_TRACE_SCHEMA = {
+    type: 'object',
+    required: ['schemaVersion', 'operator', 'arch', 'launch', 'tiling', 'source', 'memory', 'stages', 'steps', 'puzzles'],
+    properties: {
+      schemaVersion: { type: 'string' },
+      operator: {
+        type: 'object',
+        required: ['id', 'name', 'kind', 'sourceLanguage', 'apiLevel', 'sourcePath'],
+        properties: { id: { type: 'string' }, name: { type: 'string' }, sourcePath: { type: 'string' } },
+      },
+      arch: { type: 'object', required: ['npuArch', 'kernelTag'] },
+      launch: { type: 'object', properties: { numBlocks: { type: 'integer' } } },
+      tiling: { type: 'object', required: ['type', 'params'], properties: { params: { type: 'object' } } },
+      source: { type: 'object', required: ['path', 'lines'] },
+      memory: {
+        type: 'object',
+        required: ['tiers'],
+        properties: { tiers: { type: 'array', items: { type: 'object', required: ['id', 'label', 'role'] } } },
+      },
+      stages: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'label', 'unit', 'operations'],
+          properties: { operations: { type: 'array', items: { type: 'string' } } },
+        },
+      },
+      steps: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'stageId', 'label', 'summary', 'sourceLines'],
+          properties: {
+            sourceLines: { type: 'array', items: { type: 'integer' } },
+            memoryRegions: { type: 'array', items: { type: 'string' } },
+            visualState: { type: 'object' },
+          },
+        },
+      },
+      puzzles: { type: 'array', items: { type: 'object', required: ['id', 'kind', 'prompt', 'answer', 'explanation'] } },
+    },
+  };
+
+  const SNAKE_SCHEMA = {
+    type: 'object',
+    required: ['schema_version', 'allocations', 'events'],
+    properties: {
+      schema_version: { type: 'string' },
+      regions: { type: 'array', items: { type: 'object', required: ['id'] } },
+      allocations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'region', 'offset', 'size'],
+          properties: {
+            id: { type: 'string' }, region: { type: 'string' },
+            offset: { type: 'integer' }, size: { type: 'integer' }, buffer_num: { type: 'integer' },
+            live: { type: 'object', required: ['start', 'end'], properties: { start: { type: 'number' }, end: { type: 'number' } } },
+          },
+        },
+      },
+      events: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['t', 'pipe'],
+          properties: {
+            t: { type: 'number' }, dur: { type: 'number' }, pipe: { type: 'string' },
+            reads: { type: 'array', items: { type: 'string' } }, writes: { type: 'array', items: { type: 'string' } },
+          },
+        },
+      },
+    },
+  };
+
+  const CAMEL_SCHEMA = {
+    type: 'object',
+    required: ['schemaVersion', 'allocations', 'events'],
+    properties: {
+      schemaVersion: { type: 'string' },
+      allocations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'region', 'offset', 'size', 'intervals'],
+          properties: {
+            id: { type: 'string' }, region: { type: 'string' },
+            offset: { type: 'integer' }, size: { type: 'integer' },
+            intervals: { type: 'array', items: { type: 'object', required: ['start', 'end'] } },
+          },
+        },
+      },
+      events: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['t', 'dur', 'pipe'],
+          properties: { t: { type: 'number' }, dur: { type: 'number' }, pipe: { type: 'string' } },
+        },
+      },
+    },
+  };
+
+  function issue(path, message) {
+    return { path, message };
+  }
+
+  function typeOk(value, type) {
+    if (type === 'array') return Array.isArray(value);
+    if (type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return typeof value === type;
+  }
+
+  /** JSON Schema 的一个小子集：type / required / properties / items。 */
+  function checkSchema(value, schema, path, errors) {
+    if (errors.length >= MAX_ISSUES) return;
+    if (schema.type && !typeOk(value, schema.type)) {
+      errors.push(issue(path, `应为 ${schema.type}`));
+      return;
+    }
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined && errors.length < MAX_ISSUES) errors.push(issue(`${path}.${key}`, '缺少必填字段'));
+    });
+    Object.entries(schema.properties || {}).forEach(([key, sub]) => {
+      if (value[key] !== undefined) checkSchema(value[key], sub, `${path}.${key}`, errors);
+    });
+    if (schema.items && Array.isArray(value)) {
+      for (let i = 0; i < value.length && errors.length < MAX_ISSUES; i += 1) {
+        checkSchema(value[i], schema.items, `${path}[${i}]`, errors);
+      }
+    }
+  }
+
+  function detect(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    if (Array.isArray(raw.functions)) return 'pypto';
+    if (Array.isArray(raw.traceEvents) || (Array.isArray(raw) && raw.some((e) => e && typeof e.ph === 'string'))) return 'msprof';
+    if (raw.operator && Array.isArray(raw.steps)) return 'tiling';
+    if ((raw.schema_version || raw.schemaVersion) && Array.isArray(raw.allocations)) return 'intermediate';
+    return null;
+  }
+
+  function validate(raw, format) {
+    const errors = [];
+    if (format === 'pypto') {
+      checkSchema(raw, PYPTO_SCHEMA, '$', errors);
+      if (errors.length) return errors;
+      if (!raw.functions.some((fn) => fn.operations.length)) errors.push(issue('$.functions', '没有任何带 operations 的 leaf function'));
+      raw.functions.forEach((fn, f) => {
+        const magics = new Set(fn.tensors.map((t) => t.magic));
+        fn.tensors.forEach((t, i) => {
+          if (t.mem_range.length !== 2 || t.mem_range[1] < t.mem_range[0]) {
+            errors.push(issue(`$.functions[${f}].tensors[${i}].mem_range`, `区间 [${t.mem_range.join(', ')}] 非法`));
+          }
+        });
+        fn.operations.forEach((op, i) => {
+          op.ioperands.concat(op.ooperands).forEach((magic) => {
+            if (!magics.has(magic)) errors.push(issue(`$.functions[${f}].operations[${i}]`, `${op.opcode} 引用了不存在的 tensor ${magic}`));
+          });
+        });
+      });
+    } else if (format === 'msprof') {
+      const list = Array.isArray(raw) ? raw : raw.traceEvents;
+      const path = Array.isArray(raw) ? '$' : '$.traceEvents';
+      let complete = 0;
+      list.forEach((event, i) => {
+        if (!event || event.ph !== 'X') return;
+        complete += 1;
+        checkSchema(event, MSPROF_EVENT_SCHEMA, `${path}[${i}]`, errors);
+        if (typeof event.dur === 'number' && event.dur < 0) errors.push(issue(`${path}[${i}].dur`, '时长为负'));
+      });
+      if (!complete) errors.push(issue(path, '没有 ph = "X" 的完整事件'));
+    } else if (format === 'tiling') {
+      checkSchema(raw, TILING_TRACE_SCHEMA, '$', errors);
+      if (errors.length) return errors;
+      const stageIds = new Set(raw.stages.map((s) => s.id));
+      raw.steps.forEach((step, i) => {
+        if (!stageIds.has(step.stageId)) errors.push(issue(`$.steps[${i}].stageId`, `未声明的 stage ${step.stageId}`));
+      });
+    } else if (format === 'intermediate') {
+      checkSchema(raw, raw.schema_version ? SNAKE_SCHEMA : CAMEL_SCHEMA, '$', errors);
+    } else {
+      errors.push(issue('$', `未知格式 ${format}`));
+    }
+    return errors.slice(0, MAX_ISSUES);
+  }
+
+  // ---------------------------------------------------------------
+  // 公共构件
+  // ---------------------------------------------------------------
+  function normalizePipe(name, chip) {
+    if (!name) return null;
+    const text = String(name).trim();
+    const exact = chip.pipes.find((p) => p.id.toLowerCase() === text.toLowerCase());
+    if (exact) return exact.id;
+    const hit = PIPE_PATTERNS.find(([pattern]) => pattern.test(text));
+    return hit && chip.pipes.some((p) => p.id === hit[1]) ? hit[1] : null;
+  }
+
+  function baseName(path) {
+    return String(path || '').split(/[\\/]/).pop();
+  }
+
+  function makeAllocation(region, fields) {
+    const size = fields.size;
+    return {
+      declKey: fields.name,
+      queue: fields.name,
+      kind: 'buf',
+      slot: 0,
+      bufferNum: 1,
+      logicalSize: size,
+      dataBytes: size,
+      align: region.align,
+      dtype: 'unknown',
+      shape: null,
+      persistent: false,
+      padReason: null,
+      reuseOf: null,
+      manualReuse: false,
+      src: { file: '', declLine: -1, hotLine: -1 },
+      code: '',
+      cce: '',
+      intervals: [],
+      ...fields,
+      region: region.id,
+    };
+  }
+
+  /** 同一 declKey 按地址排序编 slot 号，和 runs.js 的 `key#slot` 命名一致。 */
+  function assignSlots(allocations) {
+    const groups = new Map();
+    allocations.forEach((alloc) => {
+      if (!groups.has(alloc.declKey)) groups.set(alloc.declKey, []);
+      groups.get(alloc.declKey).push(alloc);
+    });
+    groups.forEach((list, key) => {
+      list.sort((a, b) => a.offset - b.offset);
+      list.forEach((alloc, slot) => {
+        alloc.id = `${key}#${slot}`;
+        alloc.slot = slot;
+        alloc.bufferNum = list.length;
+        alloc.name = list.length > 1 ? `${key}[${slot}]` : key;
+      });
+    });
+  }
+
+  /**
+   * 顺序调度模型，与 runs.js 的 emit 同一口径：
+   * 开始时刻 = max(本流水空闲, 所读分配写完, 所等分配释放)；
+   * 等待由某块分配的释放决定时记 blockedBy，规则引擎据此归因。
+   */
+  function createScheduler() {
+    const pipeCursor = {};
+    const writeDoneAt = {};
+    const freeAt = {};
+    const events = [];
+
+    function emit(step) {
+      const before = pipeCursor[step.pipe] || 0;
+      let start = before;
+      step.reads.forEach((id) => { start = Math.max(start, writeDoneAt[id] || 0); });
+      let blockedBy = null;
+      (step.waits || []).forEach((id) => {
+        if ((freeAt[id] || 0) > start) {
+          start = freeAt[id];
+          blockedBy = id;
+        }
+      });
+      const dur = Math.max(1, Math.round(step.dur));
+      const end = start + dur;
+      pipeCursor[step.pipe] = end;
+      step.writes.forEach((id) => { writeDoneAt[id] = end; });
+      const event = {
+        t: start, dur, end, gap: start - before,
+        pipe: step.pipe, type: step.type, label: step.label, iter: step.iter,
+        reads: step.reads, writes: step.writes, bytes: step.bytes || 0,
+        srcLine: step.srcLine != null ? step.srcLine : null,
+        blockedBy: blockedBy && start > before ? blockedBy : null,
+      };
+      events.push(event);
+      return event;
+    }
+
+    function release(id, at) {
+      freeAt[id] = Math.max(freeAt[id] || 0, at);
+    }
+
+    return { emit, release, events };
+  }
+
+  /** 排序、编号、补齐派生字段；时间跨度过大时按整数倍降采样。 */
+  function finalizeRun(parts, warnings) {
+    const events = parts.events.slice().sort((a, b) => a.t - b.t);
+    let totalTicks = 0;
+    events.forEach((e) => { totalTicks = Math.max(totalTicks, e.t + e.dur); });
+    parts.allocations.forEach((a) => a.intervals.forEach((i) => { totalTicks = Math.max(totalTicks, i.end); }));
+
+    const scale = totalTicks > MAX_TICKS ? Math.ceil(totalTicks / MAX_TICKS) : 1;
+    if (scale > 1) {
+      warnings.push(`时间跨度 ${totalTicks} cycle 超过 ${MAX_TICKS}，按 1 tick = ${scale} cycle 降采样`);
+      events.forEach((e) => {
+        const t = Math.floor(e.t / scale);
+        e.dur = Math.max(1, Math.ceil((e.t + e.dur) / scale) - t);
+        e.t = t;
+      });
+      parts.allocations.forEach((a) => a.intervals.forEach((i) => {
+        i.start = Math.floor(i.start / scale);
+        i.end = Math.max(i.start + 1, Math.ceil(i.end / scale));
+      }));
+    }
+
+    const pipeCursor = {};
+    events.forEach((e, index) => {
+      e.id = `e${index + 1}`;
+      e.end = e.t + e.dur;
+      e.gap = Math.max(0, e.t - (pipeCursor[e.pipe] || 0));
+      if (!e.gap) e.blockedBy = null;
+      pipeCursor[e.pipe] = Math.max(pipeCursor[e.pipe] || 0, e.end);
+    });
+    totalTicks = Math.max(1, ...Object.values(pipeCursor), ...parts.allocations.flatMap((a) => a.intervals.map((i) => i.end)));
+    parts.allocations.forEach((a) => {
+      a.intervals.sort((x, y) => x.start - y.start);
+      if (a.persistent && !a.intervals.length) a.intervals.push({ start: 0, end: totalTicks, iter: -1 });
+    });
+
+    return {
+      schemaVersion: '0.1',
+      id: parts.id,
+      label: parts.label,
+      kicker: parts.kicker,
+      note: parts.note,
+      chip: parts.chip,
+      kernel: { blockDim: 1, shape: null, ...parts.kernel },
+      tiling: { tileM: null, tileNum: null, tailM: null, hasTail: false, bufferNum: {}, ...parts.tiling },
+      registers: parts.registers || null,
+      totalTicks,
+      pipeCursor,
+      allocations: parts.allocations,
+      events,
+      imported: { ...parts.imported, tickScale: scale, warnings },
+    };
+  }
+
+  function runShell(chip, opts, format, index, count) {
+    const fileName = opts.fileName || FORMAT_LABELS[format];
+    const prefix = opts.id || 'import';
+    return {
+      id: count > 1 ? `${prefix}-${index + 1}` : prefix,
+      kicker: FORMAT_LABELS[format],
+      chip: { name: chip.name, specRef: chip.specRef },
+      imported: { format, fileName },
+    };
+  }
+
+  // ---------------------------------------------------------------
+  // PyPTO leaf function dump
+  // ---------------------------------------------------------------
+  function pyptoPipe(opcode, from, to) {
+    if (/MUL|MMAD|MATMUL/.test(opcode) && to === 'L0C') return ['Cube', 'compute'];
+    if (from === 'GM' && to !== 'GM') return ['MTE2', 'copy_in'];
+    if (from === 'L0C') return ['FixPipe', to === 'GM' ? 'copy_out' : 'move'];
+    if (from === 'L1' && (to === 'L0A' || to === 'L0B')) return ['MTE1', 'load'];
+    if (to === 'GM') return ['MTE3', 'copy_out'];
+    if (from === 'UB' && to === 'L1') return ['MTE3', 'move'];
+    return ['Vector', 'compute'];
+  }
+
+  function buildPyptoFunction(fn, chip, shell) {
+    const warnings = [];
+    const rawByMagic = new Map(fn.rawtensors.map((r) => [r.rawmagic, r]));
+    const tensorByMagic = new Map(fn.tensors.map((t) => [t.magic, t]));
+    const regionOf = (id) => chip.regions.find((r) => r.id === id) || null;
+
+    // ---- 片上 tensor → 分配：同一 (层级, 符号, 地址区间) 归为一块 ----
+    const byKey = new Map();
+    const allocOfTensor = new Map();
+    const skipped = new Map();
+    fn.tensors.forEach((t) => {
+      const regionId = PYPTO_MEM[t.mem_type.tobe];
+      if (regionId === 'GM') return;
+      const region = regionOf(regionId);
+      if (!region) {
+        skipped.set(t.mem_type.tobe, (skipped.get(t.mem_type.tobe) || 0) + 1);
+        return;
+      }
+      const [start, end] = t.mem_range;
+      const raw = rawByMagic.get(t.rawtensor) || {};
+      const symbol = raw.symbol || `t${t.rawtensor}`;
+      const key = `${region.id}|${symbol}|${start}|${end}`;
+      let alloc = byKey.get(key);
+      if (!alloc) {
+        const [dtype, elemBytes] = PYPTO_DTYPE[raw.datatype] || [`dt${raw.datatype}`, 0];
+        const shape = Array.isArray(t.shape) ? t.shape : null;
+        const elems = shape && shape.every((d) => d > 0) ? shape.reduce((p, d) => p * d, 1) : 0;
+        const dataBytes = elems && elemBytes ? Math.min(end - start, elems * elemBytes) : end - start;
+        alloc = makeAllocation(region, {
+          name: symbol, declKey: symbol, queue: symbol,
+          offset: start, size: end - start, dataBytes, dtype, shape,
+          memIds: new Set(),
+        });
+        byKey.set(key, alloc);
+      }
+      alloc.memIds.add(t.rawtensor);
+      allocOfTensor.set(t.magic, alloc);
+    });
+    skipped.forEach((count, code) => warnings.push(`${count} 个 tensor 位于 mem_type ${code}，当前芯片描述没有对应层级，已跳过`));
+
+    // 同一符号在两个层级上出现时用 `符号@层级` 区分 declKey
+    const regionsOfSymbol = new Map();
+    byKey.forEach((alloc) => {
+      if (!regionsOfSymbol.has(alloc.declKey)) regionsOfSymbol.set(alloc.declKey, new Set());
+      regionsOfSymbol.get(alloc.declKey).add(alloc.region);
+    });
+    const allocations = [...byKey.values()];
+    allocations.forEach((alloc) => {
+      if (regionsOfSymbol.get(alloc.declKey).size > 1) alloc.declKey = `${alloc.declKey}@${alloc.region}`;
+      alloc.queue = alloc.declKey;
+    });
+    assignSlots(allocations);
+
+    // ---- ALLOC op：与 tensor 的层级互相印证；无操作数的只是调度标记 ----
+    let allocOps = 0;
+    const execOps = [];
+    fn.operations.forEach((op) => {
+      const match = /^([A-Z0-9]+)_ALLOC$/.exec(op.opcode);
+      if (!match) { execOps.push(op); return; }
+      allocOps += 1;
+      op.ooperands.forEach((magic) => {
+        const alloc = allocOfTensor.get(magic);
+        if (alloc && alloc.region !== match[1]) warnings.push(`${op.opcode}#${op.opmagic} 分配的 ${alloc.name} 实际落在 ${alloc.region}`);
+      });
+    });
+
+    // ---- 地址相交的分配互相等待释放（跨符号的地址复用） ----
+    const overlaps = new Map(allocations.map((a) => [a, allocations.filter((b) => b !== a && b.region === a.region
+      && a.offset < b.offset + b.size && b.offset < a.offset + a.size)]));
+
+    const lastUse = new Map();
+    execOps.forEach((op, index) => {
+      op.ioperands.concat(op.ooperands).forEach((magic) => {
+        const t = tensorByMagic.get(magic);
+        if (t) lastUse.set(t.rawtensor, index);
+      });
+    });
+
+    const sched = createScheduler();
+    const occupant = new Map();   // alloc -> 当前持有它的 rawtensor
+    const open = new Map();       // alloc -> 当前 interval
+    const iterOf = new Map();     // declKey -> 已出现的持有次数
+    const unknownPipes = new Map();
+    let liveOverwrites = 0;
+    let kernelFile = '';
+
+    execOps.forEach((op, index) => {
+      const ins = op.ioperands.map((m) => tensorByMagic.get(m));
+      const outs = op.ooperands.map((m) => tensorByMagic.get(m));
+      const readAllocs = [...new Set(ins.map((t) => allocOfTensor.get(t.magic)).filter(Boolean))];
+      const writeAllocs = [...new Set(outs.map((t) => allocOfTensor.get(t.magic)).filter(Boolean))];
+      const from = readAllocs[0] ? readAllocs[0].region : 'GM';
+      const to = writeAllocs[0] ? writeAllocs[0].region : 'GM';
+      const [pipe, type] = pyptoPipe(op.opcode, from, to);
+      if (!chip.pipes.some((p) => p.id === pipe)) {
+        unknownPipes.set(pipe, (unknownPipes.get(pipe) || 0) + 1);
+        return;
+      }
+
+      const waits = new Set();
+      outs.forEach((t) => {
+        const alloc = allocOfTensor.get(t.magic);
+        if (!alloc || occupant.get(alloc) === t.rawtensor) return;
+        const prev = occupant.get(alloc);
+        if (prev != null && (lastUse.get(prev) || 0) > index) liveOverwrites += 1;
+        [alloc, ...overlaps.get(alloc)].forEach((other) => { if (!readAllocs.includes(other)) waits.add(other.id); });
+      });
+
+      const file = op.file || (op.semantic_label && op.semantic_label.filename) || '';
+      const line = op.line || (op.semantic_label && op.semantic_label.lineno) || 0;
+      if (!kernelFile && file) kernelFile = file;
+      const moved = type === 'copy_out' ? readAllocs : writeAllocs;
+      const target = writeAllocs[0] || readAllocs[0];
+      const iter = target ? Math.max(0, (iterOf.get(target.declKey) || 1) - 1) : -1;
+      const event = sched.emit({
+        pipe, type, iter,
+        label: `${op.opcode} ${target ? target.name : ''}`.trim(),
+        dur: Number(op.latency) || 1,
+        reads: readAllocs.map((a) => a.id),
+        writes: writeAllocs.map((a) => a.id),
+        waits: [...waits],
+        bytes: type === 'compute' ? 0 : moved.reduce((sum, a) => sum + a.dataBytes, 0),
+        srcLine: line && file === kernelFile ? line - 1 : null,
+      });
+      event.opmagic = op.opmagic;
+
+      outs.forEach((t) => {
+        const alloc = allocOfTensor.get(t.magic);
+        if (!alloc) return;
+        if (occupant.get(alloc) !== t.rawtensor) {
+          const n = iterOf.get(alloc.declKey) || 0;
+          iterOf.set(alloc.declKey, n + 1);
+          const interval = { start: event.t, end: event.end, iter: n };
+          alloc.intervals.push(interval);
+          open.set(alloc, interval);
+          occupant.set(alloc, t.rawtensor);
+          if (alloc.src.hotLine < 0 && line) alloc.src = { file: baseName(file), declLine: line - 1, hotLine: line - 1 };
+          if (!alloc.code) alloc.code = `${op.opcode} #${op.opmagic}  ${op.ioperands.join(', ')} → ${op.ooperands.join(', ')}`;
+        } else {
+          open.get(alloc).end = Math.max(open.get(alloc).end, event.end);
+        }
+      });
+      ins.forEach((t) => {
+        const alloc = allocOfTensor.get(t.magic);
+        if (alloc && open.has(alloc)) open.get(alloc).end = Math.max(open.get(alloc).end, event.end);
+      });
+      ins.concat(outs).forEach((t) => {
+        const alloc = allocOfTensor.get(t.magic);
+        if (alloc && lastUse.get(t.rawtensor) === index) sched.release(alloc.id, event.end);
+      });
+    });
+
+    unknownPipes.forEach((count, pipe) => warnings.push(`${count} 个 op 属于 ${pipe} 流水，当前芯片描述没有该流水，已跳过`));
+    if (liveOverwrites) warnings.push(`${liveOverwrites} 次写入发生在同地址前一个 tensor 最后一次使用之前（dump 顺序与地址分配不一致）`);
+    const unused = allocations.filter((a) => !a.intervals.length).length;
+    if (unused) warnings.push(`${unused} 块片上分配没有任何 op 读写`);
+
+    allocations.forEach((alloc) => {
+      alloc.cce = `// mem_id ${[...alloc.memIds].join(', ')} @${alloc.region} [${alloc.offset}, ${alloc.offset + alloc.size})`;
+      delete alloc.memIds;
+    });
+
+    const name = fn.func_magicname || fn.rawname || `leaf ${fn.funcmagic}`;
+    return finalizeRun({
+      ...shell,
+      label: shell.imported.fileName === FORMAT_LABELS.pypto ? name : `${shell.imported.fileName} · ${fn.funcmagic != null ? `leaf ${fn.funcmagic}` : name}`,
+      note: `${name}：${allocations.length} 块片上分配、${sched.events.length} 个 op、${allocOps} 个 ALLOC op。地址与层级取自 dump，时序按 op latency 模拟。`,
+      kernel: { name, source: baseName(kernelFile) || 'pypto dump' },
+      allocations,
+      events: sched.events,
+    }, warnings);
+  }
+
+  function fromPypto(raw, chip, opts) {
+    const fns = raw.functions.filter((fn) => fn.operations.length);
+    const picked = fns.slice(0, MAX_FUNCTIONS);
+    const runs = picked.map((fn, index) => buildPyptoFunction(fn, chip, runShell(chip, opts, 'pypto', index, picked.length)));
+    const warnings = runs.flatMap((run) => run.imported.warnings);
+    if (fns.length > picked.length) warnings.push(`dump 含 ${fns.length} 个 leaf function，只导入前 ${MAX_FUNCTIONS} 个`);
+    return { runs, warnings };
+  }
+
+  // ---------------------------------------------------------------
+  // msprof / Chrome trace
+  // ---------------------------------------------------------------
+  const ADDR_PATTERN = /\b(UB|L1|L0A|L0B|L0C)\s*[:@[]\s*(0x[0-9a-f]+|\d+)/i;
+  const OPERAND_KEYS = [['src', 'read'], ['src0', 'read'], ['src1', 'read'], ['input', 'read'], ['dst', 'write'], ['output', 'write']];
+
+  function msprofOperands(args) {
+    if (!args) return [];
+    const size = Number(args.size ?? args.bytes ?? args.len);
+    return OPERAND_KEYS.flatMap(([key, role]) => {
+      const match = typeof args[key] === 'string' ? ADDR_PATTERN.exec(args[key]) : null;
+      if (!match) return [];
+      const region = match[1].toUpperCase().replace(/^L0([ABC])$/, 'L0$1');
+      return [{ region, offset: Number(match[2]), size: Number.isFinite(size) && size > 0 ? size : 0, role }];
+    });
+  }
+
+  function fromMsprof(raw, chip, opts) {
+    const warnings = [];
+    const list = Array.isArray(raw) ? raw : raw.traceEvents;
+    const processNames = new Map();
+    const threadNames = new Map();
+    list.forEach((e) => {
+      if (e && e.ph === 'M' && e.args && e.args.name) {
+        if (e.name === 'process_name') processNames.set(String(e.pid), String(e.args.name));
+        if (e.name === 'thread_name') threadNames.set(`${e.pid}-${e.tid}`, String(e.args.name));
+      }
+    });
+
+    const cores = new Map();
+    const unmapped = new Map();
+    list.forEach((e) => {
+      if (!e || e.ph !== 'X') return;
+      const lane = threadNames.get(`${e.pid}-${e.tid}`) || `tid ${e.tid}`;
+      const pipe = normalizePipe(e.args && e.args.pipe, chip) || normalizePipe(lane, chip);
+      if (!pipe) {
+        unmapped.set(lane, (unmapped.get(lane) || 0) + 1);
+        return;
+      }
+      const core = processNames.get(String(e.pid)) || `pid ${e.pid}`;
+      if (!cores.has(core)) cores.set(core, []);
+      cores.get(core).push({ e, pipe });
+    });
+    unmapped.forEach((count, lane) => warnings.push(`泳道「${lane}」的 ${count} 个事件无法对应到芯片流水，已跳过`));
+
+    const ranked = [...cores.entries()].sort((a, b) => b[1].length - a[1].length);
+    const chosen = (opts.core && ranked.find(([name]) => name === opts.core)) || ranked[0];
+    if (!chosen) return { runs: [], warnings: warnings.concat('trace 里没有能对应到芯片流水的事件') };
+    if (ranked.length > 1) warnings.push(`trace 含 ${ranked.length} 个核，只导入「${chosen[0]}」（事件最多）`);
+
+    const cyclesPerUs = Number(opts.cyclesPerUs) || 1000;
+    if (!opts.cyclesPerUs) warnings.push('ts / dur 按 1000 cycle/μs 换算');
+    const t0 = chosen[1].reduce((min, { e }) => Math.min(min, e.ts), Infinity);
+
+    const allocByKey = new Map();
+    const open = new Map();
+    let missingSize = 0;
+    const shell = runShell(chip, opts, 'msprof', 0, 1);
+    const events = chosen[1].map(({ e, pipe }) => {
+      const t = Math.round((e.ts - t0) * cyclesPerUs);
+      const dur = Math.max(1, Math.round(e.dur * cyclesPerUs));
+      const reads = [];
+      const writes = [];
+      let bytes = 0;
+      msprofOperands(e.args).forEach((operand) => {
+        const region = chip.regions.find((r) => r.id === operand.region);
+        if (!region) return;
+        if (!operand.size) { missingSize += 1; return; }
+        const key = `${region.id}|${operand.offset}|${operand.size}`;
+        let alloc = allocByKey.get(key);
+        if (!alloc) {
+          const name = `${region.id}@0x${operand.offset.toString(16)}`;
+          alloc = makeAllocation(region, {
+            name, declKey: name, queue: name, offset: operand.offset, size: operand.size,
+            cce: `// ${e.name} args ${JSON.stringify(e.args)}`,
+          });
+          allocByKey.set(key, alloc);
+        }
+        if (operand.role === 'write') {
+          const interval = { start: t, end: t + dur, iter: alloc.intervals.length };
+          alloc.intervals.push(interval);
+          open.set(alloc, interval);
+          writes.push(alloc.id || key);
+        } else {
+          if (!open.has(alloc)) {
+            const interval = { start: t, end: t + dur, iter: alloc.intervals.length };
+            alloc.intervals.push(interval);
+            open.set(alloc, interval);
+          }
+          open.get(alloc).end = Math.max(open.get(alloc).end, t + dur);
+          reads.push(alloc.id || key);
+        }
+        bytes += operand.size;
+      });
+      return {
+        t, dur, pipe, type: PIPE_TYPES[pipe] || 'compute', label: e.name, iter: -1,
+        reads, writes, bytes: PIPE_TYPES[pipe] ? bytes : 0, srcLine: null, blockedBy: null,
+      };
+    });
+
+    // 地址 key → 分配 id（按 `地址#slot` 命名，和其他来源一致）
+    const allocations = [...allocByKey.values()];
+    assignSlots(allocations);
+    const idOfKey = new Map([...allocByKey.entries()].map(([key, alloc]) => [key, alloc.id]));
+    events.forEach((e) => {
+      e.reads = e.reads.map((key) => idOfKey.get(key));
+      e.writes = e.writes.map((key) => idOfKey.get(key));
+    });
+    if (missingSize) warnings.push(`${missingSize} 个地址操作数缺少 size，已忽略`);
+    if (!allocations.length) warnings.push('args 里没有片上地址（src / dst 形如 "UB:0x1000" 并带 size），只能展示流水时序');
+
+    return {
+      runs: [finalizeRun({
+        ...shell,
+        label: shell.imported.fileName,
+        note: `${chosen[0]}：${events.length} 个事件、${allocations.length} 块由地址操作数还原的分配。时序取自 trace。`,
+        kernel: { name: chosen[0], source: shell.imported.fileName },
+        allocations,
+        events,
+      }, warnings)],
+      warnings,
+    };
+  }
+
+  // ---------------------------------------------------------------
+  // tiling trace（tiling/data/schemas/trace.schema.json）
+  // ---------------------------------------------------------------
+  function tilingStagePipe(stage) {
+    const text = `${stage.id} ${stage.label} ${stage.operations.join(' ')}`.toLowerCase();
+    if (/mmad/.test(text)) return ['Cube', 'compute'];
+    if (/fixpipe/.test(text)) return ['FixPipe', 'copy_out'];
+    if (/load-?data|loaddata/.test(text)) return ['MTE1', 'load'];
+    if (/copy-?out/.test(text)) return ['MTE3', 'copy_out'];
+    if (/copy-?in|datacopy/.test(text)) return ['MTE2', 'copy_in'];
+    if (/compute|add|mul|exp|cast|relu|vec/.test(text)) return ['Vector', 'compute'];
+    return null;
+  }
+
+  function fromTiling(raw, chip, opts) {
+    const warnings = [];
+    const shell = runShell(chip, opts, 'tiling', 0, 1);
+    const stageById = new Map(raw.stages.map((s) => [s.id, s]));
+    const cells = Number(opts.cells) || TRACE_CELLS;
+    const cellBytesOf = (region) => Number(opts.cellBytes) || Math.floor(region.capacity / cells);
+    warnings.push(opts.cellBytes
+      ? `cellRange 按每格 ${opts.cellBytes}B 换算成地址`
+      : `trace 没有字节地址：cellRange 按「容量 / ${cells} 格」换算，地址与大小是网格近似`);
+
+    const allocByKey = new Map();
+    const allocations = [];
+    const unknownBuffers = new Set();
+    const allocFor = (buffer, label, range, line) => {
+      const region = chip.regions.find((r) => r.id === buffer);
+      if (!region) { unknownBuffers.add(buffer); return null; }
+      const key = `${buffer}|${label}`;
+      if (!allocByKey.has(key)) {
+        const cellBytes = cellBytesOf(region);
+        const [lo, hi] = range;
+        const alloc = makeAllocation(region, {
+          name: label, declKey: label, queue: label,
+          offset: lo * cellBytes, size: (hi - lo + 1) * cellBytes,
+          src: { file: baseName(raw.source.path), declLine: line - 1, hotLine: line - 1 },
+        });
+        allocByKey.set(key, alloc);
+        allocations.push(alloc);
+      }
+      return allocByKey.get(key);
+    };
+
+    const sched = createScheduler();
+    const open = new Map();
+    let skippedSteps = 0;
+    raw.steps.forEach((step, index) => {
+      const mapped = tilingStagePipe(stageById.get(step.stageId));
+      if (!mapped || !chip.pipes.some((p) => p.id === mapped[0])) { skippedSteps += 1; return; }
+      const [pipe, type] = mapped;
+      const line = Number.isInteger(step.sourceLines[0]) ? step.sourceLines[0] : 0;
+      const blocks = (((step.visualState || {}).architectureFocus || {}).bufferBlocks || [])
+        .filter((b) => b && b.buffer && Array.isArray(b.cellRange));
+      const reads = [];
+      const writes = [];
+      blocks.forEach((block) => {
+        const alloc = allocFor(block.buffer, block.label || block.buffer, block.cellRange, line);
+        if (!alloc) return;
+        const writing = type === 'copy_in' || type === 'load' || (type === 'compute' && block.tone === 'output');
+        (writing ? writes : reads).push(alloc.id || `${block.buffer}|${block.label || block.buffer}`);
+      });
+      // 没有 bufferBlocks 的步骤用 memoryRegions 里的 "UB:xLocal" 引用已出现过的分配
+      if (!blocks.length) {
+        (step.memoryRegions || []).forEach((ref) => {
+          const match = /^([A-Za-z0-9]+):([A-Za-z_]\w*)$/.exec(ref);
+          const key = match && `${match[1]}|${match[2]}`;
+          if (key && allocByKey.has(key)) (type === 'copy_in' || type === 'load' ? writes : reads).push(key);
+        });
+      }
+      const event = sched.emit({
+        pipe, type, label: step.label, iter: step.loop ? Object.values(step.loop)[0] : -1,
+        dur: STEP_TICKS, reads, writes, srcLine: line ? line - 1 : null,
+      });
+      event.stepId = step.id;
+      writes.forEach((key) => {
+        const alloc = allocByKey.get(key);
+        const interval = { start: event.t, end: event.end, iter: event.iter };
+        alloc.intervals.push(interval);
+        open.set(alloc, interval);
+      });
+      reads.forEach((key) => {
+        const alloc = allocByKey.get(key);
+        if (!open.has(alloc)) {
+          const interval = { start: event.t, end: event.end, iter: event.iter };
+          alloc.intervals.push(interval);
+          open.set(alloc, interval);
+        }
+        open.get(alloc).end = Math.max(open.get(alloc).end, event.end);
+      });
+      event.bytes = type === 'compute' ? 0 : (type === 'copy_out' ? reads : writes)
+        .reduce((sum, key) => sum + allocByKey.get(key).size, 0);
+    });
+
+    assignSlots(allocations);
+    const idOfKey = new Map([...allocByKey.entries()].map(([key, alloc]) => [key, alloc.id]));
+    sched.events.forEach((e) => {
+      e.reads = e.reads.map((key) => idOfKey.get(key));
+      e.writes = e.writes.map((key) => idOfKey.get(key));
+    });
+    if (skippedSteps) warnings.push(`${skippedSteps} 个步骤（host / 初始化 / 地址计算）不落在片上流水，未生成事件`);
+    unknownBuffers.forEach((buffer) => warnings.push(`bufferBlocks 引用的 ${buffer} 不在当前芯片描述里，已跳过`));
+
+    const params = raw.tiling.params || {};
+    const derived = raw.tiling.derived || {};
+    return {
+      runs: [finalizeRun({
+        ...shell,
+        label: raw.operator.displayName || raw.operator.name,
+        note: `${raw.operator.name}：${raw.steps.length} 个讲解步骤、${allocations.length} 块 buffer。步骤是抽样，时序只表达先后。`,
+        kernel: { name: raw.operator.name, source: baseName(raw.operator.sourcePath), blockDim: raw.launch.numBlocks || derived.numBlocks || 1 },
+        tiling: {
+          tileM: params.tileLength || params.baseM || null,
+          tileNum: params.tileNum || derived.loopCount || null,
+          bufferNum: params.bufferNum ? { queue: params.bufferNum } : {},
+        },
+        allocations,
+        events: sched.events,
+      }, warnings)],
+      warnings,
+    };
+  }
+
+  // ---------------------------------------------------------------
+  // §6 中间格式（snake_case 草案 / camelCase run）
+  // ---------------------------------------------------------------
+  function fromIntermediate(raw, chip, opts) {
+    const warnings = [];
+    const snake = Boolean(raw.schema_version);
+    const shell = runShell(chip, opts, 'intermediate', 0, 1);
+
+    (raw.regions || []).forEach((declared) => {
+      const region = chip.regions.find((r) => r.id === declared.id);
+      if (region && declared.capacity && declared.capacity !== region.capacity) {
+        warnings.push(`文件声明 ${declared.id} 容量 ${declared.capacity}B，与芯片描述 ${region.capacity}B 不一致，以芯片描述为准`);
+      }
+    });
+    if (Array.isArray(raw.findings) && raw.findings.length) warnings.push(`文件自带的 ${raw.findings.length} 条 findings 已忽略，诊断由规则引擎重算`);
+
+    const allocations = raw.allocations.map((a) => {
+      const region = chip.regions.find((r) => r.id === a.region) || { id: a.region, align: 1 };
+      const intervals = snake
+        ? (a.live ? [{ start: a.live.start, end: a.live.end, iter: -1 }] : [])
+        : a.intervals.map((i) => ({ start: i.start, end: i.end, iter: i.iter != null ? i.iter : -1 }));
+      const src = snake && a.src
+        ? { file: a.src.file || '', declLine: (a.src.line || 0) - 1, hotLine: (a.src.line || 0) - 1 }
+        : a.src;
+      return makeAllocation(region, {
+        ...(snake ? {} : a),
+        id: a.id,
+        name: a.name || a.id,
+        declKey: a.declKey || a.name || a.id,
+        queue: a.queue || a.name || a.id,
+        offset: a.offset,
+        size: a.size,
+        bufferNum: a.bufferNum || a.buffer_num || 1,
+        dataBytes: a.dataBytes || a.size,
+        logicalSize: a.logicalSize || a.size,
+        dtype: a.dtype || 'unknown',
+        shape: a.shape || null,
+        src: src || { file: '', declLine: -1, hotLine: -1 },
+        intervals,
+      });
+    });
+
+    const pipeErrors = new Set();
+    const events = raw.events.map((e) => {
+      const pipe = normalizePipe(e.pipe, chip);
+      if (!pipe) pipeErrors.add(e.pipe);
+      const type = e.type || PIPE_TYPES[pipe] || 'compute';
+      const single = e.alloc ? [e.alloc] : [];
+      return {
+        t: e.t,
+        dur: e.dur != null ? e.dur : e.end != null ? e.end - e.t : 1,
+        pipe: pipe || e.pipe,
+        type,
+        label: e.label || `${type}${e.alloc ? ` ${e.alloc}` : ''}`,
+        iter: e.iter != null ? e.iter : -1,
+        reads: e.reads || (type === 'copy_out' ? single : []),
+        writes: e.writes || (type === 'copy_out' ? [] : single),
+        bytes: e.bytes || 0,
+        srcLine: e.srcLine != null ? e.srcLine : e.src_line != null ? e.src_line - 1 : null,
+        blockedBy: e.blockedBy || e.blocked_by || null,
+        ...(e.tailRows != null ? { tailRows: e.tailRows } : {}),
+      };
+    });
+    pipeErrors.forEach((pipe) => warnings.push(`流水 ${pipe} 无法对应到芯片描述`));
+
+    const kernel = raw.kernel || {};
+    const tiling = raw.tiling || {};
+    return {
+      runs: [finalizeRun({
+        ...shell,
+        label: raw.label || kernel.name || shell.imported.fileName,
+        note: raw.note || `${allocations.length} 块分配、${events.length} 个事件，按中间格式直接导入。`,
+        kernel: {
+          name: kernel.name || 'kernel',
+          source: kernel.source || shell.imported.fileName,
+          blockDim: kernel.blockDim || kernel.block_dim || 1,
+          shape: kernel.shape || null,
+        },
+        registers: snake ? null : raw.registers,
+        tiling: {
+          tileM: tiling.tileM || tiling.tileLength || null,
+          tileNum: tiling.tileNum || null,
+          tailM: tiling.tailM || null,
+          hasTail: Boolean(tiling.hasTail && tiling.tailM != null),
+          bufferNum: tiling.bufferNum || {},
+        },
+        allocations,
+        events,
+      }, warnings)],
+      warnings,
+    };
+  }
+
+  // ---------------------------------------------------------------
+  // 产出校验 —— metrics / diagnostics 依赖的不变量
+  // ---------------------------------------------------------------
+  function validateRun(run, chip) {
+    const errors = [];
+    const push = (path, message) => { if (errors.length < MAX_ISSUES) errors.push(issue(path, message)); };
+    const ids = new Set();
+    run.allocations.forEach((a, i) => {
+      const path = `allocations[${i}]`;
+      if (ids.has(a.id)) push(`${path}.id`, `分配 id ${a.id} 重复`);
+      ids.add(a.id);
+      if (!chip.regions.some((r) => r.id === a.region)) push(`${path}.region`, `层级 ${a.region} 不在芯片描述 ${chip.name} 里`);
+      if (!Number.isInteger(a.offset) || a.offset < 0) push(`${path}.offset`, `偏移 ${a.offset} 非法`);
+      if (!Number.isInteger(a.size) || a.size <= 0) push(`${path}.size`, `大小 ${a.size} 非法`);
+      if (a.dataBytes > a.size) push(`${path}.dataBytes`, `数据 ${a.dataBytes}B 大于实占 ${a.size}B`);
+      a.intervals.forEach((interval, j) => {
+        if (!(interval.start >= 0 && interval.end >= interval.start && interval.end <= run.totalTicks)) {
+          push(`${path}.intervals[${j}]`, `区间 [${interval.start}, ${interval.end}) 越出 [0, ${run.totalTicks}]`);
+        }
+      });
+    });
+    run.events.forEach((e, i) => {
+      const path = `events[${i}]`;
+      if (!chip.pipes.some((p) => p.id === e.pipe)) push(`${path}.pipe`, `流水 ${e.pipe} 不在芯片描述 ${chip.name} 里`);
+      if (!(e.t >= 0 && e.dur > 0)) push(path, `时间 t=${e.t} dur=${e.dur} 非法`);
+      e.reads.concat(e.writes, e.blockedBy ? [e.blockedBy] : []).forEach((id) => {
+        if (!ids.has(id)) push(path, `引用了不存在的分配 ${id}`);
+      });
+    });
+    if (!run.events.length && !run.allocations.length) push('', '没有任何可用的分配或事件');
+    return errors;
+  }
+
+  const BUILDERS = { pypto: fromPypto, msprof: fromMsprof, tiling: fromTiling, intermediate: fromIntermediate };
+
+  /**
+   * 识别 → 校验输入 → 构建 → 校验产出。
+   * opts: { format, fileName, id, core, cyclesPerUs, cellBytes, cells }
+   * 返回 { format, runs, errors, warnings }；errors 非空时 runs 为空，不把半成品交给规则引擎。
+   */
+  function importTrace(raw, chip, opts = {}) {
+    const format = opts.format || detect(raw);
+    if (!format || !BUILDERS[format]) {
+      return {
+        format: null, runs: [], warnings: [],
+        errors: [issue('$', '无法识别的格式：需要 PyPTO dump（functions）、msprof trace（traceEvents）、tiling trace（operator + steps）或中间格式（schema_version + allocations）')],
+      };
+    }
+    const errors = validate(raw, format);
+    if (errors.length) return { format, runs: [], errors, warnings: [] };
+
+    const built = BUILDERS[format](raw, chip, opts);
+    built.runs.forEach((run) => {
+      validateRun(run, chip).forEach((item) => errors.push(issue(`${run.id}.${item.path}`.replace(/\.$/, ''), item.message)));
+    });
+    return { format, runs: errors.length ? [] : built.runs, errors: errors.slice(0, MAX_ISSUES), warnings: built.warnings };
+  }
+
+  global.MemVizTraceImport = {
+    importTrace,
+    detect,
+    validate,
+    validateRun,
+    normalizePipe,
+    FORMAT_LABELS,
+    TILING_TRACE_SCHEMA,
+  };
+})(window);
@@ -0,0 +1,580 @@
+/*
+  视图 D —— 候选并排对比（规划文档 §4.3-6）
+  ------------------------------------------------------------------
+  左栏钉住的两组 tiling 候选 A / B 画在同一张画布上，共用地址轴与时间轴：
+    · 地址布局：焦点层级的两条地址条带。分配按 id（声明 key + slot）配对，
+      只在一侧存在的分配（多开的 buffer slot）描主色边，地址或大小变了的描警告色边，
+      手工复用描危险色虚线；
+    · 水位：焦点层级的实际持有曲线叠画，A 用中性色、B 用层级色，虚线是各自的静态预留；
+    · 流水 × 内存：每条流水上下两行（A 上 B 下），可归因等待用警示斜纹，
+      左侧给出 A → B 的等待合计；下方是两组候选各自的 Buffer 生命周期，纵轴同一地址刻度。
+  选 double buffer 配置时要回答的就是「多占的字节换回了多少等待」，两侧必须同屏同尺度。
+
+  颜色说明同 view-layout / view-pipeline：region.accent 属 data-viz exemption，其余走 token。
+*/
+(function registerMemVizDiffView(global) {
+  'use strict';
+
+  const KIT = global.MemVizCanvasKit;
+  const MET = global.MemVizMetrics;
+  const F = global.MemVizFormat;
+
+  const PAD_L = 92;
+  const PAD_R = 18;
+  const TITLE_H = 18;
+  const STRIP_H = 20;
+  const STRIP_GAP = 6;
+  const ADDR_AXIS_H = 16;
+  const SECTION_GAP = 26;
+  const WATER_H = 112;
+  const LANE_H = 34;
+  const BAR_H = 13;
+  const LIFE_H = 96;
+  const LIFE_GAP = 12;
+  const AXIS_H = 22;
+
+  const SIDES = ['A', 'B'];
+
+  const CHANGE_LABEL = {
+    added: '仅 B',
+    removed: '仅 A',
+    resized: '大小变化',
+    moved: '地址变化',
+    reuse: '复用变化',
+    same: '一致',
+  };
+
+  function withAlpha(hex, alpha) {
+    const value = String(hex || '#888').replace('#', '');
+    const num = parseInt(value.length === 3 ? value.split('').map((c) => c + c).join('') : value, 16);
+    return `rgba(${(num >> 16) & 255}, ${(num >> 8) & 255}, ${num & 255}, ${alpha})`;
+  }
+
+  /** 只统计能归因到具体分配的等待（与 diagnostics 的口径一致），启动延迟不算。 */
+  function attributableWait(events) {
+    return events.reduce((sum, e) => sum + (e.blockedBy ? e.gap : 0), 0);
+  }
+
+  function changeOf(a, b) {
+    if (!a) return 'added';
+    if (!b) return 'removed';
+    if (a.size !== b.size) return 'resized';
+    if (a.offset !== b.offset) return 'moved';
+    if (!!a.manualReuse !== !!b.manualReuse) return 'reuse';
+    return 'same';
+  }
+
+  /**
+   * 两组候选的差异。left / right 是 app 的 runIndex 条目（{ run, metrics, findings, summary }）。
+   * 纯函数，不碰画布：分配按 id 配对，流水按 pipe id 配对。
+   */
+  function compare(left, right) {
+    const rightById = new Map(right.run.allocations.map((a) => [a.id, a]));
+    const leftIds = new Set(left.run.allocations.map((a) => a.id));
+    const allocations = left.run.allocations.map((a) => {
+      const b = rightById.get(a.id) || null;
+      return { id: a.id, name: a.name, region: a.region, left: a, right: b, change: changeOf(a, b) };
+    });
+    right.run.allocations.forEach((b) => {
+      if (leftIds.has(b.id)) return;
+      allocations.push({ id: b.id, name: b.name, region: b.region, left: null, right: b, change: 'added' });
+    });
+
+    const pipes = left.metrics.pipes.map((pipe) => {
+      const other = right.metrics.pipeById[pipe.id];
+      return {
+        id: pipe.id,
+        label: pipe.label,
+        kind: pipe.kind,
+        leftWait: attributableWait(pipe.events),
+        rightWait: other ? attributableWait(other.events) : 0,
+        leftBusy: pipe.busy,
+        rightBusy: other ? other.busy : 0,
+      };
+    });
+
+    return {
+      allocations,
+      byId: new Map(allocations.map((item) => [item.id, item])),
+      pipes,
+      totalTicks: Math.max(1, left.run.totalTicks, right.run.totalTicks),
+      waits: { left: attributableWait(left.run.events), right: attributableWait(right.run.events) },
+    };
+  }
+
+  function signed(delta, fmt) {
+    if (!delta) return '±0';
+    return `${delta > 0 ? '+' : '−'}${fmt(Math.abs(delta))}`;
+  }
+
+  function changeText(item) {
+    const a = item.left;
+    const b = item.right;
+    if (item.change === 'added') return `${item.name} 仅 B · ${F.bytes(b.size)}`;
+    if (item.change === 'removed') return `${item.name} 仅 A · ${F.bytes(a.size)}`;
+    if (item.change === 'resized') return `${item.name} ${F.bytes(a.size)} → ${F.bytes(b.size)}`;
+    if (item.change === 'moved') return `${item.name} ${F.hex(a.offset)} → ${F.hex(b.offset)}`;
+    return `${item.name} ${b.manualReuse ? '改为手工复用' : '取消手工复用'}`;
+  }
+
+  function summaryMarkup(left, right, diff, regionId) {
+    const la = left.metrics.regionById[regionId];
+    const ra = right.metrics.regionById[regionId];
+    const rows = [
+      { label: '总 cycle', a: left.run.totalTicks, b: right.run.totalTicks, fmt: String, lowerIsBetter: true },
+      {
+        label: `${regionId} 静态预留`, a: la.reserved, b: ra.reserved, fmt: F.bytes,
+        aText: `${F.bytes(la.reserved)} · ${F.pct(la.reservedRatio, 0)}`,
+        bText: `${F.bytes(ra.reserved)} · ${F.pct(ra.reservedRatio, 0)}`,
+        aBad: la.reserved > la.capacity, bBad: ra.reserved > ra.capacity,
+      },
+      { label: `${regionId} 峰值持有`, a: la.peakLive, b: ra.peakLive, fmt: F.bytes },
+      { label: '可归因等待', a: diff.waits.left, b: diff.waits.right, fmt: (v) => `${v} cycle`, lowerIsBetter: true },
+      { label: '搬运次数', a: left.metrics.totals.moveCount, b: right.metrics.totals.moveCount, fmt: String, lowerIsBetter: true },
+      {
+        label: '危险 / 警告',
+        a: left.summary.danger + left.summary.warn,
+        b: right.summary.danger + right.summary.warn,
+        fmt: String,
+        aText: `${left.summary.danger} / ${left.summary.warn}`,
+        bText: `${right.summary.danger} / ${right.summary.warn}`,
+        lowerIsBetter: true,
+      },
+    ];
+    const changes = diff.allocations.filter((item) => item.region === regionId && item.change !== 'same');
+
+    return `
+      <table class="mv-diff-table">
+        <thead>
+          <tr>
+            <th></th>
+            <th><span class="mv-diff-side">A</span>${F.escapeHtml(left.run.label)}</th>
+            <th><span class="mv-diff-side is-b">B</span>${F.escapeHtml(right.run.label)}</th>
+            <th>B − A</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map((row) => {
+            const delta = row.b - row.a;
+            const tone = !row.lowerIsBetter || !delta ? '' : delta < 0 ? 'mv-sev-success' : 'mv-sev-danger';
+            return `<tr>
+              <td>${F.escapeHtml(row.label)}</td>
+              <td class="${row.aBad ? 'mv-sev-danger' : ''}">${F.escapeHtml(row.aText || row.fmt(row.a))}</td>
+              <td class="${row.bBad ? 'mv-sev-danger' : ''}">${F.escapeHtml(row.bText || row.fmt(row.b))}</td>
+              <td class="${tone}">${F.escapeHtml(signed(delta, row.fmt))}</td>
+            </tr>`;
+          }).join('')}
+        </tbody>
+      </table>
+      <div class="mv-diff-changes">
+        <span class="mv-label">${regionId} 分配差异</span>
+        ${changes.length
+          ? changes.map((item) => `<span class="stat-chip mv-diff-chip is-${item.change}" title="${CHANGE_LABEL[item.change]}">${F.escapeHtml(changeText(item))}</span>`).join('')
+          : '<span class="mv-empty">两组候选在该层级的分配完全一致。</span>'}
+      </div>
+    `;
+  }
+
+  function create(container, options = {}) {
+    const SW = global.PtoSwimlaneTaskPattern;
+    const colormap = SW.createTaskColormap();
+
+    const summary = document.createElement('div');
+    summary.className = 'mv-diff-summary';
+    container.appendChild(summary);
+    const canvas = document.createElement('canvas');
+    canvas.className = 'mv-canvas';
+    container.appendChild(canvas);
+    const tip = KIT.createTooltip(container);
+
+    let state = null;
+    let diff = null;
+    let hitboxes = [];
+    let timeBand = null; // { top, bottom, plotW }：点击此区间内的空白处等于拖动时间游标
+
+    function sideEntries() {
+      return [state.left, state.right];
+    }
+
+    function outlineFor(T, alloc) {
+      const change = diff.byId.get(alloc.id)?.change || 'same';
+      if (alloc.manualReuse) return { color: T.danger, dash: [4, 3], width: 1.5 };
+      if (change === 'added' || change === 'removed') return { color: T.primary, dash: [], width: 1.5 };
+      if (change !== 'same') return { color: T.warning, dash: [], width: 1.5 };
+      return null;
+    }
+
+    function allocTipHtml(alloc) {
+      const item = diff.byId.get(alloc.id);
+      const where = (a) => (a ? `${F.hex(a.offset)} + ${F.bytes(a.size)}` : '—');
+      const span = (a) => {
+        const s = a ? MET.liveSpan(a) : null;
+        return s ? `${F.tick(s.start)}–${F.tick(s.end)}` : '—';
+      };
+      return `
+        <div class="mv-tip__title">${F.escapeHtml(alloc.name)}</div>
+        <div class="mv-tip__row${item.change === 'same' ? '' : ' is-bad'}"><span>差异</span><b>${CHANGE_LABEL[item.change]}</b></div>
+        <div class="mv-tip__row"><span>A 地址</span><b>${where(item.left)}</b></div>
+        <div class="mv-tip__row"><span>B 地址</span><b>${where(item.right)}</b></div>
+        <div class="mv-tip__row"><span>A 生命周期</span><b>${span(item.left)}</b></div>
+        <div class="mv-tip__row"><span>B 生命周期</span><b>${span(item.right)}</b></div>
+        <div class="mv-tip__src">${F.escapeHtml(alloc.queue)} · buffer_num ${alloc.bufferNum}</div>
+      `;
+    }
+
+    function eventTipHtml(event, entry, side) {
+      const allocName = (id) => entry.run.allocations.find((a) => a.id === id)?.name || '';
+      return `
+        <div class="mv-tip__title">${side} · ${F.escapeHtml(event.label)}</div>
+        <div class="mv-tip__row"><span>流水</span><b>${event.pipe}</b></div>
+        <div class="mv-tip__row"><span>区间</span><b>${F.tick(event.t)} – ${F.tick(event.end)}（${event.dur} cycle）</b></div>
+        ${event.gap > 0 && event.blockedBy
+          ? `<div class="mv-tip__row is-bad"><span>等待</span><b>${event.gap} cycle · ${F.escapeHtml(allocName(event.blockedBy))} 未释放</b></div>`
+          : ''}
+        <div class="mv-tip__src">${F.escapeHtml(entry.run.label)}</div>
+      `;
+    }
+
+    function sideLabel(ctx, T, side, entry, x, y, maxWidth) {
+      ctx.font = `700 10px ${T['font-mono']}`;
+      ctx.fillStyle = T.foreground;
+      ctx.fillText(side, x, y);
+      ctx.font = `500 10px ${T['font-mono']}`;
+      ctx.fillStyle = T['foreground-muted'];
+      ctx.fillText(KIT.truncate(ctx, entry.run.label, maxWidth - 14), x + 12, y);
+    }
+
+    function sectionTitle(ctx, T, text, y, meta) {
+      ctx.font = `600 11px ${T['font-sans']}`;
+      ctx.fillStyle = T['foreground-secondary'];
+      ctx.fillText(text, 0, y + 12);
+      if (meta) {
+        ctx.font = `500 10px ${T['font-mono']}`;
+        ctx.fillStyle = T['foreground-muted'];
+        ctx.fillText(meta, PAD_L, y + 12);
+      }
+    }
+
+    function draw() {
+      if (!state) return;
+      const { tick, focusRegionId } = state;
+      const entries = sideEntries();
+      const regions = entries.map((entry) => entry.metrics.regionById[focusRegionId] || entry.metrics.regions[0]);
+      const pipes = diff.pipes;
+      const cssWidth = container.clientWidth;
+      const cssHeight = TITLE_H + 2 * (STRIP_H + STRIP_GAP) + ADDR_AXIS_H
+        + SECTION_GAP + TITLE_H + WATER_H
+        + SECTION_GAP + TITLE_H + pipes.length * LANE_H
+        + SECTION_GAP + 2 * (TITLE_H + LIFE_H) + LIFE_GAP + AXIS_H;
+      canvas.style.height = `${cssHeight}px`;
+      const { ctx, width } = KIT.fitCanvas(canvas, cssWidth, cssHeight);
+      const T = KIT.tokens(container);
+      const plotW = Math.max(120, width - PAD_L - PAD_R);
+      const total = diff.totalTicks;
+      const xOfTick = (t) => PAD_L + (t / total) * plotW;
+      const capacity = regions[0].capacity;
+      const addrScale = Math.max(1, capacity, regions[0].reserved, regions[1].reserved);
+      const xOfAddr = (bytes) => PAD_L + (bytes / addrScale) * plotW;
+      const accent = regions[0].accent;
+      const sideColor = [T['foreground-muted'], accent];
+      hitboxes = [];
+      ctx.textBaseline = 'alphabetic';
+
+      // ---- 地址布局：两条条带共用一个地址轴 ----
+      let y = 0;
+      sectionTitle(ctx, T, `${regions[0].id} 地址布局`, y,
+        `A ${F.bytes(regions[0].reserved)} · B ${F.bytes(regions[1].reserved)} / ${F.bytes(capacity)}`);
+      y += TITLE_H;
+      const capX = xOfAddr(capacity);
+      entries.forEach((entry, index) => {
+        const region = regions[index];
+        const barY = y + index * (STRIP_H + STRIP_GAP);
+        sideLabel(ctx, T, SIDES[index], entry, 0, barY + STRIP_H / 2 + 4, PAD_L - 8);
+
+        ctx.fillStyle = T['surface-2'];
+        KIT.roundRect(ctx, PAD_L, barY, plotW, STRIP_H, 3);
+        ctx.fill();
+        if (region.reserved > capacity) {
+          ctx.fillStyle = withAlpha('#FF4B7B', 0.14);
+          KIT.roundRect(ctx, capX, barY, PAD_L + plotW - capX, STRIP_H, 3);
+          ctx.fill();
+        }
+
+        region.allocations.slice().sort((a, b) => a.offset - b.offset).forEach((alloc) => {
+          const x = xOfAddr(alloc.offset);
+          const w = Math.max(1.5, xOfAddr(alloc.offset + alloc.size) - x);
+          const live = MET.liveAt(alloc, tick);
+          ctx.fillStyle = withAlpha(region.accent, live ? 0.88 : 0.26);
+          KIT.roundRect(ctx, x, barY + 1, w, STRIP_H - 2, 3);
+          ctx.fill();
+          const outline = outlineFor(T, alloc);
+          if (outline) {
+            ctx.strokeStyle = outline.color;
+            ctx.lineWidth = outline.width;
+            ctx.setLineDash(outline.dash);
+            KIT.roundRect(ctx, x + 1, barY + 2, w - 2, STRIP_H - 4, 3);
+            ctx.stroke();
+            ctx.setLineDash([]);
+          }
+          if (w > 34) {
+            ctx.fillStyle = live ? T.background : T['foreground-secondary'];
+            ctx.font = `600 9px ${T['font-mono']}`;
+            ctx.fillText(KIT.truncate(ctx, alloc.name, w - 8), x + 4, barY + STRIP_H / 2 + 3);
+          }
+          hitboxes.push({ x, y: barY, w, h: STRIP_H, html: () => allocTipHtml(alloc) });
+        });
+      });
+      y += 2 * (STRIP_H + STRIP_GAP);
+
+      ctx.strokeStyle = regions.some((r) => r.reserved > capacity) ? T.danger : T['border-strong'];
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(capX, y - 2 * (STRIP_H + STRIP_GAP) - 3);
+      ctx.lineTo(capX, y - STRIP_GAP + 3);
+      ctx.stroke();
+      ctx.font = `500 9px ${T['font-mono']}`;
+      ctx.fillStyle = T['foreground-muted'];
+      ctx.fillText('0', PAD_L, y + 9);
+      const capText = `容量 ${F.bytes(capacity)}`;
+      ctx.fillText(capText, Math.min(capX, PAD_L + plotW) - ctx.measureText(capText).width, y + 9);
+      y += ADDR_AXIS_H + SECTION_GAP;
+
+      // ---- 水位：同一时间轴上叠画两条实际持有曲线 ----
+      const timeTop = y;
+      sectionTitle(ctx, T, `${regions[0].id} 水位`, y,
+        `峰值 A ${F.bytes(regions[0].peakLive)} @${F.tick(regions[0].peakTick)} · B ${F.bytes(regions[1].peakLive)} @${F.tick(regions[1].peakTick)}`);
+      y += TITLE_H;
+      const maxRatio = Math.max(1.05, ...regions.map((r) => r.reservedRatio + 0.05));
+      const yOfRatio = (ratio) => y + WATER_H - (ratio / maxRatio) * WATER_H;
+      ctx.fillStyle = T['surface-2'];
+      KIT.roundRect(ctx, PAD_L, y, plotW, WATER_H, 4);
+      ctx.fill();
+      ctx.font = `500 9px ${T['font-mono']}`;
+      [0, 0.5, 1].forEach((ratio) => {
+        const ry = yOfRatio(ratio);
+        ctx.strokeStyle = ratio === 1 ? withAlpha('#FF4B7B', 0.55) : T['border-subtle'];
+        ctx.setLineDash(ratio === 1 ? [4, 4] : []);
+        ctx.beginPath();
+        ctx.moveTo(PAD_L, ry);
+        ctx.lineTo(PAD_L + plotW, ry);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = ratio === 1 ? T.danger : T['foreground-disabled'];
+        ctx.fillText(`${ratio * 100}%`, PAD_L - 30, ry + 3);
+      });
+      regions.forEach((region, index) => {
+        ctx.setLineDash([3, 3]);
+        ctx.strokeStyle = index ? withAlpha(region.accent, 0.7) : sideColor[0];
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(PAD_L, yOfRatio(region.reservedRatio));
+        ctx.lineTo(PAD_L + plotW, yOfRatio(region.reservedRatio));
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.beginPath();
+        for (let t = 0; t < region.series.length; t += 1) {
+          const px = xOfTick(t);
+          const py = yOfRatio(region.series[t] / region.capacity);
+          if (t === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+        }
+        ctx.strokeStyle = sideColor[index];
+        ctx.lineWidth = index ? 2 : 1.5;
+        ctx.stroke();
+
+        ctx.fillStyle = sideColor[index];
+        ctx.beginPath();
+        ctx.arc(xOfTick(region.peakTick), yOfRatio(region.peakLive / region.capacity), 3, 0, Math.PI * 2);
+        ctx.fill();
+      });
+      ctx.font = `600 9px ${T['font-mono']}`;
+      SIDES.forEach((side, index) => {
+        ctx.fillStyle = sideColor[index];
+        ctx.fillText(side, index * 16, y + 12);
+      });
+      y += WATER_H + SECTION_GAP;
+
+      // ---- 流水：每条流水 A 上 B 下，左侧是可归因等待合计 ----
+      sectionTitle(ctx, T, '流水', y, `可归因等待 A ${diff.waits.left} → B ${diff.waits.right} cycle`);
+      y += TITLE_H;
+      pipes.forEach((pipe, index) => {
+        const laneTop = y + index * LANE_H;
+        ctx.font = `600 11px ${T['font-sans']}`;
+        ctx.fillStyle = T['foreground-secondary'];
+        ctx.fillText(pipe.label, 0, laneTop + 13);
+        ctx.font = `500 9px ${T['font-mono']}`;
+        ctx.fillStyle = pipe.rightWait < pipe.leftWait ? T.success
+          : pipe.rightWait > pipe.leftWait ? T.danger : T['foreground-disabled'];
+        ctx.fillText(`等待 ${pipe.leftWait}→${pipe.rightWait}`, 0, laneTop + 26);
+
+        const base = colormap.colorForLaneKind(pipe.kind);
+        entries.forEach((entry, side) => {
+          const barY = laneTop + 3 + side * (BAR_H + 2);
+          ctx.font = `600 8px ${T['font-mono']}`;
+          ctx.fillStyle = T['foreground-disabled'];
+          ctx.fillText(SIDES[side], PAD_L - 10, barY + BAR_H - 3);
+          ctx.fillStyle = T['surface-2'];
+          KIT.roundRect(ctx, PAD_L, barY, plotW, BAR_H, 2);
+          ctx.fill();
+          const events = entry.metrics.pipeById[pipe.id]?.events || [];
+          events.forEach((event, order) => {
+            if (order > 0 && event.gap > 0) {
+              const gx = xOfTick(event.t - event.gap);
+              KIT.hatch(ctx, gx, barY + 1, xOfTick(event.t) - gx, BAR_H - 2,
+                event.blockedBy ? withAlpha('#FFAA3B', 0.75) : withAlpha('#FFFFFF', 0.1), 4);
+            }
+            const x = xOfTick(event.t);
+            const w = Math.max(2, xOfTick(event.end) - x);
+            SW.drawTaskBar(ctx, {
+              task: {
+                event,
+                label: event.label,
+                displayName: event.label,
+                laneKind: pipe.kind,
+                laneId: pipe.id,
+                totalCycle: event.dur,
+              },
+              x,
+              y: barY,
+              width: w,
+              height: BAR_H,
+              baseColor: base,
+              fontFamily: T['font-sans'],
+            });
+            hitboxes.push({ x, y: barY, w, h: BAR_H, html: () => eventTipHtml(event, entry, SIDES[side]) });
+          });
+        });
+      });
+      y += pipes.length * LANE_H + SECTION_GAP;
+
+      // ---- Buffer 生命周期：两组候选各一张，纵轴同一地址刻度 ----
+      entries.forEach((entry, index) => {
+        const region = regions[index];
+        sectionTitle(ctx, T, `${SIDES[index]} · ${region.id} 生命周期`, y, entry.run.label);
+        y += TITLE_H;
+        const bottom = y + LIFE_H;
+        const yOfBytes = (bytes) => bottom - (bytes / addrScale) * LIFE_H;
+        ctx.fillStyle = T['surface-2'];
+        KIT.roundRect(ctx, PAD_L, y, plotW, LIFE_H, 4);
+        ctx.fill();
+        const capY = yOfBytes(capacity);
+        ctx.setLineDash([4, 4]);
+        ctx.strokeStyle = region.reserved > capacity ? T.danger : T['border-strong'];
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(PAD_L, capY);
+        ctx.lineTo(PAD_L + plotW, capY);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.font = `500 9px ${T['font-mono']}`;
+        ctx.fillStyle = T['foreground-muted'];
+        ctx.textAlign = 'right';
+        ctx.fillText(F.bytes(capacity), PAD_L - 7, capY + 3);
+        ctx.fillText('0', PAD_L - 7, bottom - 2);
+        ctx.textAlign = 'left';
+
+        region.allocations.forEach((alloc, allocIndex) => {
+          const top = yOfBytes(alloc.offset + alloc.size);
+          const height = Math.max(2, yOfBytes(alloc.offset) - top);
+          const outline = outlineFor(T, alloc);
+          alloc.intervals.forEach((interval) => {
+            const x = xOfTick(interval.start);
+            const w = Math.max(2, xOfTick(interval.end) - x);
+            ctx.fillStyle = withAlpha(region.accent, 0.44 + (allocIndex % 3) * 0.1);
+            KIT.roundRect(ctx, x, top, w, height, Math.min(2, height / 2));
+            ctx.fill();
+            if (outline) {
+              ctx.strokeStyle = outline.color;
+              ctx.lineWidth = 1;
+              ctx.setLineDash(outline.dash);
+              KIT.roundRect(ctx, x + 0.5, top + 0.5, Math.max(1, w - 1), Math.max(1, height - 1), Math.min(2, height / 2));
+              ctx.stroke();
+              ctx.setLineDash([]);
+            }
+            hitboxes.push({ x, y: top, w, h: height, html: () => allocTipHtml(alloc) });
+          });
+        });
+        y = bottom + LIFE_GAP;
+      });
+      const timeBottom = y - LIFE_GAP;
+
+      // ---- 共享时间刻度与游标 ----
+      const step = Math.max(20, Math.round(total / 10 / 10) * 10);
+      ctx.font = `500 9px ${T['font-mono']}`;
+      for (let t = 0; t <= total; t += step) {
+        ctx.fillStyle = T['foreground-muted'];
+        ctx.fillText(`#${t}`, xOfTick(t) + 2, timeBottom + 14);
+      }
+      entries.forEach((entry, index) => {
+        if (entry.run.totalTicks >= total) return;
+        const endX = xOfTick(entry.run.totalTicks);
+        ctx.strokeStyle = sideColor[index];
+        ctx.setLineDash([2, 3]);
+        ctx.beginPath();
+        ctx.moveTo(endX, timeTop + TITLE_H);
+        ctx.lineTo(endX, timeBottom);
+        ctx.stroke();
+        ctx.setLineDash([]);
+      });
+      const cursorX = xOfTick(Math.min(tick, total));
+      ctx.strokeStyle = T.foreground;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(cursorX, timeTop + TITLE_H - 4);
+      ctx.lineTo(cursorX, timeBottom);
+      ctx.stroke();
+      ctx.fillStyle = T.foreground;
+      ctx.font = `600 10px ${T['font-mono']}`;
+      ctx.fillText(`#${tick}`, Math.min(cursorX + 4, PAD_L + plotW - 28), timeTop + TITLE_H - 6);
+
+      timeBand = { top: timeTop + TITLE_H, bottom: timeBottom, plotW };
+    }
+
+    function hitAt(event) {
+      const rect = canvas.getBoundingClientRect();
+      const x = event.clientX - rect.left;
+      const y = event.clientY - rect.top;
+      return { x, y, hit: hitboxes.slice().reverse().find((b) => x >= b.x && x <= b.x + b.w && y >= b.y && y <= b.y + b.h) || null };
+    }
+
+    function onMove(event) {
+      const { hit } = hitAt(event);
+      canvas.style.cursor = hit ? 'pointer' : 'crosshair';
+      if (!hit) { tip.hide(); return; }
+      tip.show(hit.html(), event.clientX, event.clientY);
+    }
+
+    function onClick(event) {
+      if (!state || !timeBand) return;
+      const { x, y } = hitAt(event);
+      if (x < PAD_L || y < timeBand.top || y > timeBand.bottom) return;
+      options.onSeek?.(Math.round(((x - PAD_L) / timeBand.plotW) * diff.totalTicks));
+    }
+
+    canvas.addEventListener('mousemove', onMove);
+    canvas.addEventListener('mouseleave', () => tip.hide());
+    canvas.addEventListener('click', onClick);
+    const unobserve = KIT.observeSize(container, draw);
+
+    return {
+      update(next) {
+        const changed = !state || state.left !== next.left || state.right !== next.right;
+        state = next;
+        if (changed) diff = compare(next.left, next.right);
+        summary.innerHTML = summaryMarkup(next.left, next.right, diff, next.focusRegionId);
+        draw();
+      },
+      redraw: draw,
+      destroy() {
+        unobserve();
+        canvas.removeEventListener('mousemove', onMove);
+        canvas.removeEventListener('click', onClick);
+        tip.destroy();
+        summary.remove();
+        canvas.remove();
+      },
+    };
+  }
+
+  global.MemVizDiffView = { create, compare };
+})(window);
@@ -0,0 +1,286 @@
+/*
+  视图 E —— 利用率热力图（规划文档 §4.3-5）
+  ------------------------------------------------------------------
+  每个存储层级一张「地址 × tick」热力图：横轴 cycle，纵轴地址（下 0 上高），
+  格子颜色深浅 = 该地址段在该时间段被张量持有的比例（MemVizMetrics.heatmap 逐 tick 用 liveAt 聚合）。
+  条带图只能看一个时刻，热力图把整段 kernel 摊开，于是两类热点才看得见：
+    · 碎片 —— 持有高水位以下的空洞，警示色；长时间、大面积的橙色说明布局顺序有问题；
+    · bank 冲突 —— 虚线是 chip-specs 的 bank 边界，红框是不同流水同时读写同一 bank 的时间段。
+  焦点层级画大图，其余层级压成缩略条；点击格子在右栏列出覆盖它的分配。
+
+  颜色说明同 view-layout：region.accent 属 data-viz exemption，其余走 token。
+*/
+(function registerMemVizHeatmapView(global) {
+  'use strict';
+
+  const KIT = global.MemVizCanvasKit;
+  const MET = global.MemVizMetrics;
+  const F = global.MemVizFormat;
+
+  const PAD_TOP = 14;
+  const LABEL_W = 108;
+  const META_W = 148;
+  const FOCUS_H = 208;
+  const THUMB_H = 56;
+  const ROW_GAP = 22;
+  const AXIS_H = 18;
+  const FOCUS_ADDR_BUCKETS = 64;
+  const THUMB_ADDR_BUCKETS = 16;
+  const CELL_PX = 4; // 每列至少 4px，列数随宽度变化
+
+  function withAlpha(hex, alpha) {
+    const value = String(hex || '#888').replace('#', '');
+    const num = parseInt(value.length === 3 ? value.split('').map((c) => c + c).join('') : value, 16);
+    return `rgba(${(num >> 16) & 255}, ${(num >> 8) & 255}, ${num & 255}, ${alpha})`;
+  }
+
+  function create(container, options = {}) {
+    const canvas = document.createElement('canvas');
+    canvas.className = 'mv-canvas';
+    container.appendChild(canvas);
+    const tip = KIT.createTooltip(container);
+
+    let state = null;
+    let rowsLayout = []; // { region, grid, top, height, plotX, plotW }
+    let cache = new Map(); // `${regionId}:${rows}:${cols}` -> grid；run 变化时清空
+    let conflictCache = new Map();
+
+    function gridFor(region, addrBuckets, tickBuckets) {
+      const key = `${region.id}:${addrBuckets}:${tickBuckets}`;
+      if (!cache.has(key)) cache.set(key, MET.heatmap(region, state.run.totalTicks, { addrBuckets, tickBuckets }));
+      return cache.get(key);
+    }
+
+    function conflictsFor(region) {
+      if (!conflictCache.has(region.id)) conflictCache.set(region.id, MET.bankConflicts(state.run, region));
+      return conflictCache.get(region.id);
+    }
+
+    function drawRegion(ctx, T, region, layout, isFocus) {
+      const { top, height, plotX, plotW } = layout;
+      const total = Math.max(1, state.run.totalTicks);
+      const tickBuckets = Math.max(8, Math.floor(plotW / CELL_PX));
+      const grid = gridFor(region, isFocus ? FOCUS_ADDR_BUCKETS : THUMB_ADDR_BUCKETS, tickBuckets);
+      layout.grid = grid;
+      const cellW = plotW / grid.cols;
+      const cellH = height / grid.rows;
+      const xOf = (t) => plotX + (t / total) * plotW;
+      const yOf = (bytes) => top + height - (bytes / grid.scale) * height;
+
+      // --- 左栏：层级标识 ---
+      ctx.textBaseline = 'alphabetic';
+      ctx.fillStyle = region.accent;
+      ctx.font = `600 12px ${T['font-mono']}`;
+      ctx.fillText(region.id, 0, top + 12);
+      ctx.fillStyle = T['foreground-muted'];
+      ctx.font = `500 10px ${T['font-sans']}`;
+      ctx.fillText(KIT.truncate(ctx, region.label, LABEL_W - 12), 0, top + 26);
+      if (region.banks) {
+        ctx.fillText(`${region.banks} banks × ${F.bytes(MET.bankSize(region))}`, 0, top + 40);
+      }
+
+      ctx.fillStyle = T['surface-2'];
+      ctx.fillRect(plotX, top, plotW, height);
+
+      // --- 格子：持有 > 碎片 > 预留未用，按这个优先级上色 ---
+      for (let row = 0; row < grid.rows; row += 1) {
+        const y = top + height - (row + 1) * cellH;
+        for (let col = 0; col < grid.cols; col += 1) {
+          const index = row * grid.cols + col;
+          const live = grid.live[index];
+          const frag = grid.frag[index];
+          const idle = grid.idle[index];
+          let fill = null;
+          if (live > 1.001) fill = withAlpha('#FF4B7B', 0.85);
+          else if (live > 0.004) fill = withAlpha(region.accent, 0.18 + 0.78 * Math.min(1, live));
+          else if (frag > 0.004) fill = withAlpha('#FFAA3B', 0.16 + 0.6 * Math.min(1, frag));
+          else if (idle > 0.004) fill = withAlpha(region.accent, 0.08);
+          if (!fill) continue;
+          ctx.fillStyle = fill;
+          ctx.fillRect(plotX + col * cellW, y, Math.ceil(cellW), Math.ceil(cellH));
+        }
+      }
+
+      // --- bank 边界与冲突 ---
+      const bankBytes = MET.bankSize(region);
+      if (bankBytes && region.banks <= 64) {
+        ctx.strokeStyle = T['border-default'];
+        ctx.lineWidth = 1;
+        ctx.setLineDash([2, 3]);
+        for (let bank = 1; bank < region.banks; bank += 1) {
+          const y = Math.round(yOf(bank * bankBytes)) + 0.5;
+          ctx.beginPath();
+          ctx.moveTo(plotX, y);
+          ctx.lineTo(plotX + plotW, y);
+          ctx.stroke();
+        }
+        ctx.setLineDash([]);
+      }
+      const conflicts = conflictsFor(region);
+      if (conflicts.length) {
+        ctx.strokeStyle = T.danger;
+        ctx.lineWidth = isFocus ? 1.5 : 1;
+        conflicts.forEach((item) => {
+          const x = xOf(item.start);
+          const w = Math.max(2, xOf(item.end) - x);
+          const y = yOf((item.bank + 1) * bankBytes);
+          ctx.strokeRect(x + 0.5, y + 0.5, w - 1, Math.max(1, yOf(item.bank * bankBytes) - y - 1));
+        });
+      }
+
+      // --- 容量线（超限时预留高于容量，线落在图内）---
+      if (region.reserved > region.capacity) {
+        const capY = yOf(region.capacity);
+        ctx.strokeStyle = T.danger;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(plotX, capY);
+        ctx.lineTo(plotX + plotW, capY);
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
+
+      // --- 选中格子 ---
+      const cell = state.selectedCell;
+      if (cell && cell.regionId === region.id) {
+        ctx.strokeStyle = T.foreground;
+        ctx.lineWidth = 1.5;
+        const y = yOf(cell.addrEnd);
+        ctx.strokeRect(xOf(cell.tick) - 3, y, 6, Math.max(3, yOf(cell.addrStart) - y));
+      }
+
+      // --- 右栏：读数 ---
+      const metaX = plotX + plotW + 12;
+      const conflictCycles = conflicts.reduce((sum, item) => sum + (item.end - item.start), 0);
+      ctx.font = `600 12px ${T['font-mono']}`;
+      ctx.fillStyle = T.foreground;
+      ctx.fillText(F.pct(region.liveRatio, 0), metaX, top + 12);
+      ctx.font = `500 10px ${T['font-mono']}`;
+      ctx.fillStyle = T['foreground-secondary'];
+      ctx.fillText(`峰值 ${F.bytes(region.peakLive)}`, metaX, top + 26);
+      ctx.fillStyle = grid.peakFrag ? T.warning : T['foreground-muted'];
+      ctx.fillText(`碎片 ${F.bytes(grid.peakFrag)} @${F.tick(grid.peakFragTick)}`, metaX, top + 40);
+      if (region.banks) {
+        ctx.fillStyle = conflicts.length ? T.danger : T['foreground-muted'];
+        ctx.fillText(`bank 冲突 ${conflicts.length} 处 · ${conflictCycles} cyc`, metaX, top + 54);
+      }
+    }
+
+    function draw() {
+      if (!state) return;
+      const { metrics, tick, focusRegionId } = state;
+      const regions = metrics.regions.filter((region) => region.allocations.length);
+      const focus = regions.find((region) => region.id === focusRegionId) || regions[0];
+      const ordered = focus ? [focus, ...regions.filter((region) => region !== focus)] : [];
+      const cssWidth = container.clientWidth;
+      const cssHeight = PAD_TOP + ordered.reduce((sum, region) => sum + (region === focus ? FOCUS_H : THUMB_H) + ROW_GAP, 0) + AXIS_H;
+      canvas.style.height = `${cssHeight}px`;
+      const { ctx, width } = KIT.fitCanvas(canvas, cssWidth, cssHeight);
+      const T = KIT.tokens(container);
+      const plotX = LABEL_W;
+      const plotW = Math.max(120, width - LABEL_W - META_W);
+      const total = Math.max(1, state.run.totalTicks);
+
+      rowsLayout = [];
+      let y = PAD_TOP;
+      ordered.forEach((region) => {
+        const layout = { region, top: y, height: region === focus ? FOCUS_H : THUMB_H, plotX, plotW };
+        drawRegion(ctx, T, region, layout, region === focus);
+        rowsLayout.push(layout);
+        y += layout.height + ROW_GAP;
+      });
+
+      // --- 时间轴与游标 ---
+      const axisY = y - ROW_GAP + 14;
+      ctx.font = `500 9px ${T['font-mono']}`;
+      ctx.fillStyle = T['foreground-muted'];
+      const step = Math.max(20, Math.round(total / 10 / 10) * 10);
+      for (let t = 0; t <= total; t += step) ctx.fillText(`#${t}`, plotX + (t / total) * plotW + 2, axisY);
+      const cursorX = plotX + (Math.min(tick, total) / total) * plotW;
+      ctx.strokeStyle = T.foreground;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(cursorX, PAD_TOP - 6);
+      ctx.lineTo(cursorX, y - ROW_GAP);
+      ctx.stroke();
+    }
+
+    /** 画布坐标 → { layout, tick, row, addrStart, addrEnd }；不在热力图内返回 null。 */
+    function cellAt(event) {
+      if (!state) return null;
+      const rect = canvas.getBoundingClientRect();
+      const x = event.clientX - rect.left;
+      const y = event.clientY - rect.top;
+      const layout = rowsLayout.find((item) => y >= item.top && y <= item.top + item.height
+        && x >= item.plotX && x <= item.plotX + item.plotW);
+      if (!layout?.grid) return null;
+      const { grid } = layout;
+      const total = Math.max(1, state.run.totalTicks);
+      const tick = Math.max(0, Math.min(total, Math.round(((x - layout.plotX) / layout.plotW) * total)));
+      const row = Math.max(0, Math.min(grid.rows - 1, Math.floor(((layout.top + layout.height - y) / layout.height) * grid.rows)));
+      const col = Math.min(grid.cols - 1, Math.floor(tick / grid.ticksPerCol));
+      return {
+        layout,
+        index: row * grid.cols + col,
+        regionId: layout.region.id,
+        tick,
+        addrStart: Math.round(row * grid.bucketBytes),
+        addrEnd: Math.round((row + 1) * grid.bucketBytes),
+      };
+    }
+
+    function onMove(event) {
+      const cell = cellAt(event);
+      canvas.style.cursor = cell ? 'pointer' : 'default';
+      if (!cell) { tip.hide(); return; }
+      const { grid, region } = cell.layout;
+      const holders = region.allocations.filter((a) => a.offset < cell.addrEnd && a.offset + a.size > cell.addrStart
+        && MET.liveAt(a, cell.tick));
+      tip.show(`
+        <div class="mv-tip__title">${region.id} ${F.hex(cell.addrStart)} – ${F.hex(cell.addrEnd)}</div>
+        <div class="mv-tip__row"><span>时间</span><b>${F.tick(cell.tick)}</b></div>
+        <div class="mv-tip__row${grid.live[cell.index] > 1.001 ? ' is-bad' : ''}"><span>持有（格均）</span><b>${F.pct(grid.live[cell.index], 0)}</b></div>
+        <div class="mv-tip__row${grid.frag[cell.index] > 0.004 ? ' is-bad' : ''}"><span>碎片（格均）</span><b>${F.pct(grid.frag[cell.index], 0)}</b></div>
+        <div class="mv-tip__row"><span>此刻持有</span><b>${holders.length ? F.escapeHtml(holders.map((a) => a.name).join('、')) : '—'}</b></div>
+        <div class="mv-tip__src">点击在右栏列出覆盖该格的分配</div>
+      `, event.clientX, event.clientY);
+    }
+
+    function onClick(event) {
+      const cell = cellAt(event);
+      if (!cell) return;
+      options.onSelectCell?.({
+        regionId: cell.regionId,
+        tick: cell.tick,
+        addrStart: cell.addrStart,
+        addrEnd: cell.addrEnd,
+      });
+    }
+
+    canvas.addEventListener('mousemove', onMove);
+    canvas.addEventListener('mouseleave', () => tip.hide());
+    canvas.addEventListener('click', onClick);
+    const unobserve = KIT.observeSize(container, draw);
+
+    return {
+      update(next) {
+        if (!state || state.run !== next.run || state.metrics !== next.metrics) {
+          cache = new Map();
+          conflictCache = new Map();
+        }
+        state = next;
+        draw();
+      },
+      redraw: draw,
+      destroy() {
+        unobserve();
+        canvas.removeEventListener('mousemove', onMove);
+        canvas.removeEventListener('click', onClick);
+        tip.destroy();
+        canvas.remove();
+      },
+    };
+  }
+
+  global.MemVizHeatmapView = { create };
+})(window);
@@ -186,7 +186,7 @@
         <div class="mv-tip__row"><span>buffer_num</span><b>${a.bufferNum}</b></div>
         <div class="mv-tip__row"><span>生命周期</span><b>${span ? `${F.tick(span.start)}–${F.tick(span.end)}` : '未被访问'}</b></div>
         <div class="mv-tip__row"><span>此刻</span><b>${live ? '持有数据' : '空闲预留'}</b></div>
-        <div class="mv-tip__src">${F.escapeHtml(a.src.file)}:${a.src.hotLine + 1}</div>
+        ${a.src.file ? `<div class="mv-tip__src">${F.escapeHtml(a.src.file)}:${a.src.hotLine + 1}</div>` : ''}
       `, event.clientX, event.clientY);
     }
 
@@ -66,7 +66,7 @@
             <div class="mv-tip__row"><span>内存大小</span><b>${F.bytes(a.size)}</b></div>
             <div class="mv-tip__row"><span>地址区间</span><b>${F.bytes(a.offset)} – ${F.bytes(a.offset + a.size)}</b></div>
             ${reuse ? `<div class="mv-tip__row"><span>复用地址</span><b>${F.escapeHtml(reuse)}</b></div>` : ''}
-            <div class="mv-tip__src">${F.escapeHtml(a.src.file)}:${(a.src.hotLine || 0) + 1}</div>
+            ${a.src.file ? `<div class="mv-tip__src">${F.escapeHtml(a.src.file)}:${(a.src.hotLine || 0) + 1}</div>` : ''}
           `;
         }
         const e = task.event;
@@ -82,7 +82,7 @@
           ${e.gap > 0 && e.blockedBy
             ? `<div class="mv-tip__row is-bad"><span>等待</span><b>${e.gap} cycle · ${F.escapeHtml(state.allocById.get(e.blockedBy)?.name || '')} 未释放</b></div>`
             : ''}
-          <div class="mv-tip__src">${F.escapeHtml(state.run.kernel.source)}:${(e.srcLine || 0) + 1}</div>
+          ${e.srcLine != null ? `<div class="mv-tip__src">${F.escapeHtml(state.run.kernel.source)}:${e.srcLine + 1}</div>` : ''}
         `;
       },
     });
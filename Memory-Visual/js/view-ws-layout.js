@@ -69,11 +69,12 @@
 
     return {
       /**
-       * mode: 'current' 用候选自己的布局；'packed' 用规划器排出来的最紧布局。
-       * 两者共用同一个纵轴上界（取两者的较大值），否则视觉上看不出高度差。
+       * mode: 'current' 用候选自己的布局；'packed' 用规划器排出来的最紧布局；
+       * 'searched' 用调用方传入的 layout（装箱搜索的结果，只会比 packed 更低）。
+       * 三者共用同一个纵轴上界（取 current 与 packed 的较大值），否则视觉上看不出高度差。
        */
-      update({ run, plan, mode, selectedTensorId }) {
-        const layout = mode === 'packed' ? PLANNER.layoutOf(run) : run.layout;
+      update({ run, plan, mode, layout: supplied, selectedTensorId }) {
+        const layout = supplied || (mode === 'packed' ? PLANNER.layoutOf(run) : run.layout);
         const capacity = Math.max(plan.current, plan.packed);
         const key = `${run.id}|${mode}`;
         if (key !== signature) {
@@ -3,7 +3,7 @@
   ------------------------------------------------------------------
   方案设计：场景6-workspace与GM规划-方案设计.md §4
 
-  纯函数、无 DOM、不依赖芯片型号 —— 后续 CLI 与 Python API 复用同一套实现。
+  纯函数、无 DOM、不依赖芯片型号 —— CLI（js/memviz-cli.js）与后续 Python API 复用同一套实现。
 
   只回答三个数：
     lowerBound  当前执行序与形状下的理论下界 = 各子计算「同时存活字节」的最大值。
@@ -17,6 +17,7 @@
 
   装箱等价于 Dynamic Storage Allocation，已知 NP 难 —— 所以这里报的是**可达值**
   而不是最优值，并且把用的是哪种排序策略写进结果，让结论可复核。
+  想把 packed-lowerBound 这段再往下压，用 js/workspace-search.js 的可选搜索（耗时换字节）。
 */
 (function registerMemVizWorkspacePlanner(global) {
   'use strict';
@@ -90,24 +91,38 @@
     'by-order': (list) => list.slice().sort((a, b) => a.order - b.order),
   };
 
-  function pack(tensors, align, orderId) {
-    const sorted = (ORDERS[orderId] || ORDERS['by-size'])(tensors);
+  /** 两个张量不能共用地址：生命周期重叠（必须错开），或 blockScope 不同（地址语义不同 —— 见 §4.5-3）。 */
+  function clashes(a, b) {
+    return livesOverlap(a, b) || a.blockScope !== b.blockScope;
+  }
+
+  /**
+   * 按给定顺序逐个落地址。fit 决定在已占区间之间的空洞里选哪一个：
+   *   first  最低的可行空洞（即 pack 的行为，也是 arena 空闲链表的行为）；
+   *   best   放得下的最小空洞，都放不下时才压到顶上 —— 给后面的大块留整段空间。
+   * 偏移一律是 0 或某个占位区间的对齐末端，所以结果天然满足对齐。
+   */
+  function place(sequence, align, fit = 'first') {
     const placed = [];
     const offsets = new Map();
 
-    sorted.forEach((t) => {
-      // 占位区间来自：生命周期重叠者（必须错开地址），以及
-      // blockScope 不同者（地址语义不同，即使生命周期不重叠也不许共用 —— 见 §4.5-3）
+    sequence.forEach((t) => {
       const busy = placed
-        .filter((p) => livesOverlap(p, t) || p.blockScope !== t.blockScope)
+        .filter((p) => clashes(p, t))
         .map((p) => [offsets.get(p.id), offsets.get(p.id) + p.size])
         .sort((x, y) => x[0] - y[0]);
 
       let cursor = 0;
       let chosen = null;
+      let chosenGap = Infinity;
       for (let i = 0; i < busy.length; i += 1) {
         const [start, end] = busy[i];
-        if (start - cursor >= t.size) { chosen = cursor; break; }
+        const gap = start - cursor;
+        if (gap >= t.size && gap < chosenGap) {
+          chosen = cursor;
+          chosenGap = gap;
+          if (fit !== 'best') break;
+        }
         cursor = Math.max(cursor, alignUp(end, align));
       }
       if (chosen === null) chosen = cursor;
@@ -115,7 +130,13 @@
       placed.push(t);
     });
 
-    const height = sorted.reduce((max, t) => Math.max(max, offsets.get(t.id) + t.size), 0);
+    const height = sequence.reduce((max, t) => Math.max(max, offsets.get(t.id) + t.size), 0);
+    return { offsets, height };
+  }
+
+  function pack(tensors, align, orderId) {
+    const sorted = (ORDERS[orderId] || ORDERS['by-size'])(tensors);
+    const { offsets, height } = place(sorted, align, 'first');
     return { order: orderId, offsets, height };
   }
 
@@ -274,7 +295,7 @@
   }
 
   global.MemVizWorkspacePlanner = {
-    plan, pack, layoutOf, maxLive, reuseGroups, excludedPairs, conflicts,
-    livesOverlap, liveAt, packable, alignUp, ORDERS,
+    plan, pack, place, layoutOf, maxLive, reuseGroups, excludedPairs, conflicts,
+    livesOverlap, clashes, liveAt, packable, alignUp, ORDERS,
   };
 })(window);
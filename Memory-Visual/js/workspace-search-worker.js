@@ -0,0 +1,28 @@
+/**
+ * workspace-search-worker.js - Runs the workspace packing search off the main thread.
+ *
+ * Request:  { id, run, options }           (options: see DEFAULTS in workspace-search.js)
+ * Replies:  { id, type: 'progress', phase, height, evaluated, elapsedMs }
+ *           { id, type: 'done', result }   (see search() in workspace-search.js)
+ *           { id, type: 'error', message }
+ *
+ * The search itself is synchronous and bounded by options.timeMs; cancellation is done
+ * by the caller terminating the worker.
+ */
+
+// The planner modules register on `window`; in a worker the global is `self`.
+self.window = self;
+importScripts('workspace-planner.js', 'workspace-search.js');
+
+self.onmessage = (event) => {
+  const { id, run, options } = event.data || {};
+  try {
+    const result = self.MemVizWorkspaceSearch.search(run, {
+      ...options,
+      onProgress: (progress) => self.postMessage({ id, type: 'progress', ...progress }),
+    });
+    self.postMessage({ id, type: 'done', result });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error && error.message ? error.message : String(error) });
+  }
+};
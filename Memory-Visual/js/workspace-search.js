@@ -0,0 +1,297 @@
+/*
+  Workspace 装箱搜索 —— 把 packed-lowerBound 这段碎片再往下压
+  ------------------------------------------------------------------
+  方案设计：场景6-workspace与GM规划-方案设计.md §4
+
+  规划器（workspace-planner.js）只跑三种排序的贪心，毫秒级，报的是「可达值」。
+  这里是它的可选加长版：拿时间换字节，结果仍然只有两种说法 ——
+    exact   搜索跑完或已触到 lowerBound，这就是当前执行序与形状下的最优值；
+    其余    找到的最好布局，不宣称最优（DSA 是 NP 难，大 run 上穷举不现实）。
+
+  三段依次跑，每段都从上一段的最好结果出发：
+    heuristics  多种排序 × first-fit / best-fit，外加若干种子化的随机排序。
+    anneal      在排序上做模拟退火（交换 / 挪位），每个排序用 place() 落地址。
+    exact       张量数不超过 exactLimit 时做分支定界：最优解总能「落到底」——
+                每个张量要么在 0，要么压在某个冲突张量的对齐末端上，
+                按偏移递增逐个放就能枚举完所有这样的布局。
+
+  纯函数、无 DOM；页面在 Worker（workspace-search-worker.js）里跑，CLI 直接调用。
+  随机数带种子，同一输入同一参数得到同一结果，结论可复核。
+*/
+(function registerMemVizWorkspaceSearch(global) {
+  'use strict';
+
+  const PLANNER = global.MemVizWorkspacePlanner;
+
+  const DEFAULTS = {
+    timeMs: 2000,        // 整个搜索的墙钟上限
+    seed: 1,
+    restarts: 8,         // 启发式阶段的随机排序数
+    exactLimit: 14,      // 张量数不超过它才做分支定界
+    nodeLimit: 2000000,  // 分支定界的节点上限，超了就不宣称最优
+    progressEveryMs: 100,
+  };
+
+  const FITS = ['first', 'best'];
+
+  /** 规划器的三种排序之外再补三种：面积（size × 寿命）、起点、终点。 */
+  const EXTRA_ORDERS = {
+    'by-area': (list) => list.slice().sort((a, b) => {
+      const aa = a.size * (a.live.end - a.live.start + 1);
+      const ab = b.size * (b.live.end - b.live.start + 1);
+      return ab - aa || a.order - b.order;
+    }),
+    'by-start': (list) => list.slice().sort((a, b) => a.live.start - b.live.start
+      || b.size - a.size || a.order - b.order),
+    'by-end': (list) => list.slice().sort((a, b) => b.live.end - a.live.end
+      || b.size - a.size || a.order - b.order),
+  };
+
+  /** mulberry32：够用、够快、可复现。 */
+  function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function shuffle(list, random) {
+    const out = list.slice();
+    for (let i = out.length - 1; i > 0; i -= 1) {
+      const j = Math.floor(random() * (i + 1));
+      [out[i], out[j]] = [out[j], out[i]];
+    }
+    return out;
+  }
+
+  const now = () => (global.performance ? global.performance.now() : Date.now());
+
+  // ---------------------------------------------------------------
+  // 分支定界
+  // ---------------------------------------------------------------
+  /**
+   * 按 (偏移, 下标) 字典序逐个放张量，只允许「落到底」的偏移 —— 任何布局反复
+   * 往下压都会变成这种形态且高度不增，所以枚举它们就够了。
+   * 下界取：已放高度、lowerBound、每个未放张量在当前局面下最低可行位置的顶，
+   * 以及每个子计算在当前层之上必须摞起来的字节（未放的全量 + 已放的越层部分）。
+   */
+  function branchAndBound(tensors, align, { lowerBound, incumbent, nodeLimit, deadline }) {
+    const n = tensors.length;
+    const offsets = new Array(n).fill(-1);
+    const clash = tensors.map((a) => tensors.map((b) => a !== b && PLANNER.clashes(a, b)));
+    let best = incumbent;
+    let bestOffsets = null;
+    let nodes = 0;
+    let complete = true;
+    // 同一子计算里还活着的张量两两冲突：它们在 level 之上的部分必须摞起来
+    const first = Math.min(...tensors.map((t) => t.live.start));
+    const spans = Math.max(...tensors.map((t) => t.live.end)) - first + 1;
+
+    // 张量 i 在当前局面下、偏移不低于 level 的「落到底」候选位置（升序）
+    function candidates(i, level, lastIndex) {
+      const tops = [0];
+      for (let j = 0; j < n; j += 1) {
+        if (offsets[j] >= 0 && clash[i][j]) tops.push(PLANNER.alignUp(offsets[j] + tensors[j].size, align));
+      }
+      return Array.from(new Set(tops)).sort((x, y) => x - y).filter((offset) => (
+        (offset > level || (offset === level && i > lastIndex)) && fits(i, offset)));
+    }
+
+    function fits(i, offset) {
+      for (let j = 0; j < n; j += 1) {
+        if (offsets[j] >= 0 && clash[i][j]
+          && offsets[j] < offset + tensors[i].size && offset < offsets[j] + tensors[j].size) return false;
+      }
+      return true;
+    }
+
+    // 张量 i 在当前局面下、不低于 level 的最低可行偏移 —— 后放的张量只会占掉空间，所以这是它的下界
+    function lowestFit(i, level) {
+      const busy = [];
+      for (let j = 0; j < n; j += 1) {
+        if (offsets[j] >= 0 && clash[i][j]) busy.push([offsets[j], offsets[j] + tensors[j].size]);
+      }
+      busy.sort((x, y) => x[0] - y[0]);
+      let cursor = PLANNER.alignUp(level, align);
+      for (let k = 0; k < busy.length; k += 1) {
+        if (busy[k][0] - cursor >= tensors[i].size) break;
+        cursor = Math.max(cursor, PLANNER.alignUp(busy[k][1], align));
+      }
+      return cursor;
+    }
+
+    function visit(placedCount, height, level, lastIndex) {
+      if (height >= best) return;
+      if (placedCount === n) {
+        best = height;
+        bestOffsets = offsets.slice();
+        return;
+      }
+      nodes += 1;
+      if (nodes > nodeLimit || ((nodes & 1023) === 0 && now() > deadline)) {
+        complete = false;
+        return;
+      }
+
+      const options = [];
+      let bound = Math.max(height, lowerBound);
+      const above = new Array(spans).fill(level);
+      for (let i = 0; i < n; i += 1) {
+        const t = tensors[i];
+        const extra = offsets[i] >= 0 ? Math.max(0, offsets[i] + t.size - level) : t.size;
+        for (let sg = t.live.start; sg <= t.live.end; sg += 1) above[sg - first] += extra;
+        if (offsets[i] >= 0) continue;
+        bound = Math.max(bound, lowestFit(i, level) + t.size);
+        candidates(i, level, lastIndex).forEach((offset) => options.push([offset, i]));
+      }
+      bound = Math.max(bound, ...above);
+      if (bound >= best || !options.length) return;
+
+      options.sort((x, y) => x[0] - y[0] || x[1] - y[1]);
+      for (let k = 0; k < options.length && complete; k += 1) {
+        const [offset, i] = options[k];
+        offsets[i] = offset;
+        visit(placedCount + 1, Math.max(height, offset + tensors[i].size), offset, i);
+        offsets[i] = -1;
+        if (best <= lowerBound) return;
+      }
+    }
+
+    visit(0, 0, 0, -1);
+    return {
+      height: best,
+      offsets: bestOffsets && new Map(tensors.map((t, i) => [t.id, bestOffsets[i]])),
+      nodes,
+      complete,
+    };
+  }
+
+  // ---------------------------------------------------------------
+  // 入口
+  // ---------------------------------------------------------------
+  /**
+   * 返回找到的最好布局，以及它相对规划器 packed 收回了多少碎片：
+   *   gapClosed = (packed - height) / (packed - lowerBound)，packed 已触底时为 null。
+   * onProgress 收到 { phase, height, evaluated, elapsedMs }，节流到 progressEveryMs。
+   */
+  function search(run, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const started = now();
+    const deadline = started + opts.timeMs;
+    const align = run.workspace.align || 512;
+    const tensors = PLANNER.packable(run);
+    const { lowerBound } = PLANNER.maxLive(run);
+    const random = createRandom(opts.seed);
+
+    const baseline = Object.keys(PLANNER.ORDERS)
+      .map((id) => PLANNER.pack(tensors, align, id))
+      .reduce((a, b) => (b.height < a.height ? b : a));
+    const packed = baseline.height;
+
+    let best = { height: packed, offsets: baseline.offsets, method: 'heuristic', label: `${baseline.order} · first-fit` };
+    let evaluated = 0;
+    let lastProgress = started;
+    const trace = [{ phase: 'planner', height: packed, elapsedMs: 0 }];
+
+    const report = (phase, force) => {
+      const t = now();
+      if (!force && t - lastProgress < opts.progressEveryMs) return;
+      lastProgress = t;
+      opts.onProgress?.({ phase, height: best.height, evaluated, elapsedMs: Math.round(t - started) });
+    };
+    const offer = (phase, result, method, label) => {
+      if (result.height >= best.height) return;
+      best = { height: result.height, offsets: result.offsets, method, label };
+      trace.push({ phase, height: result.height, elapsedMs: Math.round(now() - started) });
+    };
+    const done = () => best.height <= lowerBound || now() > deadline;
+
+    // 1) 多排序 × 两种 fit
+    const orders = { ...PLANNER.ORDERS, ...EXTRA_ORDERS };
+    const sequences = Object.entries(orders).map(([id, sort]) => [id, sort(tensors)]);
+    for (let r = 0; r < opts.restarts; r += 1) sequences.push([`random#${r + 1}`, shuffle(tensors, random)]);
+    let seed = sequences[0][1];
+    let seedHeight = Infinity;
+    for (let k = 0; k < sequences.length && !done(); k += 1) {
+      const [id, sequence] = sequences[k];
+      FITS.forEach((fit) => {
+        const result = PLANNER.place(sequence, align, fit);
+        evaluated += 1;
+        if (result.height < seedHeight) { seed = sequence; seedHeight = result.height; }
+        offer('heuristics', result, 'heuristic', `${id} · ${fit}-fit`);
+      });
+      report('heuristics');
+    }
+
+    // 2) 排序上的模拟退火：能量 = 高度，加一点各张量偏移之和打破平台（整体往低处挪也算进步）
+    const exactPossible = tensors.length <= opts.exactLimit;
+    const annealUntil = exactPossible ? started + opts.timeMs / 2 : deadline;
+    if (tensors.length > 1 && !done()) {
+      const energyOf = (result) => result.height + [...result.offsets.values()].reduce((s, v) => s + v, 0) / (tensors.length * 1024);
+      let current = seed.slice();
+      let currentEnergy = energyOf(PLANNER.place(current, align, 'first'));
+      const t0 = Math.max(align, (packed - lowerBound) || align);
+      while (best.height > lowerBound && now() < annealUntil) {
+        const progress = (now() - started) / Math.max(1, annealUntil - started);
+        const temperature = t0 * Math.max(0.001, 1 - progress);
+        const next = current.slice();
+        const i = Math.floor(random() * next.length);
+        let j = Math.floor(random() * (next.length - 1));
+        if (j >= i) j += 1;
+        if (random() < 0.5) [next[i], next[j]] = [next[j], next[i]];
+        else next.splice(j, 0, next.splice(i, 1)[0]);
+        const fit = random() < 0.5 ? 'first' : 'best';
+        const result = PLANNER.place(next, align, fit);
+        evaluated += 1;
+        const energy = energyOf(result);
+        if (energy <= currentEnergy || random() < Math.exp((currentEnergy - energy) / temperature)) {
+          current = next;
+          currentEnergy = energy;
+          offer('anneal', result, 'anneal', `anneal · ${fit}-fit`);
+        }
+        report('anneal');
+      }
+    }
+
+    // 3) 小 run 上的分支定界
+    let exact = best.height <= lowerBound;
+    let nodes = 0;
+    if (!exact && exactPossible) {
+      const result = branchAndBound(tensors, align, {
+        lowerBound,
+        incumbent: best.height,
+        nodeLimit: opts.nodeLimit,
+        deadline,
+      });
+      nodes = result.nodes;
+      if (result.offsets) offer('exact', result, 'exact', 'branch-and-bound');
+      exact = result.complete;
+      report('exact', true);
+    }
+
+    const layout = {};
+    best.offsets.forEach((offset, id) => { layout[id] = offset; });
+    const gap = packed - lowerBound;
+    return {
+      height: best.height,
+      layout,
+      method: best.method,
+      label: best.label,
+      exact,
+      packed,
+      lowerBound,
+      saved: packed - best.height,
+      gapClosed: gap > 0 ? (packed - best.height) / gap : null,
+      evaluated,
+      nodes,
+      elapsedMs: Math.round(now() - started),
+      trace,
+    };
+  }
+
+  global.MemVizWorkspaceSearch = { search, branchAndBound, createRandom, EXTRA_ORDERS, DEFAULTS };
+})(window);
@@ -14,13 +14,18 @@
   const F = global.MemVizFormat;
   const PLANNER = global.MemVizWorkspacePlanner;
   const DIAG = global.MemVizWorkspaceDiagnostics;
+  const SEARCH = global.MemVizWorkspaceSearch;
+  const SEARCH_WORKER_URL = 'js/workspace-search-worker.js';
+  // Worker 里跑多久都不卡页面；退回主线程时只给一小段，免得整页冻住
+  const SEARCH_TIME_MS = 5000;
+  const SEARCH_TIME_MS_MAIN = 800;
   const $ = (id) => document.getElementById(id);
 
   const state = {
     chipId: 'ascend-910b',
     runId: 'ws-naive',
     view: 'plan',
-    layoutMode: 'current', // current = 候选自己的布局；packed = 规划器排出的最紧布局
+    layoutMode: 'current', // current = 候选自己的布局；packed = 规划器排出的最紧布局；searched = 装箱搜索的结果
     sg: 0,
     playing: false,
     selectedTensorId: null,
@@ -39,6 +44,11 @@
   let frameController = null;
   let playback = null;
   let playTimer = null;
+  // 装箱搜索按候选缓存：{ status: 'running' | 'done' | 'error', progress, result, message }
+  const searches = new Map();
+  let activeSearch = null;
+  let searchWorkerUnavailable = typeof Worker === 'undefined';
+  let nextSearchJobId = 1;
 
   // ---------------------------------------------------------------
   // 数据装载
@@ -67,6 +77,7 @@
     state.selectedTensorId = null;
     state.selectedFindingId = null;
     state.selectedGroupIndex = null;
+    if (state.layoutMode === 'searched' && !searchedLayout()) state.layoutMode = 'packed';
     syncPlaybackRange();
   }
 
@@ -114,7 +125,8 @@
     [
       { id: 'current', label: '当前布局', title: '候选自己声明的地址分配' },
       { id: 'packed', label: '复用后布局', title: `规划器按 ${plan.bestOrder} 排出的最紧布局` },
-    ].forEach((mode) => {
+      searchedLayout() && { id: 'searched', label: '搜索后布局', title: `装箱搜索（${searches.get(run.id).result.label}）找到的最好布局` },
+    ].filter(Boolean).forEach((mode) => {
       const btn = document.createElement('button');
       btn.type = 'button';
       btn.className = `btn btn-sm${mode.id === state.layoutMode ? ' is-selected' : ''}`;
@@ -346,6 +358,155 @@
     });
   }
 
+  // ---------------------------------------------------------------
+  // 装箱搜索 —— 规划器的 packed 只是三种贪心里最好的那个，这里拿时间换字节
+  // ---------------------------------------------------------------
+  function searchedLayout() {
+    return searches.get(run.id)?.result?.layout || null;
+  }
+
+  /**
+   * 在 workspace-search-worker.js 里跑搜索；Worker 起不来（如 file://）时退回主线程、缩短时限。
+   * 返回 { promise, cancel }，cancel 即终止 Worker。
+   */
+  function startSearch(target, onProgress) {
+    const fallback = () => new Promise((resolve, reject) => {
+      // 让出一帧，先把「搜索中」画出来
+      window.setTimeout(() => {
+        try {
+          resolve(SEARCH.search(target, { timeMs: SEARCH_TIME_MS_MAIN }));
+        } catch (error) {
+          reject(error);
+        }
+      }, 0);
+    });
+    if (searchWorkerUnavailable) return { promise: fallback(), cancel: () => {} };
+
+    let worker;
+    try {
+      worker = new Worker(SEARCH_WORKER_URL);
+    } catch (error) {
+      console.warn('Workspace search worker unavailable, searching on the main thread:', error);
+      searchWorkerUnavailable = true;
+      return { promise: fallback(), cancel: () => {} };
+    }
+    const id = nextSearchJobId++;
+    let settled = false;
+    const promise = new Promise((resolve, reject) => {
+      const settle = (callback, value) => {
+        settled = true;
+        worker.terminate();
+        callback(value);
+      };
+      worker.onmessage = (event) => {
+        const msg = event.data || {};
+        if (msg.id !== id) return;
+        if (msg.type === 'progress') onProgress?.(msg);
+        else if (msg.type === 'done') settle(resolve, msg.result);
+        else if (msg.type === 'error') settle(reject, new Error(msg.message));
+      };
+      // 加载失败只发生一次；之后的搜索直接走主线程
+      worker.onerror = (event) => {
+        event.preventDefault?.();
+        console.warn('Workspace search worker unavailable, searching on the main thread:', event.message || event);
+        searchWorkerUnavailable = true;
+        settled = true;
+        worker.terminate();
+        fallback().then(resolve, reject);
+      };
+      worker.postMessage({ id, run: target, options: { timeMs: SEARCH_TIME_MS } });
+    });
+    return {
+      promise,
+      cancel: () => {
+        if (settled) return;
+        settled = true;
+        worker.terminate();
+      },
+    };
+  }
+
+  function runSearch() {
+    const target = run;
+    const entry = { status: 'running', progress: null, result: null, message: '' };
+    searches.set(target.id, entry);
+    const job = startSearch(target, (progress) => {
+      entry.progress = progress;
+      if (run.id === target.id) renderSearch();
+    });
+    activeSearch = { runId: target.id, job };
+    // 旧结果已作废，「搜索后布局」要等新结果
+    if (state.layoutMode === 'searched') state.layoutMode = 'packed';
+    render();
+    job.promise.then((result) => {
+      entry.status = 'done';
+      entry.result = result;
+    }, (error) => {
+      entry.status = 'error';
+      entry.message = error.message;
+    }).then(() => {
+      if (activeSearch?.job === job) activeSearch = null;
+      render();
+    });
+  }
+
+  function cancelSearch() {
+    if (!activeSearch) return;
+    activeSearch.job.cancel();
+    searches.delete(activeSearch.runId);
+    activeSearch = null;
+    render();
+  }
+
+  function renderSearch() {
+    const host = $('searchBody');
+    const entry = searches.get(run.id);
+    const running = entry?.status === 'running';
+    const busyElsewhere = activeSearch && activeSearch.runId !== run.id;
+    const gap = plan.packed - plan.lowerBound;
+
+    $('searchMeta').textContent = running ? '搜索中'
+      : entry?.result ? (entry.result.exact ? '已证最优' : `省 ${F.bytes(entry.result.saved)}`)
+        : gap > 0 ? `碎片 ${F.bytes(gap)}` : '已触下界';
+
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'btn btn-sm';
+    btn.textContent = running ? '停止' : entry?.result ? '重新搜索' : '搜索更优布局';
+    btn.disabled = Boolean(busyElsewhere);
+    btn.title = busyElsewhere ? '另一个候选正在搜索' : '多排序贪心 → 模拟退火 → 小规模分支定界';
+    btn.addEventListener('click', () => (running ? cancelSearch() : runSearch()));
+
+    host.innerHTML = '';
+    host.appendChild(btn);
+    const info = document.createElement('div');
+    info.className = 'ws-search-result';
+    if (running) {
+      const p = entry.progress;
+      info.innerHTML = p
+        ? `<span class="mv-kv"><span>${F.escapeHtml(p.phase)}</span><b>${F.bytes(p.height)} · ${p.evaluated} 次 · ${(p.elapsedMs / 1000).toFixed(1)} s</b></span>`
+        : '<span class="ws-group-note">正在启动…</span>';
+    } else if (entry?.status === 'error') {
+      info.innerHTML = `<span class="ws-group-note mv-sev-danger">搜索失败：${F.escapeHtml(entry.message)}</span>`;
+    } else if (entry?.result) {
+      const r = entry.result;
+      info.innerHTML = `
+        <span class="mv-kv"><span>最好布局</span><b class="${r.saved > 0 ? 'mv-sev-success' : ''}">${F.bytes(r.height)}</b></span>
+        <span class="mv-kv"><span>规划器 packed</span><b>${F.bytes(r.packed)}</b></span>
+        <span class="mv-kv"><span>碎片收回</span><b>${r.gapClosed == null ? '—' : `${(r.gapClosed * 100).toFixed(1)}%`}（${F.bytes(r.saved)} / ${F.bytes(r.packed - r.lowerBound)}）</b></span>
+        <span class="mv-kv"><span>方法</span><b>${F.escapeHtml(r.label)}</b></span>
+        <span class="mv-kv"><span>评估 / 节点</span><b>${r.evaluated} / ${r.nodes} · ${(r.elapsedMs / 1000).toFixed(1)} s</b></span>
+        <span class="ws-group-note ${r.exact ? 'mv-sev-success' : ''}">${r.exact
+          ? (r.height === r.lowerBound ? '已触到 lowerBound，不可能再低。' : `分支定界已穷举：${F.bytes(r.height - r.lowerBound)} 碎片在当前执行序与作用域下无法消除。`)
+          : '可达值，未证最优 —— 张量太多或时限内没搜完。'}</span>`;
+    } else {
+      info.innerHTML = gap > 0
+        ? `<span class="ws-group-note">规划器的 packed 比下界高 ${F.bytes(gap)}；搜索${searchWorkerUnavailable ? '在主线程' : '在后台'}跑，最多 ${(searchWorkerUnavailable ? SEARCH_TIME_MS_MAIN : SEARCH_TIME_MS) / 1000} s。</span>`
+        : '<span class="ws-group-note mv-sev-success">packed 已等于 lowerBound，搜索只会确认这一点。</span>';
+    }
+    host.appendChild(info);
+  }
+
   function renderDetail() {
     const host = $('detailBody');
     const kicker = $('detailKicker');
@@ -381,6 +542,7 @@
 
     kicker.textContent = tensor.role === 'workspace' ? 'workspace 张量' : tensor.role;
     const packedLayout = PLANNER.layoutOf(run);
+    const searched = searchedLayout();
     const currentOffset = run.layout[tensor.id];
     host.innerHTML = `
       <div class="mv-sec" style="padding:0;border:0;gap:8px">
@@ -392,6 +554,7 @@
         <span class="mv-kv"><span>作用域</span><b class="${tensor.blockScope === 'per-block' ? 'mv-sev-warn' : ''}">${F.escapeHtml(tensor.blockScope)}${tensor.blockScope === 'per-block' ? ` × ${run.kernel.blockDim}` : ''}</b></span>
         ${currentOffset != null ? `<span class="mv-kv"><span>当前地址</span><b>${F.hex(currentOffset, 6)}</b></span>` : ''}
         ${packedLayout[tensor.id] != null ? `<span class="mv-kv"><span>复用后地址</span><b>${F.hex(packedLayout[tensor.id], 6)}</b></span>` : ''}
+        ${searched?.[tensor.id] != null ? `<span class="mv-kv"><span>搜索后地址</span><b>${F.hex(searched[tensor.id], 6)}</b></span>` : ''}
         ${tensor.aliasOf ? `<span class="mv-kv"><span>原地宿主</span><b>${F.escapeHtml(tensor.aliasOf)}</b></span>` : ''}
         ${tensor.onChip ? `<span class="mv-kv"><span>已下沉片上</span><b class="mv-sev-success">${F.escapeHtml(tensor.onChipRegion)}</b></span>` : ''}
         ${tensor.manualReuseOf ? `<span class="mv-kv"><span>手工复用</span><b class="mv-sev-danger">${F.escapeHtml(tensor.manualReuseOf)}</b></span>` : ''}
@@ -413,6 +576,11 @@
     lines.push(`  packed       ${F.bytes(plan.packed)}   (${plan.packings.map((p) => `${p.order} ${F.bytes(p.height)}`).join(', ')})`);
     lines.push(`  lowerBound   ${F.bytes(plan.lowerBound)}   @ sg${plan.peak.index} ${plan.peak.name}`);
     lines.push(`  ratio        ${plan.ratio.toFixed(2)}×   policyWaste=${F.bytes(plan.policyWaste)} packFragment=${F.bytes(plan.packFragment)}`);
+    const searched = searches.get(run.id)?.result;
+    if (searched) {
+      const closed = searched.gapClosed == null ? '—' : `${(searched.gapClosed * 100).toFixed(1)}%`;
+      lines.push(`  searched     ${F.bytes(searched.height)}   (${searched.label}, gapClosed=${closed}${searched.exact ? ', exact' : ''})`);
+    }
     lines.push('');
     findings.forEach((f) => {
       const tag = f.severity === 'danger' ? 'is-danger' : f.severity === 'warn' ? 'is-warn' : 'is-dim';
@@ -479,6 +647,7 @@
     if (state.view === 'gm') {
       views.gm.update({
         run, plan, mode: state.layoutMode, selectedTensorId: state.selectedTensorId,
+        layout: state.layoutMode === 'searched' ? searchedLayout() : null,
       });
     }
 
@@ -502,6 +671,7 @@
     renderExplorer();
     renderFindings();
     renderGroups();
+    renderSearch();
     renderDetail();
     renderTerminal();
     renderStatus();
@@ -202,7 +202,7 @@
       out.push(finding('WS_PACK_FRAGMENT', {
         detail: `复用做到最紧仍是 ${F.bytes(plan.packed)}，比下界 ${F.bytes(plan.lowerBound)} 高 ${F.bytes(plan.packFragment)}。`,
         impact: '这部分不是「没复用」，是装不进去 —— 张量尺寸与生命周期的组合在地址空间上留下了填不满的空洞。',
-        suggest: `装箱是 NP 难问题，工具报的是可达值：${spread}。想再压需要改顺序或形状，见「可改原地」与「本可留在片上」两条。`,
+        suggest: `装箱是 NP 难问题，工具报的是可达值：${spread}。右栏「装箱搜索」（或 CLI --search）可拿时间换这段碎片，并在小规模时给出最优证明；再往下压需要改顺序或形状，见「可改原地」与「本可留在片上」两条。`,
         refs: plan.tensors.slice(0, 2).map((t) => t.id),
         evidence: plan.packings.map((p) => ({ label: p.order, value: F.bytes(p.height) })),
       }));
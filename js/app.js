@@ -6,6 +6,12 @@
   // ── DOM refs ───────────────────────────────────────────────────
   const viewport      = document.getElementById('viewport');
   const graphRoot     = document.getElementById('graphRoot');
+  const graphCanvas   = document.getElementById('graphCanvas');
+  const memStrip      = document.getElementById('memStrip');
+  const memStripCanvas = document.getElementById('memStripCanvas');
+  const memStripLevels = document.getElementById('memStripLevels');
+  const memStripReadout = document.getElementById('memStripReadout');
+  const memStripPeakBtn = document.getElementById('memStripPeakBtn');
   const nodesLayer    = document.getElementById('nodesLayer');
   const edgesSvg      = document.getElementById('edgesSvg');
   const emptyState    = document.getElementById('emptyState');
@@ -39,6 +45,35 @@
   const minimapToggle = document.getElementById('minimapToggle');
   const graphLockExit = document.getElementById('graphLockExit');
   const graphLockLabel = document.getElementById('graphLockLabel');
+  const searchInput   = document.getElementById('graphSearchInput');
+  const searchCount   = document.getElementById('graphSearchCount');
+  const searchMenu    = document.getElementById('graphSearchMenu');
+  const diffInput     = document.getElementById('diffInput');
+  const graphMenuDiff = document.getElementById('graphMenuDiff');
+  const diffBar       = document.getElementById('diffBar');
+  const diffBarLabel  = document.getElementById('diffBarLabel');
+  const diffBarStats  = document.getElementById('diffBarStats');
+  const diffSwapBtn   = document.getElementById('diffSwapBtn');
+  const diffExitBtn   = document.getElementById('diffExitBtn');
+  const diffBeforePane  = document.getElementById('diffBeforePane');
+  const diffBeforeRoot  = document.getElementById('diffBeforeRoot');
+  const diffBeforeNodes = document.getElementById('diffBeforeNodes');
+  const diffBeforeEdges = document.getElementById('diffBeforeEdges');
+  const diffBeforeLabel = document.getElementById('diffBeforeLabel');
+  const diffAfterLabel  = document.getElementById('diffAfterLabel');
+  const funcCrumbs    = document.getElementById('funcCrumbs');
+  const funcPicker    = document.getElementById('funcPicker');
+  const funcPickerBtn = document.getElementById('funcPickerBtn');
+  const funcMenu      = document.getElementById('funcMenu');
+  const layoutProgress       = document.getElementById('layoutProgress');
+  const layoutProgressLabel  = document.getElementById('layoutProgressLabel');
+  const layoutProgressBar    = document.getElementById('layoutProgressBar');
+  const layoutProgressCancel = document.getElementById('layoutProgressCancel');
+  const exportPicker  = document.getElementById('exportPicker');
+  const exportBtn     = document.getElementById('exportBtn');
+  const exportMenu    = document.getElementById('exportMenu');
+  const exportScopeBtn = document.getElementById('exportScopeBtn');
+  const copyLinkBtn = document.getElementById('copyLinkBtn');
   const DEFAULT_COLOR_MODE = 'semantic';
   const DEFAULT_VIEW_MODE = 'original';
 
@@ -53,8 +88,13 @@
   let panning = false, panStart = { x: 0, y: 0 };
   let selectedNodeId = null;
   let viewMode = DEFAULT_VIEW_MODE; // 'original' | 'grouped'
-  let colorMode = DEFAULT_COLOR_MODE;  // hidden 'none' | 'semantic' | 'subgraph' | 'latency' | 'engineMemory'
+  let colorMode = DEFAULT_COLOR_MODE;  // hidden 'none' | 'semantic' | 'subgraph' | 'latency' | 'engineMemory' | 'memory' | 'critical'
   let colorMap  = null;    // Map<nodeId, hexColor> | null
+  let diffState = null;    // { model, mode: 'overlay'|'split', before: { data, name }, after: { data, name }, prevColorMode }
+  let diffBeforeRenderCache = null;
+  let lastLoadedGraph = null; // { data, name } of the last plain graph load, used as default diff base
+  let functionNav = null;  // { functions: listPyptoFunctions(), stack: [{ index, viaOpMagic }] } for multi-function dumps
+  let currentGraphSource = null; // { fileRef, viaNav, navSelection } of the loaded graph, for deep links
   const localFileRefs = new Map(); // ref -> File
   const BRIDGE_DB = 'pto-launch-bridge';
   const BRIDGE_STORE = 'pending-dir-handles';
@@ -66,20 +106,31 @@
   const SCALE_MAX = 4;
   const PASS_LAYOUT_OPTS = { nodeWidth: 225 };
   const HUGE_GRAPH_NODE_THRESHOLD = 3000;
+  const LAYOUT_WORKER_NODE_THRESHOLD = 1500;
   const HUGE_GRAPH_EDGE_THRESHOLD = 6000;
   const GROUP_DETAIL_NODE_THRESHOLD = 5000;
   const GROUP_DETAIL_EDGE_THRESHOLD = 10000;
   const HUGE_EDGE_HIDE_SCALE = 0.18;
   const VIRTUAL_BUFFER_SCREEN_PX = 420;
   const VIRTUAL_SCALE_FORCE_DELTA = 0.12;
+  const CANVAS_DETAIL_SCALE = 0.5; // huge graphs switch from canvas back to DOM cards at this zoom
+  const RENDERER_PREFERENCE = new URLSearchParams(location.search).get('renderer'); // 'dom' | 'canvas' | null (auto)
+  const DEEP_LINK_WRITE_DELAY_MS = 300;
+  const CRITICAL_TOP_N = 10; // ops listed under the critical-path legend
+  const DEEP_LINK_KEYS = ['file', 'pass', 'path', 'snap', 'fn', 'color', 'view', 'flow', 'node', 'z', 'c'];
 
   let lockedFlowState = null; // { anchorSourceNodeId, anchorLabel, anchorType, anchorMagic, subgraph, flowLayout, nodeCount }
   let detailSourceNodeId = null;
+  let pendingDeepLink = null;  // parsed #hash waiting for its graph to finish loading
+  let lastWrittenDeepLink = '';
+  let deepLinkTimer = 0;
+  let lineageState = null; // { key, navIndex, index, progress, error } for the nav path being traced
 
   let renderCache = null;
   let activeGraphIndex = null;
   let sourceGraphIndex = null;
   let hugeGraphMode = false;
+  let installGeneration = 0; // bumps per installSourceGraph(); stale layouts are dropped
   let edgesHiddenByScale = false;
   let renderedGraphModel = null;
   let virtualRenderWindow = null;
@@ -96,6 +147,19 @@
   let minimapRaf = 0;
   let minimapTransform = { gs: 1, ox: 0, oy: 0 };
 
+  let searchHighlightIds = new Set(); // active-graph node ids matched by the search box
+  let memoryHighlightIds = new Set(); // tensors live at the layer picked in the memory strip
+  let memoryPressure = null;          // PtoMemoryPressure.computeMemoryPressure() for memoryPressureKey
+  let memoryPressureKey = null;       // { graph, layout } the pressure was computed for
+  let memoryLevel = null;             // 'UB' | 'L1' | 'L0' | 'GM' shown in the strip
+  let memoryStep = null;              // picked layer, or null
+  let memoryStripRaf = 0;
+  let criticalPath = null;            // PtoCriticalPath.computeCriticalPath() for criticalPathGraph
+  let criticalPathGraph = null;
+  let searchResults = [];             // [{ node, activeNode, reasons }]
+  let searchCursor = -1;
+  const SEARCH_MENU_LIMIT = 50;
+
   // ── Color mapping ──────────────────────────────────────────────
 
   const BOUNDARY_COLORS = { incast: '#87c80f', outcast: '#c9107d' };
@@ -743,6 +807,15 @@
     return !!(lockedFlowState?.subgraph && lockedFlowState?.flowLayout);
   }
 
+  function isDiffSplitMode() {
+    return !!(diffState && diffState.mode === 'split' && !isLockedFlowMode());
+  }
+
+  // Screen x where the main graph starts; the split diff pane covers the left half.
+  function graphViewportInset() {
+    return isDiffSplitMode() ? Math.round(viewport.clientWidth / 2) : 0;
+  }
+
   function getActiveColorMode() {
     return colorMode;
   }
@@ -751,6 +824,9 @@
     if (isLockedFlowMode()) {
       return { graph: lockedFlowState.subgraph, layout: lockedFlowState.flowLayout };
     }
+    if (isDiffSplitMode()) {
+      return { graph: diffState.model.afterView, layout: sourceLayout };
+    }
     if (isGroupMode() && groupedGraph && groupedLayout) {
       return { graph: groupedGraph, layout: groupedLayout };
     }
@@ -804,19 +880,73 @@
 
   function computeLayoutForGraph(graphModel, options = {}) {
     const opts = getLayoutOptionsForGraph(graphModel, options);
-    const nextLayout = computeLayout(graphModel, opts);
+    const pipeline = window.PtoLayoutPipeline;
+    const nextLayout = pipeline ? pipeline.layoutGraphSync(graphModel, opts) : computeLayout(graphModel, opts);
     nextLayout.compact = !!opts.compact;
     return nextLayout;
   }
 
+  // Resolves with the layout, or null when cancelled. Graphs past
+  // LAYOUT_WORKER_NODE_THRESHOLD go to the layout worker behind the progress overlay.
+  function computeLayoutForGraphAsync(graphModel, options = {}) {
+    const pipeline = window.PtoLayoutPipeline;
+    if (!pipeline || (graphModel?.nodes?.length || 0) < LAYOUT_WORKER_NODE_THRESHOLD) {
+      return Promise.resolve().then(() => computeLayoutForGraph(graphModel, options));
+    }
+    const opts = getLayoutOptionsForGraph(graphModel, options);
+    const nodeCount = graphModel.nodes.length;
+    const job = pipeline.layoutGraph(graphModel, opts, {
+      onProgress: (phase, fraction) => showLayoutProgress(nodeCount, phase, fraction),
+    });
+    if (!job.cached) showLayoutProgress(nodeCount, 'queued', 0);
+    return job.promise.then(nextLayout => {
+      if (nextLayout) nextLayout.compact = !!opts.compact;
+      return nextLayout;
+    });
+  }
+
+  const LAYOUT_PHASE_LABELS = {
+    queued: '准备',
+    layering: '分层',
+    ordering: '减少交叉',
+    coordinates: '坐标',
+    done: '完成',
+  };
+
+  function showLayoutProgress(nodeCount, phase, fraction) {
+    if (!layoutProgress) return;
+    layoutProgress.classList.remove('is-hidden');
+    const pct = Math.round(Math.max(0, Math.min(1, fraction)) * 100);
+    if (layoutProgressLabel) {
+      layoutProgressLabel.textContent = `布局 ${nodeCount.toLocaleString()} 个节点 · ${LAYOUT_PHASE_LABELS[phase] || phase} ${pct}%`;
+    }
+    if (layoutProgressBar) layoutProgressBar.style.width = `${pct}%`;
+  }
+
+  function hideLayoutProgress() {
+    layoutProgress?.classList.add('is-hidden');
+  }
+
+  layoutProgressCancel?.addEventListener('click', (e) => {
+    e.stopPropagation();
+    window.PtoLayoutPipeline?.cancelLayout();
+  });
+
   function buildGraphIndex(graphModel) {
     const nodeById = new Map();
     const incomingByTarget = new Map();
     const outgoingBySource = new Map();
+    const groupByMemberId = new Map(); // source node id → the group node folding it (group mode)
     const nodes = graphModel?.nodes || [];
     const edges = graphModel?.edges || [];
 
-    nodes.forEach(node => nodeById.set(node.id, node));
+    nodes.forEach(node => {
+      nodeById.set(node.id, node);
+      if (node.type !== 'group') return;
+      (node.data?.members || []).forEach(member => {
+        if (member?.nodeId != null && !groupByMemberId.has(member.nodeId)) groupByMemberId.set(member.nodeId, node);
+      });
+    });
     edges.forEach(edge => {
       if (!incomingByTarget.has(edge.target)) incomingByTarget.set(edge.target, []);
       if (!outgoingBySource.has(edge.source)) outgoingBySource.set(edge.source, []);
@@ -824,7 +954,7 @@
       outgoingBySource.get(edge.source).push(edge.target);
     });
 
-    return { nodeById, incomingByTarget, outgoingBySource };
+    return { nodeById, incomingByTarget, outgoingBySource, groupByMemberId };
   }
 
   function getGraphIndex(graphModel) {
@@ -856,11 +986,62 @@
     return !!(hugeGraphMode && graph && layout && viewport);
   }
 
+  // Canvas takes over huge graphs (or every graph with ?renderer=canvas); the split diff pane stays DOM.
+  function useCanvasForGraph() {
+    if (!graphCanvas || !window.PtoCanvasRenderer || RENDERER_PREFERENCE === 'dom') return false;
+    if (!graph || !layout || isDiffSplitMode()) return false;
+    return RENDERER_PREFERENCE === 'canvas' || hugeGraphMode;
+  }
+
+  // In auto mode the DOM renderer returns for detail zoom levels.
+  function isCanvasViewActive() {
+    return useCanvasForGraph() && (RENDERER_PREFERENCE === 'canvas' || scale < CANVAS_DETAIL_SCALE);
+  }
+
+  function diffEdgeColor(edge) {
+    if (!edge.diffStatus || edge.diffStatus === 'same') return null;
+    return window.PtoGraphDiffView?.DIFF_STATUS_COLORS?.[edge.diffStatus] || null;
+  }
+
+  function criticalEdgeColor(edge) {
+    if (!criticalPath?.edgeKeys.has(`${edge.source}->${edge.target}`)) return null;
+    return window.PtoCriticalPath.CRITICAL_COLOR;
+  }
+
+  function activeEdgeColorFn() {
+    if (diffState) return diffEdgeColor;
+    return getActiveColorMode() === 'critical' && criticalPath ? criticalEdgeColor : null;
+  }
+
+  function activeHighlightIds() {
+    return memoryHighlightIds.size ? new Set([...searchHighlightIds, ...memoryHighlightIds]) : searchHighlightIds;
+  }
+
+  function renderCanvasGraph() {
+    renderedGraphModel = graph;
+    virtualRenderWindow = null;
+    graphRoot.classList.add('is-hidden');
+    graphCanvas.classList.remove('is-hidden');
+    renderCache = window.PtoCanvasRenderer.renderGraphCanvas(graph, layout, nodesLayer, edgesSvg, handleNodeClick, colorMap, getActiveColorMode(), {
+      canvas: graphCanvas,
+      compact: !!layout.compact,
+      transform: { tx, ty, scale },
+      edgeColorFor: activeEdgeColorFn(),
+      selectedNodeId,
+      highlightIds: activeHighlightIds(),
+      onNodeDblClick: (node) => {
+        const target = sourceGraphIndex?.nodeById.get(node.id);
+        if (target?.data?.calleeIndex != null) drillIntoCallee(target);
+      },
+    });
+  }
+
   function getViewportGraphRect() {
     const safeScale = Math.max(scale, 1e-6);
-    const left = -tx / safeScale;
+    const inset = graphViewportInset();
+    const left = (inset - tx) / safeScale;
     const top = -ty / safeScale;
-    const width = viewport.clientWidth / safeScale;
+    const width = (viewport.clientWidth - inset) / safeScale;
     const height = viewport.clientHeight / safeScale;
     return {
       left,
@@ -947,6 +1128,12 @@
       viewportRenderRaf = 0;
       viewportRenderForce = false;
     }
+    if (isCanvasViewActive()) {
+      renderCanvasGraph();
+      return;
+    }
+    graphCanvas?.classList.add('is-hidden');
+    graphRoot.classList.remove('is-hidden');
     const model = shouldVirtualizeGraph()
       ? buildVirtualizedGraphModel(force)
       : graph;
@@ -957,12 +1144,15 @@
       delegateEvents: true,
     });
     if (selectedNodeId) {
-      selectNode(selectedNodeId, nodesLayer, edgesSvg, renderCache?.edgeElementsByNodeId);
+      selectMainNode(selectedNodeId);
     }
+    applyDiffClasses(renderCache, model);
+    applyCriticalPathClasses(renderCache, model);
+    applySearchHighlightClasses();
   }
 
   function scheduleViewportRender(force = false) {
-    if (!shouldVirtualizeGraph()) return;
+    if (!shouldVirtualizeGraph() && !useCanvasForGraph()) return;
     if (force) viewportRenderForce = true;
     if (viewportRenderRaf) return;
     viewportRenderRaf = requestAnimationFrame(() => {
@@ -1088,10 +1278,24 @@
       graphModel.nodes.forEach(n => {
         nodeIdMap.set(n.id, engineMemoryColorForKey(engineMemoryKeyForNode(n)));
       });
+    } else if (mode === 'critical') {
+      const analysis = getCriticalPath(graphModel);
+      if (analysis) nodeIdMap = window.PtoCriticalPath.buildCriticalPathColorMap(graphModel, analysis);
+    } else if (mode === 'memory') {
+      const api = window.PtoMemoryPressure;
+      graphModel.nodes.forEach(n => {
+        const level = api?.memoryLevelOf(n);
+        nodeIdMap.set(n.id, level ? api.MEMORY_LEVEL_COLORS[level] : null);
+      });
+    } else if (mode === 'diff') {
+      const colors = window.PtoGraphDiffView?.DIFF_STATUS_COLORS || {};
+      graphModel.nodes.forEach(n => {
+        nodeIdMap.set(n.id, colors[n.data?.diffStatus] || null);
+      });
     }
 
     // Always pin boundary node colors regardless of mode
-    if (mode !== 'engineMemory') {
+    if (mode !== 'engineMemory' && mode !== 'diff' && mode !== 'memory' && mode !== 'critical') {
       graphModel.nodes.forEach(n => {
         if (BOUNDARY_COLORS[n.type]) nodeIdMap.set(n.id, BOUNDARY_COLORS[n.type]);
       });
@@ -1122,6 +1326,11 @@
     'memory:workspace': 'Workspace',
     'memory:allocated': 'Allocated',
     'memory:unknown':   'Unknown',
+    'level:UB':         'UB',
+    'level:L1':         'L1',
+    'level:L0':         'L0',
+    'level:GM':         'GM',
+    'level:unknown':    'Unknown level',
     'sg_input':         'Unassigned / Input',
   };
 
@@ -1164,7 +1373,8 @@
 
   function closeDetailAndSelection() {
     closeDetail();
-    selectNode(null, nodesLayer, edgesSvg, renderCache?.edgeElementsByNodeId);
+    selectMainNode(null);
+    if (diffBeforeRenderCache) selectNode(null, diffBeforeNodes, diffBeforeEdges, diffBeforeRenderCache.edgeElementsByNodeId);
     selectedNodeId = null;
   }
 
@@ -1175,6 +1385,7 @@
     if (!graph || !layout) return;
     activeGraphIndex = getGraphIndex(graph);
     updateHugeGraphMode(graph);
+    if (exportBtn) exportBtn.disabled = false;
     renderedGraphModel = null;
     virtualRenderWindow = null;
     lastVirtualRenderScale = scale;
@@ -1188,7 +1399,7 @@
     if (graphTitle && sourceGraph?.meta?.name) {
       const suffix = isLockedFlowMode()
         ? ' · locked flow'
-        : (isGroupMode() ? ' · grouped' : '');
+        : (diffState ? ` · diff ${diffState.mode}` : (isGroupMode() ? ' · grouped' : ''));
       graphTitle.textContent = sourceGraph.meta.name + suffix;
     }
 
@@ -1198,15 +1409,20 @@
     updateGraphStats(graph);
     syncLockedFlowToolbar();
     updateLegend();
+    syncMemoryStrip();
+    refreshSearchResults();
     markMinimapBaseDirty();
     if (fit) {
       fitView();
       renderViewportGraph({ force: true });
+      renderDiffBeforePane();
       return;
     }
     updateEdgeVisibilityByScale();
     renderViewportGraph({ force: true });
+    renderDiffBeforePane();
     scheduleMinimapUpdate();
+    scheduleDeepLinkUpdate();
   }
 
   function setColorMode(mode) {
@@ -1307,6 +1523,32 @@
       return;
     }
 
+    if (activeColorMode === 'critical') {
+      renderCriticalPathLegend(legendEl);
+      return;
+    }
+
+    if (activeColorMode === 'diff') {
+      const api = window.PtoGraphDiffView;
+      const nodeCounts = {};
+      const edgeCounts = {};
+      (sourceGraph?.nodes || []).forEach(n => {
+        const status = n.data?.diffStatus || 'same';
+        nodeCounts[status] = (nodeCounts[status] || 0) + 1;
+      });
+      (sourceGraph?.edges || []).forEach(e => {
+        const status = e.diffStatus || 'same';
+        edgeCounts[status] = (edgeCounts[status] || 0) + 1;
+      });
+      legendEl.innerHTML = ['added', 'removed', 'modified', 'same'].map(status => `
+        <span class="mode-panel-legend-item">
+          <span class="mode-panel-legend-dot" style="background:${api?.DIFF_STATUS_COLORS?.[status] || '#6B7280'}"></span>
+          <span class="mode-panel-legend-label">${escHtml(api?.DIFF_STATUS_LABELS?.[status] || status)}</span>
+          <span class="mode-panel-legend-count">(${nodeCounts[status] || 0} · ${edgeCounts[status] || 0}e)</span>
+        </span>`).join('');
+      return;
+    }
+
     if (!colorMap) { legendEl.innerHTML = ''; return; }
 
     // Collect key → { color, count }
@@ -1319,6 +1561,10 @@
       } else if (activeColorMode === 'engineMemory') {
         key = engineMemoryKeyForNode(n);
         if (!key) return;
+      } else if (activeColorMode === 'memory') {
+        const level = window.PtoMemoryPressure?.memoryLevelOf(n);
+        if (!level) return;
+        key = 'level:' + level;
       } else {
         // subgraph: only show op/boundary in legend
         if (n.type === 'tensor') return;
@@ -1372,6 +1618,10 @@
     const hasGroupedView = !!(groupedGraph && groupedGraph.nodes.some(n => n.type === 'group'));
     setModeEnabled('subgraph', hasPartition);
     setModeEnabled('latency', hasCost);
+    setModeEnabled('critical', hasCost && !!window.PtoCriticalPath);
+    setModeEnabled('memory', !!window.PtoMemoryPressure && sourceGraph.nodes.some(n => n.type === 'tensor'));
+    document.querySelectorAll('.cp-btn[data-mode="diff"]').forEach(btn => btn.classList.toggle('is-hidden', !diffState));
+    setModeEnabled('diff', !!diffState);
     setViewModeEnabled('grouped', hasGroupedView);
   }
 
@@ -1405,18 +1655,15 @@
     localFileRefs.clear();
   }
 
-  function readAndLoadLocalFile(file, displayName) {
-    return file.text()
-      .then(text => {
-        const data = JSON.parse(text);
-        loadGraphData(data, displayName || file.name);
-      });
+  function readAndLoadLocalFile(file, displayName, loadOptions = {}) {
+    return readGraphFileInput(file)
+      .then(data => loadGraphData(data, displayName || file.name, loadOptions));
   }
 
-  function loadRefFile(fileRef) {
+  function loadRefFile(fileRef, { viaNav = false } = {}) {
     const localFile = localFileRefs.get(fileRef);
     if (localFile) {
-      readAndLoadLocalFile(localFile, localFile.name)
+      readAndLoadLocalFile(localFile, localFile.name, { fileRef, viaNav })
         .catch(err => {
           console.error('Nav: failed to load local ref', fileRef, err);
           alert('Failed to parse local graph file:\n' + (err?.message || err));
@@ -1425,15 +1672,25 @@
     }
 
     fetch(fileRef)
-      .then(r => { if (!r.ok) throw new Error(r.status); return r.json(); })
-      .then(d => loadGraphData(d, fileRef.split('/').pop()))
+      .then(r => { if (!r.ok) throw new Error(r.status); return readGraphResponse(r, fileRef); })
+      .then(d => loadGraphData(d, graphFileNameOf(fileRef), { fileRef, viaNav }))
       .catch(err => console.error('Nav: failed to load', fileRef, err));
   }
 
+  // Raw input of a nav file ref (a dropped folder's File or a URL), for lineage and the nav diff heat.
+  // Decoded the way the format registry expects, so a non-JSON dump is skipped instead of failing to parse.
+  function readFileRefJson(ref) {
+    const localFile = localFileRefs.get(ref);
+    if (localFile) return readGraphFileInput(localFile);
+    const url = window.PtoPassIrNav?.normalizeFileRef?.(ref) || ref;
+    return fetch(url).then(r => { if (!r.ok) throw new Error(`${r.status} ${url}`); return readGraphResponse(r, url); });
+  }
+
   window.loadFile = (fileRef) => {
     if (!fileRef) return;
-    loadRefFile(fileRef);
+    loadRefFile(fileRef, { viaNav: true });
   };
+  window.readFileRefJson = (fileRef) => readFileRefJson(fileRef);
 
   const LS_JSON = 'pto_last_json';
   const LS_NAME = 'pto_last_name';
@@ -1503,20 +1760,83 @@
     centerOnActiveNode(target, { openDetailPanel: true });
   }
 
-  function loadGraphData(data, fileName) {
-    sourceGraph = parseGraph(data);
-    annotateGraphModel(sourceGraph);
-    sourceLayout = computeLayoutForGraph(sourceGraph);
-    sourceGraphIndex = getGraphIndex(sourceGraph);
+  // loadOptions.fileRef: URL / local:: ref the data came from (kept for deep links);
+  // loadOptions.viaNav: the load was issued by the pass navigator;
+  // loadOptions.navSelection: { pass, path, snap } a deep link named for a file it loaded itself.
+  function loadGraphData(data, fileName, { fileRef = null, viaNav = false, navSelection = null } = {}) {
+    // Format detection goes by the source's own file name; fileName may be a display label (sample chips).
+    const formatName = fileRef ? graphFileNameOf(fileRef) : fileName;
+    const graphModel = parseGraph(data, formatName);
+    return installSourceGraph(graphModel, {
+      beforeCommit: () => {
+        if (diffState) teardownDiffState();
+        // Re-parsed by CALL drill-down and diff, so it keeps the name detection needs.
+        lastLoadedGraph = { data, name: formatName || '' };
+        currentGraphSource = { fileRef, viaNav, navSelection };
+        functionNav = graphModel.meta.functionCount > 1
+          ? { functions: listPyptoFunctions(data), stack: [{ index: graphModel.meta.funcIndex, viaOpMagic: null }] }
+          : null;
+        syncFunctionNav();
+      },
+    }).then(installed => {
+      if (!installed) return false;
+      // Cache to localStorage (binary formats such as .onnx are not cached)
+      try {
+        const name = fileName || sourceGraph.meta.name || 'graph.json';
+        if (!(data instanceof ArrayBuffer)) {
+          localStorage.setItem(LS_JSON, JSON.stringify(data));
+          localStorage.setItem(LS_NAME, name);
+          setRecentChip(name);
+        }
+      } catch (_) {}
 
-    groupedGraph = buildGroupedGraphModel(sourceGraph, sourceLayout);
-    if (groupedGraph === sourceGraph) {
-      groupedLayout = sourceLayout;
-    } else {
-      // Group view should prefer full cards (with tags/details) unless still very large.
-      groupedLayout = groupedGraph ? computeLayoutForGraph(groupedGraph, { preferDetail: true }) : null;
-      if (groupedGraph) getGraphIndex(groupedGraph);
-    }
+      setTimeout(() => applyPendingExternalFocus(), 0);
+      settlePendingDeepLink(fileRef, viaNav);
+      return true;
+    });
+  }
+
+  // Lays out the new graph (in the layout worker when large), then swaps it in.
+  // The previous graph stays on screen until then; a newer install or the progress
+  // overlay's cancel button abandons this one and the promise resolves false.
+  function installSourceGraph(graphModel, { grouped = true, beforeCommit = null } = {}) {
+    const generation = ++installGeneration;
+    window.PtoLayoutPipeline?.cancelLayout();
+    annotateGraphModel(graphModel);
+    const isCurrent = () => generation === installGeneration;
+
+    return computeLayoutForGraphAsync(graphModel)
+      .then(nextSourceLayout => {
+        if (!nextSourceLayout || !isCurrent()) return null;
+        const nextGroupedGraph = grouped ? buildGroupedGraphModel(graphModel, nextSourceLayout) : null;
+        if (!nextGroupedGraph || nextGroupedGraph === graphModel) {
+          return { nextSourceLayout, nextGroupedGraph, nextGroupedLayout: nextGroupedGraph ? nextSourceLayout : null };
+        }
+        // Group view should prefer full cards (with tags/details) unless still very large.
+        return computeLayoutForGraphAsync(nextGroupedGraph, { preferDetail: true })
+          .then(nextGroupedLayout => (nextGroupedLayout && isCurrent()
+            ? { nextSourceLayout, nextGroupedGraph, nextGroupedLayout }
+            : null));
+      })
+      .then(prepared => {
+        if (isCurrent()) hideLayoutProgress();
+        if (!prepared || !isCurrent()) return false;
+        beforeCommit?.();
+        commitSourceGraph(graphModel, prepared);
+        return true;
+      }, error => {
+        if (isCurrent()) hideLayoutProgress();
+        throw error;
+      });
+  }
+
+  function commitSourceGraph(graphModel, { nextSourceLayout, nextGroupedGraph, nextGroupedLayout }) {
+    sourceGraph = graphModel;
+    sourceLayout = nextSourceLayout;
+    sourceGraphIndex = getGraphIndex(sourceGraph);
+    groupedGraph = nextGroupedGraph;
+    groupedLayout = nextGroupedLayout;
+    if (groupedGraph && groupedGraph !== sourceGraph) getGraphIndex(groupedGraph);
 
     if (viewMode === 'grouped' && !(groupedGraph && groupedLayout)) {
       viewMode = DEFAULT_VIEW_MODE;
@@ -1530,16 +1850,6 @@
     closeDetailAndSelection();
     renderActiveGraph({ fit: true });
     if (lockedFlowState) retrackLockedFlow();
-
-    // Cache to localStorage
-    try {
-      const name = fileName || sourceGraph.meta.name || 'graph.json';
-      localStorage.setItem(LS_JSON, JSON.stringify(data));
-      localStorage.setItem(LS_NAME, name);
-      setRecentChip(name);
-    } catch (_) {}
-
-    setTimeout(() => applyPendingExternalFocus(), 0);
   }
 
   function setRecentChip(name) {
@@ -1552,7 +1862,7 @@
     readAndLoadLocalFile(file, file.name)
       .catch(err => {
         console.error(err);
-        alert('Failed to parse JSON:\n' + (err?.message || err));
+        alert('Failed to parse graph file:\n' + (err?.message || err));
       });
   }
 
@@ -1668,11 +1978,24 @@
     dirInput.click();
   }
 
-  function xhrLoadJson(url) {
+  // Rejection handler for a graph load or re-layout nobody else is waiting on.
+  function reportLoadFailure(label, err) {
+    emptyState.classList.remove('hidden');
+    console.error('Failed to load', label, err);
+  }
+
+  // XHR rather than fetch so file:// pages can still load samples. The response is decoded
+  // for the format registry: ArrayBuffer for binary formats, parsed JSON or raw text otherwise.
+  function xhrLoadGraphInput(url) {
     return new Promise((resolve, reject) => {
       const xhr = new XMLHttpRequest();
       xhr.open('GET', url);
-      xhr.onload = () => { try { resolve(JSON.parse(xhr.responseText)); } catch (e) { reject(e); } };
+      xhr.responseType = isBinaryGraphFileName(graphFileNameOf(url)) ? 'arraybuffer' : 'text';
+      xhr.onload = () => {
+        try {
+          resolve(xhr.responseType === 'arraybuffer' ? xhr.response : decodeGraphText(xhr.responseText));
+        } catch (e) { reject(e); }
+      };
       xhr.onerror = () => reject(new Error('XHR error'));
       xhr.send();
     });
@@ -1683,8 +2006,8 @@
     chip.addEventListener('click', () => {
       const url = chip.dataset.sample;
       const label = chip.dataset.label;
-      xhrLoadJson(url)
-        .then(data => loadGraphData(data, label))
+      xhrLoadGraphInput(url)
+        .then(data => loadGraphData(data, label, { fileRef: url }))
         .catch(() => alert('Failed to load sample.\nTry serving the app via a local server (e.g. npx serve .)'));
     });
   });
@@ -1701,8 +2024,8 @@
       graphMenu.classList.remove('open');
       const url = item.dataset.sample;
       const label = item.dataset.label;
-      xhrLoadJson(url)
-        .then(data => loadGraphData(data, label))
+      xhrLoadGraphInput(url)
+        .then(data => loadGraphData(data, label, { fileRef: url }))
         .catch(() => alert('Failed to load sample.\nTry serving the app via a local server (e.g. npx serve .)'));
     });
   });
@@ -1722,13 +2045,16 @@
   // Close menu on outside click
   document.addEventListener('click', (e) => {
     if (!graphPicker.contains(e.target)) graphMenu.classList.remove('open');
+    if (funcPicker && !funcPicker.contains(e.target)) funcMenu?.classList.remove('open');
+    if (exportPicker && !exportPicker.contains(e.target)) exportMenu?.classList.remove('open');
   });
 
   // Wire recent chip
   recentChip.addEventListener('click', () => {
     try {
       const cached = localStorage.getItem(LS_JSON);
-      if (cached) loadGraphData(JSON.parse(cached), localStorage.getItem(LS_NAME));
+      const name = localStorage.getItem(LS_NAME);
+      if (cached) loadGraphData(JSON.parse(cached), name).catch(err => reportLoadFailure(name, err));
     } catch (_) {}
   });
 
@@ -1744,14 +2070,17 @@
   const urlAction = urlParams.get('action');
   const urlToken = urlParams.get('token');
   const bridgePayload = urlAction === 'open-file' ? consumeSwimlaneBridgePayload() : null;
-
-  if (urlFile) {
-    xhrLoadJson(urlFile)
-      .then(data => loadGraphData(data, urlFile.split('/').pop()))
-      .catch(err => { emptyState.classList.remove('hidden'); console.error('Failed to load', urlFile, err); });
+  const hashLink = parseDeepLink(location.hash);
+
+  if (hashLink && restoreDeepLink(hashLink)) {
+    // The link names its own graph (file ref and/or navigator pass).
+  } else if (urlFile) {
+    xhrLoadGraphInput(urlFile)
+      .then(data => loadGraphData(data, graphFileNameOf(urlFile), { fileRef: urlFile }))
+      .catch(err => reportLoadFailure(urlFile, err));
   } else if (bridgePayload?.data) {
     pendingExternalFocus = bridgePayload.focus || null;
-    loadGraphData(bridgePayload.data, bridgePayload.name);
+    loadGraphData(bridgePayload.data, bridgePayload.name).catch(err => reportLoadFailure(bridgePayload.name, err));
   } else if (urlAction === 'consume-folder') {
     // Folder handle selected on launch page; consume and auto-load here.
     setTimeout(() => {
@@ -1796,7 +2125,7 @@
     e.preventDefault();
     viewport.classList.remove('drag-over');
     const f = e.dataTransfer.files[0];
-    if (f?.name.endsWith('.json')) loadJSON(f); // loadJSON passes f.name
+    if (isGraphFileName(f?.name)) loadJSON(f); // loadJSON passes f.name
   });
 
   // ── Transform ─────────────────────────────────────────────────
@@ -1806,18 +2135,25 @@
     graphRoot.style.transform  = `translate(${tx}px,${ty}px) scale(${scale})`;
     if (zoomLabel) zoomLabel.textContent = Math.round(scale * 100) + '%';
     if (animate) setTimeout(() => { graphRoot.style.transition = ''; }, 250);
+    syncDiffPaneTransform(animate);
     const edgeVisibilityChanged = updateEdgeVisibilityByScale();
-    scheduleViewportRender(!!edgeVisibilityChanged);
+    const canvasActive = isCanvasViewActive();
+    if (canvasActive !== !!renderCache?.canvasRenderer) scheduleViewportRender(true);
+    else if (canvasActive) renderCache.canvasRenderer.setTransform(tx, ty, scale);
+    else scheduleViewportRender(!!edgeVisibilityChanged);
     scheduleMinimapUpdate();
+    scheduleMemoryStripDraw();
     syncDetailPanelPosition();
+    scheduleDeepLinkUpdate();
   }
 
   function fitView() {
     if (!layout?.canvasW) return;
-    const vw = viewport.clientWidth, vh = viewport.clientHeight;
+    const inset = graphViewportInset();
+    const vw = viewport.clientWidth - inset, vh = viewport.clientHeight;
     const pad = 48;
     scale = Math.min((vw - pad * 2) / layout.canvasW, (vh - pad * 2) / layout.canvasH, 1);
-    tx = (vw - layout.canvasW * scale) / 2;
+    tx = inset + (vw - layout.canvasW * scale) / 2;
     ty = (vh - layout.canvasH * scale) / 2;
     applyTransform(true);
   }
@@ -1843,12 +2179,14 @@
     if (!isModifiedZoomWheel(e)) return;
     e.preventDefault();
     const rect = viewport.getBoundingClientRect();
-    zoomAround(e.clientX - rect.left, e.clientY - rect.top, e.deltaY < 0 ? 1.12 : 0.89);
+    // Over the split diff pane, zoom around the same graph point as on the main side.
+    const paneShift = diffBeforePane?.contains(e.target) ? graphViewportInset() : 0;
+    zoomAround(e.clientX - rect.left + paneShift, e.clientY - rect.top, e.deltaY < 0 ? 1.12 : 0.89);
   }, { passive: false });
 
   // Mouse pan
   viewport.addEventListener('mousedown', (e) => {
-    if (e.target.closest('.node-card') || e.target.closest('.detail-panel')) return;
+    if (e.target.closest('.node-card') || e.target.closest('.detail-panel') || e.target.closest('.layout-progress')) return;
     panning = true;
     panStart = { x: e.clientX - tx, y: e.clientY - ty };
     viewport.classList.add('panning');
@@ -1889,7 +2227,20 @@
 
   // Keyboard shortcuts
   window.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape') { closeDetail(); selectNode(null, nodesLayer, edgesSvg, renderCache?.edgeElementsByNodeId); selectedNodeId = null; }
+    if (isTextEntryTarget(e.target)) return;
+    if ((e.key === '/' && !e.metaKey && !e.ctrlKey) || ((e.key === 'f' || e.key === 'F') && (e.metaKey || e.ctrlKey))) {
+      if (searchInput && sourceGraph) {
+        e.preventDefault();
+        searchInput.focus();
+        searchInput.select();
+        return;
+      }
+    }
+    if (e.key === 'Escape') closeDetailAndSelection();
+    if (e.key === 'Backspace' && functionNav?.stack.length > 1) {
+      e.preventDefault();
+      openFunctionDepth(functionNav.stack.length - 2);
+    }
     if ((e.key === 'f' || e.key === 'F') && !e.metaKey && !e.ctrlKey) fitView();
     if ((e.key === '+' || e.key === '=') && !e.metaKey) zoomAround(viewport.clientWidth/2, viewport.clientHeight/2, 1.2);
     if (e.key === '-' && !e.metaKey) zoomAround(viewport.clientWidth/2, viewport.clientHeight/2, 1/1.2);
@@ -1898,22 +2249,29 @@
   window.addEventListener('resize', () => {
     if (!graph || !layout) return;
     virtualRenderWindow = null;
+    syncDiffPaneTransform(false);
     scheduleViewportRender(true);
     scheduleMinimapUpdate();
+    scheduleMemoryStripDraw();
   });
 
   viewport.addEventListener('click', (e) => {
     if (!e.target.closest('.node-card') && !e.target.closest('.detail-panel')) {
-      closeDetail();
-      selectNode(null, nodesLayer, edgesSvg, renderCache?.edgeElementsByNodeId);
-      selectedNodeId = null;
+      closeDetailAndSelection();
     }
   });
 
   // ── Node selection ─────────────────────────────────────────────
+  function selectMainNode(nodeId) {
+    selectNode(nodeId, nodesLayer, edgesSvg, renderCache?.edgeElementsByNodeId);
+    renderCache?.canvasRenderer?.setSelection(nodeId);
+    scheduleDeepLinkUpdate();
+  }
+
   function handleNodeClick(node) {
     selectedNodeId = node.id;
-    selectNode(node.id, nodesLayer, edgesSvg, renderCache?.edgeElementsByNodeId);
+    selectMainNode(node.id);
+    if (diffBeforeRenderCache) selectNode(node.id, diffBeforeNodes, diffBeforeEdges, diffBeforeRenderCache.edgeElementsByNodeId);
     openDetail(node);
   }
 
@@ -1924,7 +2282,7 @@
 
     if (groupNode?.id) {
       selectedNodeId = groupNode.id;
-      selectNode(groupNode.id, nodesLayer, edgesSvg, renderCache?.edgeElementsByNodeId);
+      selectMainNode(groupNode.id);
     }
     openDetail(target, sourceGraph);
   }
@@ -2055,12 +2413,13 @@
     if (!pos) return false;
     const cx = pos.x + pos.w / 2;
     const cy = pos.y + pos.h / 2;
-    tx = viewport.clientWidth / 2 - cx * scale;
+    const inset = graphViewportInset();
+    tx = inset + (viewport.clientWidth - inset) / 2 - cx * scale;
     ty = viewport.clientHeight / 2 - cy * scale;
     applyTransform(true);
     renderViewportGraph({ force: true });
     selectedNodeId = node.id;
-    selectNode(node.id, nodesLayer, edgesSvg, renderCache?.edgeElementsByNodeId);
+    selectMainNode(node.id);
     if (openDetailPanel) openDetail(node);
     return true;
   }
@@ -2210,9 +2569,11 @@
     detailBadge.textContent = node.type.toUpperCase();
     detailBadge.dataset.kind = ts;
     detailName.textContent = node.label;
-    detailBody.innerHTML   = buildDetailContent(node, detailModel, detailIndex);
+    detailBody.innerHTML   = diffDetailSection(node) + criticalDetailSection(node) + calleeDetailSection(node) + lineageDetailSection(node) + buildDetailContent(node, detailModel, detailIndex);
     detailSourceNodeId = resolveSourceNodeId(node, detailModel);
 
+    detailBody.querySelector('[data-open-callee]')?.addEventListener('click', () => drillIntoCallee(node));
+    bindLineageSection(node, detailModel);
     detailBody.querySelectorAll('[data-nav]').forEach(chip => {
       chip.addEventListener('click', () => {
         const navId = chip.dataset.nav;
@@ -2242,12 +2603,1175 @@
     detailPanel.style.top = '';
     syncDetailLockButton();
   }
-  detailClose.addEventListener('click', () => { closeDetail(); selectNode(null, nodesLayer, edgesSvg, renderCache?.edgeElementsByNodeId); selectedNodeId = null; });
+  detailClose.addEventListener('click', () => { closeDetail(); selectMainNode(null); selectedNodeId = null; });
 
   function navigateToNode(node) {
     centerOnActiveNode(node, { openDetailPanel: true });
   }
 
+  // ── Critical path ──────────────────────────────────────────────
+  // 'critical' color mode: longest latency-weighted incast → outcast path of the active
+  // graph in red, every other op shaded by slack, top contributors listed in the legend.
+  function getCriticalPath(graphModel) {
+    if (!window.PtoCriticalPath || !graphModel) return null;
+    if (criticalPathGraph !== graphModel) {
+      // Group members run side by side, so a group costs its slowest member.
+      const weightOf = node => (node.type === 'group' ? node.data?.latencyMax ?? null : latencyValueForNode(node));
+      criticalPath = window.PtoCriticalPath.computeCriticalPath(graphModel, { weightOf });
+      criticalPathGraph = graphModel;
+    }
+    return criticalPath;
+  }
+
+  function applyCriticalPathClasses(cache, graphModel) {
+    if (!cache || !graphModel) return;
+    const active = getActiveColorMode() === 'critical' && criticalPathGraph === graph ? criticalPath : null;
+    cache.nodeElementsById?.forEach((el, nodeId) => el.classList.toggle('crit-path', !!active?.pathIds.has(nodeId)));
+    cache.edgeElementsById?.forEach((els, key) => {
+      const onPath = !!active?.edgeKeys.has(key);
+      els.forEach(el => el.classList.toggle('edge-crit', onPath));
+    });
+  }
+
+  function criticalDetailSection(node) {
+    if (getActiveColorMode() !== 'critical' || criticalPathGraph !== graph || !criticalPath?.length) return '';
+    const timing = criticalPath.timing.get(node?.id);
+    if (!timing) return '';
+    const rows = [
+      ['on path', criticalPath.pathIds.has(node.id) ? 'yes' : 'no'],
+      ['start', formatCycles(timing.start)],
+      ['finish', formatCycles(timing.finish)],
+      ['slack', formatCycles(timing.slack)],
+    ];
+    if (criticalPath.pathIds.has(node.id) && timing.weight > 0) {
+      rows.push(['share', `${(timing.weight / criticalPath.length * 100).toFixed(1)}%`]);
+    }
+    return detailSection('Critical Path', rows);
+  }
+
+  function renderCriticalPathLegend(legendEl) {
+    const api = window.PtoCriticalPath;
+    const analysis = criticalPathGraph === graph ? criticalPath : null;
+    if (!api || !analysis?.length) {
+      legendEl.innerHTML = '<span class="mode-panel-legend-item"><span class="mode-panel-legend-label">No latency on this graph</span></span>';
+      return;
+    }
+    const pathOps = analysis.path.filter(id => {
+      const type = activeGraphIndex?.nodeById.get(id)?.type;
+      return type === 'op' || type === 'group';
+    }).length;
+    const notes = [];
+    if (analysis.missingLatency) notes.push(`${analysis.missingLatency} ops without latency count as 0`);
+    if (analysis.skipped) notes.push(`${analysis.skipped} nodes on cycles skipped`);
+    const top = api.topContributors(graph, analysis, CRITICAL_TOP_N);
+    legendEl.innerHTML = `
+      <span class="mode-panel-legend-item">
+        <span class="mode-panel-legend-dot" style="background:${api.CRITICAL_COLOR}"></span>
+        <span class="mode-panel-legend-label">Critical path</span>
+        <span class="mode-panel-legend-count">(${pathOps} ops · ${formatCycles(analysis.length)})</span>
+      </span>
+      <span class="mode-panel-legend-item" style="display:block;">
+        <span class="legend-gradient" style="display:block; max-width:none; background:linear-gradient(90deg, ${api.SLACK_NEAR_COLOR}, ${api.SLACK_FAR_COLOR});"></span>
+        <span class="legend-scale" style="display:flex; justify-content:space-between; margin-top:4px; font-size:9px; color:var(--foreground-muted);">
+          <span>slack 0</span><span>${formatCycles(analysis.maxSlack) || '0 cy'}</span>
+        </span>
+      </span>
+      ${notes.length ? `<span class="crit-note">${escHtml(notes.join(' · '))}</span>` : ''}
+      <div class="crit-top">
+        <div class="crit-top-title">Top ${top.length} ops by contribution</div>
+        ${top.map(({ node, cycles, share }) => `
+          <button class="btn btn-ghost crit-top-item" data-crit-node="${escHtml(node.id)}" type="button" title="${escHtml(node.label)}">
+            <span class="crit-top-label">${escHtml(node.label)}${node.data?.magic != null ? ` #${escHtml(String(node.data.magic))}` : ''}</span>
+            <span class="crit-top-cycles">${formatCycles(cycles)}</span>
+            <span class="crit-top-share">${(share * 100).toFixed(1)}%</span>
+          </button>`).join('')}
+      </div>`;
+    legendEl.querySelectorAll('[data-crit-node]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const target = activeGraphIndex?.nodeById.get(btn.dataset.critNode);
+        if (target) navigateToNode(target);
+      });
+    });
+  }
+
+  // ── Memory pressure ────────────────────────────────────────────
+  // 'memory' color mode: tensors colored by level, plus a strip of live bytes per layout
+  // layer (memory_pressure.js). Clicking a layer highlights the tensors live there.
+  function memoryStripActive() {
+    return colorMode === 'memory' && !!window.PtoMemoryPressure && !!graph && !!layout;
+  }
+
+  function readMemoryStripTheme() {
+    const css = getComputedStyle(memStrip);
+    const v = (name, fallback) => css.getPropertyValue(name).trim() || fallback;
+    return { danger: v('--danger', '#E8453C'), warning: v('--warning', '#F5A623'), foreground: v('--foreground', '#FFFFFF') };
+  }
+
+  function setMemoryStep(step) {
+    memoryStep = step;
+    const api = window.PtoMemoryPressure;
+    memoryHighlightIds = new Set(step == null || !memoryPressure
+      ? []
+      : api.liveTensorsAt(memoryPressure, step, memoryLevel).filter(id => activeGraphIndex?.nodeById.has(id)));
+    applySearchHighlightClasses();
+    updateMemoryStripReadout();
+    scheduleMemoryStripDraw();
+  }
+
+  function updateMemoryStripReadout() {
+    if (!memStripReadout || !memoryPressure) return;
+    const api = window.PtoMemoryPressure;
+    const capacity = api.MEMORY_LEVEL_CAPACITY[memoryLevel];
+    const capText = (bytes) => capacity ? `${api.formatBytes(bytes)} / ${api.formatBytes(capacity)}` : api.formatBytes(bytes);
+    const peak = memoryPressure.peaks[memoryLevel];
+    const parts = [];
+    if (memoryStep != null) {
+      const bytes = memoryPressure.steps[memoryStep]?.bytes[memoryLevel] || 0;
+      parts.push(`L${memoryStep} · ${capText(bytes)} · ${memoryHighlightIds.size} live`);
+    } else if (peak) {
+      parts.push(`peak ${capText(peak.bytes)} @ L${peak.step}`);
+    } else {
+      parts.push(`no ${memoryLevel} tensors`);
+    }
+    if (peak && capacity && peak.bytes > capacity) parts.push('over capacity');
+    if (memoryPressure.unsizedCount) parts.push(`${memoryPressure.unsizedCount} unsized`);
+    if (isGroupMode() && !isLockedFlowMode()) parts.push('聚合视图下组内 tensor 不计入');
+    memStripReadout.textContent = parts.join(' · ');
+    memStripReadout.classList.toggle('is-over', !!(peak && capacity && peak.bytes > capacity));
+    if (memStripPeakBtn) memStripPeakBtn.disabled = !peak;
+  }
+
+  function renderMemoryLevelChips() {
+    if (!memStripLevels) return;
+    const api = window.PtoMemoryPressure;
+    memStripLevels.innerHTML = api.MEMORY_LEVELS.map(level => {
+      const available = !!memoryPressure?.peaks[level];
+      return `<button class="btn btn-ghost mem-strip-level${level === memoryLevel ? ' is-active' : ''}" data-mem-level="${level}" type="button"${available ? '' : ' disabled'}>
+        <span class="mem-strip-level-dot" style="background:${api.MEMORY_LEVEL_COLORS[level]}"></span>${level}
+      </button>`;
+    }).join('');
+  }
+
+  // Recomputes only when the active graph or layout changed; keeps level / step otherwise.
+  function syncMemoryStrip() {
+    if (!memStrip) return;
+    const active = memoryStripActive();
+    memStrip.classList.toggle('is-hidden', !active);
+    if (!active) {
+      memoryPressure = null;
+      memoryPressureKey = null;
+      memoryStep = null;
+      if (memoryHighlightIds.size) {
+        memoryHighlightIds = new Set();
+        applySearchHighlightClasses();
+      }
+      return;
+    }
+    if (memoryPressureKey?.graph !== graph || memoryPressureKey?.layout !== layout) {
+      const api = window.PtoMemoryPressure;
+      memoryPressure = api.computeMemoryPressure(graph, layout);
+      memoryPressureKey = { graph, layout };
+      if (!memoryLevel || !memoryPressure.peaks[memoryLevel]) memoryLevel = api.pickDefaultLevel(memoryPressure);
+      memoryStep = null;
+      memoryHighlightIds = new Set();
+    }
+    renderMemoryLevelChips();
+    updateMemoryStripReadout();
+    scheduleMemoryStripDraw();
+  }
+
+  function drawMemoryStrip() {
+    if (!memoryPressure || !memStripCanvas || memStrip.classList.contains('is-hidden')) return;
+    window.PtoMemoryPressure.drawPressureStrip(memStripCanvas, memoryPressure, {
+      level: memoryLevel,
+      tx,
+      scale,
+      offsetX: memStripCanvas.getBoundingClientRect().left - viewport.getBoundingClientRect().left,
+      selectedStep: memoryStep,
+      theme: readMemoryStripTheme(),
+    });
+  }
+
+  function scheduleMemoryStripDraw() {
+    if (memoryStripRaf || !memoryPressure) return;
+    memoryStripRaf = requestAnimationFrame(() => {
+      memoryStripRaf = 0;
+      drawMemoryStrip();
+    });
+  }
+
+  // Pan (keeping the zoom) so layer `step` sits in the middle of the viewport.
+  function centerOnMemoryStep(step) {
+    const target = memoryPressure?.steps[step];
+    if (!target) return;
+    const inset = graphViewportInset();
+    tx = inset + (viewport.clientWidth - inset) / 2 - (target.x0 + target.x1) / 2 * scale;
+    applyTransform(true);
+  }
+
+  memStrip?.addEventListener('mousedown', (e) => e.stopPropagation());
+  memStrip?.addEventListener('click', (e) => e.stopPropagation());
+
+  memStripLevels?.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-mem-level]');
+    if (!btn || btn.disabled) return;
+    memoryLevel = btn.dataset.memLevel;
+    renderMemoryLevelChips();
+    setMemoryStep(null);
+  });
+
+  memStripCanvas?.addEventListener('click', (e) => {
+    if (!memoryPressure) return;
+    const rect = memStripCanvas.getBoundingClientRect();
+    const step = window.PtoMemoryPressure.stepAtStripX(memoryPressure, e.clientX - rect.left, {
+      tx,
+      scale,
+      offsetX: rect.left - viewport.getBoundingClientRect().left,
+    });
+    setMemoryStep(step === memoryStep ? null : step);
+  });
+
+  memStripPeakBtn?.addEventListener('click', () => {
+    const peak = memoryPressure?.peaks[memoryLevel];
+    if (!peak) return;
+    setMemoryStep(peak.step);
+    centerOnMemoryStep(peak.step);
+  });
+
+  // ── Export ─────────────────────────────────────────────────────
+  // Exports the active graph (grouped view / locked flow / diff overlay included)
+  // with the current color map and the legend from updateLegend().
+  let exportVisibleOnly = false;
+
+  function collectLegendEntries() {
+    const legendEl = document.getElementById('legend');
+    if (!legendEl) return [];
+    return [...legendEl.querySelectorAll('.mode-panel-legend-item')].map(item => {
+      const gradientEl = item.querySelector('.legend-gradient');
+      if (gradientEl) {
+        const stops = getComputedStyle(gradientEl).backgroundImage.match(/rgba?\([^)]*\)|#[0-9a-f]{3,8}/gi) || [];
+        const [min, max] = [...item.querySelectorAll('.legend-scale span')].map(el => el.textContent.trim());
+        return { gradient: stops, min, max };
+      }
+      const dot = item.querySelector('.mode-panel-legend-dot');
+      const label = item.querySelector('.mode-panel-legend-label')?.textContent.trim() || item.textContent.trim();
+      return {
+        color: dot ? getComputedStyle(dot).backgroundColor : null,
+        label,
+        count: item.querySelector('.mode-panel-legend-count')?.textContent.trim() || '',
+      };
+    }).filter(entry => entry.gradient?.length || entry.label);
+  }
+
+  function exportSubtitle() {
+    const mode = getActiveColorMode();
+    const modeLabel = document.querySelector(`.cp-btn[data-mode="${mode}"] .cp-btn-label`)?.textContent.trim() || mode;
+    const parts = [`${graph.nodes.length} nodes · ${graph.edges.length} edges`, `color: ${modeLabel}`];
+    if (isLockedFlowMode()) parts.push(`locked flow: ${lockedFlowState.anchorLabel || lockedFlowState.anchorSourceNodeId}`);
+    else if (isGroupMode() && groupedGraph) parts.push('grouped');
+    if (diffState) parts.push(`diff ${diffState.mode}: ${diffState.before.name} → ${diffState.after.name}`);
+    if (exportVisibleOnly) parts.push('visible area');
+    parts.push(new Date().toLocaleString());
+    return parts.join(' · ');
+  }
+
+  function exportCurrentView(format) {
+    const api = window.PtoGraphExport;
+    if (!api || !graph || !layout) return;
+    const title = graphTitle?.textContent || sourceGraph?.meta?.name || 'graph';
+    const theme = api.readExportTheme(viewport);
+    const { svg, width, height } = api.buildGraphSvg(graph, layout, {
+      colorMap,
+      compact: !!layout.compact,
+      title,
+      subtitle: exportSubtitle(),
+      legend: collectLegendEntries(),
+      edgeColorFor: activeEdgeColorFn(),
+      crop: exportVisibleOnly ? getViewportGraphRect() : null,
+      theme,
+    });
+    const baseName = api.exportFileBaseName(title);
+    if (format === 'svg') {
+      api.downloadBlob(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }), `${baseName}.svg`);
+    } else if (format === 'html') {
+      const html = api.buildStandaloneHtml(svg, { title, background: theme.background });
+      api.downloadBlob(new Blob([html], { type: 'text/html;charset=utf-8' }), `${baseName}.html`);
+    } else if (format === 'png') {
+      api.svgToPngBlob(svg, width, height, Math.max(2, window.devicePixelRatio || 1))
+        .then(blob => api.downloadBlob(blob, `${baseName}.png`))
+        .catch(err => {
+          console.error('PNG export failed:', err);
+          alert(`PNG export failed: ${err.message}`);
+        });
+    }
+  }
+
+  exportBtn?.addEventListener('click', (e) => {
+    e.stopPropagation();
+    exportMenu?.classList.toggle('open');
+  });
+
+  exportMenu?.querySelectorAll('.graph-menu-item[data-export]').forEach(item => {
+    item.addEventListener('click', () => {
+      exportMenu.classList.remove('open');
+      exportCurrentView(item.dataset.export);
+    });
+  });
+
+  exportScopeBtn?.addEventListener('click', (e) => {
+    e.stopPropagation();
+    exportVisibleOnly = !exportVisibleOnly;
+    exportScopeBtn.setAttribute('aria-pressed', exportVisibleOnly ? 'true' : 'false');
+  });
+
+  // ── Deep links ─────────────────────────────────────────────────
+  // The location hash mirrors the viewer state so a URL reopens the same view:
+  //   #file=<ref>&pass=<dir>&path=<id>&snap=<key>&fn=<funcIndex>&color=<mode>
+  //    &view=<mode>&flow=<nodeId>&node=<nodeId>&z=<scale>&c=<cx>,<cy>
+  // c is the graph-space point at the viewport centre, so links survive window resizes.
+  function parseDeepLink(hash) {
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    if (!DEEP_LINK_KEYS.some(key => params.has(key))) return null;
+    const num = (key) => {
+      const value = params.get(key);
+      return value != null && value !== '' && Number.isFinite(Number(value)) ? Number(value) : null;
+    };
+    const center = (params.get('c') || '').split(',').map(Number);
+    return {
+      file: params.get('file') || null,
+      pass: params.get('pass') || null,
+      path: params.get('path') || null,
+      snap: params.get('snap') || null,
+      fn: num('fn'),
+      color: params.get('color') || null,
+      view: params.get('view') || null,
+      flow: params.get('flow') || null,
+      node: params.get('node') || null,
+      scale: num('z'),
+      center: center.length === 2 && center.every(Number.isFinite) ? { x: center[0], y: center[1] } : null,
+    };
+  }
+
+  // Source-graph id of the node the user is looking at (detail panel first, then selection).
+  function deepLinkNodeId() {
+    if (detailSourceNodeId) return detailSourceNodeId;
+    if (!selectedNodeId) return null;
+    return (sourceGraphIndex || getGraphIndex(sourceGraph))?.nodeById.has(selectedNodeId) ? selectedNodeId : null;
+  }
+
+  function buildDeepLinkHash() {
+    const params = new URLSearchParams();
+    const source = currentGraphSource || {};
+    if (source.fileRef) params.set('file', source.fileRef);
+    const navSelection = source.viaNav ? window.navCurrentSelection?.() : source.navSelection;
+    if (navSelection?.pass) {
+      params.set('pass', navSelection.pass);
+      if (navSelection.path) params.set('path', navSelection.path);
+      if (navSelection.snap && navSelection.snap !== 'main') params.set('snap', navSelection.snap);
+    }
+    if (functionNav) params.set('fn', String(functionNav.stack[functionNav.stack.length - 1].index));
+    if (colorMode !== DEFAULT_COLOR_MODE && colorMode !== 'diff') params.set('color', colorMode);
+    if (viewMode !== DEFAULT_VIEW_MODE) params.set('view', viewMode);
+    if (isLockedFlowMode()) params.set('flow', lockedFlowState.anchorSourceNodeId);
+    const nodeId = deepLinkNodeId();
+    if (nodeId) params.set('node', nodeId);
+    if (layout) {
+      const rect = getViewportGraphRect();
+      params.set('z', String(Number(scale.toFixed(4))));
+      params.set('c', `${Math.round(rect.left + rect.width / 2)},${Math.round(rect.top + rect.height / 2)}`);
+    }
+    return params.toString();
+  }
+
+  function writeDeepLink() {
+    clearTimeout(deepLinkTimer);
+    deepLinkTimer = 0;
+    if (pendingDeepLink || !sourceGraph || diffState) return;
+    const hash = buildDeepLinkHash();
+    lastWrittenDeepLink = hash;
+    if (location.hash.replace(/^#/, '') === hash) return;
+    try {
+      history.replaceState(history.state, '', `${location.pathname}${location.search}#${hash}`);
+    } catch (_) { /* sandboxed iframes may refuse history updates */ }
+  }
+
+  // Pan / zoom fire continuously; the hash is rewritten once things settle.
+  function scheduleDeepLinkUpdate() {
+    if (pendingDeepLink || !sourceGraph) return;
+    clearTimeout(deepLinkTimer);
+    deepLinkTimer = setTimeout(writeDeepLink, DEEP_LINK_WRITE_DELAY_MS);
+  }
+
+  function presetDeepLinkModes(link) {
+    if (link.color && document.querySelector(`.cp-btn[data-mode="${link.color}"]`)) {
+      colorMode = link.color;
+      syncColorButtons();
+    }
+    if (link.view && document.querySelector(`.cp-btn[data-view-mode="${link.view}"]`)) {
+      viewMode = link.view;
+      syncViewButtons();
+    }
+  }
+
+  function isFetchableFileRef(fileRef) {
+    return !!fileRef && !String(fileRef).startsWith('local::');
+  }
+
+  // Starts whatever load the link needs. Returns false when it names nothing loadable,
+  // in which case the view is applied to the next graph the page loads on its own.
+  function restoreDeepLink(link) {
+    pendingDeepLink = link;
+    presetDeepLinkModes(link);
+    const fetchable = isFetchableFileRef(link.file);
+    // A link that fetches its own file also holds back the navigator's default-pass load.
+    if (link.pass || fetchable) {
+      const selection = { pass: link.pass, path: link.path, snap: link.snap, load: !fetchable };
+      // nav.js runs after this script: until it registers, leave the selection where it looks on init.
+      if (window.navRestoreSelection) window.navRestoreSelection(selection);
+      else window.PTO_NAV_PENDING_RESTORE = selection;
+    }
+    if (!fetchable) return !!link.pass;
+    const navSelection = link.pass ? { pass: link.pass, path: link.path, snap: link.snap } : null;
+    xhrLoadGraphInput(link.file)
+      .then(data => loadGraphData(data, graphFileNameOf(link.file), { fileRef: link.file, navSelection }))
+      .catch(err => {
+        pendingDeepLink = null;
+        alert(`Failed to load linked file:\n${link.file}\n${err?.message || err}`);
+      });
+    return true;
+  }
+
+  // Called after every loadGraphData(). Applies the pending link when this is the load it
+  // asked for; any other load (a sample, a dropped file) means the user moved on.
+  function settlePendingDeepLink(fileRef, viaNav) {
+    const link = pendingDeepLink;
+    if (!link) return;
+    pendingDeepLink = null;
+    const matches = !link.file
+      || link.file === fileRef
+      || (!!link.pass && viaNav && !isFetchableFileRef(link.file));
+    if (matches) applyDeepLinkView(link);
+    else scheduleDeepLinkUpdate();
+  }
+
+  function applyDeepLinkView(link) {
+    if (!sourceGraph) return;
+    const currentFn = functionNav?.stack[functionNav.stack.length - 1].index;
+    if (link.fn != null && functionNav?.functions[link.fn] && link.fn !== currentFn) {
+      showFunctionStack(functionPathTo(link.fn))
+        .then(installed => {
+          if (installed) applyDeepLinkView({ ...link, fn: null });
+        })
+        .catch(err => reportLoadFailure(functionName(link.fn), err));
+      return;
+    }
+    if (link.color && link.color !== colorMode) {
+      const btn = document.querySelector(`.cp-btn[data-mode="${link.color}"]`);
+      if (btn && !btn.disabled && !btn.classList.contains('is-hidden')) setColorMode(link.color);
+    }
+    if (link.view && link.view !== viewMode) setViewMode(link.view);
+    const index = sourceGraphIndex || getGraphIndex(sourceGraph);
+    if (link.flow && index?.nodeById.has(link.flow) && lockedFlowState?.anchorSourceNodeId !== link.flow) {
+      lockComputeFlow(link.flow);
+    }
+
+    const hasTransform = link.scale != null && link.center && layout;
+    if (hasTransform) {
+      scale = Math.max(SCALE_MIN, Math.min(SCALE_MAX, link.scale));
+      const inset = graphViewportInset();
+      tx = inset + (viewport.clientWidth - inset) / 2 - link.center.x * scale;
+      ty = viewport.clientHeight / 2 - link.center.y * scale;
+      applyTransform(false);
+      renderViewportGraph({ force: true });
+    }
+
+    const sourceNode = link.node ? index?.nodeById.get(link.node) : null;
+    const target = sourceNode ? resolveActiveSearchNode(sourceNode) : null;
+    if (target && !hasTransform) {
+      centerOnActiveNode(target);
+    } else if (target) {
+      selectedNodeId = target.id;
+      selectMainNode(target.id);
+    }
+    if (sourceNode) openDetail(sourceNode, sourceGraph);
+    writeDeepLink();
+  }
+
+  // Back / forward or a pasted link in the same tab.
+  window.addEventListener('hashchange', () => {
+    const hash = location.hash.replace(/^#/, '');
+    if (hash === lastWrittenDeepLink) return;
+    const link = parseDeepLink(hash);
+    if (!link) return;
+    const sameFile = !link.file || link.file === currentGraphSource?.fileRef;
+    if (sameFile && sourceGraph) {
+      if (link.pass) window.navRestoreSelection?.({ pass: link.pass, path: link.path, snap: link.snap, load: false });
+      if (link.pass && currentGraphSource && !currentGraphSource.viaNav) {
+        currentGraphSource.navSelection = { pass: link.pass, path: link.path, snap: link.snap };
+      }
+      applyDeepLinkView(link);
+    } else {
+      restoreDeepLink(link);
+    }
+  });
+
+  function copyDeepLink() {
+    writeDeepLink();
+    const done = () => {
+      if (!copyLinkBtn) return;
+      const label = copyLinkBtn.textContent;
+      copyLinkBtn.textContent = 'Link copied';
+      setTimeout(() => { copyLinkBtn.textContent = label; }, 1200);
+    };
+    if (navigator.clipboard?.writeText) {
+      navigator.clipboard.writeText(location.href).then(done).catch(() => prompt('Copy link', location.href));
+    } else {
+      prompt('Copy link', location.href);
+    }
+  }
+
+  copyLinkBtn?.addEventListener('click', (e) => {
+    e.stopPropagation();
+    copyDeepLink();
+  });
+
+  // ── Node lineage ───────────────────────────────────────────────
+  // Follows the selected node through every pass of the current nav path. Building reads
+  // each dump once, so it only starts on request and is kept per path / snapshot.
+  function lineageContext() {
+    const navIndex = window.PtoPassIrNav?.getIndex?.();
+    const selection = currentGraphSource?.viaNav ? window.navCurrentSelection?.() : null;
+    if (!window.PtoNodeLineage || !window.PtoPassCausePairs || !navIndex?.passes?.length || !selection) return null;
+    if (functionNav && functionNav.stack[functionNav.stack.length - 1].index !== 0) return null;
+    const pass = navIndex.passes.find(p => (p.dir || String(p.pass_index)) === selection.pass);
+    if (!pass) return null;
+    return {
+      navIndex,
+      pathId: selection.path,
+      snap: selection.snap || 'main',
+      passIndex: pass.pass_index,
+      key: `${selection.path}::${selection.snap || 'main'}`,
+    };
+  }
+
+  function currentLineageState(ctx) {
+    return lineageState && ctx && lineageState.key === ctx.key && lineageState.navIndex === ctx.navIndex
+      ? lineageState
+      : null;
+  }
+
+  function lineageRowNote(row) {
+    if (row.fields?.length) {
+      const rewrite = row.fromLabel && row.fromLabel !== row.label ? `${row.fromLabel} → ${row.label} · ` : '';
+      return `${rewrite}${row.fields.join(', ')}`;
+    }
+    if (row.fromMagic != null) return `from #${row.fromMagic}`;
+    if (row.toMagic != null) return `to #${row.toMagic}`;
+    if (row.related?.length) return `replaces ${row.related.join(', ')}`;
+    return '';
+  }
+
+  function lineageDetailSection(node) {
+    if (!['op', 'tensor', 'incast', 'outcast'].includes(node?.type)) return '';
+    const ctx = lineageContext();
+    if (!ctx) return '';
+    const state = currentLineageState(ctx);
+    const title = '<div class="detail-section-title">Lineage</div>';
+    if (!state?.index) {
+      const status = state?.error
+        ? `Failed: ${state.error}`
+        : state ? `Reading passes… ${state.progress.done}/${state.progress.total}` : '';
+      return `<div class="detail-section">${title}
+        <button class="btn detail-lineage-btn" data-trace-lineage type="button" ${state && !state.error ? 'disabled' : ''}>追踪血缘（读取本路径全部 Pass）</button>
+        <div class="lineage-status" data-lineage-status>${escHtml(status)}</div>
+      </div>`;
+    }
+    const trace = window.PtoNodeLineage.traceNode(state.index, node.id, { passIndex: ctx.passIndex });
+    if (!trace?.rows.length) {
+      return `<div class="detail-section">${title}<div class="lineage-status">Not found in the traced passes</div></div>`;
+    }
+    const rows = trace.rows.map((row, i) => {
+      const note = lineageRowNote(row);
+      const current = row.passIndex === ctx.passIndex;
+      return `<li class="lineage-event${row.inherited ? ' is-inherited' : ''}${current ? ' is-current' : ''}" data-type="${escHtml(row.type)}">
+          <button class="lineage-jump" data-lineage-row="${i}" type="button" title="Open ${escHtml(row.dir || row.passName)}">
+            <span class="lineage-pass">${escHtml(String(row.passIndex).padStart(2, '0'))} ${escHtml(row.passName)}</span>
+            <span class="lineage-type">${escHtml(window.PtoNodeLineage.eventLabel(row.type))}</span>
+            <span class="lineage-node">${escHtml(row.label)} #${escHtml(row.magic)}</span>
+            ${note ? `<span class="lineage-note">${escHtml(note)}</span>` : ''}
+          </button>
+        </li>`;
+    }).join('');
+    const skipped = state.index.skipped.length ? `<div class="lineage-status">${state.index.skipped.length} passes skipped (not PyPTO dumps)</div>` : '';
+    return `<div class="detail-section">${title}<ol class="lineage-timeline">${rows}</ol>${skipped}</div>`;
+  }
+
+  function bindLineageSection(node, graphModel) {
+    detailBody.querySelector('[data-trace-lineage]')?.addEventListener('click', () => traceLineage(node, graphModel));
+    const ctx = lineageContext();
+    const state = currentLineageState(ctx);
+    if (!state?.index) return;
+    const trace = window.PtoNodeLineage.traceNode(state.index, node.id, { passIndex: ctx.passIndex });
+    detailBody.querySelectorAll('[data-lineage-row]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const row = trace?.rows[Number(btn.dataset.lineageRow)];
+        const target = row ? window.PtoNodeLineage.jumpTarget(state.index, row) : null;
+        if (!target) return;
+        restoreDeepLink({
+          file: null,
+          pass: target.dir || String(target.passIndex),
+          path: state.index.pathId,
+          snap: ctx.snap,
+          node: target.nodeId,
+        });
+      });
+    });
+  }
+
+  function traceLineage(node, graphModel) {
+    const ctx = lineageContext();
+    if (!ctx || currentLineageState(ctx)?.index) return;
+    const state = { key: ctx.key, navIndex: ctx.navIndex, index: null, progress: { done: 0, total: 0 }, error: null };
+    lineageState = state;
+    const refresh = () => {
+      if (lineageState !== state || detailSourceNodeId !== node.id) return;
+      openDetail(node, graphModel);
+    };
+    refresh();
+    const pairs = window.PtoPassCausePairs.buildPairsFromNavIndex(ctx.navIndex);
+    window.PtoNodeLineage.buildLineageIndex(pairs, {
+      pathId: ctx.pathId,
+      snapshotKey: ctx.snap,
+      readJson: readFileRefJson,
+      onProgress: (progress) => {
+        state.progress = progress;
+        const status = detailBody.querySelector('[data-lineage-status]');
+        if (status && lineageState === state) status.textContent = `Reading passes… ${progress.done}/${progress.total}`;
+      },
+    }).then(index => {
+      state.index = index;
+      refresh();
+    }).catch(err => {
+      console.error('Lineage: build failed', err);
+      state.error = err?.message || String(err);
+      refresh();
+    });
+  }
+
+  // ── Function navigation ────────────────────────────────────────
+  // Multi-function PyPTO dumps: picker over every function plus a breadcrumb
+  // of CALL drill-downs. Each frame re-parses lastLoadedGraph with { funcIndex }.
+  function functionName(index) {
+    return functionNav?.functions[index]?.name ?? `function ${index}`;
+  }
+
+  function functionCallSummary(fn) {
+    const names = (list, key) => [...new Set(list.map(entry => entry[key]).filter(i => i != null))].map(functionName);
+    const parts = [];
+    const callees = names(fn.calls, 'calleeIndex');
+    const callers = names(fn.callers, 'callerIndex');
+    const unresolved = fn.calls.filter(call => call.calleeIndex == null).length;
+    if (callees.length) parts.push(`calls ${callees.join(', ')}`);
+    if (unresolved) parts.push(`${unresolved} external call${unresolved > 1 ? 's' : ''}`);
+    if (callers.length) parts.push(`called by ${callers.join(', ')}`);
+    return parts.join(' · ');
+  }
+
+  // Breadcrumb path from a caller-less ancestor down to `index`, following the first caller.
+  function functionPathTo(index) {
+    const path = [{ index, viaOpMagic: null }];
+    const seen = new Set([index]);
+    let fn = functionNav.functions[index];
+    while (fn?.callers.length && !seen.has(fn.callers[0].callerIndex)) {
+      const { callerIndex, opMagic } = fn.callers[0];
+      path[0].viaOpMagic = opMagic;
+      path.unshift({ index: callerIndex, viaOpMagic: null });
+      seen.add(callerIndex);
+      fn = functionNav.functions[callerIndex];
+    }
+    return path;
+  }
+
+  function syncFunctionNav() {
+    const active = !!functionNav && !diffState;
+    funcPicker?.classList.toggle('is-hidden', !active);
+    funcCrumbs?.classList.toggle('is-hidden', !active || functionNav.stack.length < 2);
+    if (!active) {
+      funcMenu?.classList.remove('open');
+      return;
+    }
+    const stack = functionNav.stack;
+    const current = stack[stack.length - 1].index;
+    if (funcCrumbs) {
+      funcCrumbs.innerHTML = stack.slice(0, -1).map((frame, depth) =>
+        `<button class="func-crumb" data-func-depth="${depth}" type="button" title="返回 ${escHtml(functionName(frame.index))}">${escHtml(functionName(frame.index))}</button><span aria-hidden="true">›</span>`
+      ).join('');
+    }
+    if (funcPickerBtn) funcPickerBtn.textContent = `${current + 1} / ${functionNav.functions.length} functions ▾`;
+    if (funcMenu) {
+      funcMenu.innerHTML = functionNav.functions.map(fn => {
+        const calls = functionCallSummary(fn);
+        return `<button class="func-menu-item${fn.index === current ? ' is-active' : ''}" data-func-index="${fn.index}" type="button" role="option">
+          <span class="func-menu-name">${escHtml(fn.name)}</span>
+          <span class="func-menu-meta">${fn.opCount} ops · ${fn.tensorCount} tensors · ${fn.incastCount} in / ${fn.outcastCount} out</span>
+          ${calls ? `<span class="func-menu-calls">${escHtml(calls)}</span>` : ''}
+        </button>`;
+      }).join('');
+    }
+  }
+
+  function showFunctionStack(stack, { focusOpMagic = null } = {}) {
+    if (!functionNav || !lastLoadedGraph) return Promise.resolve(false);
+    const graphModel = parseGraph(lastLoadedGraph.data, lastLoadedGraph.name, { funcIndex: stack[stack.length - 1].index });
+    return installSourceGraph(graphModel, {
+      beforeCommit: () => {
+        functionNav.stack = stack;
+        if (lockedFlowState) {
+          lockedFlowState = null;
+          flowPanel?.classList.remove('open');
+        }
+        syncFunctionNav();
+      },
+    }).then(installed => {
+      if (!installed || focusOpMagic == null) return installed;
+      const callOp = sourceGraph.nodes.find(node => node.type === 'op' && node.data?.magic === focusOpMagic);
+      const target = callOp ? resolveActiveSearchNode(callOp) : null;
+      if (target) centerOnActiveNode(target, { openDetailPanel: false });
+      return installed;
+    });
+  }
+
+  function drillIntoCallee(node) {
+    const calleeIndex = node?.data?.calleeIndex;
+    if (!functionNav || calleeIndex == null) return;
+    showFunctionStack([...functionNav.stack, { index: calleeIndex, viaOpMagic: node.data.magic }])
+      .catch(err => reportLoadFailure(functionName(calleeIndex), err));
+  }
+
+  // Go back up to stack[depth], re-centering on the CALL op we drilled through.
+  function openFunctionDepth(depth) {
+    if (!functionNav || depth < 0 || depth >= functionNav.stack.length - 1) return;
+    const via = functionNav.stack[depth + 1].viaOpMagic;
+    const index = functionNav.stack[depth].index;
+    showFunctionStack(functionNav.stack.slice(0, depth + 1), { focusOpMagic: via })
+      .catch(err => reportLoadFailure(functionName(index), err));
+  }
+
+  function calleeDetailSection(node) {
+    const d = node?.data;
+    if (node?.type !== 'op' || d?.calleeHash == null) return '';
+    const resolved = d.calleeIndex != null && !!functionNav;
+    const fn = resolved ? functionNav.functions[d.calleeIndex] : null;
+    const rows = [
+      ['callee', fn ? fn.name : '不在本 dump 中'],
+      ['hash', d.calleeHash],
+      ...(fn ? [['size', `${fn.opCount} ops · ${fn.tensorCount} tensors`]] : []),
+    ];
+    const button = resolved
+      ? `<div class="detail-section"><button class="btn detail-callee-btn" data-open-callee type="button">打开被调函数 →（双击节点同效）</button></div>`
+      : '';
+    return detailSection('Call', rows) + button;
+  }
+
+  funcPickerBtn?.addEventListener('click', (e) => {
+    e.stopPropagation();
+    funcMenu?.classList.toggle('open');
+  });
+  funcMenu?.addEventListener('click', (e) => {
+    const item = e.target.closest('[data-func-index]');
+    if (!item || !functionNav) return;
+    funcMenu.classList.remove('open');
+    const index = Number(item.dataset.funcIndex);
+    showFunctionStack(functionPathTo(index)).catch(err => reportLoadFailure(functionName(index), err));
+  });
+  funcCrumbs?.addEventListener('click', (e) => {
+    const crumb = e.target.closest('[data-func-depth]');
+    if (crumb) openFunctionDepth(Number(crumb.dataset.funcDepth));
+  });
+  nodesLayer.addEventListener('dblclick', (e) => {
+    // Group cards list their members; a double-clicked member row resolves to that op.
+    const nodeId = e.target.closest('[data-member-node-id]')?.dataset.memberNodeId
+      || e.target.closest('.node-card[data-node-id]')?.dataset.nodeId;
+    const node = nodeId ? sourceGraphIndex?.nodeById.get(nodeId) : null;
+    if (node?.data?.calleeIndex != null) drillIntoCallee(node);
+  });
+
+  // ── Diff view ──────────────────────────────────────────────────
+  const DIFF_STATUS_CLASSES = ['diff-added', 'diff-removed', 'diff-modified'];
+  const DIFF_EDGE_CLASSES = ['edge-diff-added', 'edge-diff-removed', 'edge-diff-modified'];
+
+  function applyDiffClasses(cache, graphModel) {
+    if (!diffState || !cache || !graphModel) return;
+    cache.nodeElementsById?.forEach((el, nodeId) => {
+      el.classList.remove(...DIFF_STATUS_CLASSES);
+      const status = sourceGraphIndex?.nodeById.get(nodeId)?.data?.diffStatus;
+      if (status && status !== 'same') el.classList.add(`diff-${status}`);
+    });
+    (graphModel.edges || []).forEach(edge => {
+      if (!edge.diffStatus || edge.diffStatus === 'same') return;
+      (cache.edgeElementsById?.get(`${edge.source}->${edge.target}`) || []).forEach(el => {
+        el.classList.remove(...DIFF_EDGE_CLASSES);
+        el.classList.add(`edge-diff-${edge.diffStatus}`);
+      });
+    });
+  }
+
+  function syncDiffPaneTransform(animate = false) {
+    if (!diffBeforeRoot || !isDiffSplitMode()) return;
+    diffBeforeRoot.style.transition = animate ? 'transform 0.22s ease' : '';
+    diffBeforeRoot.style.transform = `translate(${tx - graphViewportInset()}px,${ty}px) scale(${scale})`;
+    if (animate) setTimeout(() => { diffBeforeRoot.style.transition = ''; }, 250);
+  }
+
+  function renderDiffBeforePane() {
+    const showPane = isDiffSplitMode();
+    diffBeforePane?.classList.toggle('is-hidden', !showPane);
+    diffAfterLabel?.classList.toggle('is-hidden', !showPane);
+    if (!showPane || !diffBeforeNodes || !diffBeforeEdges) {
+      diffBeforeRenderCache = null;
+      return;
+    }
+    const beforeView = diffState.model.beforeView;
+    const mode = getActiveColorMode();
+    diffBeforeRenderCache = renderGraph(
+      beforeView, sourceLayout, diffBeforeNodes, diffBeforeEdges, () => {},
+      buildNodeColorMap(mode, beforeView), mode,
+      { compact: !!sourceLayout?.compact, delegateEvents: true }
+    );
+    applyDiffClasses(diffBeforeRenderCache, beforeView);
+    if (selectedNodeId) {
+      selectNode(selectedNodeId, diffBeforeNodes, diffBeforeEdges, diffBeforeRenderCache?.edgeElementsByNodeId);
+    }
+    syncDiffPaneTransform(false);
+  }
+
+  function diffStatChips(stats) {
+    return [
+      `<span class="diff-stat-added">+${stats.addedNodes}</span>`,
+      `<span class="diff-stat-removed">−${stats.removedNodes}</span>`,
+      `<span class="diff-stat-modified">~${stats.modifiedNodes}</span>`,
+      `<span>· edges +${stats.addedEdges} −${stats.removedEdges}${stats.modifiedEdges ? ` ~${stats.modifiedEdges}` : ''}</span>`,
+    ].join('');
+  }
+
+  function syncDiffToolbar() {
+    if (!diffBar) return;
+    diffBar.hidden = !diffState;
+    if (!diffState) return;
+    const { before, after, model, mode } = diffState;
+    diffBarLabel.textContent = `${before.name} → ${after.name}`;
+    diffBarLabel.title = model.renamed
+      ? `${before.name} → ${after.name}（${model.renamed} 个节点按结构签名对齐）`
+      : `${before.name} → ${after.name}`;
+    diffBarStats.innerHTML = diffStatChips(model.stats);
+    diffBar.querySelectorAll('[data-diff-mode]').forEach(btn => {
+      btn.classList.toggle('is-selected', btn.dataset.diffMode === mode);
+    });
+    if (diffBeforeLabel) diffBeforeLabel.textContent = `Before · ${before.name}`;
+    if (diffAfterLabel) diffAfterLabel.textContent = `After · ${after.name}`;
+  }
+
+  function enterDiff(before, after, { mode = diffState?.mode || 'overlay' } = {}) {
+    const api = window.PtoGraphDiffView;
+    if (!api) return;
+    const prevColorMode = diffState ? diffState.prevColorMode : colorMode;
+    const model = api.buildDiffModel(parseGraph(before.data, before.name), parseGraph(after.data, after.name), {
+      name: `${before.name} ⇄ ${after.name}`,
+    });
+    return installSourceGraph(model.mergedGraph, {
+      grouped: false,
+      beforeCommit: () => {
+        if (lockedFlowState) {
+          lockedFlowState = null;
+          flowPanel?.classList.remove('open');
+        }
+        diffState = { model, mode, before, after, prevColorMode };
+        functionNav = null;
+        syncFunctionNav();
+        colorMode = 'diff';
+        syncColorButtons();
+        syncDiffToolbar();
+      },
+    });
+  }
+
+  // Drop diff state without rendering; the caller installs the next graph.
+  function teardownDiffState() {
+    const prevColorMode = diffState?.prevColorMode;
+    diffState = null;
+    diffBeforeRenderCache = null;
+    if (diffBeforeNodes) diffBeforeNodes.innerHTML = '';
+    diffBeforePane?.classList.add('is-hidden');
+    diffAfterLabel?.classList.add('is-hidden');
+    if (colorMode === 'diff') colorMode = prevColorMode && prevColorMode !== 'diff' ? prevColorMode : DEFAULT_COLOR_MODE;
+    syncColorButtons();
+    syncDiffToolbar();
+  }
+
+  function exitDiff() {
+    if (!diffState) return;
+    const after = diffState.after;
+    // loadGraphData tears the diff down once the After graph is laid out.
+    loadGraphData(after.data, after.name).catch(err => reportLoadFailure(after.name, err));
+  }
+
+  function setDiffMode(mode) {
+    if (!diffState || diffState.mode === mode) return;
+    diffState.mode = mode === 'split' ? 'split' : 'overlay';
+    syncDiffToolbar();
+    closeDetailAndSelection();
+    renderActiveGraph({ fit: true });
+  }
+
+  function readDiffFile(file) {
+    return readGraphFileInput(file).then(data => ({ data, name: file.name }));
+  }
+
+  function openDiffFromFiles(files) {
+    const picked = [...(files || [])].filter(f => isGraphFileName(f.name));
+    if (!picked.length) return;
+    if (picked.length === 1 && !lastLoadedGraph) {
+      alert('请选择两个图文件（Before、After），或先打开一张图再选一个文件与之对比。');
+      return;
+    }
+    const base = picked.length === 1 ? (diffState ? diffState.after : lastLoadedGraph) : null;
+    Promise.all(picked.slice(0, 2).map(readDiffFile))
+      .then(loaded => {
+        const before = base ? { data: base.data, name: base.name || 'current' } : loaded[0];
+        const after = base ? loaded[0] : loaded[1];
+        return enterDiff(before, after);
+      })
+      .catch(err => {
+        console.error(err);
+        alert('Failed to build graph diff:\n' + (err?.message || err));
+      });
+  }
+
+  function diffDetailSection(node) {
+    const d = node?.data;
+    if (!diffState || !d?.diffStatus) return '';
+    const api = window.PtoGraphDiffView;
+    const rows = [['status', api?.DIFF_STATUS_LABELS?.[d.diffStatus] || d.diffStatus]];
+    if (d.diffBeforeMagic != null && d.diffBeforeMagic !== d.magic) rows.push(['before magic', `#${d.diffBeforeMagic}`]);
+    (d.diffChanges || []).forEach(change => {
+      rows.push([
+        change.path.replace(/^data\./, ''),
+        `${api.formatDiffValue(change.beforeValue)} → ${api.formatDiffValue(change.afterValue)}`,
+      ]);
+    });
+    return detailSection('Diff', rows);
+  }
+
+  graphMenuDiff?.addEventListener('click', () => {
+    graphMenu.classList.remove('open');
+    diffInput?.click();
+  });
+  diffInput?.addEventListener('change', (e) => {
+    openDiffFromFiles(e.target.files);
+    e.target.value = '';
+  });
+  diffBar?.querySelectorAll('[data-diff-mode]').forEach(btn => {
+    btn.addEventListener('click', () => setDiffMode(btn.dataset.diffMode));
+  });
+  diffSwapBtn?.addEventListener('click', () => {
+    if (!diffState) return;
+    const { before, after } = diffState;
+    enterDiff(after, before)?.catch(err => reportLoadFailure(before.name, err));
+  });
+  diffExitBtn?.addEventListener('click', exitDiff);
+
+  diffBeforeNodes?.addEventListener('click', (e) => {
+    const nodeEl = e.target.closest('.node-card[data-node-id]');
+    if (!nodeEl || !diffState) return;
+    const beforeView = diffState.model.beforeView;
+    const node = getGraphIndex(beforeView).nodeById.get(nodeEl.dataset.nodeId);
+    if (!node) return;
+    selectedNodeId = node.id;
+    selectNode(node.id, diffBeforeNodes, diffBeforeEdges, diffBeforeRenderCache?.edgeElementsByNodeId);
+    selectMainNode(node.id);
+    openDetail(node, beforeView);
+    e.stopPropagation();
+  });
+
+  // ── Search ─────────────────────────────────────────────────────
+  function isTextEntryTarget(target) {
+    if (!target) return false;
+    const tag = String(target.tagName || '').toUpperCase();
+    return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || !!target.isContentEditable;
+  }
+
+  // Map a source-graph node to the node that represents it in the active view:
+  // itself, the group that contains it, or null when hidden by the locked flow.
+  function resolveActiveSearchNode(sourceNode) {
+    if (!sourceNode || !graph) return null;
+    const index = activeGraphIndex || getGraphIndex(graph);
+    if (index?.nodeById.has(sourceNode.id)) return index.nodeById.get(sourceNode.id);
+    if (!isGroupMode() || isLockedFlowMode()) return null;
+    return index?.groupByMemberId.get(sourceNode.id) || null;
+  }
+
+  function searchNodeMeta(node) {
+    const d = node.data || {};
+    const parts = [node.type];
+    if (d.magic != null) parts.push(`#${d.magic}`);
+    if (node.type === 'op') {
+      if (d.semanticLabel || d.inferredSemanticLabel) parts.push(d.semanticLabel || d.inferredSemanticLabel);
+      if (Array.isArray(d.outShape) && d.outShape.length) parts.push(shapeStr(d.outShape));
+    } else {
+      if (d.dtype != null) parts.push(String(d.dtype));
+      if (Array.isArray(d.shape)) parts.push(shapeStr(d.shape));
+    }
+    return parts.join(' · ');
+  }
+
+  function renderSearchMenu(errorText = '') {
+    if (!searchMenu) return;
+    const query = searchInput?.value.trim() || '';
+    if (!query || document.activeElement !== searchInput) {
+      searchMenu.classList.remove('open');
+      return;
+    }
+    if (errorText || !searchResults.length) {
+      searchMenu.innerHTML = `<div class="graph-search-empty">${escHtml(errorText || '无匹配节点')}</div>`;
+      searchMenu.classList.add('open');
+      return;
+    }
+    searchMenu.innerHTML = searchResults.slice(0, SEARCH_MENU_LIMIT).map((hit, i) => {
+      const via = hit.activeNode && hit.activeNode.id !== hit.node.id ? ` · 位于 ${hit.activeNode.label}` : '';
+      const hidden = hit.activeNode ? '' : ' · 当前视图不可见';
+      return `<button class="graph-search-item${i === searchCursor ? ' is-active' : ''}" type="button" role="option" data-i="${i}">
+        <span class="graph-search-item-title">${escHtml(hit.node.label)}</span>
+        <span class="graph-search-item-meta">${escHtml(searchNodeMeta(hit.node) + via + hidden)}</span>
+        <span class="graph-search-item-meta">${escHtml(hit.reasons.join(' · '))}</span>
+      </button>`;
+    }).join('');
+    searchMenu.classList.add('open');
+  }
+
+  function syncSearchCount(errorText = '', total = searchResults.length) {
+    if (!searchCount) return;
+    searchCount.classList.toggle('is-error', !!errorText);
+    if (errorText) { searchCount.textContent = '!'; searchCount.title = errorText; return; }
+    searchCount.title = '';
+    if (!searchInput?.value.trim()) { searchCount.textContent = ''; return; }
+    searchCount.textContent = searchCursor >= 0 ? `${searchCursor + 1}/${total}` : String(total);
+  }
+
+  function applySearchHighlightClasses() {
+    nodesLayer.querySelectorAll('.node-card.search-hit, .node-card.mem-live').forEach(el => el.classList.remove('search-hit', 'mem-live'));
+    renderCache?.canvasRenderer?.setHighlights(activeHighlightIds());
+    const elements = renderCache?.nodeElementsById;
+    for (const nodeId of searchHighlightIds) {
+      const el = elements?.get?.(nodeId);
+      if (el) el.classList.add('search-hit');
+    }
+    for (const nodeId of memoryHighlightIds) {
+      const el = elements?.get?.(nodeId);
+      if (el) el.classList.add('mem-live');
+    }
+  }
+
+  function refreshMinimapSearchHits() {
+    if (minimapBaseDirty) scheduleMinimapUpdate();
+    else blitMinimapBase();
+  }
+
+  function refreshSearchResults({ resetCursor = false } = {}) {
+    const query = searchInput?.value.trim() || '';
+    const api = window.PtoGraphSearch;
+    searchResults = [];
+    searchHighlightIds = new Set();
+    if (resetCursor) searchCursor = -1;
+    let errorText = '';
+    let total = 0;
+    if (query && sourceGraph && api) {
+      const result = api.searchGraph(sourceGraph, query, { limit: Infinity });
+      errorText = result.error || '';
+      searchResults = result.results.map(hit => ({ ...hit, activeNode: resolveActiveSearchNode(hit.node) }));
+      searchResults.forEach(hit => { if (hit.activeNode) searchHighlightIds.add(hit.activeNode.id); });
+      total = result.total;
+    }
+    if (searchCursor >= searchResults.length) searchCursor = -1;
+    syncSearchCount(errorText, total);
+    renderSearchMenu(errorText);
+    applySearchHighlightClasses();
+    refreshMinimapSearchHits();
+  }
+
+  function jumpToSearchResult(i) {
+    const hit = searchResults[i];
+    if (!hit) return;
+    searchCursor = i;
+    syncSearchCount();
+    if (hit.activeNode) {
+      navigateToNode(hit.activeNode);
+      if (hit.activeNode.id !== hit.node.id) openDetail(hit.node, sourceGraph);
+    } else {
+      openDetail(hit.node, sourceGraph);
+    }
+    applySearchHighlightClasses();
+    searchMenu?.querySelectorAll('.graph-search-item').forEach(el => {
+      el.classList.toggle('is-active', Number(el.dataset.i) === i);
+    });
+  }
+
+  function moveSearchCursor(delta) {
+    const count = Math.min(searchResults.length, SEARCH_MENU_LIMIT);
+    if (!count) return;
+    searchCursor = searchCursor < 0
+      ? (delta > 0 ? 0 : count - 1)
+      : (searchCursor + delta + count) % count;
+    syncSearchCount();
+    searchMenu?.querySelectorAll('.graph-search-item').forEach(el => {
+      const active = Number(el.dataset.i) === searchCursor;
+      el.classList.toggle('is-active', active);
+      if (active) el.scrollIntoView({ block: 'nearest' });
+    });
+  }
+
+  function clearSearch() {
+    if (!searchInput) return;
+    searchInput.value = '';
+    refreshSearchResults({ resetCursor: true });
+  }
+
+  let searchInputTimer = 0;
+  searchInput?.addEventListener('input', () => {
+    clearTimeout(searchInputTimer);
+    searchInputTimer = setTimeout(() => refreshSearchResults({ resetCursor: true }), 120);
+  });
+  searchInput?.addEventListener('focus', () => renderSearchMenu());
+  searchInput?.addEventListener('blur', () => {
+    setTimeout(() => searchMenu?.classList.remove('open'), 150);
+  });
+  searchInput?.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown') { e.preventDefault(); moveSearchCursor(1); return; }
+    if (e.key === 'ArrowUp') { e.preventDefault(); moveSearchCursor(-1); return; }
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      clearTimeout(searchInputTimer);
+      if (!searchResults.length) refreshSearchResults({ resetCursor: true });
+      if (!searchResults.length) return;
+      // Repeated Enter walks through every match, including ones beyond the menu limit.
+      const next = e.shiftKey
+        ? (searchCursor <= 0 ? searchResults.length - 1 : searchCursor - 1)
+        : (searchCursor + 1) % searchResults.length;
+      jumpToSearchResult(next);
+      return;
+    }
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      if (searchInput.value) clearSearch();
+      else searchInput.blur();
+    }
+  });
+  searchMenu?.addEventListener('mousedown', (e) => {
+    const item = e.target.closest('.graph-search-item[data-i]');
+    if (!item) return;
+    e.preventDefault();
+    jumpToSearchResult(Number(item.dataset.i));
+  });
+
   // ── Minimap ────────────────────────────────────────────────────
   function markMinimapBaseDirty() {
     minimapBaseDirty = true;
@@ -2258,6 +3782,28 @@
     if (!ctx) return;
     ctx.clearRect(0, 0, minimapCanvas.width, minimapCanvas.height);
     ctx.drawImage(minimapBaseCanvas, 0, 0);
+    drawMinimapSearchHits(ctx);
+  }
+
+  function drawMinimapSearchHits(ctx) {
+    if (!searchHighlightIds.size || !layout?.positions) return;
+    const { gs, ox, oy } = minimapTransform;
+    if (!gs) return;
+    ctx.save();
+    ctx.fillStyle = '#FACC15';
+    ctx.strokeStyle = '#FACC15';
+    ctx.lineWidth = 1;
+    for (const nodeId of searchHighlightIds) {
+      const pos = layout.positions.get(nodeId);
+      if (!pos) continue;
+      const x = Math.round(pos.x * gs + ox);
+      const y = Math.round(pos.y * gs + oy);
+      const w = Math.max(3, Math.round(pos.w * gs));
+      const h = Math.max(3, Math.round(pos.h * gs));
+      ctx.fillRect(x, y, w, h);
+      ctx.strokeRect(x - 1.5, y - 1.5, w + 3, h + 3);
+    }
+    ctx.restore();
   }
 
   function rebuildMinimapBase() {
@@ -2301,10 +3847,11 @@
     if (minimapEl.classList.contains('is-collapsed')) return;
     const { gs, ox, oy } = minimapTransform;
     if (!gs) return;
-    const vLeft  = -tx / scale;
-    const vTop   = -ty / scale;
-    const vW     = viewport.clientWidth  / scale;
-    const vH     = viewport.clientHeight / scale;
+    const rect   = getViewportGraphRect();
+    const vLeft  = rect.left;
+    const vTop   = rect.top;
+    const vW     = rect.width;
+    const vH     = rect.height;
     minimapVp.style.left   = Math.round(vLeft * gs + ox) + 'px';
     minimapVp.style.top    = Math.round(vTop  * gs + oy) + 'px';
     minimapVp.style.width  = Math.round(vW * gs) + 'px';
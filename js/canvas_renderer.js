@@ -0,0 +1,607 @@
+/**
+ * canvas_renderer.js - Canvas 2D renderer for very large compute graphs.
+ *
+ * renderGraphCanvas() takes the same arguments as renderGraph() in renderer.js and
+ * returns the same cache shape (the element maps stay empty) plus `canvasRenderer`,
+ * which owns selection / highlight state and hit testing. Nodes are drawn at three
+ * levels of detail by their on-screen width; far out, a pre-rendered overview bitmap
+ * is blitted so pan and zoom cost stays flat at 50k+ nodes. app.js hands the view
+ * back to the DOM renderer once cards are large enough to read.
+ */
+(function () {
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const GRID_CELL = 1024;           // graph units per spatial-index cell
+  const OVERVIEW_MIN_NODES = 4000;  // smaller scenes are always drawn directly
+  const OVERVIEW_MAX_PX = 4096;     // longest side of the overview bitmap
+  const OVERVIEW_SHARPNESS = 1.5;   // blit the overview until scale exceeds its resolution by this much
+  const LOD_RECT_PX = 8;            // on-screen node width below which nodes are plain rects
+  const LOD_LABEL_PX = 24;          // ... from which the primary label is drawn
+  const LOD_CARD_PX = 72;           // ... from which rounded cards with a second line are drawn
+  const CLICK_SLOP_PX = 4;
+  const HIT_SLOP_PX = 3;
+
+  const renderers = new WeakMap(); // canvas -> renderer
+
+  // ── Theme ──────────────────────────────────────────────────────
+  // Colors come from the live CSS (probe card + probe edge) so the canvas matches the DOM cards.
+  function readTheme(nodesLayer, edgesSvg) {
+    const css = getComputedStyle(nodesLayer);
+    const v = (name, fallback) => css.getPropertyValue(name).trim() || fallback;
+
+    const probe = document.createElement('div');
+    probe.className = 'node-card node-card-op';
+    probe.style.visibility = 'hidden';
+    nodesLayer.appendChild(probe);
+    const card = getComputedStyle(probe);
+    const cardBg = card.backgroundColor;
+    const cardBorder = card.borderTopColor;
+    probe.remove();
+
+    let edgeStroke = '';
+    if (edgesSvg) {
+      const path = document.createElementNS(SVG_NS, 'path');
+      path.setAttribute('class', 'edge edge-op');
+      edgesSvg.appendChild(path);
+      edgeStroke = getComputedStyle(path).stroke;
+      path.remove();
+    }
+
+    const transparent = (color) => !color || color === 'transparent' || color === 'rgba(0, 0, 0, 0)';
+    return {
+      cardBg: transparent(cardBg) ? v('--surface-4', '#2b2b30') : cardBg,
+      cardBorder: transparent(cardBorder) ? v('--border-default', 'rgba(255,255,255,0.16)') : cardBorder,
+      edgeStroke: !edgeStroke || edgeStroke === 'none' ? 'rgba(255,255,255,0.12)' : edgeStroke,
+      text: v('--foreground', '#e6e6e6'),
+      textMuted: v('--foreground-muted', '#8b8b8b'),
+      selection: v('--accent', '#60a5fa'),
+      highlight: v('--warning', '#f59e0b'),
+      font: v('--font-mono', 'ui-monospace, monospace'),
+      typeAccent: {
+        incast: v('--incast-accent', '#22c55e'),
+        outcast: v('--outcast-accent', '#ef4444'),
+        op: v('--op-accent', '#3b82f6'),
+        tensor: v('--tensor-accent', '#a855f7'),
+        group: v('--op-accent', '#3b82f6'),
+      },
+    };
+  }
+
+  // ── Scene ──────────────────────────────────────────────────────
+  function nodeLabels(node) {
+    const d = node.data || {};
+    if (node.type === 'group') {
+      const count = Number(d.count) || (Array.isArray(d.members) ? d.members.length : 0);
+      return [d.title || node.label || 'Group', count ? `${count} members` : ''];
+    }
+    if (node.type === 'op') {
+      return [node.label || d.opcode || '', d.semanticLabel || (d.magic != null ? `#${d.magic}` : '')];
+    }
+    const shape = Array.isArray(d.shape) && d.shape.length ? `[${d.shape.join(',')}]` : '';
+    return [node.subLabel || node.label || '', [shape, d.dtype && d.dtype !== '?' ? d.dtype : ''].filter(Boolean).join(' ')];
+  }
+
+  // Edge endpoints mirror renderGraph(): LR bezier between side midpoints, TB elbow.
+  function edgeGeometry(sp, tp, compact, TB) {
+    if (TB) {
+      const x1 = sp.x + sp.w / 2, y1 = sp.y + sp.h;
+      const x2 = tp.x + tp.w / 2, y2 = tp.y;
+      return { x1, y1, x2, y2, mid: (y1 + y2) / 2, dx: 0 };
+    }
+    const connY = compact ? 22 : 60;
+    const x1 = sp.x + sp.w, y1 = sp.y + connY;
+    const x2 = tp.x, y2 = tp.y + connY;
+    return { x1, y1, x2, y2, mid: 0, dx: (x2 - x1) * (compact ? 0.35 : 0.45) };
+  }
+
+  function buildScene(graph, layout, { compact, direction }) {
+    const TB = direction === 'TB';
+    const items = [];
+    const indexById = new Map();
+    const grid = new Map();
+    let nodeWidthSum = 0;
+
+    for (const node of graph.nodes || []) {
+      const pos = layout.positions.get(node.id);
+      if (!pos) continue;
+      const i = items.length;
+      indexById.set(node.id, i);
+      items.push({ node, x: pos.x, y: pos.y, w: pos.w, h: pos.h, labels: null });
+      nodeWidthSum += pos.w;
+      const cx0 = Math.floor(pos.x / GRID_CELL), cx1 = Math.floor((pos.x + pos.w) / GRID_CELL);
+      const cy0 = Math.floor(pos.y / GRID_CELL), cy1 = Math.floor((pos.y + pos.h) / GRID_CELL);
+      for (let cx = cx0; cx <= cx1; cx++) {
+        for (let cy = cy0; cy <= cy1; cy++) {
+          const key = `${cx},${cy}`;
+          if (!grid.has(key)) grid.set(key, []);
+          grid.get(key).push(i);
+        }
+      }
+    }
+
+    const edges = [];
+    const edgesByNode = new Map();
+    for (const edge of graph.edges || []) {
+      const s = indexById.get(edge.source);
+      const t = indexById.get(edge.target);
+      if (s == null || t == null) continue;
+      const g = edgeGeometry(items[s], items[t], compact, TB);
+      const e = edges.length;
+      edges.push({
+        edge, ...g,
+        minX: Math.min(g.x1, g.x2), maxX: Math.max(g.x1, g.x2),
+        minY: Math.min(g.y1, g.y2), maxY: Math.max(g.y1, g.y2),
+      });
+      if (!edgesByNode.has(s)) edgesByNode.set(s, []);
+      if (!edgesByNode.has(t)) edgesByNode.set(t, []);
+      edgesByNode.get(s).push(e);
+      edgesByNode.get(t).push(e);
+    }
+
+    return {
+      items,
+      indexById,
+      grid,
+      edges,
+      edgesByNode,
+      TB,
+      avgNodeW: items.length ? nodeWidthSum / items.length : 0,
+      width: layout.canvasW || 0,
+      height: layout.canvasH || 0,
+      stamp: new Uint32Array(items.length),
+      stampGen: 0,
+    };
+  }
+
+  // Node indices whose cells overlap rect (graph units), deduplicated.
+  function queryNodes(scene, rect) {
+    const out = [];
+    scene.stampGen = (scene.stampGen + 1) >>> 0 || 1;
+    const gen = scene.stampGen;
+    const cx0 = Math.floor(rect.left / GRID_CELL), cx1 = Math.floor(rect.right / GRID_CELL);
+    const cy0 = Math.floor(rect.top / GRID_CELL), cy1 = Math.floor(rect.bottom / GRID_CELL);
+    for (let cx = cx0; cx <= cx1; cx++) {
+      for (let cy = cy0; cy <= cy1; cy++) {
+        const cell = scene.grid.get(`${cx},${cy}`);
+        if (!cell) continue;
+        for (const i of cell) {
+          if (scene.stamp[i] === gen) continue;
+          scene.stamp[i] = gen;
+          const it = scene.items[i];
+          if (it.x > rect.right || it.x + it.w < rect.left || it.y > rect.bottom || it.y + it.h < rect.top) continue;
+          out.push(i);
+        }
+      }
+    }
+    return out;
+  }
+
+  function traceEdge(ctx, e, curved, TB) {
+    ctx.moveTo(e.x1, e.y1);
+    if (TB) {
+      if (Math.abs(e.x1 - e.x2) < 5) {
+        ctx.lineTo(e.x2, e.y2);
+      } else {
+        ctx.lineTo(e.x1, e.mid);
+        ctx.lineTo(e.x2, e.mid);
+        ctx.lineTo(e.x2, e.y2);
+      }
+    } else if (curved) {
+      ctx.bezierCurveTo(e.x1 + e.dx, e.y1, e.x2 - e.dx, e.y2, e.x2, e.y2);
+    } else {
+      ctx.lineTo(e.x2, e.y2);
+    }
+  }
+
+  function truncate(text, maxChars) {
+    const s = String(text || '');
+    if (maxChars <= 1) return '';
+    return s.length > maxChars ? `${s.slice(0, maxChars - 1)}…` : s;
+  }
+
+  // ── Renderer ───────────────────────────────────────────────────
+  function createCanvasGraphRenderer(canvas) {
+    const ctx = canvas.getContext('2d');
+    const state = {
+      graph: null,
+      layout: null,
+      scene: null,
+      theme: null,
+      colorMap: null,
+      edgeColorFor: null,
+      overview: null,
+      tx: 0,
+      ty: 0,
+      scale: 1,
+      selected: -1,
+      highlights: [],
+      hover: -1,
+      raf: 0,
+      down: null,
+      onNodeClick: null,
+      onNodeDblClick: null,
+    };
+
+    function accentFor(item) {
+      return state.colorMap?.get(item.node.id) || state.theme.typeAccent[item.node.type] || state.theme.typeAccent.tensor;
+    }
+
+    function edgeColor(e) {
+      return (state.edgeColorFor && state.edgeColorFor(e.edge)) || null;
+    }
+
+    function setScene(graph, layout, { colorMap = null, compact = false, direction = 'LR', edgeColorFor = null, readTheme: themeReader = null } = {}) {
+      if (graph !== state.graph || layout !== state.layout) {
+        state.graph = graph;
+        state.layout = layout;
+        state.scene = buildScene(graph, layout, { compact, direction });
+        state.theme = themeReader ? themeReader() : state.theme;
+        state.overview = null;
+        state.selected = -1;
+        state.highlights = [];
+        state.hover = -1;
+      }
+      if (colorMap !== state.colorMap || edgeColorFor !== state.edgeColorFor) {
+        state.colorMap = colorMap;
+        state.edgeColorFor = edgeColorFor;
+        state.overview = null;
+      }
+      requestDraw();
+    }
+
+    function setTransform(tx, ty, scale) {
+      if (tx === state.tx && ty === state.ty && scale === state.scale) return;
+      state.tx = tx;
+      state.ty = ty;
+      state.scale = scale;
+      requestDraw();
+    }
+
+    function setSelection(nodeId) {
+      const next = nodeId != null && state.scene ? (state.scene.indexById.get(nodeId) ?? -1) : -1;
+      if (next === state.selected) return;
+      state.selected = next;
+      requestDraw();
+    }
+
+    function setHighlights(nodeIds) {
+      const scene = state.scene;
+      state.highlights = scene
+        ? [...(nodeIds || [])].map(id => scene.indexById.get(id)).filter(i => i != null)
+        : [];
+      requestDraw();
+    }
+
+    function setCallbacks({ onNodeClick = null, onNodeDblClick = null } = {}) {
+      state.onNodeClick = onNodeClick;
+      state.onNodeDblClick = onNodeDblClick;
+    }
+
+    function requestDraw() {
+      if (state.raf) return;
+      state.raf = requestAnimationFrame(draw);
+    }
+
+    function syncCanvasSize() {
+      const dpr = window.devicePixelRatio || 1;
+      const w = Math.max(1, Math.round(canvas.clientWidth * dpr));
+      const h = Math.max(1, Math.round(canvas.clientHeight * dpr));
+      if (canvas.width !== w || canvas.height !== h) {
+        canvas.width = w;
+        canvas.height = h;
+      }
+      return dpr;
+    }
+
+    function viewRect() {
+      const s = Math.max(state.scale, 1e-6);
+      return {
+        left: -state.tx / s,
+        top: -state.ty / s,
+        right: (canvas.clientWidth - state.tx) / s,
+        bottom: (canvas.clientHeight - state.ty) / s,
+      };
+    }
+
+    // Whole-graph bitmap at reduced resolution, built on first use per scene / color map.
+    function getOverview() {
+      const scene = state.scene;
+      if (!scene || scene.items.length < OVERVIEW_MIN_NODES || !scene.width || !scene.height) return null;
+      if (state.overview) return state.overview;
+      const ratio = Math.min(1, OVERVIEW_MAX_PX / Math.max(scene.width, scene.height));
+      const off = document.createElement('canvas');
+      off.width = Math.max(1, Math.ceil(scene.width * ratio));
+      off.height = Math.max(1, Math.ceil(scene.height * ratio));
+      const octx = off.getContext('2d');
+      octx.scale(ratio, ratio);
+      drawEdges(octx, scene.edges.map((_, i) => i), ratio);
+      drawRects(octx, scene.items.map((_, i) => i), ratio);
+      state.overview = { canvas: off, ratio };
+      return state.overview;
+    }
+
+    function visibleEdges(rect) {
+      const out = [];
+      const edges = state.scene.edges;
+      for (let i = 0; i < edges.length; i++) {
+        const e = edges[i];
+        if (e.minX > rect.right || e.maxX < rect.left || e.minY > rect.bottom || e.maxY < rect.top) continue;
+        out.push(i);
+      }
+      return out;
+    }
+
+    // Edges batched into one path per color.
+    function drawEdges(c, edgeIdx, s) {
+      const scene = state.scene;
+      const curved = scene.avgNodeW * s >= LOD_RECT_PX;
+      const buckets = new Map();
+      for (const i of edgeIdx) {
+        const color = edgeColor(scene.edges[i]) || state.theme.edgeStroke;
+        if (!buckets.has(color)) buckets.set(color, []);
+        buckets.get(color).push(i);
+      }
+      c.lineWidth = (curved ? 1.5 : 1) / s;
+      buckets.forEach((list, color) => {
+        c.strokeStyle = color;
+        c.beginPath();
+        for (const i of list) traceEdge(c, scene.edges[i], curved, scene.TB);
+        c.stroke();
+      });
+    }
+
+    // Lowest detail: accent-filled rects, batched per color; at least one device pixel.
+    function drawRects(c, nodeIdx, s) {
+      const items = state.scene.items;
+      const minSize = 1 / s;
+      const buckets = new Map();
+      for (const i of nodeIdx) {
+        const color = accentFor(items[i]);
+        if (!buckets.has(color)) buckets.set(color, []);
+        buckets.get(color).push(i);
+      }
+      buckets.forEach((list, color) => {
+        c.fillStyle = color;
+        c.beginPath();
+        for (const i of list) {
+          const it = items[i];
+          c.rect(it.x, it.y, Math.max(it.w, minSize), Math.max(it.h, minSize));
+        }
+        c.fill();
+      });
+    }
+
+    function drawCards(c, nodeIdx, s) {
+      const { items } = state.scene;
+      const theme = state.theme;
+      const screenW = state.scene.avgNodeW * s;
+      const rounded = screenW >= LOD_CARD_PX && typeof c.roundRect === 'function';
+      const radius = 8 / s;
+
+      c.fillStyle = theme.cardBg;
+      c.beginPath();
+      for (const i of nodeIdx) {
+        const it = items[i];
+        if (rounded) c.roundRect(it.x, it.y, it.w, it.h, radius);
+        else c.rect(it.x, it.y, it.w, it.h);
+      }
+      c.fill();
+      if (rounded) {
+        c.strokeStyle = theme.cardBorder;
+        c.lineWidth = 1 / s;
+        c.stroke();
+      }
+
+      // Accent stripe down the left edge, batched per color.
+      const stripe = Math.min(4 / s, 12);
+      const buckets = new Map();
+      for (const i of nodeIdx) {
+        const color = accentFor(items[i]);
+        if (!buckets.has(color)) buckets.set(color, []);
+        buckets.get(color).push(i);
+      }
+      buckets.forEach((list, color) => {
+        c.fillStyle = color;
+        c.beginPath();
+        for (const i of list) {
+          const it = items[i];
+          c.rect(it.x, it.y + (rounded ? radius : 0), stripe, Math.max(0, it.h - (rounded ? 2 * radius : 0)));
+        }
+        c.fill();
+      });
+
+      if (screenW < LOD_LABEL_PX) return;
+      const twoLines = screenW >= LOD_CARD_PX;
+      c.textBaseline = 'middle';
+      for (const i of nodeIdx) {
+        const it = items[i];
+        const screenH = it.h * s;
+        if (screenH < 10) continue;
+        const fontPx = Math.max(8, Math.min(13, screenH * (twoLines ? 0.22 : 0.4)));
+        const maxChars = Math.floor((it.w * s - 16) / (fontPx * 0.62));
+        if (!it.labels) it.labels = nodeLabels(it.node);
+        const [primary, secondary] = it.labels;
+        const x = it.x + stripe + 6 / s;
+        c.font = `${fontPx / s}px ${theme.font}`;
+        c.fillStyle = theme.text;
+        c.fillText(truncate(primary, maxChars), x, it.y + it.h * (twoLines && secondary ? 0.36 : 0.5));
+        if (twoLines && secondary) {
+          c.fillStyle = theme.textMuted;
+          c.fillText(truncate(secondary, maxChars), x, it.y + it.h * 0.66);
+        }
+      }
+    }
+
+    // Outline that stays visible even when the node is sub-pixel.
+    function outlineNode(c, it, s, color, width) {
+      const min = 6 / s;
+      const w = Math.max(it.w, min), h = Math.max(it.h, min);
+      const x = it.x + it.w / 2 - w / 2, y = it.y + it.h / 2 - h / 2;
+      const pad = 2 / s;
+      c.strokeStyle = color;
+      c.lineWidth = width / s;
+      c.strokeRect(x - pad, y - pad, w + 2 * pad, h + 2 * pad);
+    }
+
+    function drawMarks(c, s) {
+      const scene = state.scene;
+      const theme = state.theme;
+      state.highlights.forEach(i => outlineNode(c, scene.items[i], s, theme.highlight, 2));
+      if (state.hover >= 0 && state.hover !== state.selected) {
+        outlineNode(c, scene.items[state.hover], s, theme.cardBorder, 1.5);
+      }
+      if (state.selected < 0) return;
+      const curved = scene.avgNodeW * s >= LOD_RECT_PX;
+      c.strokeStyle = theme.selection;
+      c.lineWidth = 2.5 / s;
+      c.beginPath();
+      (scene.edgesByNode.get(state.selected) || []).forEach(e => traceEdge(c, scene.edges[e], curved, scene.TB));
+      c.stroke();
+      outlineNode(c, scene.items[state.selected], s, theme.selection, 2);
+    }
+
+    function draw() {
+      state.raf = 0;
+      const dpr = syncCanvasSize();
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      const scene = state.scene;
+      if (!scene || !state.theme) return;
+
+      const s = Math.max(state.scale, 1e-6);
+      ctx.setTransform(dpr * s, 0, 0, dpr * s, dpr * state.tx, dpr * state.ty);
+      const overview = getOverview();
+      if (overview && s <= overview.ratio * OVERVIEW_SHARPNESS) {
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(overview.canvas, 0, 0, scene.width, scene.height);
+      } else {
+        const rect = viewRect();
+        const nodeIdx = queryNodes(scene, rect);
+        drawEdges(ctx, visibleEdges(rect), s);
+        if (scene.avgNodeW * s < LOD_RECT_PX) drawRects(ctx, nodeIdx, s);
+        else drawCards(ctx, nodeIdx, s);
+      }
+      drawMarks(ctx, s);
+    }
+
+    // ── Hit testing ──────────────────────────────────────────────
+    function hitIndex(x, y) {
+      const scene = state.scene;
+      if (!scene) return -1;
+      const s = Math.max(state.scale, 1e-6);
+      const gx = (x - state.tx) / s;
+      const gy = (y - state.ty) / s;
+      const slop = HIT_SLOP_PX / s;
+      let best = -1;
+      let bestDist = Infinity;
+      for (const i of queryNodes(scene, { left: gx - slop, top: gy - slop, right: gx + slop, bottom: gy + slop })) {
+        const it = scene.items[i];
+        const dx = Math.max(it.x - gx, 0, gx - (it.x + it.w));
+        const dy = Math.max(it.y - gy, 0, gy - (it.y + it.h));
+        const dist = Math.hypot(dx, dy);
+        if (dist <= slop && dist <= bestDist) {
+          best = i;
+          bestDist = dist;
+        }
+      }
+      return best;
+    }
+
+    function hitTest(x, y) {
+      const i = hitIndex(x, y);
+      return i >= 0 ? state.scene.items[i].node : null;
+    }
+
+    function eventPoint(e) {
+      const r = canvas.getBoundingClientRect();
+      return [e.clientX - r.left, e.clientY - r.top];
+    }
+
+    canvas.addEventListener('pointerdown', (e) => {
+      state.down = { x: e.clientX, y: e.clientY };
+    });
+    canvas.addEventListener('click', (e) => {
+      const down = state.down;
+      state.down = null;
+      if (down && Math.hypot(e.clientX - down.x, e.clientY - down.y) > CLICK_SLOP_PX) return;
+      const node = hitTest(...eventPoint(e));
+      if (!node || !state.onNodeClick) return;
+      e.stopPropagation();
+      state.onNodeClick(node, null);
+    });
+    canvas.addEventListener('dblclick', (e) => {
+      const node = hitTest(...eventPoint(e));
+      if (!node || !state.onNodeDblClick) return;
+      e.stopPropagation();
+      state.onNodeDblClick(node);
+    });
+    canvas.addEventListener('mousemove', (e) => {
+      if (e.buttons) return;
+      const next = hitIndex(...eventPoint(e));
+      if (next === state.hover) return;
+      state.hover = next;
+      canvas.style.cursor = next >= 0 ? 'pointer' : '';
+      requestDraw();
+    });
+    canvas.addEventListener('mouseleave', () => {
+      if (state.hover < 0) return;
+      state.hover = -1;
+      canvas.style.cursor = '';
+      requestDraw();
+    });
+
+    return {
+      setScene,
+      setTransform,
+      setSelection,
+      setHighlights,
+      setCallbacks,
+      hitTest,
+      requestDraw,
+    };
+  }
+
+  /**
+   * Drop-in for renderGraph(): same arguments, same return shape. Needs
+   * options.canvas (the target <canvas>) and options.transform ({ tx, ty, scale });
+   * optional options.onNodeDblClick, options.edgeColorFor(edge) -> color | null,
+   * options.selectedNodeId and options.highlightIds. The DOM layers are emptied.
+   */
+  function renderGraphCanvas(graph, layout, nodesLayer, edgesSvg, onNodeClick, colorMap, colorMode, options = {}) {
+    const canvas = options.canvas;
+    if (!canvas) throw new Error('renderGraphCanvas: options.canvas is required');
+
+    nodesLayer.innerHTML = '';
+    while (edgesSvg.children.length > 1) {
+      edgesSvg.removeChild(edgesSvg.lastChild); // keep <defs>
+    }
+
+    let renderer = renderers.get(canvas);
+    if (!renderer) {
+      renderer = createCanvasGraphRenderer(canvas);
+      renderers.set(canvas, renderer);
+    }
+    renderer.setCallbacks({ onNodeClick, onNodeDblClick: options.onNodeDblClick || null });
+    renderer.setScene(graph, layout, {
+      colorMap,
+      compact: !!options.compact,
+      direction: options.direction,
+      edgeColorFor: options.edgeColorFor || null,
+      readTheme: () => readTheme(nodesLayer, edgesSvg),
+    });
+    if (options.transform) renderer.setTransform(options.transform.tx, options.transform.ty, options.transform.scale);
+    renderer.setSelection(options.selectedNodeId ?? null);
+    renderer.setHighlights(options.highlightIds || []);
+
+    return {
+      edgeElementsByNodeId: new Map(),
+      edgeElementsById: new Map(),
+      nodeElementsById: new Map(),
+      canvasRenderer: renderer,
+    };
+  }
+
+  window.PtoCanvasRenderer = {
+    createCanvasGraphRenderer,
+    renderGraphCanvas,
+  };
+})();
@@ -0,0 +1,188 @@
+/**
+ * critical_path.js - Latency-weighted critical path and per-node slack (CPM) over a graph model.
+ *
+ * Ops weigh their latency, tensors and boundaries weigh nothing. The path runs from a source
+ * (normally an incast) to the outcast that finishes last; when the graph has no outcasts, any
+ * sink may end it. Slack is how many cycles a node could slip before it lengthens the path.
+ */
+(function () {
+  const CRITICAL_COLOR = '#E8453C';
+  const CRITICAL_TENSOR_COLOR = '#F08A84';
+  const SLACK_NEAR_COLOR = '#F5A623';
+  const SLACK_FAR_COLOR = '#4B5563';
+
+  function defaultWeight(node) {
+    const latency = node?.type === 'op' || node?.type === 'group' ? node.data?.latency : null;
+    return typeof latency === 'number' && Number.isFinite(latency) && latency > 0 ? latency : 0;
+  }
+
+  function edgeKey(source, target) {
+    return `${source}->${target}`;
+  }
+
+  /**
+   * Returns {
+   *   length,            // cycles along the critical path
+   *   path,              // node ids, source → sink
+   *   pathIds, edgeKeys, // Sets for quick lookups ('src->dst' edge keys)
+   *   timing,            // Map<nodeId, { start, finish, slack, weight }>
+   *   maxSlack, missingLatency, skipped // skipped = nodes left out by a cycle
+   * }
+   */
+  function computeCriticalPath(graph, { weightOf = defaultWeight } = {}) {
+    const empty = {
+      length: 0, path: [], pathIds: new Set(), edgeKeys: new Set(),
+      timing: new Map(), maxSlack: 0, missingLatency: 0, skipped: 0,
+    };
+    if (!graph?.nodes?.length) return empty;
+
+    const nodeById = new Map(graph.nodes.map(node => [node.id, node]));
+    const pred = new Map(graph.nodes.map(node => [node.id, []]));
+    const succ = new Map(graph.nodes.map(node => [node.id, []]));
+    for (const edge of graph.edges || []) {
+      if (!pred.has(edge.target) || !succ.has(edge.source) || edge.source === edge.target) continue;
+      pred.get(edge.target).push(edge.source);
+      succ.get(edge.source).push(edge.target);
+    }
+
+    // Kahn order; nodes on a cycle never reach in-degree 0 and are skipped.
+    const inDeg = new Map(graph.nodes.map(node => [node.id, pred.get(node.id).length]));
+    const order = graph.nodes.filter(node => inDeg.get(node.id) === 0).map(node => node.id);
+    for (let head = 0; head < order.length; head++) {
+      for (const next of succ.get(order[head])) {
+        inDeg.set(next, inDeg.get(next) - 1);
+        if (inDeg.get(next) === 0) order.push(next);
+      }
+    }
+
+    let missingLatency = 0;
+    const weight = new Map();
+    const start = new Map();
+    const finish = new Map();
+    for (const id of order) {
+      const node = nodeById.get(id);
+      const w = weightOf(node) || 0;
+      if (node.type === 'op' && !w) missingLatency++;
+      weight.set(id, w);
+      let s = 0;
+      for (const p of pred.get(id)) {
+        if (finish.has(p) && finish.get(p) > s) s = finish.get(p);
+      }
+      start.set(id, s);
+      finish.set(id, s + w);
+    }
+
+    const outcasts = order.filter(id => nodeById.get(id).type === 'outcast');
+    const terminals = outcasts.length ? outcasts : order.filter(id => !succ.get(id).length);
+    let end = null;
+    for (const id of terminals) {
+      if (end == null || finish.get(id) > finish.get(end)) end = id;
+    }
+    if (end == null) return { ...empty, skipped: graph.nodes.length };
+    const length = finish.get(end);
+
+    // Backward pass: latest finish without delaying `length`.
+    const latestFinish = new Map();
+    for (let i = order.length - 1; i >= 0; i--) {
+      const id = order[i];
+      let lf = length;
+      for (const next of succ.get(id)) {
+        if (!latestFinish.has(next)) continue;
+        const ls = latestFinish.get(next) - weight.get(next);
+        if (ls < lf) lf = ls;
+      }
+      latestFinish.set(id, lf);
+    }
+
+    const timing = new Map();
+    let maxSlack = 0;
+    for (const id of order) {
+      const slack = Math.max(0, latestFinish.get(id) - finish.get(id));
+      if (slack > maxSlack) maxSlack = slack;
+      timing.set(id, { start: start.get(id), finish: finish.get(id), slack, weight: weight.get(id) });
+    }
+
+    // Walk back from the end through the predecessor that finishes last.
+    const path = [end];
+    let cur = end;
+    while (true) {
+      let best = null;
+      for (const p of pred.get(cur)) {
+        if (!finish.has(p)) continue;
+        if (best == null || finish.get(p) > finish.get(best)) best = p;
+      }
+      if (best == null) break;
+      path.push(best);
+      cur = best;
+    }
+    path.reverse();
+
+    const edgeKeys = new Set();
+    for (let i = 1; i < path.length; i++) edgeKeys.add(edgeKey(path[i - 1], path[i]));
+
+    return {
+      length,
+      path,
+      pathIds: new Set(path),
+      edgeKeys,
+      timing,
+      maxSlack,
+      missingLatency,
+      skipped: graph.nodes.length - order.length,
+    };
+  }
+
+  // Path ops ranked by how many cycles of the path they account for.
+  function topContributors(graph, analysis, limit = 10) {
+    if (!analysis?.length) return [];
+    const nodeById = new Map(graph.nodes.map(node => [node.id, node]));
+    return analysis.path
+      .map(id => nodeById.get(id))
+      .filter(node => node && (node.type === 'op' || node.type === 'group') && analysis.timing.get(node.id)?.weight > 0)
+      .map(node => {
+        const cycles = analysis.timing.get(node.id).weight;
+        return { node, cycles, share: cycles / analysis.length };
+      })
+      .sort((a, b) => b.cycles - a.cycles)
+      .slice(0, limit);
+  }
+
+  function mixHex(a, b, t) {
+    const pa = parseInt(a.slice(1), 16);
+    const pb = parseInt(b.slice(1), 16);
+    const ch = shift => Math.round(((pa >> shift) & 255) * (1 - t) + ((pb >> shift) & 255) * t);
+    return `#${[16, 8, 0].map(shift => ch(shift).toString(16).padStart(2, '0')).join('')}`;
+  }
+
+  // Near-zero slack reads warm, large slack fades to neutral (sqrt keeps small slack visible).
+  function slackToColor(slack, maxSlack) {
+    if (slack == null) return null;
+    const t = maxSlack > 0 ? Math.sqrt(Math.min(1, slack / maxSlack)) : 0;
+    return mixHex(SLACK_NEAR_COLOR, SLACK_FAR_COLOR, t);
+  }
+
+  function buildCriticalPathColorMap(graph, analysis) {
+    const colors = new Map();
+    for (const node of graph?.nodes || []) {
+      if (analysis.pathIds.has(node.id)) {
+        colors.set(node.id, node.type === 'op' || node.type === 'group' ? CRITICAL_COLOR : CRITICAL_TENSOR_COLOR);
+      } else if (node.type === 'op' || node.type === 'group') {
+        colors.set(node.id, slackToColor(analysis.timing.get(node.id)?.slack, analysis.maxSlack));
+      } else {
+        colors.set(node.id, null);
+      }
+    }
+    return colors;
+  }
+
+  window.PtoCriticalPath = {
+    CRITICAL_COLOR,
+    SLACK_FAR_COLOR,
+    SLACK_NEAR_COLOR,
+    buildCriticalPathColorMap,
+    computeCriticalPath,
+    edgeKey,
+    slackToColor,
+    topContributors,
+  };
+})();
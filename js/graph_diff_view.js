@@ -0,0 +1,202 @@
+/**
+ * graph_diff_view.js - Build a merged before/after model for the general diff view.
+ *
+ * Works on any two graphs from parseGraph(). Nodes are matched by id first (the
+ * `t_${magic}` / `op_${magic}` ids used by pass_cause_diff.js); leftovers are
+ * paired by a unique structural signature so dumps from different compiler
+ * builds, where magic numbers drift, still line up.
+ */
+(function () {
+  const DIFF_STATUS_COLORS = {
+    added: '#22C55E',
+    removed: '#EF4444',
+    modified: '#F59E0B',
+    same: '#6B7280',
+  };
+
+  const DIFF_STATUS_LABELS = {
+    added: 'Added',
+    removed: 'Removed',
+    modified: 'Attr Changed',
+    same: 'Unchanged',
+  };
+
+  function diffApi() {
+    const api = window.PtoPassCauseDiff;
+    if (!api?.computeGraphDiff) throw new Error('pass_cause_diff.js is not loaded');
+    return api;
+  }
+
+  function nodeSignature(node) {
+    const d = node?.data || {};
+    if (node?.type === 'op') {
+      const shape = Array.isArray(d.outShape) ? d.outShape.join('x') : '';
+      return `op|${String(d.opcode || node.label || '').toUpperCase()}|${shape}|${d.semanticLabel || ''}`;
+    }
+    if (node?.type === 'group') return null;
+    const shape = Array.isArray(d.shape) ? d.shape.join('x') : '';
+    return `${node?.type}|${d.symbol || node?.label || ''}|${d.dtype ?? ''}|${shape}`;
+  }
+
+  function uniqueBySignature(nodes) {
+    const buckets = new Map();
+    nodes.forEach(node => {
+      const sig = nodeSignature(node);
+      if (!sig) return;
+      if (!buckets.has(sig)) buckets.set(sig, []);
+      buckets.get(sig).push(node);
+    });
+    const out = new Map();
+    buckets.forEach((list, sig) => { if (list.length === 1) out.set(sig, list[0]); });
+    return out;
+  }
+
+  // Re-key unmatched before nodes onto unmatched after nodes with the same
+  // unique signature. Returns a shallow copy of the before graph.
+  function alignGraphIds(beforeGraph, afterGraph) {
+    const afterIds = new Set((afterGraph?.nodes || []).map(node => node.id));
+    const beforeIds = new Set((beforeGraph?.nodes || []).map(node => node.id));
+    const beforeOnly = uniqueBySignature((beforeGraph?.nodes || []).filter(node => !afterIds.has(node.id)));
+    const afterOnly = uniqueBySignature((afterGraph?.nodes || []).filter(node => !beforeIds.has(node.id)));
+
+    const idMap = new Map();
+    const magicMap = new Map();
+    beforeOnly.forEach((beforeNode, sig) => {
+      const afterNode = afterOnly.get(sig);
+      if (!afterNode) return;
+      idMap.set(beforeNode.id, afterNode.id);
+      if (beforeNode.type !== 'op' && beforeNode.data?.magic != null) {
+        magicMap.set(beforeNode.data.magic, afterNode.data?.magic);
+      }
+    });
+    if (!idMap.size) return { graph: beforeGraph, renamed: 0 };
+
+    const afterById = new Map(afterGraph.nodes.map(node => [node.id, node]));
+    const remapMagic = list => (Array.isArray(list) ? list.map(m => (magicMap.has(m) ? magicMap.get(m) : m)) : list);
+    const nodes = beforeGraph.nodes.map(node => {
+      const nextId = idMap.get(node.id);
+      const needsOperands = node.type === 'op' && magicMap.size;
+      if (!nextId && !needsOperands) return node;
+      const data = { ...node.data };
+      if (nextId) {
+        const afterNode = afterById.get(nextId);
+        data.diffBeforeMagic = node.data?.magic;
+        data.magic = afterNode?.data?.magic ?? data.magic;
+      }
+      if (needsOperands) {
+        data.ioperands = remapMagic(data.ioperands);
+        data.ooperands = remapMagic(data.ooperands);
+      }
+      return { ...node, id: nextId || node.id, data };
+    });
+    const edges = beforeGraph.edges.map(edge => ({
+      ...edge,
+      source: idMap.get(edge.source) || edge.source,
+      target: idMap.get(edge.target) || edge.target,
+    }));
+    return { graph: { ...beforeGraph, nodes, edges }, renamed: idMap.size };
+  }
+
+  function withStatus(node, status, extra = {}) {
+    return { ...node, data: { ...(node.data || {}), diffStatus: status, ...extra } };
+  }
+
+  function buildDiffModel(beforeGraph, afterGraph, options = {}) {
+    const api = diffApi();
+    const aligned = options.align === false
+      ? { graph: beforeGraph, renamed: 0 }
+      : alignGraphIds(beforeGraph, afterGraph);
+    const diff = api.computeGraphDiff(aligned.graph, afterGraph, { id: 'adhoc', ...(options.pair || {}) });
+
+    const statusByNodeId = new Map();
+    const statusByEdgeId = new Map();
+    const changesByNodeId = new Map();
+    diff.nodes.added.forEach(node => statusByNodeId.set(node.id, 'added'));
+    diff.nodes.removed.forEach(node => statusByNodeId.set(node.id, 'removed'));
+    diff.nodes.modified.forEach(item => statusByNodeId.set(item.id, 'modified'));
+    diff.nodes.same.forEach(node => statusByNodeId.set(node.id, 'same'));
+    diff.fieldChanges.forEach(change => {
+      if (!changesByNodeId.has(change.nodeId)) changesByNodeId.set(change.nodeId, []);
+      changesByNodeId.get(change.nodeId).push(change);
+    });
+
+    diff.edges.added.forEach(edge => statusByEdgeId.set(api.edgeId(edge), 'added'));
+    diff.edges.removed.forEach(edge => statusByEdgeId.set(api.edgeId(edge), 'removed'));
+    diff.edges.same.forEach(edge => statusByEdgeId.set(api.edgeId(edge), 'same'));
+    // A rewired operand is the same consumer slot pointing at a different tensor.
+    diff.rewires.forEach(item => {
+      (item.edgeIds || []).forEach(id => { if (statusByEdgeId.has(id)) statusByEdgeId.set(id, 'modified'); });
+    });
+
+    const mergedNodes = [
+      ...(afterGraph?.nodes || []).map(node => withStatus(node, statusByNodeId.get(node.id) || 'same', {
+        diffChanges: changesByNodeId.get(node.id) || [],
+      })),
+      ...diff.nodes.removed.map(node => withStatus(node, 'removed')),
+    ];
+    const mergedEdges = [
+      ...(afterGraph?.edges || []).map(edge => ({ ...edge, diffStatus: statusByEdgeId.get(api.edgeId(edge)) || 'same' })),
+      ...diff.edges.removed.map(edge => ({ ...edge, diffStatus: statusByEdgeId.get(api.edgeId(edge)) || 'removed' })),
+    ];
+    const countType = type => mergedNodes.filter(node => node.type === type).length;
+    const mergedGraph = {
+      nodes: mergedNodes,
+      edges: mergedEdges,
+      meta: {
+        ...(afterGraph?.meta || {}),
+        name: options.name || afterGraph?.meta?.name || 'diff',
+        totalNodes: mergedNodes.length,
+        totalEdges: mergedEdges.length,
+        incastCount: countType('incast'),
+        outcastCount: countType('outcast'),
+        opCount: countType('op'),
+        tensorCount: countType('tensor'),
+      },
+    };
+
+    const beforeView = {
+      nodes: (aligned.graph?.nodes || []).map(node => withStatus(node, statusByNodeId.get(node.id) || 'same', {
+        diffChanges: changesByNodeId.get(node.id) || [],
+      })),
+      edges: (aligned.graph?.edges || []).map(edge => ({ ...edge, diffStatus: statusByEdgeId.get(api.edgeId(edge)) || 'same' })),
+      meta: aligned.graph?.meta || {},
+    };
+    const removedIds = new Set(diff.nodes.removed.map(node => node.id));
+    const afterView = {
+      nodes: mergedNodes.filter(node => !removedIds.has(node.id)),
+      edges: mergedEdges.filter(edge => edge.diffStatus !== 'removed' && !(edge.diffStatus === 'modified' && !diff.afterIndex.edgeById.has(api.edgeId(edge)))),
+      meta: mergedGraph.meta,
+    };
+
+    return {
+      diff,
+      mergedGraph,
+      beforeView,
+      afterView,
+      statusByNodeId,
+      statusByEdgeId,
+      renamed: aligned.renamed,
+      stats: {
+        ...diff.stats,
+        modifiedEdges: [...statusByEdgeId.values()].filter(status => status === 'modified').length,
+        renamedNodes: aligned.renamed,
+      },
+    };
+  }
+
+  function formatDiffValue(value) {
+    if (value == null) return '—';
+    if (Array.isArray(value)) return `[${value.join(', ')}]`;
+    if (typeof value === 'object') return diffApi().stableJson(value);
+    return String(value);
+  }
+
+  window.PtoGraphDiffView = {
+    DIFF_STATUS_COLORS,
+    DIFF_STATUS_LABELS,
+    alignGraphIds,
+    buildDiffModel,
+    formatDiffValue,
+    nodeSignature,
+  };
+})();
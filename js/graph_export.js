@@ -0,0 +1,345 @@
+/**
+ * graph_export.js - Export the active graph view as SVG, PNG or a standalone HTML snapshot.
+ *
+ * The SVG is built from the graph model + layout rather than cloned from the DOM, so
+ * virtualized and canvas-rendered huge graphs export completely. Cards follow the
+ * renderer.js layout (accent stripe, title, key/value rows); a header band carries the
+ * title and the legend entries collected from the color panel.
+ */
+(function () {
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const HEADER_PAD = 24;
+  const LEGEND_ROW_H = 20;
+  const ROW_H = 16;
+  const PNG_MAX_SIDE = 16384;       // browser canvas limits
+  const PNG_MAX_PIXELS = 120000000;
+
+  const TYPE_ACCENTS = {
+    incast: '#87C80F',
+    outcast: '#C9107D',
+    op: '#3577F6',
+    tensor: '#A855F7',
+    group: '#3577F6',
+  };
+
+  function escXml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function fmt(n) {
+    return Number.isInteger(n) ? String(n) : n.toFixed(2);
+  }
+
+  function dims(shape) {
+    return Array.isArray(shape) && shape.length ? `[${shape.join(', ')}]` : '[]';
+  }
+
+  function truncate(text, maxChars) {
+    const s = String(text ?? '');
+    if (maxChars <= 1) return '';
+    return s.length > maxChars ? `${s.slice(0, maxChars - 1)}…` : s;
+  }
+
+  // Page colors, read once per export so light/dark themes carry over.
+  function readExportTheme(el = document.body) {
+    const css = getComputedStyle(el);
+    const v = (name, fallback) => css.getPropertyValue(name).trim() || fallback;
+    return {
+      background: v('--surface-1', '#121318'),
+      cardBg: v('--node-bg-elevated', v('--surface-3', '#1f2026')),
+      cardBorder: v('--border-default', 'rgba(255,255,255,0.16)'),
+      edge: v('--border-strong', 'rgba(255,255,255,0.22)'),
+      text: v('--foreground', '#e6e6e6'),
+      textMuted: v('--foreground-muted', '#8b8b8b'),
+      font: v('--font-mono', 'ui-monospace, SFMono-Regular, Menlo, monospace'),
+    };
+  }
+
+  // ── Card content ───────────────────────────────────────────────
+  // [title, badge, rows[]] mirroring the DOM cards in renderer.js.
+  function cardContent(node, compact) {
+    const d = node.data || {};
+    if (node.type === 'group') {
+      const count = Number(d.count) || (Array.isArray(d.members) ? d.members.length : 0);
+      const rows = Array.isArray(d.shape) ? [['shape', dims(d.shape)]] : [];
+      if (d.memFlow) rows.push(['mem', String(d.memFlow)]);
+      return [d.title || d.name || node.label || 'Group', `×${count}`, rows];
+    }
+    if (node.type === 'op') {
+      const title = d.semanticLabel || d.inferredSemanticLabel || d.opcode || node.label || '';
+      const badge = d.latency != null ? `lat·${d.latency}` : (d.magic != null ? `#${d.magic}` : '');
+      const rows = compact ? [] : [
+        ['shape', d.outShape ? dims(d.outShape) : '—'],
+        ['from', (d.ioperands || []).map(id => `T${id}`).join(', ') || '—'],
+        ['to', (d.ooperands || []).map(id => `T${id}`).join(', ') || '—'],
+      ];
+      return [title, badge, rows];
+    }
+    if (node.type === 'incast' || node.type === 'outcast') {
+      const title = compact ? (d.name || d.symbol || node.type) : node.type;
+      const rows = compact ? [['shape', dims(d.shape)]] : [['shape', dims(d.shape)], ['dtype', d.dtype ?? '?']];
+      return [title, d.slotIdx != null ? `slot·${d.slotIdx}` : '', rows];
+    }
+    const rows = compact ? [['shape', dims(d.shape)]] : [['shape', dims(d.shape)], ['dtype', d.dtype ?? '?']];
+    return [d.symbol || node.label || '', d.magic != null ? `#${d.magic}` : '', rows];
+  }
+
+  function edgePath(sp, tp, compact, TB) {
+    if (TB) {
+      const x1 = sp.x + sp.w / 2, y1 = sp.y + sp.h;
+      const x2 = tp.x + tp.w / 2, y2 = tp.y;
+      const mY = (y1 + y2) / 2;
+      if (Math.abs(x1 - x2) < 5) return `M ${fmt(x1)} ${fmt(y1)} L ${fmt(x2)} ${fmt(y2)}`;
+      return `M ${fmt(x1)} ${fmt(y1)} L ${fmt(x1)} ${fmt(mY)} L ${fmt(x2)} ${fmt(mY)} L ${fmt(x2)} ${fmt(y2)}`;
+    }
+    const connY = compact ? 22 : 60;
+    const x1 = sp.x + sp.w, y1 = sp.y + connY;
+    const x2 = tp.x, y2 = tp.y + connY;
+    const dx = (x2 - x1) * (compact ? 0.35 : 0.45);
+    return `M ${fmt(x1)} ${fmt(y1)} C ${fmt(x1 + dx)} ${fmt(y1)} ${fmt(x2 - dx)} ${fmt(y2)} ${fmt(x2)} ${fmt(y2)}`;
+  }
+
+  function nodeSvg(node, pos, accent, compact) {
+    const [title, badge, rows] = cardContent(node, compact);
+    const removed = node.data?.diffStatus === 'removed';
+    const stripe = 4;
+    const charW = 6.6;
+    const innerW = pos.w - stripe - 16;
+    const titleY = compact || rows.length === 0 ? Math.min(pos.h / 2, 22) : 20;
+    const badgeChars = badge ? Math.min(badge.length, 14) : 0;
+    const titleChars = Math.floor((innerW - (badgeChars ? badgeChars * charW + 8 : 0)) / (charW * 1.05));
+    const parts = [
+      `<g class="node node-${escXml(node.type)}" data-node-id="${escXml(node.id)}" transform="translate(${fmt(pos.x)},${fmt(pos.y)})">`,
+      `<rect class="card" width="${fmt(pos.w)}" height="${fmt(pos.h)}" rx="8"${removed ? ' stroke-dasharray="4 3"' : ''}/>`,
+      `<rect x="0" y="8" width="${stripe}" height="${fmt(Math.max(0, pos.h - 16))}" fill="${escXml(accent)}"/>`,
+      `<text class="title" x="${stripe + 8}" y="${fmt(titleY)}">${escXml(truncate(title, titleChars))}</text>`,
+    ];
+    if (badge) {
+      parts.push(`<text class="badge" x="${fmt(pos.w - 8)}" y="${fmt(titleY)}" text-anchor="end">${escXml(truncate(badge, 14))}</text>`);
+    }
+    const maxRows = Math.max(0, Math.floor((pos.h - titleY - 8) / ROW_H));
+    const valueChars = Math.floor((innerW - 64) / charW);
+    rows.slice(0, maxRows).forEach(([key, value], i) => {
+      const y = titleY + ROW_H * (i + 1) + 2;
+      parts.push(`<text class="row-key" x="${stripe + 8}" y="${fmt(y)}">${escXml(key)}</text>`);
+      parts.push(`<text class="row-val" x="${stripe + 72}" y="${fmt(y)}">${escXml(truncate(value, valueChars))}</text>`);
+    });
+    parts.push('</g>');
+    return parts.join('');
+  }
+
+  // ── Header (title + legend) ────────────────────────────────────
+  function legendSvg(legend, width, theme) {
+    const items = [];
+    let x = HEADER_PAD;
+    let y = 0;
+    const wrap = (w) => {
+      if (x + w > width - HEADER_PAD && x > HEADER_PAD) {
+        x = HEADER_PAD;
+        y += LEGEND_ROW_H;
+      }
+    };
+    legend.forEach((entry, i) => {
+      if (entry.gradient) {
+        const w = 220;
+        wrap(w);
+        const stops = entry.gradient.map((color, k, all) =>
+          `<stop offset="${fmt(all.length > 1 ? k / (all.length - 1) : 0)}" stop-color="${escXml(color)}"/>`).join('');
+        items.push(
+          `<defs><linearGradient id="legend-gradient-${i}">${stops}</linearGradient></defs>`,
+          `<text class="legend-count" x="${x}" y="${y + 10}">${escXml(entry.min || '')}</text>`,
+          `<rect x="${x + 56}" y="${y + 3}" width="${w - 112}" height="6" rx="3" fill="url(#legend-gradient-${i})"/>`,
+          `<text class="legend-count" x="${x + w}" y="${y + 10}" text-anchor="end">${escXml(entry.max || '')}</text>`,
+        );
+        x += w + 16;
+        return;
+      }
+      const text = [entry.label, entry.count].filter(Boolean).join(' ');
+      const w = (entry.color ? 14 : 0) + text.length * 6.6 + 16;
+      wrap(w);
+      if (entry.color) items.push(`<circle cx="${x + 4}" cy="${y + 6}" r="4" fill="${escXml(entry.color)}"/>`);
+      items.push(`<text class="legend-label" x="${x + (entry.color ? 14 : 0)}" y="${y + 10}">${escXml(entry.label)}`
+        + (entry.count ? `<tspan fill="${escXml(theme.textMuted)}"> ${escXml(entry.count)}</tspan>` : '') + '</text>');
+      x += w;
+    });
+    return { markup: items.join(''), height: legend.length ? y + LEGEND_ROW_H : 0 };
+  }
+
+  /**
+   * Build a standalone SVG document string for `graph` laid out by `layout`.
+   * options: { colorMap, compact, direction, title, subtitle, legend: [{ color, label, count } |
+   * { gradient: [color…], min, max }], edgeColorFor(edge) -> color | null, crop: { left, top, right, bottom }, theme }
+   * Returns { svg, width, height }.
+   */
+  function buildGraphSvg(graph, layout, options = {}) {
+    const theme = options.theme || readExportTheme();
+    const compact = !!options.compact;
+    const TB = options.direction === 'TB';
+    const crop = options.crop || null;
+    const positions = layout.positions;
+
+    const left = crop ? crop.left : 0;
+    const top = crop ? crop.top : 0;
+    const graphW = Math.max(1, crop ? crop.right - crop.left : layout.canvasW || 1);
+    const graphH = Math.max(1, crop ? crop.bottom - crop.top : layout.canvasH || 1);
+    const inCrop = (x, y, w, h) => !crop || (x <= crop.right && x + w >= crop.left && y <= crop.bottom && y + h >= crop.top);
+
+    const width = Math.max(graphW, 480);
+    const { markup: legendMarkup, height: legendH } = legendSvg(options.legend || [], width, theme);
+    const headerH = HEADER_PAD + 18 + (options.subtitle ? 16 : 0) + (legendH ? legendH + 8 : 0) + HEADER_PAD / 2;
+    const height = headerH + graphH;
+
+    const edgeParts = [];
+    for (const edge of graph.edges || []) {
+      const sp = positions.get(edge.source);
+      const tp = positions.get(edge.target);
+      if (!sp || !tp) continue;
+      const minX = Math.min(sp.x, tp.x), maxX = Math.max(sp.x + sp.w, tp.x + tp.w);
+      const minY = Math.min(sp.y, tp.y), maxY = Math.max(sp.y + sp.h, tp.y + tp.h);
+      if (!inCrop(minX, minY, maxX - minX, maxY - minY)) continue;
+      const color = options.edgeColorFor?.(edge) || null;
+      const dashed = edge.diffStatus === 'removed' ? ' stroke-dasharray="5 4"' : '';
+      edgeParts.push(`<path d="${edgePath(sp, tp, compact, TB)}"${color ? ` stroke="${escXml(color)}"` : ''}${dashed}/>`);
+    }
+
+    const nodeParts = [];
+    for (const node of graph.nodes || []) {
+      const pos = positions.get(node.id);
+      if (!pos || !inCrop(pos.x, pos.y, pos.w, pos.h)) continue;
+      const accent = options.colorMap?.get(node.id) || TYPE_ACCENTS[node.type] || TYPE_ACCENTS.tensor;
+      nodeParts.push(nodeSvg(node, pos, accent, compact));
+    }
+
+    const style = [
+      `text{font-family:${theme.font};font-size:11px;fill:${theme.text}}`,
+      `.card{fill:${theme.cardBg};stroke:${theme.cardBorder};stroke-width:1}`,
+      `.edges path{fill:none;stroke:${theme.edge};stroke-width:1.5}`,
+      `.title{font-size:12px;font-weight:600}`,
+      `.badge,.row-key,.legend-count,.subtitle{fill:${theme.textMuted}}`,
+      `.row-key,.row-val,.badge{font-size:10px}`,
+      `.graph-title{font-size:15px;font-weight:600}`,
+    ].join('');
+
+    const svg = [
+      `<svg xmlns="${SVG_NS}" width="${fmt(width)}" height="${fmt(height)}" viewBox="0 0 ${fmt(width)} ${fmt(height)}">`,
+      `<style>${style}</style>`,
+      `<rect width="100%" height="100%" fill="${escXml(theme.background)}"/>`,
+      `<text class="graph-title" x="${HEADER_PAD}" y="${HEADER_PAD + 12}">${escXml(options.title || graph.meta?.name || 'graph')}</text>`,
+      options.subtitle ? `<text class="subtitle" x="${HEADER_PAD}" y="${HEADER_PAD + 30}">${escXml(options.subtitle)}</text>` : '',
+      legendH ? `<g class="legend" transform="translate(0,${HEADER_PAD + 18 + (options.subtitle ? 16 : 0) + 8})">${legendMarkup}</g>` : '',
+      `<g class="graph" transform="translate(${fmt(-left)},${fmt(headerH - top)})">`,
+      `<g class="edges">${edgeParts.join('')}</g>`,
+      `<g class="nodes">${nodeParts.join('')}</g>`,
+      '</g>',
+      '</svg>',
+    ].join('');
+    return { svg, width, height, nodeCount: nodeParts.length, edgeCount: edgeParts.length };
+  }
+
+  // ── PNG / HTML / download ──────────────────────────────────────
+  // Largest pixel ratio <= pixelRatio that stays inside canvas size limits.
+  function clampPixelRatio(width, height, pixelRatio) {
+    const bySide = PNG_MAX_SIDE / Math.max(width, height);
+    const byArea = Math.sqrt(PNG_MAX_PIXELS / Math.max(1, width * height));
+    return Math.max(0.05, Math.min(pixelRatio, bySide, byArea));
+  }
+
+  function svgToPngBlob(svg, width, height, pixelRatio = 2) {
+    const ratio = clampPixelRatio(width, height, pixelRatio);
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width * ratio));
+        canvas.height = Math.max(1, Math.round(height * ratio));
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.drawImage(img, 0, 0, width, height);
+        URL.revokeObjectURL(url);
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+      };
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('SVG could not be rasterized'));
+      };
+      img.src = url;
+    });
+  }
+
+  // Single-file page: the SVG inline plus a few lines of wheel-zoom / drag-pan.
+  function buildStandaloneHtml(svg, { title = 'graph', background = '#121318' } = {}) {
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escXml(title)}</title>
+<style>
+html,body{margin:0;height:100%;overflow:hidden;background:${escXml(background)}}
+#stage{position:absolute;inset:0;cursor:grab}
+#stage.panning{cursor:grabbing}
+#stage>svg{position:absolute;left:0;top:0;transform-origin:0 0}
+#hint{position:fixed;right:12px;bottom:10px;font:11px ui-monospace,monospace;color:#8b8b8b}
+</style>
+</head>
+<body>
+<div id="stage">${svg}</div>
+<div id="hint">滚轮缩放 · 拖动平移 · 双击适配</div>
+<script>
+(function () {
+  var stage = document.getElementById('stage');
+  var svg = stage.querySelector('svg');
+  var w = Number(svg.getAttribute('width')), h = Number(svg.getAttribute('height'));
+  var tx = 0, ty = 0, s = 1, drag = null;
+  function apply() { svg.style.transform = 'translate(' + tx + 'px,' + ty + 'px) scale(' + s + ')'; }
+  function fit() {
+    s = Math.min(stage.clientWidth / w, stage.clientHeight / h, 1);
+    tx = (stage.clientWidth - w * s) / 2; ty = (stage.clientHeight - h * s) / 2; apply();
+  }
+  stage.addEventListener('wheel', function (e) {
+    e.preventDefault();
+    var f = e.deltaY < 0 ? 1.12 : 0.89, ns = Math.max(0.02, Math.min(8, s * f));
+    tx = e.clientX - (e.clientX - tx) * ns / s; ty = e.clientY - (e.clientY - ty) * ns / s; s = ns; apply();
+  }, { passive: false });
+  stage.addEventListener('mousedown', function (e) { drag = { x: e.clientX - tx, y: e.clientY - ty }; stage.classList.add('panning'); });
+  window.addEventListener('mousemove', function (e) { if (!drag) return; tx = e.clientX - drag.x; ty = e.clientY - drag.y; apply(); });
+  window.addEventListener('mouseup', function () { drag = null; stage.classList.remove('panning'); });
+  stage.addEventListener('dblclick', fit);
+  fit();
+})();
+</script>
+</body>
+</html>
+`;
+  }
+
+  function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function exportFileBaseName(title) {
+    return String(title || 'graph').replace(/\.[^.]+$/, '').replace(/[\\/:*?"<>|\s·]+/g, '_').replace(/^_+|_+$/g, '') || 'graph';
+  }
+
+  window.PtoGraphExport = {
+    buildGraphSvg,
+    buildStandaloneHtml,
+    clampPixelRatio,
+    downloadBlob,
+    exportFileBaseName,
+    readExportTheme,
+    svgToPngBlob,
+  };
+})();
@@ -0,0 +1,266 @@
+/**
+ * graph_format_dot.js — Graphviz DOT (.dot / .gv) importer for the parser format registry
+ * Node type comes from a `type` / `kind` attribute when present (op | tensor | incast | outcast),
+ * otherwise from the DOT shape: ellipse-like shapes → tensor, everything else → op.
+ * Attributes `opcode` / `op`, `dtype` and `dims` (e.g. "[32,128]") fill the usual node data.
+ */
+
+// ── DOT tokenizer / parser ─────────────────────────────────────────────────
+
+function tokenizeDot(text) {
+  const tokens = [];
+  let i = 0;
+  const n = text.length;
+  while (i < n) {
+    const c = text[i];
+    if (/\s/.test(c)) { i++; continue; }
+    if (c === '/' && text[i + 1] === '/') { while (i < n && text[i] !== '\n') i++; continue; }
+    if (c === '#') { while (i < n && text[i] !== '\n') i++; continue; }
+    if (c === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end < 0 ? n : end + 2;
+      continue;
+    }
+    if (c === '"') {
+      let j = i + 1;
+      let s = '';
+      while (j < n && text[j] !== '"') {
+        if (text[j] === '\\' && text[j + 1] === '"') { s += '"'; j += 2; continue; }
+        if (text[j] === '\\' && text[j + 1] === '\n') { j += 2; continue; }
+        s += text[j++];
+      }
+      tokens.push({ kind: 'id', value: s });
+      i = j + 1;
+      continue;
+    }
+    if (c === '<') {
+      // HTML-like label: balanced angle brackets
+      let depth = 0;
+      let j = i;
+      for (; j < n; j++) {
+        if (text[j] === '<') depth++;
+        else if (text[j] === '>') { depth--; if (depth === 0) break; }
+      }
+      tokens.push({ kind: 'id', value: text.slice(i + 1, j).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim() });
+      i = j + 1;
+      continue;
+    }
+    if (c === '-' && (text[i + 1] === '>' || text[i + 1] === '-')) {
+      tokens.push({ kind: 'edgeop', value: text.slice(i, i + 2) });
+      i += 2;
+      continue;
+    }
+    if ('{}[]=;,:'.includes(c)) { tokens.push({ kind: 'punct', value: c }); i++; continue; }
+    let j = i;
+    while (j < n && /[A-Za-z0-9_.\u0080-\uffff-]/.test(text[j]) && !(text[j] === '-' && (text[j + 1] === '>' || text[j + 1] === '-'))) j++;
+    if (j === i) throw new Error(`DOT: unexpected character "${c}"`);
+    tokens.push({ kind: 'id', value: text.slice(i, j) });
+    i = j;
+  }
+  return tokens;
+}
+
+function parseDot(text) {
+  const tokens = tokenizeDot(text);
+  let i = 0;
+  const peek = () => tokens[i];
+  const isPunct = (v) => tokens[i]?.kind === 'punct' && tokens[i].value === v;
+  const nodes = new Map(); // id -> attrs
+  const edges = [];
+  let graphName = '';
+
+  function parseAttrList() {
+    const attrs = {};
+    while (isPunct('[')) {
+      i++;
+      while (i < tokens.length && !isPunct(']')) {
+        if (isPunct(',') || isPunct(';')) { i++; continue; }
+        const key = tokens[i++].value;
+        if (isPunct('=')) { i++; attrs[key] = tokens[i++]?.value ?? ''; } else attrs[key] = 'true';
+      }
+      i++;
+    }
+    return attrs;
+  }
+
+  function ensureNode(id, attrs = {}, defaults = {}) {
+    if (!nodes.has(id)) nodes.set(id, { ...defaults });
+    Object.assign(nodes.get(id), attrs);
+  }
+
+  function parseNodeId() {
+    const id = tokens[i++].value;
+    // Ports (`a:p` / `a:p:n`) address a record field; the edge still joins node `a`.
+    while (isPunct(':')) i += 2;
+    return id;
+  }
+
+  // Returns the node ids an edge endpoint expands to (a subgraph yields all of its nodes).
+  function parseEndpoint(scope) {
+    if (isPunct('{') || (peek()?.kind === 'id' && peek().value === 'subgraph')) {
+      return parseSubgraph(scope);
+    }
+    const id = parseNodeId();
+    ensureNode(id, {}, scope.node);
+    return [id];
+  }
+
+  function parseSubgraph(parentScope) {
+    if (peek()?.value === 'subgraph') {
+      i++;
+      if (peek()?.kind === 'id') i++;
+    }
+    if (!isPunct('{')) throw new Error('DOT: expected "{"');
+    i++;
+    const scope = { node: { ...parentScope.node }, edge: { ...parentScope.edge } };
+    const ids = parseStatements(scope);
+    return ids;
+  }
+
+  function parseStatements(scope) {
+    const seen = new Set();
+    while (i < tokens.length && !isPunct('}')) {
+      if (isPunct(';') || isPunct(',')) { i++; continue; }
+      const tok = peek();
+      if (tok.kind === 'id' && ['node', 'edge', 'graph'].includes(tok.value.toLowerCase()) && tokens[i + 1]?.value === '[') {
+        i++;
+        const attrs = parseAttrList();
+        if (tok.value.toLowerCase() === 'node') Object.assign(scope.node, attrs);
+        if (tok.value.toLowerCase() === 'edge') Object.assign(scope.edge, attrs);
+        continue;
+      }
+      if (tok.kind === 'id' && tokens[i + 1]?.kind === 'punct' && tokens[i + 1].value === '=') {
+        i += 3; // graph-level attribute
+        continue;
+      }
+      let left = parseEndpoint(scope);
+      left.forEach(id => seen.add(id));
+      if (peek()?.kind === 'edgeop') {
+        const chain = [left];
+        while (peek()?.kind === 'edgeop') {
+          i++;
+          const right = parseEndpoint(scope);
+          right.forEach(id => seen.add(id));
+          chain.push(right);
+        }
+        const attrs = { ...scope.edge, ...parseAttrList() };
+        for (let k = 0; k + 1 < chain.length; k++) {
+          chain[k].forEach(s => chain[k + 1].forEach(t => edges.push({ source: s, target: t, attrs })));
+        }
+      } else if (left.length === 1 && isPunct('[')) {
+        ensureNode(left[0], parseAttrList());
+      }
+    }
+    i++; // closing brace
+    return [...seen];
+  }
+
+  while (i < tokens.length && !isPunct('{')) {
+    const tok = tokens[i++];
+    if (tok.kind === 'id' && !['strict', 'graph', 'digraph'].includes(tok.value.toLowerCase())) graphName = tok.value;
+  }
+  if (!isPunct('{')) throw new Error('DOT: no graph body');
+  i++;
+  parseStatements({ node: {}, edge: {} });
+  return { name: graphName, nodes, edges };
+}
+
+// ── Graph model mapping ────────────────────────────────────────────────────
+
+const DOT_TENSOR_SHAPES = new Set(['ellipse', 'oval', 'circle', 'doublecircle', 'point', 'egg', 'note', 'cylinder']);
+const DOT_TYPES = { op: 'op', operation: 'op', tensor: 'tensor', incast: 'incast', input: 'incast', outcast: 'outcast', output: 'outcast' };
+
+function dotNodeType(attrs) {
+  const explicit = DOT_TYPES[String(attrs.type || attrs.kind || '').toLowerCase()];
+  if (explicit) return explicit;
+  return DOT_TENSOR_SHAPES.has(String(attrs.shape || '').toLowerCase()) ? 'tensor' : 'op';
+}
+
+function dotDims(value) {
+  if (value == null || value === '') return [];
+  return String(value).replace(/^\[|\]$/g, '').split(/[,x×\s]+/).filter(Boolean)
+    .map(dim => (/^-?\d+$/.test(dim) ? Number(dim) : dim));
+}
+
+function parseDotGraph(text, fileName) {
+  const dot = parseDot(text);
+  const nodes = [];
+  const edges = [];
+  const idFor = new Map();
+  let incastIdx = 0, outcastIdx = 0;
+
+  dot.nodes.forEach((attrs, name) => {
+    const type = dotNodeType(attrs);
+    const label = String(attrs.label || name).replace(/\\[nlr]/g, ' ').trim() || name;
+    const id = `${type === 'op' ? 'op' : 't'}_${name}`;
+    idFor.set(name, id);
+    if (type === 'op') {
+      const opcode = attrs.opcode || attrs.op || label.split(/\s/)[0];
+      nodes.push({
+        id, type, label: opcode, subLabel: label,
+        data: {
+          magic: name,
+          opcode,
+          kind: null,
+          latency: attrs.latency != null ? Number(attrs.latency) : null,
+          ioperands: [],
+          ooperands: [],
+          subgraphId: attrs.subgraph != null ? Number(attrs.subgraph) : null,
+          outShape: attrs.dims ? dotDims(attrs.dims) : null,
+          opAttr: { ...attrs },
+          semanticLabel: attrs.semantic || null,
+        },
+      });
+      return;
+    }
+    const data = {
+      magic: name,
+      shape: dotDims(attrs.dims),
+      rawShape: dotDims(attrs.dims),
+      dtype: attrs.dtype ? String(attrs.dtype).replace(/^DT_/, '') : '?',
+      symbol: label,
+      format: 0,
+      offset: [],
+      memId: -1,
+      memType: attrs.mem || null,
+      kind: null,
+      lifeRange: null,
+    };
+    if (type === 'incast') { data.slotIdx = incastIdx++; data.rawConnections = []; }
+    if (type === 'outcast') { data.slotIdx = outcastIdx++; data.rawConnections = []; }
+    nodes.push({ id, type, label, subLabel: label, data });
+  });
+
+  const nodeById = new Map(nodes.map(node => [node.id, node]));
+  dot.edges.forEach(({ source, target, attrs }) => {
+    const s = idFor.get(source);
+    const t = idFor.get(target);
+    if (!s || !t) return;
+    const edge = { source: s, target: t };
+    if (attrs.label) edge.label = attrs.label;
+    edges.push(edge);
+    const srcNode = nodeById.get(s);
+    const dstNode = nodeById.get(t);
+    if (srcNode.type === 'op' && dstNode.type !== 'op') srcNode.data.ooperands.push(dstNode.data.magic);
+    if (dstNode.type === 'op' && srcNode.type !== 'op') dstNode.data.ioperands.push(srcNode.data.magic);
+  });
+
+  return {
+    nodes,
+    edges,
+    meta: buildGraphMeta(nodes, edges, {
+      name: dot.name || String(fileName || 'dot').replace(/\.[^.]+$/, ''),
+      file: fileName || '',
+    }),
+  };
+}
+
+registerGraphFormat({
+  id: 'dot',
+  label: 'Graphviz DOT (.dot / .gv)',
+  extensions: ['.dot', '.gv'],
+  priority: 5,
+  detect: (data, fileName) => typeof data === 'string'
+    && (['.dot', '.gv'].includes(fileExtension(fileName)) || /^\s*(strict\s+)?(di)?graph\b[^{]*\{/i.test(data)),
+  parse: (data, fileName) => parseDotGraph(data, fileName),
+});
@@ -0,0 +1,286 @@
+/**
+ * graph_format_ge.js — Ascend GE dump (ge_proto_*.txt) adapter for the parser format registry
+ * Reads the protobuf text format of ge::proto::ModelDef / GraphDef.
+ * Data / RefData outputs → incast, NetOutput inputs → outcast, every op output → tensor.
+ * Op magic is the GE op name and tensor magic is `${opName}:${outputIndex}`, so ids stay
+ * stable across dumps of the same graph.
+ */
+
+// ── Protobuf text format ───────────────────────────────────────────────────
+
+function tokenizeProtoText(text) {
+  const tokens = [];
+  const re = /\s+|#[^\n]*|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([{}<>:;,\[\]])|([^\s{}<>:;,\[\]"'#]+)/g;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    if (m[1] !== undefined || m[2] !== undefined) {
+      tokens.push({ kind: 'str', value: unescapeProtoString(m[1] ?? m[2]) });
+    } else if (m[3]) {
+      tokens.push({ kind: 'punct', value: m[3] });
+    } else if (m[4]) {
+      tokens.push({ kind: 'word', value: m[4] });
+    }
+  }
+  return tokens;
+}
+
+function unescapeProtoString(s) {
+  return s.replace(/\\(["'\\nrt])/g, (_, c) => ({ n: '\n', r: '\r', t: '\t' }[c] || c));
+}
+
+function protoScalar(token) {
+  if (token.kind === 'str') return token.value;
+  const v = token.value;
+  if (v === 'true') return true;
+  if (v === 'false') return false;
+  if (/^-?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?f?$/.test(v)) return Number(v.replace(/f$/, ''));
+  return v; // enum identifier, e.g. DT_FLOAT16
+}
+
+// Every field becomes an array so repeated and singular fields read the same way.
+function parseProtoText(text) {
+  const tokens = tokenizeProtoText(text);
+  let i = 0;
+
+  function parseMessage(closer) {
+    const msg = {};
+    while (i < tokens.length) {
+      const tok = tokens[i];
+      if (closer && tok.kind === 'punct' && tok.value === closer) { i++; return msg; }
+      if (tok.kind === 'punct' && (tok.value === ';' || tok.value === ',')) { i++; continue; }
+      if (tok.kind !== 'word') throw new Error(`GE dump: unexpected token "${tok.value}"`);
+      const name = tok.value;
+      i++;
+      if (tokens[i]?.kind === 'punct' && tokens[i].value === ':') i++;
+      const next = tokens[i];
+      if (!next) throw new Error(`GE dump: missing value for "${name}"`);
+      let values;
+      if (next.kind === 'punct' && (next.value === '{' || next.value === '<')) {
+        i++;
+        values = [parseMessage(next.value === '{' ? '}' : '>')];
+      } else if (next.kind === 'punct' && next.value === '[') {
+        i++;
+        values = [];
+        while (i < tokens.length && !(tokens[i].kind === 'punct' && tokens[i].value === ']')) {
+          if (tokens[i].kind === 'punct' && tokens[i].value === ',') { i++; continue; }
+          values.push(protoScalar(tokens[i++]));
+        }
+        i++;
+      } else {
+        i++;
+        // Adjacent string literals concatenate, as in protobuf text format.
+        let value = protoScalar(next);
+        while (next.kind === 'str' && tokens[i]?.kind === 'str') value += tokens[i++].value;
+        values = [value];
+      }
+      (msg[name] || (msg[name] = [])).push(...values);
+    }
+    if (closer) throw new Error(`GE dump: missing "${closer}"`);
+    return msg;
+  }
+
+  return parseMessage(null);
+}
+
+// ── GE mapping ─────────────────────────────────────────────────────────────
+
+const GE_DTYPE_NAMES = {
+  DT_FLOAT: 'FP32', DT_FLOAT16: 'FP16', DT_BF16: 'BF16', DT_DOUBLE: 'FP64',
+  DT_INT8: 'INT8', DT_INT16: 'INT16', DT_INT32: 'INT32', DT_INT64: 'INT64',
+  DT_UINT8: 'UINT8', DT_UINT16: 'UINT16', DT_UINT32: 'UINT32', DT_UINT64: 'UINT64',
+  DT_BOOL: 'BOOL', DT_STRING: 'STRING',
+};
+
+const GE_INPUT_OP_TYPES = new Set(['Data', 'RefData', 'AippData']);
+const GE_OUTPUT_OP_TYPES = new Set(['NetOutput']);
+
+function geFirst(msg, key, fallback = null) {
+  const v = msg?.[key];
+  return v && v.length ? v[0] : fallback;
+}
+
+function geDtype(desc) {
+  const raw = geFirst(desc, 'dtype');
+  if (raw == null) return '?';
+  return GE_DTYPE_NAMES[raw] || String(raw).replace(/^DT_/, '');
+}
+
+function geShape(desc) {
+  return geFirst(desc, 'shape')?.dim || [];
+}
+
+function geAttrValue(value) {
+  if (!value) return null;
+  for (const key of ['s', 'i', 'f', 'b', 'dt']) {
+    if (value[key]) return value[key][0];
+  }
+  const list = geFirst(value, 'list');
+  if (list) {
+    for (const key of ['s', 'i', 'f', 'b', 'dt']) {
+      if (list[key]) return list[key];
+    }
+    return [];
+  }
+  if (value.tensor) return '<tensor>';
+  if (value.g) return '<graph>';
+  if (value.func) return '<func>';
+  return null;
+}
+
+function geAttrMap(msg) {
+  const out = {};
+  for (const attr of msg?.attr || []) {
+    const key = geFirst(attr, 'key');
+    if (key == null) continue;
+    out[key] = geAttrValue(geFirst(attr, 'value'));
+  }
+  return out;
+}
+
+// "name:idx" → { op, index }; index -1 marks a control edge.
+function geInputRef(ref) {
+  const s = String(ref || '');
+  const cut = s.lastIndexOf(':');
+  if (cut <= 0) return { op: s, index: 0 };
+  const index = Number(s.slice(cut + 1));
+  return Number.isFinite(index) ? { op: s.slice(0, cut), index } : { op: s, index: 0 };
+}
+
+function pickGeGraph(root) {
+  if (root.op) return { graph: root, graphCount: 1 };
+  const graphs = root.graph || root.graph_def || [];
+  if (!graphs.length) throw new Error('GE dump: no graph / op blocks found');
+  // The root graph is the one with the most ops; the rest are subgraphs.
+  const graph = graphs.reduce((best, g) => ((g.op || []).length > (best.op || []).length ? g : best), graphs[0]);
+  return { graph, graphCount: graphs.length };
+}
+
+function parseGeDumpGraph(text, fileName) {
+  const root = parseProtoText(text);
+  const { graph, graphCount } = pickGeGraph(root);
+  const ops = graph.op || [];
+  const nodes = [];
+  const edges = [];
+  const tensorIds = new Map();
+  const opByName = new Map(ops.map(op => [geFirst(op, 'name'), op]));
+  const outcastTensors = new Set();
+  let controlEdges = 0;
+
+  ops.forEach(op => {
+    if (!GE_OUTPUT_OP_TYPES.has(geFirst(op, 'type'))) return;
+    (op.input || []).forEach(ref => {
+      const { op: src, index } = geInputRef(ref);
+      if (index >= 0) outcastTensors.add(`${src}:${index}`);
+    });
+  });
+
+  let incastIdx = 0, outcastIdx = 0;
+  function ensureTensor(opName, index) {
+    const magic = `${opName}:${index}`;
+    if (tensorIds.has(magic)) return tensorIds.get(magic);
+    const producer = opByName.get(opName);
+    const desc = (producer?.output_desc || [])[index] || null;
+    let type = 'tensor';
+    if (GE_INPUT_OP_TYPES.has(geFirst(producer, 'type'))) type = 'incast';
+    if (outcastTensors.has(magic)) type = 'outcast';
+    const symbol = geFirst(desc, 'name') ? `${opName}.${geFirst(desc, 'name')}` : magic;
+    const data = {
+      magic,
+      shape: geShape(desc),
+      rawShape: geShape(desc),
+      dtype: geDtype(desc),
+      symbol,
+      format: geFirst(desc, 'layout', 0),
+      offset: [],
+      memId: -1,
+      memType: null,
+      kind: null,
+      lifeRange: null,
+      descAttr: geAttrMap(desc),
+    };
+    if (type === 'incast') { data.slotIdx = incastIdx++; data.rawConnections = []; }
+    if (type === 'outcast') { data.slotIdx = outcastIdx++; data.rawConnections = []; }
+    const id = `t_${magic}`;
+    nodes.push({ id, type, label: symbol, subLabel: symbol, data });
+    tensorIds.set(magic, id);
+    return id;
+  }
+
+  ops.forEach((op, opIdx) => {
+    const name = geFirst(op, 'name') || `op_${opIdx}`;
+    const opType = geFirst(op, 'type') || 'Unknown';
+    if (GE_OUTPUT_OP_TYPES.has(opType)) return;
+    if (GE_INPUT_OP_TYPES.has(opType)) {
+      const outCount = Math.max(1, (op.output_desc || []).length);
+      for (let k = 0; k < outCount; k++) ensureTensor(name, k);
+      return;
+    }
+
+    const id = `op_${name}`;
+    const ioperands = [];
+    (op.input || []).forEach(ref => {
+      const { op: src, index } = geInputRef(ref);
+      if (index < 0) { controlEdges++; return; }
+      if (!src) return;
+      const tensorId = ensureTensor(src, index);
+      ioperands.push(`${src}:${index}`);
+      edges.push({ source: tensorId, target: id });
+    });
+    const ooperands = [];
+    (op.output_desc || []).forEach((_, k) => {
+      const tensorId = ensureTensor(name, k);
+      ooperands.push(`${name}:${k}`);
+      edges.push({ source: id, target: tensorId });
+    });
+    const opAttr = geAttrMap(op);
+    nodes.push({
+      id,
+      type: 'op',
+      label: opType,
+      subLabel: name,
+      data: {
+        magic: name,
+        opcode: opType,
+        kind: null,
+        latency: null,
+        ioperands,
+        ooperands,
+        subgraphId: null,
+        outShape: geShape((op.output_desc || [])[0]),
+        opAttr,
+        semanticLabel: null,
+        engine: opAttr._ge_attr_op_kernel_lib_name ?? opAttr._kernelname ?? null,
+      },
+    });
+  });
+
+  // Inputs that reference ops outside this graph (parent-graph values) become incasts.
+  nodes.forEach(node => {
+    if (node.type !== 'tensor') return;
+    const producer = opByName.get(String(node.data.magic).replace(/:\d+$/, ''));
+    if (!producer) { node.type = 'incast'; node.data.slotIdx = incastIdx++; node.data.rawConnections = []; }
+  });
+
+  return {
+    nodes,
+    edges,
+    meta: buildGraphMeta(nodes, edges, {
+      name: geFirst(graph, 'name') || geFirst(root, 'name') || String(fileName || 'ge_graph').replace(/\.[^.]+$/, ''),
+      file: fileName || '',
+      graphCount,
+      controlEdges,
+    }),
+  };
+}
+
+registerGraphFormat({
+  id: 'ge-dump',
+  label: 'Ascend GE dump (ge_proto_*.txt)',
+  extensions: ['.txt', '.pbtxt'],
+  priority: 5,
+  // Gated on the file name: a DOT `graph { … }` with an `op` node would also pass the content check.
+  detect: (data, fileName) => typeof data === 'string'
+    && (/^ge_proto_/i.test(graphFileNameOf(fileName)) || ['.txt', '.pbtxt'].includes(fileExtension(fileName)))
+    && /\bop\s*\{/.test(data),
+  parse: (data, fileName) => parseGeDumpGraph(data, fileName),
+});
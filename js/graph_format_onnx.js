@@ -0,0 +1,265 @@
+/**
+ * graph_format_onnx.js — ONNX ModelProto (.onnx) adapter for the parser format registry
+ * Decodes the protobuf wire format in the browser; no onnx/protobuf runtime needed.
+ * Graph inputs → incast, graph outputs → outcast, initializers → const tensors,
+ * every other value name → tensor. Tensor/op magics are the ONNX value/node names.
+ */
+
+// ── Protobuf wire decoding ─────────────────────────────────────────────────
+
+const ONNX_ELEM_TYPES = {
+  1: 'FP32', 2: 'UINT8', 3: 'INT8', 4: 'UINT16', 5: 'INT16', 6: 'INT32', 7: 'INT64',
+  8: 'STRING', 9: 'BOOL', 10: 'FP16', 11: 'FP64', 12: 'UINT32', 13: 'UINT64', 16: 'BF16',
+};
+
+const ONNX_TEXT_DECODER = typeof TextDecoder !== 'undefined' ? new TextDecoder('utf-8') : null;
+
+function pbReadVarint(buf, pos) {
+  let result = 0;
+  let mul = 1;
+  let b;
+  do {
+    if (pos.i >= buf.length) throw new Error('ONNX: truncated varint');
+    b = buf[pos.i++];
+    result += (b & 0x7f) * mul;
+    mul *= 128;
+  } while (b & 0x80);
+  // int64 negatives arrive as 10-byte two's complement
+  return result >= 2 ** 63 ? result - 2 ** 64 : result;
+}
+
+// Decode one message into { fieldNumber: [rawValue, ...] }.
+// Length-delimited values stay as Uint8Array slices; callers decide string vs sub-message.
+function pbDecodeMessage(buf) {
+  const fields = {};
+  const pos = { i: 0 };
+  while (pos.i < buf.length) {
+    const key = pbReadVarint(buf, pos);
+    const field = Math.floor(key / 8);
+    const wire = key & 7;
+    let value;
+    if (wire === 0) {
+      value = pbReadVarint(buf, pos);
+    } else if (wire === 1) {
+      value = new DataView(buf.buffer, buf.byteOffset + pos.i, 8).getFloat64(0, true);
+      pos.i += 8;
+    } else if (wire === 2) {
+      const len = pbReadVarint(buf, pos);
+      if (pos.i + len > buf.length) throw new Error('ONNX: truncated field');
+      value = buf.subarray(pos.i, pos.i + len);
+      pos.i += len;
+    } else if (wire === 5) {
+      value = new DataView(buf.buffer, buf.byteOffset + pos.i, 4).getFloat32(0, true);
+      pos.i += 4;
+    } else {
+      throw new Error(`ONNX: unsupported wire type ${wire}`);
+    }
+    (fields[field] || (fields[field] = [])).push(value);
+  }
+  return fields;
+}
+
+function pbString(bytes) {
+  if (!bytes) return '';
+  if (ONNX_TEXT_DECODER) return ONNX_TEXT_DECODER.decode(bytes);
+  return String.fromCharCode(...bytes);
+}
+
+function pbStrings(list) {
+  return (list || []).map(pbString);
+}
+
+// Repeated int64 may be packed (one length-delimited blob) or unpacked.
+function pbInts(list) {
+  const out = [];
+  for (const v of list || []) {
+    if (v instanceof Uint8Array) {
+      const pos = { i: 0 };
+      while (pos.i < v.length) out.push(pbReadVarint(v, pos));
+    } else {
+      out.push(v);
+    }
+  }
+  return out;
+}
+
+// ── ONNX message readers ───────────────────────────────────────────────────
+
+function onnxTensorType(typeBytes) {
+  if (!typeBytes) return { dtype: '?', shape: [] };
+  const typeProto = pbDecodeMessage(typeBytes);
+  const tensorType = typeProto[1]?.[0];
+  if (!tensorType) return { dtype: '?', shape: [] };
+  const tt = pbDecodeMessage(tensorType);
+  const elem = tt[1]?.[0];
+  const shape = [];
+  const shapeBytes = tt[2]?.[0];
+  if (shapeBytes) {
+    for (const dimBytes of pbDecodeMessage(shapeBytes)[1] || []) {
+      const dim = pbDecodeMessage(dimBytes);
+      if (dim[1]) shape.push(dim[1][0]);
+      else if (dim[2]) shape.push(pbString(dim[2][0]));
+      else shape.push('?');
+    }
+  }
+  return { dtype: ONNX_ELEM_TYPES[elem] || (elem != null ? `dtype:${elem}` : '?'), shape };
+}
+
+function onnxValueInfo(bytes) {
+  const v = pbDecodeMessage(bytes);
+  return { name: pbString(v[1]?.[0]), ...onnxTensorType(v[2]?.[0]) };
+}
+
+function onnxAttribute(bytes) {
+  const a = pbDecodeMessage(bytes);
+  const name = pbString(a[1]?.[0]);
+  let value = null;
+  if (a[2]) value = a[2][0];
+  else if (a[3]) value = a[3][0];
+  else if (a[4]) value = pbString(a[4][0]);
+  else if (a[7]) value = a[7].flatMap(v => (v instanceof Uint8Array ? [...new Float32Array(v.slice().buffer)] : [v]));
+  else if (a[8]) value = pbInts(a[8]);
+  else if (a[9]) value = pbStrings(a[9]);
+  else if (a[5]) value = '<tensor>';
+  else if (a[6]) value = '<graph>';
+  return { name, value };
+}
+
+function onnxNode(bytes) {
+  const n = pbDecodeMessage(bytes);
+  const opAttr = {};
+  (n[5] || []).map(onnxAttribute).forEach(attr => { if (attr.name) opAttr[attr.name] = attr.value; });
+  return {
+    inputs: pbStrings(n[1]),
+    outputs: pbStrings(n[2]),
+    name: pbString(n[3]?.[0]),
+    opType: pbString(n[4]?.[0]),
+    domain: pbString(n[7]?.[0]),
+    opAttr,
+  };
+}
+
+function onnxInitializer(bytes) {
+  const t = pbDecodeMessage(bytes);
+  const elem = t[2]?.[0];
+  return {
+    name: pbString(t[8]?.[0]),
+    shape: pbInts(t[1]),
+    dtype: ONNX_ELEM_TYPES[elem] || (elem != null ? `dtype:${elem}` : '?'),
+  };
+}
+
+function decodeOnnxModel(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const model = pbDecodeMessage(bytes);
+  const graphBytes = model[7]?.[0];
+  if (!(graphBytes instanceof Uint8Array)) throw new Error('ONNX: ModelProto has no graph');
+  const g = pbDecodeMessage(graphBytes);
+  return {
+    irVersion: model[1]?.[0] ?? null,
+    producer: [pbString(model[2]?.[0]), pbString(model[3]?.[0])].filter(Boolean).join(' '),
+    graphName: pbString(g[2]?.[0]),
+    nodes: (g[1] || []).map(onnxNode),
+    initializers: (g[5] || []).map(onnxInitializer),
+    inputs: (g[11] || []).map(onnxValueInfo),
+    outputs: (g[12] || []).map(onnxValueInfo),
+    valueInfo: (g[13] || []).map(onnxValueInfo),
+  };
+}
+
+// ── Graph model mapping ────────────────────────────────────────────────────
+
+function parseOnnxGraph(buffer, fileName) {
+  const onnx = decodeOnnxModel(buffer);
+  const nodes = [];
+  const edges = [];
+
+  const infoByName = new Map();
+  [...onnx.valueInfo, ...onnx.inputs, ...onnx.outputs].forEach(v => infoByName.set(v.name, v));
+  onnx.initializers.forEach(t => { if (!infoByName.has(t.name)) infoByName.set(t.name, t); });
+  const initializerNames = new Set(onnx.initializers.map(t => t.name));
+  const inputNames = new Set(onnx.inputs.map(v => v.name).filter(name => !initializerNames.has(name)));
+  const outputNames = new Set(onnx.outputs.map(v => v.name));
+
+  const tensorIds = new Map();
+  let incastIdx = 0, outcastIdx = 0;
+  function ensureTensor(name) {
+    if (!name) return null;
+    if (tensorIds.has(name)) return tensorIds.get(name);
+    const info = infoByName.get(name) || {};
+    let type = 'tensor';
+    if (inputNames.has(name)) type = 'incast';
+    if (outputNames.has(name)) type = 'outcast';
+    const data = {
+      magic: name,
+      shape: info.shape || [],
+      rawShape: info.shape || [],
+      dtype: info.dtype || '?',
+      symbol: name,
+      format: 0,
+      offset: [],
+      memId: -1,
+      memType: null,
+      kind: initializerNames.has(name) ? 'initializer' : null,
+      lifeRange: null,
+    };
+    if (type === 'incast') { data.slotIdx = incastIdx++; data.rawConnections = []; }
+    if (type === 'outcast') { data.slotIdx = outcastIdx++; data.rawConnections = []; }
+    const id = `t_${name}`;
+    nodes.push({ id, type, label: name, subLabel: name, data });
+    tensorIds.set(name, id);
+    return id;
+  }
+
+  onnx.inputs.forEach(v => { if (inputNames.has(v.name)) ensureTensor(v.name); });
+
+  onnx.nodes.forEach((n, i) => {
+    const magic = n.name || `${n.opType}_${i}`;
+    const id = `op_${magic}`;
+    const ioperands = n.inputs.filter(Boolean);
+    const ooperands = n.outputs.filter(Boolean);
+    ioperands.forEach(name => edges.push({ source: ensureTensor(name), target: id }));
+    ooperands.forEach(name => edges.push({ source: id, target: ensureTensor(name) }));
+    nodes.push({
+      id,
+      type: 'op',
+      label: n.opType,
+      subLabel: n.name || n.opType,
+      data: {
+        magic,
+        opcode: n.opType,
+        kind: n.domain || null,
+        latency: null,
+        ioperands,
+        ooperands,
+        subgraphId: null,
+        outShape: infoByName.get(ooperands[0])?.shape ?? null,
+        opAttr: n.opAttr,
+        semanticLabel: null,
+      },
+    });
+  });
+
+  onnx.outputs.forEach(v => ensureTensor(v.name));
+
+  return {
+    nodes,
+    edges,
+    meta: buildGraphMeta(nodes, edges, {
+      name: onnx.graphName || String(fileName || 'onnx').replace(/\.[^.]+$/, ''),
+      file: fileName || '',
+      producer: onnx.producer,
+      irVersion: onnx.irVersion,
+    }),
+  };
+}
+
+registerGraphFormat({
+  id: 'onnx',
+  label: 'ONNX model (.onnx)',
+  extensions: ['.onnx'],
+  binary: true,
+  priority: 5,
+  detect: (data, fileName) => data instanceof ArrayBuffer && fileExtension(fileName) === '.onnx',
+  parse: (data, fileName) => parseOnnxGraph(data, fileName),
+});
@@ -0,0 +1,361 @@
+/**
+ * graph_search.js - Full-text and structural search over a parsed graph model.
+ *
+ * Query syntax (whitespace separated terms inside one clause are AND-ed):
+ *   MUL                    opcode / symbol / semantic label text match
+ *   #123  magic:123        exact magic ID
+ *   BF16  dtype:BF16       dtype
+ *   [*,128]  shape:[..,128]  shape pattern; `*` = any one dim, `..` = any run of dims
+ *   op:MUL sym:IN_ sem:Softmax type:tensor mem:UB
+ *
+ * Clauses can be chained with a relation:
+ *   MUL fed by BF16 tensor [*,128]     (also `MUL <- BF16 [*,128]`)
+ *   VIEW feeds A_MUL_B                 (also `VIEW -> A_MUL_B`)
+ * From an op, a clause that is not tensor-specific also looks through the
+ * intermediate tensor, so `ADD feeds MUL` works on op → tensor → op dumps.
+ */
+(function () {
+  const FALLBACK_DTYPES = ['FP32', 'FP16', 'BF16', 'FP64', 'INT8', 'INT16', 'INT32', 'INT64',
+    'UINT8', 'UINT16', 'UINT32', 'UINT64', 'BOOL', 'STRING'];
+
+  const FIELD_ALIASES = {
+    op: 'opcode',
+    opcode: 'opcode',
+    sym: 'symbol',
+    symbol: 'symbol',
+    sem: 'semantic',
+    semantic: 'semantic',
+    magic: 'magic',
+    id: 'magic',
+    shape: 'shape',
+    dtype: 'dtype',
+    type: 'type',
+    mem: 'mem',
+  };
+
+  const TYPE_WORDS = {
+    op: 'op',
+    ops: 'op',
+    tensor: 'tensor',
+    tensors: 'tensor',
+    incast: 'incast',
+    outcast: 'outcast',
+    group: 'group',
+  };
+
+  const FILLER_WORDS = new Set(['a', 'an', 'the', 'of', 'with', 'shape', 'dtype', 'and']);
+
+  const RELATIONS = [
+    { re: /(?:^|\s+)fed\s+by(?:\s+|$)|\s*<-\s*/i, kind: 'pred' },
+    { re: /(?:^|\s+)feeds(?:\s+|$)|\s*->\s*/i, kind: 'succ' },
+  ];
+
+  const indexCache = new WeakMap();
+
+  function knownDtypes() {
+    const names = new Set(FALLBACK_DTYPES);
+    if (typeof DTYPE_MAP === 'object' && DTYPE_MAP) {
+      Object.values(DTYPE_MAP).forEach(name => names.add(String(name).toUpperCase()));
+    }
+    return names;
+  }
+
+  function isTensorLike(node) {
+    return node?.type === 'tensor' || node?.type === 'incast' || node?.type === 'outcast';
+  }
+
+  function nodeShape(node) {
+    const d = node?.data || {};
+    if (node?.type === 'op') return Array.isArray(d.outShape) ? d.outShape : (Array.isArray(d.shape) ? d.shape : []);
+    return Array.isArray(d.shape) ? d.shape : [];
+  }
+
+  function memTypeText(node) {
+    const mt = node?.data?.memType;
+    if (mt == null) return '';
+    if (typeof mt === 'object') return [mt.asis, mt.tobe].filter(v => v != null).join(' ');
+    return String(mt);
+  }
+
+  // ── Query parsing ────────────────────────────────────────────────────────
+
+  function tokenize(text) {
+    return String(text || '').match(/\[[^\]]*\]|"[^"]*"|\S+/g) || [];
+  }
+
+  function parseShapePattern(text) {
+    const inner = String(text || '').trim().replace(/^\[|\]$/g, '');
+    if (!inner.trim()) return [];
+    return inner.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+      if (part === '*' || part === '?') return { kind: 'any' };
+      if (part === '..' || part === '...') return { kind: 'rest' };
+      return { kind: 'dim', value: part };
+    });
+  }
+
+  function parseTerm(token, dtypes) {
+    const raw = token.replace(/^"|"$/g, '');
+    const fieldMatch = raw.match(/^([a-z]+):(.+)$/i);
+    if (fieldMatch && FIELD_ALIASES[fieldMatch[1].toLowerCase()]) {
+      const field = FIELD_ALIASES[fieldMatch[1].toLowerCase()];
+      const value = fieldMatch[2];
+      if (field === 'shape') return { field, pattern: parseShapePattern(value), text: value };
+      if (field === 'magic') return { field, value: value.replace(/^#/, ''), text: value };
+      if (field === 'type') return { field, value: TYPE_WORDS[value.toLowerCase()] || value.toLowerCase(), text: value };
+      return { field, value: value.toLowerCase(), text: value };
+    }
+    if (/^#\d+$/.test(raw) || /^\d+$/.test(raw)) return { field: 'magic', value: raw.replace(/^#/, ''), text: raw };
+    if (/^\[.*\]$/.test(raw)) return { field: 'shape', pattern: parseShapePattern(raw), text: raw };
+    if (dtypes.has(raw.toUpperCase().replace(/^DT_/, ''))) {
+      return { field: 'dtype', value: raw.toLowerCase().replace(/^dt_/, ''), text: raw };
+    }
+    return { field: 'text', value: raw.toLowerCase(), text: raw };
+  }
+
+  function parseClause(text, dtypes) {
+    const terms = [];
+    let typeFilter = null;
+    tokenize(text).forEach(token => {
+      const lower = token.toLowerCase();
+      if (TYPE_WORDS[lower]) {
+        typeFilter = TYPE_WORDS[lower];
+        return;
+      }
+      if (FILLER_WORDS.has(lower)) return;
+      terms.push(parseTerm(token, dtypes));
+    });
+    const explicitType = terms.find(term => term.field === 'type');
+    if (explicitType) typeFilter = explicitType.value;
+    return {
+      text: String(text || '').trim(),
+      typeFilter,
+      terms: terms.filter(term => term.field !== 'type'),
+    };
+  }
+
+  function splitRelations(text) {
+    const clauses = [];
+    const relations = [];
+    let rest = String(text || '');
+    for (;;) {
+      let best = null;
+      RELATIONS.forEach(rel => {
+        const m = rest.match(rel.re);
+        if (m && (!best || m.index < best.match.index)) best = { match: m, kind: rel.kind };
+      });
+      if (!best) break;
+      clauses.push(rest.slice(0, best.match.index));
+      relations.push(best.kind);
+      rest = rest.slice(best.match.index + best.match[0].length);
+    }
+    clauses.push(rest);
+    return { clauses, relations };
+  }
+
+  function parseQuery(text) {
+    const source = String(text || '').trim();
+    if (!source) return null;
+    const dtypes = knownDtypes();
+    const { clauses, relations } = splitRelations(source);
+    const parsed = clauses.map(clause => parseClause(clause, dtypes));
+    if (parsed.some(clause => !clause.terms.length && !clause.typeFilter)) {
+      return { source, clauses: parsed, relations, error: '关系两侧都需要查询条件' };
+    }
+    return { source, clauses: parsed, relations, error: null };
+  }
+
+  // ── Matching ─────────────────────────────────────────────────────────────
+
+  function matchShapePattern(shape, pattern) {
+    const dims = (shape || []).map(dim => String(dim));
+    const walk = (di, pi) => {
+      if (pi === pattern.length) return di === dims.length;
+      const part = pattern[pi];
+      if (part.kind === 'rest') {
+        for (let k = di; k <= dims.length; k++) {
+          if (walk(k, pi + 1)) return true;
+        }
+        return false;
+      }
+      if (di >= dims.length) return false;
+      if (part.kind === 'any' || part.value === dims[di]) return walk(di + 1, pi + 1);
+      return false;
+    };
+    return walk(0, 0);
+  }
+
+  function textScore(hay, value) {
+    if (!hay) return 0;
+    if (hay === value) return 3;
+    if (hay.startsWith(value)) return 2;
+    return hay.includes(value) ? 1 : 0;
+  }
+
+  function matchTerm(entry, term) {
+    const { node, fields } = entry;
+    switch (term.field) {
+      case 'magic':
+        return String(node.data?.magic ?? '') === term.value ? { score: 4, reason: `#${term.value}` } : null;
+      case 'dtype':
+        return fields.dtype === term.value ? { score: 2, reason: `dtype ${fields.dtype.toUpperCase()}` } : null;
+      case 'shape':
+        return matchShapePattern(nodeShape(node), term.pattern) ? { score: 2, reason: `shape ${term.text}` } : null;
+      case 'mem':
+        return fields.mem.includes(term.value) ? { score: 1, reason: `mem ${term.text}` } : null;
+      case 'opcode':
+      case 'symbol':
+      case 'semantic': {
+        const score = textScore(fields[term.field], term.value);
+        return score ? { score, reason: `${term.field} ${term.text}` } : null;
+      }
+      default: {
+        let best = null;
+        ['opcode', 'symbol', 'semantic', 'label'].forEach(key => {
+          const score = textScore(fields[key], term.value);
+          if (score && (!best || score > best.score)) best = { score, reason: `${key} ${term.text}` };
+        });
+        return best;
+      }
+    }
+  }
+
+  function matchTypeFilter(node, typeFilter) {
+    if (!typeFilter) return true;
+    if (typeFilter === 'tensor') return isTensorLike(node);
+    return node.type === typeFilter;
+  }
+
+  function matchClause(entry, clause) {
+    if (!matchTypeFilter(entry.node, clause.typeFilter)) return null;
+    let score = 0;
+    const reasons = [];
+    for (const term of clause.terms) {
+      const hit = matchTerm(entry, term);
+      if (!hit) return null;
+      score += hit.score;
+      reasons.push(hit.reason);
+    }
+    return { score: score || 1, reasons };
+  }
+
+  const TENSOR_ONLY_FIELDS = new Set(['dtype', 'symbol', 'mem']);
+
+  // A clause that cannot match a tensor may sit two hops away from an op.
+  function canSkipTensors(clause) {
+    if (clause.typeFilter) return clause.typeFilter === 'op';
+    return !clause.terms.some(term => TENSOR_ONLY_FIELDS.has(term.field));
+  }
+
+  // ── Index ────────────────────────────────────────────────────────────────
+
+  function buildSearchIndex(graphModel) {
+    const entries = [];
+    const entryById = new Map();
+    const pred = new Map();
+    const succ = new Map();
+    for (const node of graphModel?.nodes || []) {
+      const d = node.data || {};
+      const entry = {
+        node,
+        fields: {
+          opcode: String(d.opcode || '').toLowerCase(),
+          symbol: String(d.symbol || '').toLowerCase(),
+          semantic: String(d.semanticLabel || d.inferredSemanticLabel || '').toLowerCase(),
+          label: String(node.label || '').toLowerCase(),
+          dtype: String(d.dtype || '').toLowerCase().replace(/^dt_/, ''),
+          mem: memTypeText(node).toLowerCase(),
+        },
+      };
+      entries.push(entry);
+      entryById.set(node.id, entry);
+      pred.set(node.id, []);
+      succ.set(node.id, []);
+    }
+    for (const edge of graphModel?.edges || []) {
+      if (!pred.has(edge.target) || !succ.has(edge.source)) continue;
+      pred.get(edge.target).push(edge.source);
+      succ.get(edge.source).push(edge.target);
+    }
+    return { entries, entryById, pred, succ };
+  }
+
+  function getSearchIndex(graphModel) {
+    if (!graphModel) return null;
+    const cached = indexCache.get(graphModel);
+    if (cached) return cached;
+    const next = buildSearchIndex(graphModel);
+    indexCache.set(graphModel, next);
+    return next;
+  }
+
+  function neighborIds(index, nodeId, kind, lookThrough) {
+    const adjacency = kind === 'pred' ? index.pred : index.succ;
+    const direct = adjacency.get(nodeId) || [];
+    if (!lookThrough) return direct;
+    const out = new Set(direct);
+    direct.forEach(id => {
+      if (!isTensorLike(index.entryById.get(id)?.node)) return;
+      (adjacency.get(id) || []).forEach(next => out.add(next));
+    });
+    return [...out];
+  }
+
+  // Evaluate clause `ci` for one node, recursing along the relation chain.
+  function matchChain(index, query, entry, ci, memo) {
+    const key = `${ci}|${entry.node.id}`;
+    if (memo.has(key)) return memo.get(key);
+    memo.set(key, null);
+    let result = matchClause(entry, query.clauses[ci]);
+    if (result && ci < query.relations.length) {
+      const nextClause = query.clauses[ci + 1];
+      const lookThrough = canSkipTensors(nextClause) && entry.node.type === 'op';
+      let bestLink = null;
+      for (const id of neighborIds(index, entry.node.id, query.relations[ci], lookThrough)) {
+        const next = index.entryById.get(id);
+        if (!next) continue;
+        const linked = matchChain(index, query, next, ci + 1, memo);
+        if (linked && (!bestLink || linked.score > bestLink.score)) bestLink = { ...linked, nodeId: id };
+      }
+      result = bestLink
+        ? {
+            score: result.score + bestLink.score,
+            reasons: [...result.reasons, `${query.relations[ci] === 'pred' ? '←' : '→'} ${index.entryById.get(bestLink.nodeId).node.label}`],
+          }
+        : null;
+    }
+    memo.set(key, result);
+    return result;
+  }
+
+  function searchGraph(graphModel, queryText, options = {}) {
+    const limit = options.limit ?? 200;
+    const query = typeof queryText === 'string' ? parseQuery(queryText) : queryText;
+    if (!query) return { query: null, results: [], total: 0, error: null };
+    if (query.error) return { query, results: [], total: 0, error: query.error };
+    const index = getSearchIndex(graphModel);
+    if (!index) return { query, results: [], total: 0, error: null };
+
+    const memo = new Map();
+    const hits = [];
+    for (const entry of index.entries) {
+      const hit = matchChain(index, query, entry, 0, memo);
+      if (hit) hits.push({ node: entry.node, score: hit.score, reasons: hit.reasons });
+    }
+    hits.sort((a, b) => {
+      if (b.score !== a.score) return b.score - a.score;
+      const am = Number(a.node.data?.magic);
+      const bm = Number(b.node.data?.magic);
+      if (Number.isFinite(am) && Number.isFinite(bm) && am !== bm) return am - bm;
+      return String(a.node.id).localeCompare(String(b.node.id));
+    });
+    return { query, results: hits.slice(0, limit), allNodeIds: hits.map(hit => hit.node.id), total: hits.length, error: null };
+  }
+
+  window.PtoGraphSearch = {
+    parseQuery,
+    searchGraph,
+    matchShapePattern,
+    buildSearchIndex,
+    getSearchIndex,
+  };
+})();
@@ -7,6 +7,9 @@
  *   3. Coordinate assignment with centering per layer
  *
  * Output: Map<nodeId, {x, y, w, h}>
+ *
+ * options.onProgress(phase, fraction) is called as the phases advance (fraction 0..1);
+ * layout_worker.js forwards it to the main thread.
  */
 
 const NODE_W = 225;   // compact node width tuned to 1.5x for readable labels
@@ -85,6 +88,14 @@ function computeLayout(graph, options = {}) {
   const vGap = compact ? V_GAP_COMPACT : V_GAP;
   if (nodes.length === 0) return { positions: new Map(), layerNodes: [], maxLayer: 0 };
 
+  const onProgress = typeof options.onProgress === 'function' ? options.onProgress : null;
+  let lastReported = -1;
+  const report = (phase, fraction) => {
+    if (!onProgress || (fraction < 1 && fraction - lastReported < 0.02)) return;
+    lastReported = fraction;
+    onProgress(phase, fraction);
+  };
+
   const nodeMap = new Map(nodes.map(n => [n.id, n]));
 
   // ── Build adjacency ──────────────────────────────────────────
@@ -109,6 +120,7 @@ function computeLayout(graph, options = {}) {
   let head = 0;
   while (head < queue.length) {
     const id = queue[head++];
+    report('layering', 0.2 * head / nodes.length);
     const currentLayer = layer.get(id);
     for (const nextId of succ.get(id)) {
       const proposed = currentLayer + 1;
@@ -142,7 +154,8 @@ function computeLayout(graph, options = {}) {
     }
   }
 
-  const maxLayer = Math.max(...layer.values());
+  let maxLayer = 0;
+  layer.forEach(l => { if (l > maxLayer) maxLayer = l; });
 
   // ── Group nodes by layer ─────────────────────────────────────
   const layerNodes = Array.from({ length: maxLayer + 1 }, () => []);
@@ -154,8 +167,12 @@ function computeLayout(graph, options = {}) {
   // Initialize positions (natural order)
   layerNodes.forEach(ids => ids.forEach((id, i) => posInLayer.set(id, i)));
 
+  // Three sweeps share 0.2..0.8 of the progress range.
+  const sweepProgress = (sweep, l) => 0.2 + 0.2 * (sweep + l / Math.max(1, maxLayer));
+
   // Forward pass: sort by avg predecessor position
   for (let l = 1; l <= maxLayer; l++) {
+    report('ordering', sweepProgress(0, l));
     const prevPos = new Map(layerNodes[l - 1].map((id, i) => [id, i]));
     layerNodes[l].sort((a, b) => {
       return baryPos(a, pred, prevPos) - baryPos(b, pred, prevPos);
@@ -165,6 +182,7 @@ function computeLayout(graph, options = {}) {
 
   // Backward pass: sort by avg successor position
   for (let l = maxLayer - 1; l >= 0; l--) {
+    report('ordering', sweepProgress(1, maxLayer - l));
     const nextPos = new Map(layerNodes[l + 1].map((id, i) => [id, i]));
     layerNodes[l].sort((a, b) => {
       return baryPos(a, succ, nextPos) - baryPos(b, succ, nextPos);
@@ -174,6 +192,7 @@ function computeLayout(graph, options = {}) {
 
   // Second forward pass (improves result)
   for (let l = 1; l <= maxLayer; l++) {
+    report('ordering', sweepProgress(2, l));
     const prevPos = new Map(layerNodes[l - 1].map((id, i) => [id, i]));
     layerNodes[l].sort((a, b) => {
       return baryPos(a, pred, prevPos) - baryPos(b, pred, prevPos);
@@ -182,6 +201,7 @@ function computeLayout(graph, options = {}) {
   }
 
   // ── Coordinate assignment ─────────────────────────────────────
+  report('coordinates', 0.8);
   // TB mode: layers go down (Y axis), nodes spread right (X axis).
   // LR mode: layers go right (X axis), nodes spread down (Y axis).
 
@@ -230,8 +250,12 @@ function computeLayout(graph, options = {}) {
         positions.set(id, { x: nodeX.get(id) ?? PAD, y: layerY[l], w: nodeWidth, h });
       }
     }
-    const maxRight = Math.max(...[...positions.values()].map(p => p.x + p.w));
-    const maxBottom = Math.max(...[...positions.values()].map(p => p.y + p.h));
+    let maxRight = 0, maxBottom = 0;
+    positions.forEach(p => {
+      maxRight = Math.max(maxRight, p.x + p.w);
+      maxBottom = Math.max(maxBottom, p.y + p.h);
+    });
+    report('done', 1);
     return { positions, layerNodes, maxLayer, canvasW: maxRight + PAD, canvasH: maxBottom + PAD };
   }
 
@@ -288,10 +312,12 @@ function computeLayout(graph, options = {}) {
     }
   }
 
-  const maxNodeBottom = Math.max(...[...positions.values()].map(p => p.y + p.h));
+  let maxNodeBottom = 0;
+  positions.forEach(p => { maxNodeBottom = Math.max(maxNodeBottom, p.y + p.h); });
   const canvasW = PAD * 2 + (maxLayer + 1) * hStep;
   const canvasH = maxNodeBottom + PAD;
 
+  report('done', 1);
   return { positions, layerNodes, maxLayer, canvasW, canvasH };
 }
 
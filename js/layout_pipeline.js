@@ -0,0 +1,210 @@
+/**
+ * layout_pipeline.js - Cached, cancellable layout front-end for computeLayout().
+ *
+ * Large graphs are laid out in layout_worker.js so the page stays responsive and
+ * can show progress; small graphs (or pages opened from file://, where workers are
+ * unavailable) fall back to computeLayout() on the main thread. Every result is
+ * cached under graph hash + layout options, so revisiting a pass is instant.
+ */
+(function () {
+  const CACHE_MAX_ENTRIES = 32;
+  const CACHE_MAX_NODES = 400000;
+  const WORKER_URL = (() => {
+    const src = document.currentScript?.src;
+    return src ? src.replace(/layout_pipeline\.js(\?.*)?$/, 'layout_worker.js') : 'js/layout_worker.js';
+  })();
+
+  const cache = new Map(); // key -> { layout, nodeCount }, oldest first
+  let cachedNodeCount = 0;
+  const graphHashes = new WeakMap();
+
+  let worker = null;
+  let workerUnavailable = typeof Worker === 'undefined';
+  let activeJob = null; // { id, graph, options, key, resolve, onProgress }
+  let nextJobId = 1;
+
+  // ── Cache keys ─────────────────────────────────────────────────
+  function fnv1a(hash, text) {
+    let h = hash;
+    for (let i = 0; i < text.length; i++) {
+      h ^= text.charCodeAt(i);
+      h = Math.imul(h, 0x01000193) >>> 0;
+    }
+    return h;
+  }
+
+  // Structural fingerprint: what computeLayout reads (ids, types, group heights, edges).
+  // meta.hash alone is not enough, PyPTO keeps the function hash across pass snapshots.
+  function graphLayoutHash(graph) {
+    if (!graph) return '';
+    const cached = graphHashes.get(graph);
+    if (cached) return cached;
+    let h = 0x811c9dc5;
+    for (const node of graph.nodes || []) {
+      h = fnv1a(h, `${node.id}\u0001${node.type}`);
+      if (node.type === 'group' && typeof estimateGroupHeight === 'function') h = fnv1a(h, `:${estimateGroupHeight(node)}`);
+    }
+    for (const edge of graph.edges || []) h = fnv1a(h, `${edge.source}\u0002${edge.target}`);
+    const key = `${graph.meta?.hash ?? ''}:${(graph.nodes || []).length}:${(graph.edges || []).length}:${h.toString(16)}`;
+    graphHashes.set(graph, key);
+    return key;
+  }
+
+  function stableOptions(options) {
+    return JSON.stringify(Object.keys(options || {}).sort()
+      .filter(key => typeof options[key] !== 'function')
+      .map(key => [key, options[key]]));
+  }
+
+  function layoutCacheKey(graph, options) {
+    return `${graphLayoutHash(graph)}|${stableOptions(options)}`;
+  }
+
+  function readCache(key) {
+    const entry = cache.get(key);
+    if (!entry) return null;
+    cache.delete(key);
+    cache.set(key, entry);
+    return entry.layout;
+  }
+
+  function writeCache(key, layout, nodeCount) {
+    if (cache.has(key)) cachedNodeCount -= cache.get(key).nodeCount;
+    cache.delete(key);
+    cache.set(key, { layout, nodeCount });
+    cachedNodeCount += nodeCount;
+    for (const [oldKey, entry] of cache) {
+      if (cache.size <= 1 || (cache.size <= CACHE_MAX_ENTRIES && cachedNodeCount <= CACHE_MAX_NODES)) break;
+      cache.delete(oldKey);
+      cachedNodeCount -= entry.nodeCount;
+    }
+  }
+
+  function clearLayoutCache() {
+    cache.clear();
+    cachedNodeCount = 0;
+  }
+
+  // ── Layout ─────────────────────────────────────────────────────
+  function layoutGraphSync(graph, options = {}) {
+    const key = layoutCacheKey(graph, options);
+    const cached = readCache(key);
+    if (cached) return cached;
+    const layout = computeLayout(graph, options);
+    writeCache(key, layout, graph.nodes.length);
+    return layout;
+  }
+
+  // Only what computeLayout reads crosses the worker boundary.
+  function slimGraph(graph) {
+    return {
+      nodes: graph.nodes.map(node => (node.type === 'group'
+        ? { id: node.id, type: node.type, data: node.data }
+        : { id: node.id, type: node.type })),
+      edges: graph.edges.map(edge => ({ source: edge.source, target: edge.target })),
+    };
+  }
+
+  function settleActiveJob(layout) {
+    const job = activeJob;
+    activeJob = null;
+    if (!job) return;
+    if (layout) writeCache(job.key, layout, job.graph.nodes.length);
+    job.resolve(layout);
+  }
+
+  function runActiveJobOnMainThread() {
+    const job = activeJob;
+    if (!job) return;
+    try {
+      settleActiveJob(computeLayout(job.graph, job.options));
+    } catch (error) {
+      activeJob = null;
+      job.reject(error);
+    }
+  }
+
+  function handleWorkerMessage(event) {
+    const msg = event.data || {};
+    if (!activeJob || msg.id !== activeJob.id) return;
+    if (msg.type === 'progress') {
+      activeJob.onProgress?.(msg.phase, msg.fraction);
+    } else if (msg.type === 'done') {
+      settleActiveJob(msg.layout);
+    } else if (msg.type === 'error') {
+      const job = activeJob;
+      activeJob = null;
+      job.reject(new Error(msg.message));
+    }
+  }
+
+  // A worker that cannot load (file://, CSP) fails once; later jobs go straight to the main thread.
+  function handleWorkerError(event) {
+    event.preventDefault?.();
+    console.warn('Layout worker unavailable, falling back to main thread:', event.message || event);
+    workerUnavailable = true;
+    worker?.terminate();
+    worker = null;
+    runActiveJobOnMainThread();
+  }
+
+  function getWorker() {
+    if (worker || workerUnavailable) return worker;
+    try {
+      worker = new Worker(WORKER_URL);
+      worker.onmessage = handleWorkerMessage;
+      worker.onerror = handleWorkerError;
+    } catch (error) {
+      console.warn('Layout worker unavailable, falling back to main thread:', error);
+      workerUnavailable = true;
+      worker = null;
+    }
+    return worker;
+  }
+
+  // Abort the running worker job; its promise resolves with null.
+  function cancelLayout() {
+    if (!activeJob) return false;
+    worker?.terminate();
+    worker = null;
+    settleActiveJob(null);
+    return true;
+  }
+
+  /**
+   * Lay out `graph`, reusing the cache. Returns { promise, cancel }; the promise
+   * resolves with the layout, or null when cancelled or superseded by a newer call.
+   * opts.useWorker=false forces the synchronous path.
+   */
+  function layoutGraph(graph, options = {}, { onProgress = null, useWorker = true } = {}) {
+    const key = layoutCacheKey(graph, options);
+    const cached = readCache(key);
+    if (cached) return { promise: Promise.resolve(cached), cancel: () => false, cached: true };
+
+    cancelLayout();
+    const id = nextJobId++;
+    const promise = new Promise((resolve, reject) => {
+      activeJob = { id, graph, options, key, resolve, reject, onProgress };
+    });
+    const target = useWorker ? getWorker() : null;
+    if (target) {
+      target.postMessage({ id, graph: slimGraph(graph), options });
+    } else {
+      runActiveJobOnMainThread();
+    }
+    return {
+      promise,
+      cancel: () => (activeJob?.id === id ? cancelLayout() : false),
+      cached: false,
+    };
+  }
+
+  window.PtoLayoutPipeline = {
+    cancelLayout,
+    clearLayoutCache,
+    graphLayoutHash,
+    layoutCacheKey,
+    layoutGraph,
+    layoutGraphSync,
+  };
+})();
@@ -0,0 +1,24 @@
+/**
+ * layout_worker.js - Runs computeLayout (layout.js) off the main thread.
+ *
+ * Request:  { id, graph: { nodes, edges }, options }
+ * Replies:  { id, type: 'progress', phase, fraction }
+ *           { id, type: 'done', layout }
+ *           { id, type: 'error', message }
+ * Cancellation is done by the caller terminating the worker (see layout_pipeline.js).
+ */
+
+importScripts('layout.js');
+
+self.onmessage = (event) => {
+  const { id, graph, options } = event.data || {};
+  try {
+    const layout = computeLayout(graph, {
+      ...(options || {}),
+      onProgress: (phase, fraction) => self.postMessage({ id, type: 'progress', phase, fraction }),
+    });
+    self.postMessage({ id, type: 'done', layout });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error?.message || String(error) });
+  }
+};
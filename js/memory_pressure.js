@@ -0,0 +1,314 @@
+/**
+ * memory_pressure.js - Tensor lifetime and live-bytes-per-step analysis for the memory overlay.
+ *
+ * Steps are the layout layers (topological depth), so the strip lines up with the graph.
+ * A tensor's lifetime is its dumped lifeRange (first and last op position in the function's
+ * operations) mapped onto the layers of those ops. Without one, it is live from its own layer
+ * to the layer of its last consumer; an intermediate without consumers is live on its own
+ * layer only, a function output (outcast) to the end. Tensors that share a memId share one
+ * buffer: the buffer is live over the union of their lifetimes and counts its largest size once.
+ * Size is the allocated mem_range when the dump has one, otherwise shape × dtype.
+ */
+(function () {
+  const MEMORY_LEVELS = ['UB', 'L1', 'L0', 'GM'];
+
+  const MEMORY_LEVEL_COLORS = {
+    UB: '#1DB7D9',
+    L1: '#22B8B5',
+    L0: '#8B5CF6',
+    GM: '#8DD61A',
+    unknown: '#6B7280',
+  };
+
+  // 910B per-core capacities, as in mem_viewer/js/constants.js. L0A/L0B/L0C are separate
+  // buffers and GM is effectively unbounded, so neither gets a capacity line.
+  const MEMORY_LEVEL_CAPACITY = {
+    UB: 262144,
+    L1: 1048576,
+    L0: null,
+    GM: null,
+  };
+
+  // tile_fwk MemoryType: MEM_UB=0, MEM_L1, MEM_L0A, MEM_L0B, MEM_L0C, ... MEM_DEVICE_DDR=15.
+  const MEM_TYPE_CODE_TO_LEVEL = { 0: 'UB', 1: 'L1', 2: 'L0', 3: 'L0', 4: 'L0', 5: 'L0', 6: 'L0', 15: 'GM' };
+
+  const DTYPE_BYTES = {
+    FP64: 8, INT64: 8, UINT64: 8,
+    FP32: 4, INT32: 4, UINT32: 4,
+    FP16: 2, BF16: 2, INT16: 2, UINT16: 2,
+    FP8: 1, HF8: 1, INT8: 1, UINT8: 1, BOOL: 1,
+  };
+
+  const TENSOR_TYPES = new Set(['tensor', 'incast', 'outcast']);
+
+  function isTensorNode(node) {
+    return !!node && TENSOR_TYPES.has(node.type);
+  }
+
+  function memTypeLevel(value) {
+    if (value == null) return null;
+    if (typeof value === 'number') return MEM_TYPE_CODE_TO_LEVEL[value] || null;
+    const text = String(value).toUpperCase();
+    if (text.includes('UB')) return 'UB';
+    if (text.includes('L1')) return 'L1';
+    if (text.includes('L0')) return 'L0';
+    if (text.includes('GM') || text.includes('DDR') || text.includes('WORK')) return 'GM';
+    return null;
+  }
+
+  // Memory level of a tensor node: target (tobe) first, then current (asis); boundary tensors are GM.
+  function memoryLevelOf(node) {
+    if (!isTensorNode(node)) return null;
+    const memType = node.data?.memType;
+    const level = memType && typeof memType === 'object'
+      ? (memTypeLevel(memType.tobe) || memTypeLevel(memType.asis))
+      : memTypeLevel(memType);
+    if (level) return level;
+    return node.type === 'tensor' ? 'unknown' : 'GM';
+  }
+
+  function dtypeBytes(dtype) {
+    const key = String(dtype || '').toUpperCase().replace(/^DT_/, '');
+    if (DTYPE_BYTES[key]) return DTYPE_BYTES[key];
+    const bits = key.match(/(\d+)$/);
+    return bits ? Math.max(1, Math.ceil(Number(bits[1]) / 8)) : null;
+  }
+
+  // Bytes held by a tensor, or null when the shape is symbolic / the dtype unknown.
+  function tensorBytes(node) {
+    const d = node?.data || {};
+    const range = d.memRange;
+    if (Array.isArray(range) && range.length === 2 && range[1] > range[0]) return range[1] - range[0];
+    const shape = Array.isArray(d.shape) && d.shape.length ? d.shape : d.rawShape;
+    if (!Array.isArray(shape)) return null;
+    const width = dtypeBytes(d.dtype);
+    if (!width) return null;
+    let count = 1;
+    for (const dim of shape) {
+      if (typeof dim !== 'number' || !Number.isFinite(dim) || dim < 0) return null;
+      count *= dim;
+    }
+    return count * width;
+  }
+
+  function formatBytes(bytes) {
+    if (bytes == null) return '?';
+    if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${(bytes / 1024).toFixed(bytes >= 10240 ? 0 : 1)} KB`;
+    return `${bytes} B`;
+  }
+
+  // Layers spanned by a tensor's dumped lifeRange [firstOp, lastOp], or null when the dump has
+  // none (PyPTO writes [-1, -1] before memory planning) or its ops are not in the layout.
+  function lifeRangeLayers(node, layerOfOpIndex) {
+    const range = node.data?.lifeRange;
+    if (!Array.isArray(range) || range.length !== 2) return null;
+    const [first, last] = range;
+    if (!Number.isInteger(first) || !Number.isInteger(last) || first < 0 || last < first) return null;
+    const a = layerOfOpIndex.get(first);
+    const b = layerOfOpIndex.get(last);
+    if (a == null || b == null) return null;
+    return { start: Math.min(a, b), end: Math.max(a, b) };
+  }
+
+  // Screen-independent extent of each layer along the layout's layer axis (x for LR layouts).
+  function layerExtents(layout) {
+    return (layout.layerNodes || []).map(ids => {
+      let x0 = Infinity, x1 = -Infinity;
+      for (const id of ids) {
+        const pos = layout.positions.get(id);
+        if (!pos) continue;
+        x0 = Math.min(x0, pos.x);
+        x1 = Math.max(x1, pos.x + pos.w);
+      }
+      return Number.isFinite(x0) ? { x0, x1 } : null;
+    });
+  }
+
+  /**
+   * Live bytes per layout layer and memory level for `graph` laid out by `layout`.
+   * Returns { steps: [{ x0, x1, bytes: { UB, L1, L0, GM, unknown } }], buffers, peaks, unsizedCount }
+   * where peaks[level] = { step, bytes } and buffers are the lifetime intervals that were summed.
+   */
+  function computeMemoryPressure(graph, layout) {
+    const stepCount = (layout?.layerNodes || []).length;
+    const levels = [...MEMORY_LEVELS, 'unknown'];
+    const result = { steps: [], buffers: [], peaks: {}, unsizedCount: 0 };
+    if (!graph || !stepCount) return result;
+
+    const layerOf = new Map();
+    layout.layerNodes.forEach((ids, l) => ids.forEach(id => layerOf.set(id, l)));
+    const layerOfOpIndex = new Map();
+    for (const node of graph.nodes) {
+      if (node.type === 'op' && typeof node.data?.opIndex === 'number' && layerOf.has(node.id)) {
+        layerOfOpIndex.set(node.data.opIndex, layerOf.get(node.id));
+      }
+    }
+    const lastUse = new Map();
+    const hasConsumer = new Set();
+    for (const edge of graph.edges) {
+      const targetLayer = layerOf.get(edge.target);
+      if (targetLayer == null) continue;
+      hasConsumer.add(edge.source);
+      if (!(lastUse.get(edge.source) >= targetLayer)) lastUse.set(edge.source, targetLayer);
+    }
+
+    const buffers = new Map(); // level + memId (or node id) -> { level, start, end, bytes, tensorIds }
+    for (const node of graph.nodes) {
+      if (!isTensorNode(node) || !layerOf.has(node.id)) continue;
+      const bytes = tensorBytes(node);
+      if (bytes == null) {
+        result.unsizedCount++;
+        continue;
+      }
+      const level = memoryLevelOf(node);
+      const dumped = lifeRangeLayers(node, layerOfOpIndex);
+      let start = layerOf.get(node.id);
+      let end = start;
+      if (dumped) ({ start, end } = dumped);
+      else if (hasConsumer.has(node.id)) end = Math.max(start, lastUse.get(node.id));
+      else if (node.type === 'outcast') end = stepCount - 1;
+      const memId = node.data?.memId;
+      const key = typeof memId === 'number' && memId >= 0 ? `${level}:m${memId}` : `${level}:${node.id}`;
+      const buffer = buffers.get(key);
+      if (buffer) {
+        buffer.start = Math.min(buffer.start, start);
+        buffer.end = Math.max(buffer.end, end);
+        buffer.bytes = Math.max(buffer.bytes, bytes);
+        buffer.tensorIds.push(node.id);
+      } else {
+        buffers.set(key, { level, start, end, bytes, tensorIds: [node.id] });
+      }
+    }
+
+    // Difference arrays: +bytes at start, -bytes after end.
+    const delta = Object.fromEntries(levels.map(level => [level, new Float64Array(stepCount + 1)]));
+    buffers.forEach(buffer => {
+      delta[buffer.level][buffer.start] += buffer.bytes;
+      delta[buffer.level][buffer.end + 1] -= buffer.bytes;
+    });
+    const running = Object.fromEntries(levels.map(level => [level, 0]));
+    const extents = layerExtents(layout);
+    for (let s = 0; s < stepCount; s++) {
+      const bytes = {};
+      levels.forEach(level => {
+        running[level] += delta[level][s];
+        bytes[level] = Math.max(0, Math.round(running[level]));
+        const peak = result.peaks[level];
+        if (bytes[level] > 0 && (!peak || bytes[level] > peak.bytes)) result.peaks[level] = { step: s, bytes: bytes[level] };
+      });
+      const extent = extents[s] || extents[s - 1] || { x0: 0, x1: 0 };
+      result.steps.push({ x0: extent.x0, x1: extent.x1, bytes });
+    }
+    result.buffers = [...buffers.values()];
+    return result;
+  }
+
+  // Tensor ids live at `step` in `level`, largest buffers first.
+  function liveTensorsAt(pressure, step, level) {
+    return pressure.buffers
+      .filter(buffer => buffer.level === level && buffer.start <= step && buffer.end >= step)
+      .sort((a, b) => b.bytes - a.bytes)
+      .flatMap(buffer => buffer.tensorIds);
+  }
+
+  // The on-chip level closest to (or furthest over) its capacity; falls back to the largest peak.
+  function pickDefaultLevel(pressure) {
+    let best = null, bestRatio = -1;
+    MEMORY_LEVELS.forEach(level => {
+      const peak = pressure.peaks[level];
+      const capacity = MEMORY_LEVEL_CAPACITY[level];
+      if (!peak || !capacity) return;
+      const ratio = peak.bytes / capacity;
+      if (ratio > bestRatio) { best = level; bestRatio = ratio; }
+    });
+    if (best) return best;
+    return MEMORY_LEVELS.find(level => pressure.peaks[level]) || 'UB';
+  }
+
+  /**
+   * Draw the live-bytes bars of `level` into `canvas`, one bar per layer, placed with the
+   * graph transform (graph x → screen x = tx + x * scale, minus the strip's own left offset).
+   */
+  function drawPressureStrip(canvas, pressure, { level, tx, scale, offsetX = 0, selectedStep = null, theme = {} }) {
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+    const dpr = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+      canvas.width = Math.round(width * dpr);
+      canvas.height = Math.round(height * dpr);
+    }
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const capacity = MEMORY_LEVEL_CAPACITY[level];
+    const peak = pressure.peaks[level];
+    const top = 8;
+    const usable = height - top - 2;
+    const maxBytes = Math.max(peak?.bytes || 0, capacity || 0, 1);
+    const color = MEMORY_LEVEL_COLORS[level] || MEMORY_LEVEL_COLORS.unknown;
+
+    pressure.steps.forEach((step, s) => {
+      const bytes = step.bytes[level] || 0;
+      if (!bytes) return;
+      const x = tx + step.x0 * scale - offsetX;
+      const w = Math.max(1, (step.x1 - step.x0) * scale);
+      if (x + w < 0 || x > width) return;
+      const h = Math.max(1, usable * bytes / maxBytes);
+      ctx.fillStyle = capacity && bytes > capacity ? (theme.danger || '#E8453C') : color;
+      ctx.globalAlpha = selectedStep == null || selectedStep === s ? 0.9 : 0.45;
+      ctx.fillRect(x, height - 2 - h, w, h);
+    });
+    ctx.globalAlpha = 1;
+
+    if (capacity) {
+      const y = height - 2 - usable * capacity / maxBytes;
+      ctx.strokeStyle = theme.warning || '#F5A623';
+      ctx.setLineDash([4, 3]);
+      ctx.beginPath();
+      ctx.moveTo(0, Math.round(y) + 0.5);
+      ctx.lineTo(width, Math.round(y) + 0.5);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    if (peak) {
+      const step = pressure.steps[peak.step];
+      const cx = tx + (step.x0 + step.x1) / 2 * scale - offsetX;
+      const y = height - 2 - usable * peak.bytes / maxBytes;
+      ctx.fillStyle = theme.foreground || '#FFFFFF';
+      ctx.beginPath();
+      ctx.moveTo(cx - 4, y - 6);
+      ctx.lineTo(cx + 4, y - 6);
+      ctx.lineTo(cx, y - 1);
+      ctx.closePath();
+      ctx.fill();
+    }
+  }
+
+  // Layer under screen x in the strip, or null between layers.
+  function stepAtStripX(pressure, x, { tx, scale, offsetX = 0 }) {
+    const graphX = (x + offsetX - tx) / Math.max(scale, 1e-6);
+    const slop = 4 / Math.max(scale, 1e-6);
+    const index = pressure.steps.findIndex(step => graphX >= step.x0 - slop && graphX <= step.x1 + slop);
+    return index >= 0 ? index : null;
+  }
+
+  window.PtoMemoryPressure = {
+    MEMORY_LEVELS,
+    MEMORY_LEVEL_CAPACITY,
+    MEMORY_LEVEL_COLORS,
+    computeMemoryPressure,
+    drawPressureStrip,
+    dtypeBytes,
+    formatBytes,
+    liveTensorsAt,
+    memoryLevelOf,
+    pickDefaultLevel,
+    stepAtStripX,
+    tensorBytes,
+  };
+})();
@@ -43,6 +43,7 @@
   const navSnapMenu = document.getElementById('navSnapMenu');
 
   const navSourceTag = document.getElementById('navSourceTag');
+  const navHeatBtn = document.getElementById('navHeatBtn');
 
   function initLegacyNavigator() {
     const track = document.getElementById('timelineTrack');
@@ -260,6 +261,13 @@
   let activeSide = 'after';  // after|before
   let activeSnap = 'main';   // main|ROOT|LEAF_xx
   let explainAvailability = null; // null outside explain-highlight mode; Set of "dir::path_id"
+  let heatEnabled = false;
+  let passHeat = null;     // { key: 'path::snap', byPassIndex: Map<pass_index, stats>, maxScore, done, total }
+  let heatGeneration = 0;  // bumps per heat scan; stale scans stop reading
+  // { pass, path, snap, load } from a deep link, applied once a matching index arrives. app.js leaves it
+  // on window when the link is read before this script runs; load: false also holds back the
+  // default-pass auto-load (the link loads its own file).
+  let pendingRestore = window.PTO_NAV_PENDING_RESTORE || null;
 
   // Static path mapping: loop+unroll → path_id
   const PATH_MAP = {
@@ -424,11 +432,89 @@
     document.body.appendChild(dotTooltip);
   }
 
+  // ── Diff heat ────────────────────────────────────────────────────────────
+  // Each dot gets a bar sized by how much its pass changed on the active path / snapshot.
+  // Filling it reads every dump of the path, so it only runs while the toggle is on.
+  function heatKey() {
+    return `${activePath}::${activeSnap}`;
+  }
+
+  function heatStatsFor(pass) {
+    return heatEnabled && passHeat?.key === heatKey() ? passHeat.byPassIndex.get(pass.pass_index) || null : null;
+  }
+
+  function syncHeatButton() {
+    if (!navHeatBtn) return;
+    navHeatBtn.classList.toggle('active', heatEnabled);
+    const running = heatEnabled && passHeat && passHeat.done < passHeat.total;
+    navHeatBtn.textContent = running ? `Δ ${passHeat.done}/${passHeat.total}` : 'Δ';
+  }
+
+  function paintHeat() {
+    navTimeline.classList.toggle('show-heat', heatEnabled);
+    navTimeline.querySelectorAll('.nav-pass-dot').forEach(dot => {
+      const pass = navIndex.passes[parseInt(dot.dataset.i, 10)];
+      const stats = pass ? heatStatsFor(pass) : null;
+      const score = stats?.score || 0;
+      const net = stats && !stats.error ? stats.ops.after - stats.ops.before : 0;
+      const heat = score && passHeat.maxScore ? Math.log1p(score) / Math.log1p(passHeat.maxScore) : 0;
+      dot.style.setProperty('--heat', heat.toFixed(3));
+      dot.classList.toggle('heat-noop', !!stats && !stats.error && !score);
+      dot.classList.toggle('heat-grow', net > 0);
+      dot.classList.toggle('heat-shrink', net < 0);
+    });
+    syncHeatButton();
+  }
+
+  function startHeatScan() {
+    const api = window.PtoPassDiffStats;
+    const pairsApi = window.PtoPassCausePairs;
+    if (!api || !pairsApi || !window.PtoNodeLineage || typeof window.readFileRefJson !== 'function') return;
+    const generation = ++heatGeneration;
+    const pathId = activePath;
+    const snapshotKey = activeSnap;
+    const chain = window.PtoNodeLineage.selectChain(pairsApi.buildPairsFromNavIndex(navIndex), { pathId, snapshotKey });
+    const heat = { key: heatKey(), byPassIndex: new Map(), maxScore: 0, done: 0, total: chain.length };
+    passHeat = heat;
+    api.computePassStats(chain, {
+      pathId,
+      snapshotKey,
+      readJson: window.readFileRefJson,
+      isCancelled: () => generation !== heatGeneration,
+      onPass: (pair, stats) => {
+        heat.byPassIndex.set(pair.passIndex, stats);
+        heat.maxScore = Math.max(heat.maxScore, stats.score || 0);
+        heat.done += 1;
+        paintHeat();
+      },
+    }).catch(err => console.error('Nav: diff heat failed', err))
+      .finally(() => {
+        if (generation !== heatGeneration) return;
+        heat.done = heat.total;
+        syncHeatButton();
+      });
+    paintHeat();
+  }
+
+  function syncHeat() {
+    if (heatEnabled && navIndex && passHeat?.key !== heatKey()) startHeatScan();
+    else paintHeat();
+  }
+
+  navHeatBtn?.addEventListener('click', () => {
+    heatEnabled = !heatEnabled;
+    if (!heatEnabled) heatGeneration++;
+    if (!heatEnabled && passHeat && passHeat.done < passHeat.total) passHeat = null;
+    syncHeat();
+  });
+
   // ── Inbound API ──────────────────────────────────────────────────────────
   function setNavIndex(data, meta = {}) {
     if (!data || !Array.isArray(data.passes) || !data.passes.length) return;
     navIndex = data;
     navMeta = meta || {};
+    passHeat = null;
+    heatGeneration++;
     explainAvailability = buildAvailabilitySet(navMeta.explainAvailability);
     navBar.classList.remove('hidden');
     updateSourceTag();
@@ -441,15 +527,69 @@
     createDotTooltip();
     buildTimeline();
     rebuildLoopMenu();
+    if (pendingRestore?.pass && restoreSelection(pendingRestore)) {
+      pendingRestore = null;
+      return;
+    }
+    if (pendingRestore?.load === false) {
+      // The deep link already loaded its graph; loading the default pass would replace it.
+      pendingRestore = null;
+      syncHeat();
+      return;
+    }
     selectPass(initialPassIndex());
   }
 
+  // Pass query: dir name, pass_index (number or digit string) or pass_name.
+  function findPassIndex(passQuery) {
+    if (passQuery == null || passQuery === '') return -1;
+    const text = String(passQuery);
+    const byDir = navIndex.passes.findIndex(pass => pass.dir === text);
+    if (byDir >= 0) return byDir;
+    if (/^\d+$/.test(text)) {
+      const byIndex = navIndex.passes.findIndex(pass => pass.pass_index === Number(text));
+      if (byIndex >= 0) return byIndex;
+    }
+    return navIndex.passes.findIndex(pass => pass.pass_name === text);
+  }
+
+  function restoreSelection({ pass: passQuery, path: pathId, snap, load = true }) {
+    const i = findPassIndex(passQuery);
+    if (i < 0) return false;
+    const pass = navIndex.passes[i];
+    if (pathId && pass.paths.some(path => path.path_id === pathId)) selectPath(pathId, { load: false });
+    if (snap) activeSnap = snap;
+    selectPass(i, { load });
+    return true;
+  }
+
   window.setNavIndex = setNavIndex;
   window.navSetExplainAvailability = (list) => {
     explainAvailability = buildAvailabilitySet(list);
     if (navIndex) buildTimeline();
   };
   window.navSelectPath = selectPath;
+  // Deep links: applied now when the index has the pass, otherwise kept for the next setNavIndex().
+  // A selection without a pass only matters before the index arrives: with load: false it
+  // keeps the first setNavIndex() from auto-loading the default pass over the linked file.
+  window.navRestoreSelection = (selection) => {
+    if (!selection?.pass) {
+      if (!navIndex && selection?.load === false) pendingRestore = selection;
+      return false;
+    }
+    if (navIndex?.passes?.length && restoreSelection(selection)) return true;
+    pendingRestore = selection;
+    return false;
+  };
+  window.navCurrentSelection = () => {
+    const pass = activeIdx !== null ? navIndex?.passes?.[activeIdx] : null;
+    if (!pass) return null;
+    return { pass: pass.dir || String(pass.pass_index), path: activePath, snap: activeSnap };
+  };
+  window.PtoPassIrNav = {
+    getIndex: () => navIndex,
+    normalizeFileRef,
+  };
   window.navSelectPassIndex = selectPass;
   window.navSelectPass = (passQuery) => {
     if (!navIndex?.passes?.length) return;
@@ -516,15 +656,19 @@
         const explainText = explainAvailability
           ? (passHasExplain(pass) ? ' · explain ready' : ' · graph only')
           : '';
-        dotTooltip.textContent = `P${String(pass.pass_index).padStart(2, '0')} · ${pass.pass_name}${explainText}`;
+        const heatStats = heatStatsFor(pass);
+        const heatText = heatStats ? `\n${window.PtoPassDiffStats.describeStats(heatStats)}` : '';
+        dotTooltip.textContent = `P${String(pass.pass_index).padStart(2, '0')} · ${pass.pass_name}${explainText}${heatText}`;
         const r = dot.getBoundingClientRect();
         dotTooltip.style.left = (r.left + r.width / 2) + 'px';
         dotTooltip.style.top = r.top + 'px';
         dotTooltip.classList.add('visible');
       });
       dot.addEventListener('mouseleave', () => { dotTooltip.classList.remove('visible'); });
+      dot.appendChild(Object.assign(document.createElement('span'), { className: 'nav-pass-heat' }));
       groupDots.appendChild(dot);
     });
+    paintHeat();
   }
 
   // ── Menus ────────────────────────────────────────────────────────────────
@@ -755,6 +899,7 @@
     rebuildUnrollMenu();
     rebuildSnapMenu();
     if (options.load !== false) loadCurrent();
+    else syncHeat();
     centerActiveDot();
   }
 
@@ -808,6 +953,7 @@
       snap = path.snapshots.find(s => s.snap_type === activeSnap);
     }
 
+    syncHeat();
     const fileRef = normalizeFileRef(resolveSnapshotFile(snap));
     const selection = {
       navIndex: selectionNavIndex(pass, path, snap),
@@ -0,0 +1,429 @@
+/**
+ * node_lineage.js - Follow one op or tensor through every pass of a Pass-IR dump.
+ *
+ * The index walks the ready Before/After pairs of one path (pass_cause_pairs.js) in pass
+ * order and gives every node a lineage: a stable id that survives the pass pipeline and
+ * collects an event for each pass that touched it. Nodes are keyed on `magic`; a node with
+ * a new magic is matched back to a removed one (renamed, or rewritten to another opcode)
+ * or to a surviving twin (cloned) before it counts as created.
+ *
+ * Positions: 0 is the Before of the first pass, k + 1 the After of chain[k].
+ */
+(function () {
+  const EVENT_LABELS = {
+    input: 'present',
+    appeared: 'appeared',
+    created: 'created',
+    modified: 'modified',
+    renamed: 'renamed',
+    'cloned-from': 'cloned from',
+    'cloned-to': 'cloned to',
+    deleted: 'deleted',
+  };
+  const TENSOR_FIELDS = ['shape', 'offset', 'dtype', 'memType', 'memId', 'memRange'];
+  const OP_FIELDS = ['opcode', 'inputs', 'outputs', 'subgraphId', 'latency', 'opAttr'];
+  const RELATED_LIMIT = 3;
+
+  function stableJson(value) {
+    const fn = window.PtoPassCauseDiff?.stableJson;
+    return fn ? fn(value) : JSON.stringify(value ?? null);
+  }
+
+  // Only the fields lineage compares; the raw dump can be dropped once this is built.
+  function summarizeDump(data) {
+    const func = data?.functions?.[0];
+    if (!func) return null;
+    const rawByMagic = new Map((func.rawtensors || []).map(rt => [rt.rawmagic, rt]));
+    const tensors = new Map();
+    for (const tensor of func.tensors || []) {
+      const rt = rawByMagic.get(tensor.rawtensor) || {};
+      tensors.set(String(tensor.magic), {
+        magic: String(tensor.magic),
+        label: rt.symbol || `T${tensor.magic}`,
+        raw: String(tensor.rawtensor ?? ''),
+        shape: stableJson(tensor.shape || []),
+        offset: stableJson(tensor.offset || []),
+        dtype: String(rt.datatype ?? ''),
+        memType: stableJson(tensor.mem_type || null),
+        memId: String(tensor.mem_id ?? ''),
+        memRange: stableJson(tensor.mem_range || null),
+      });
+    }
+    const ops = new Map();
+    (func.operations || []).forEach((op, order) => {
+      ops.set(String(op.opmagic), {
+        magic: String(op.opmagic),
+        label: op.opcode,
+        order,
+        opcode: String(op.opcode || ''),
+        inputMagics: (op.ioperands || []).map(String),
+        outputMagics: (op.ooperands || []).map(String),
+        subgraphId: String(op.subgraphid ?? ''),
+        latency: String(op.latency ?? ''),
+        opAttr: stableJson(op.op_attr || {}),
+      });
+    });
+    return { tensors, ops };
+  }
+
+  function tensorKey(tensor) {
+    return `${tensor.raw}|${tensor.shape}|${tensor.offset}`;
+  }
+
+  function operandKey(magics, lineOf) {
+    return magics.map(magic => lineOf.get(magic) || `?${magic}`).join(',');
+  }
+
+  function opKeys(op, tensorLineOf) {
+    const inputs = operandKey(op.inputMagics, tensorLineOf);
+    const outputs = operandKey(op.outputMagics, tensorLineOf);
+    return {
+      inputs,
+      outputs,
+      signature: `${op.opcode}|${inputs}|${outputs}`,
+      clone: `${op.opcode}|${inputs}`,
+      // A rewrite keeps what the op produces (VIEW → COPY_IN); sinks fall back to inputs.
+      rewrite: outputs ? `>${outputs}` : `<${inputs}`,
+    };
+  }
+
+  function changedFields(kind, before, after, beforeKeys, afterKeys) {
+    if (kind === 'tensor') return TENSOR_FIELDS.filter(field => before[field] !== after[field]);
+    return OP_FIELDS.filter(field => {
+      if (field === 'inputs' || field === 'outputs') return beforeKeys[field] !== afterKeys[field];
+      return before[field] !== after[field];
+    });
+  }
+
+  function multiMap(items, keyOf) {
+    const map = new Map();
+    for (const item of items) {
+      const key = keyOf(item);
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(item);
+    }
+    return map;
+  }
+
+  function firstUnclaimed(map, key, claimed) {
+    return key != null ? map.get(key)?.find(node => !claimed.has(node.magic)) || null : null;
+  }
+
+  function createIndexState(pairs, options) {
+    return {
+      pathId: options.pathId,
+      snapshotKey: options.snapshotKey,
+      chain: pairs.map((pair, k) => ({
+        pos: k + 1,
+        passIndex: pair.passIndex,
+        passName: pair.passName,
+        dir: pair.dir || null,
+        pairId: pair.id,
+      })),
+      lineages: new Map(),
+      keyHistory: new Map(),
+      skipped: [],
+      nextId: 0,
+    };
+  }
+
+  function newLineage(index, kind, origin = null) {
+    const id = `${kind === 'op' ? 'L' : 'T'}${index.nextId++}`;
+    index.lineages.set(id, { id, kind, origin, events: [] });
+    return id;
+  }
+
+  function addEvent(index, lineageId, event) {
+    index.lineages.get(lineageId)?.events.push(event);
+  }
+
+  function remember(index, kind, magic, pos, lineageId) {
+    const key = `${kind}:${magic}`;
+    if (!index.keyHistory.has(key)) index.keyHistory.set(key, []);
+    const history = index.keyHistory.get(key);
+    if (history[history.length - 1]?.lineageId === lineageId) return;
+    history.push({ pos, lineageId });
+  }
+
+  function passEvent(step, type, node, extra = {}) {
+    return {
+      pos: step.pos,
+      passIndex: step.passIndex,
+      passName: step.passName,
+      dir: step.dir,
+      type,
+      magic: node.magic,
+      label: node.label,
+      ...extra,
+    };
+  }
+
+  // Gives every node of a Before dump a lineage; nodes already known keep theirs.
+  function seedSnapshot(index, snap, lines, pos, step, type) {
+    for (const kind of ['tensor', 'op']) {
+      const nodes = kind === 'op' ? snap.ops : snap.tensors;
+      const lineOf = kind === 'op' ? lines.ops : lines.tensors;
+      const next = new Map();
+      for (const node of nodes.values()) {
+        let lineageId = lineOf.get(node.magic);
+        if (!lineageId) {
+          lineageId = newLineage(index, kind);
+          addEvent(index, lineageId, { ...passEvent(step, type, node), pos });
+        }
+        next.set(node.magic, lineageId);
+        remember(index, kind, node.magic, pos, lineageId);
+      }
+      if (kind === 'op') lines.ops = next;
+      else lines.tensors = next;
+    }
+  }
+
+  function relatedOps(removedOps, keys, opKeysBefore) {
+    const mine = new Set([...keys.inputs.split(','), ...keys.outputs.split(',')].filter(Boolean));
+    const related = [];
+    for (const op of removedOps) {
+      const theirs = opKeysBefore.get(op.magic);
+      const shares = [...theirs.inputs.split(','), ...theirs.outputs.split(',')].some(id => mine.has(id));
+      if (shares) related.push(`${op.opcode} #${op.magic}`);
+      if (related.length >= RELATED_LIMIT) break;
+    }
+    return related;
+  }
+
+  // One Before → After step: same magic first, then the fallbacks, then created / deleted.
+  function advance(index, before, after, lines, step) {
+    const pos = step.pos;
+    const next = { tensors: new Map(), ops: new Map() };
+
+    for (const kind of ['tensor', 'op']) {
+      const beforeNodes = kind === 'op' ? before.ops : before.tensors;
+      const afterNodes = kind === 'op' ? after.ops : after.tensors;
+      const lineOf = kind === 'op' ? lines.ops : lines.tensors;
+      const nextLine = kind === 'op' ? next.ops : next.tensors;
+      const keysBefore = new Map();
+      const keysAfter = new Map();
+      if (kind === 'op') {
+        for (const op of beforeNodes.values()) keysBefore.set(op.magic, opKeys(op, lines.tensors));
+        for (const op of afterNodes.values()) keysAfter.set(op.magic, opKeys(op, next.tensors));
+      }
+
+      const added = [];
+      for (const node of afterNodes.values()) {
+        const prev = beforeNodes.get(node.magic);
+        const lineageId = prev ? lineOf.get(node.magic) : null;
+        if (!lineageId) {
+          added.push(node);
+          continue;
+        }
+        nextLine.set(node.magic, lineageId);
+        const fields = changedFields(kind, prev, node, keysBefore.get(node.magic), keysAfter.get(node.magic));
+        if (fields.length) addEvent(index, lineageId, passEvent(step, 'modified', node, { fields }));
+      }
+      const removed = [...beforeNodes.values()].filter(node => !afterNodes.has(node.magic));
+
+      const keyOf = kind === 'op'
+        ? (node, keys) => keys.get(node.magic)
+        : node => ({ signature: tensorKey(node), clone: tensorKey(node), rewrite: null });
+      const removedBySignature = multiMap(removed, node => keyOf(node, keysBefore).signature);
+      const removedByRewrite = kind === 'op' ? multiMap(removed, node => keyOf(node, keysBefore).rewrite) : new Map();
+      const survivorsByClone = multiMap(
+        [...afterNodes.values()].filter(node => nextLine.has(node.magic)),
+        node => keyOf(node, keysAfter).clone,
+      );
+      const claimed = new Set();
+
+      for (const node of added) {
+        const keys = keyOf(node, keysAfter);
+        const match = firstUnclaimed(removedBySignature, keys.signature, claimed);
+        if (match) {
+          claimed.add(match.magic);
+          const lineageId = lineOf.get(match.magic);
+          nextLine.set(node.magic, lineageId);
+          addEvent(index, lineageId, passEvent(step, 'renamed', node, { fromMagic: match.magic }));
+          continue;
+        }
+        const rewrite = firstUnclaimed(removedByRewrite, keys.rewrite, claimed);
+        if (rewrite) {
+          claimed.add(rewrite.magic);
+          const lineageId = lineOf.get(rewrite.magic);
+          nextLine.set(node.magic, lineageId);
+          const fields = changedFields(kind, rewrite, node, keysBefore.get(rewrite.magic), keys);
+          addEvent(index, lineageId, passEvent(step, 'modified', node, { fields, fromMagic: rewrite.magic, fromLabel: rewrite.label }));
+          continue;
+        }
+        const twin = survivorsByClone.get(keys.clone)?.[0];
+        if (twin) {
+          const sourceId = nextLine.get(twin.magic);
+          const lineageId = newLineage(index, kind, sourceId);
+          nextLine.set(node.magic, lineageId);
+          addEvent(index, lineageId, passEvent(step, 'cloned-from', node, { fromMagic: twin.magic, fromLineage: sourceId }));
+          addEvent(index, sourceId, passEvent(step, 'cloned-to', twin, { toMagic: node.magic, toLineage: lineageId }));
+          continue;
+        }
+        const lineageId = newLineage(index, kind);
+        nextLine.set(node.magic, lineageId);
+        const related = kind === 'op'
+          ? relatedOps(removed.filter(op => !claimed.has(op.magic)), keys, keysBefore)
+          : [];
+        addEvent(index, lineageId, passEvent(step, 'created', node, related.length ? { related } : {}));
+      }
+
+      for (const node of removed) {
+        if (claimed.has(node.magic)) continue;
+        const lineageId = lineOf.get(node.magic);
+        if (lineageId) addEvent(index, lineageId, passEvent(step, 'deleted', node));
+        remember(index, kind, node.magic, pos, null);
+      }
+      for (const [magic, lineageId] of nextLine) remember(index, kind, magic, pos, lineageId);
+    }
+    return next;
+  }
+
+  // Ready pairs of one path and snapshot, one per pass in pass order. LEAF / ROOT
+  // snapshots are not produced by every pass; passes without one fall back to main.
+  function selectChain(pairs, { pathId, snapshotKey = 'main' } = {}) {
+    const byPass = new Map();
+    for (const pair of pairs || []) {
+      if (pair.status !== 'ready') continue;
+      if (pathId && pair.pathId !== pathId) continue;
+      if (pair.snapshotKey !== snapshotKey && pair.snapshotKey !== 'main') continue;
+      const current = byPass.get(pair.passIndex);
+      if (!current || (current.snapshotKey !== snapshotKey && pair.snapshotKey === snapshotKey)) {
+        byPass.set(pair.passIndex, pair);
+      }
+    }
+    return [...byPass.values()].sort((a, b) => a.passIndex - b.passIndex);
+  }
+
+  /**
+   * Reads every dump of the chain once, keeping only the previous After in memory.
+   * readJson(ref) resolves to the raw dump; onProgress({ done, total, passName }) fires per pass.
+   * Dumps without a PyPTO function list are recorded in index.skipped and break no lineages.
+   */
+  async function buildLineageIndex(pairs, { pathId = null, snapshotKey = 'main', readJson, onProgress } = {}) {
+    if (typeof readJson !== 'function') throw new Error('buildLineageIndex needs readJson(ref)');
+    const chain = selectChain(pairs, { pathId, snapshotKey });
+    const index = createIndexState(chain, { pathId, snapshotKey });
+    let lines = { tensors: new Map(), ops: new Map() };
+    let prevRef = null;
+    let prevAfter = null;
+
+    for (let k = 0; k < chain.length; k++) {
+      const pair = chain[k];
+      const step = index.chain[k];
+      onProgress?.({ done: k, total: chain.length, passName: pair.passName });
+      let before = pair.beforeRef.ref === prevRef ? prevAfter : null;
+      if (!before) {
+        before = summarizeDump(await readJson(pair.beforeRef.ref));
+        if (!before) {
+          index.skipped.push({ passIndex: pair.passIndex, passName: pair.passName, reason: 'before is not a PyPTO dump' });
+          prevRef = null;
+          prevAfter = null;
+          continue;
+        }
+        seedSnapshot(index, before, lines, k, step, k > 0 ? 'appeared' : 'input');
+      }
+      const after = summarizeDump(await readJson(pair.afterRef.ref));
+      if (!after) {
+        index.skipped.push({ passIndex: pair.passIndex, passName: pair.passName, reason: 'after is not a PyPTO dump' });
+        prevRef = null;
+        prevAfter = null;
+        continue;
+      }
+      lines = advance(index, before, after, lines, step);
+      prevRef = pair.afterRef.ref;
+      prevAfter = after;
+    }
+    onProgress?.({ done: chain.length, total: chain.length, passName: null });
+    delete index.nextId;
+    return index;
+  }
+
+  function parseNodeId(nodeId) {
+    const match = /^(op|t)_(.+)$/.exec(String(nodeId || ''));
+    return match ? { kind: match[1] === 'op' ? 'op' : 'tensor', magic: match[2] } : null;
+  }
+
+  function nodeIdOf(kind, magic) {
+    return `${kind === 'op' ? 'op' : 't'}_${magic}`;
+  }
+
+  // Position of a pass's Before or After in the index, or null when the pass is not in the chain.
+  function positionOf(index, passIndex, side = 'after') {
+    const k = index?.chain.findIndex(step => step.passIndex === passIndex) ?? -1;
+    if (k < 0) return null;
+    return side === 'before' ? k : k + 1;
+  }
+
+  /**
+   * Lineage of the node shown at `pos`, plus the clones it descends from (oldest first).
+   * Returns { lineage, ancestry: [lineage...] } or null.
+   */
+  function lineageAt(index, nodeId, pos) {
+    const parsed = parseNodeId(nodeId);
+    const history = parsed ? index?.keyHistory.get(`${parsed.kind}:${parsed.magic}`) : null;
+    if (!history || pos == null) return null;
+    let entry = null;
+    for (const item of history) {
+      if (item.pos > pos) break;
+      entry = item;
+    }
+    const lineage = entry?.lineageId ? index.lineages.get(entry.lineageId) : null;
+    if (!lineage) return null;
+    const ancestry = [];
+    const seen = new Set([lineage.id]);
+    for (let origin = lineage.origin; origin && !seen.has(origin); origin = index.lineages.get(origin)?.origin) {
+      seen.add(origin);
+      const ancestor = index.lineages.get(origin);
+      if (ancestor) ancestry.unshift(ancestor);
+    }
+    return { lineage, ancestry };
+  }
+
+  /**
+   * Timeline rows for a node: the ancestors' events up to the pass the node was cloned,
+   * then the node's own events. Each row carries the node id to focus after a jump.
+   */
+  function traceNode(index, nodeId, { passIndex, side = 'after' } = {}) {
+    const found = lineageAt(index, nodeId, positionOf(index, passIndex, side));
+    if (!found) return null;
+    const rows = [];
+    const chainOf = [...found.ancestry, found.lineage];
+    chainOf.forEach((lineage, i) => {
+      const child = chainOf[i + 1];
+      const cutoff = child ? child.events[0]?.pos ?? Infinity : Infinity;
+      for (const event of lineage.events) {
+        if (event.pos > cutoff) break;
+        if (child && event.type === 'cloned-to' && event.toLineage !== child.id) continue;
+        rows.push({ ...event, lineageId: lineage.id, inherited: !!child, nodeId: nodeIdOf(lineage.kind, event.magic) });
+      }
+    });
+    return { lineage: found.lineage, ancestry: found.ancestry, rows };
+  }
+
+  // The view always shows a pass's After, so a deletion is shown where the node was last seen.
+  function jumpTarget(index, row) {
+    const pos = row.type === 'deleted' ? row.pos - 1 : row.pos;
+    const step = index?.chain[Math.max(0, pos - 1)];
+    if (!step) return null;
+    return { passIndex: step.passIndex, dir: step.dir, nodeId: pos >= 1 ? row.nodeId : null };
+  }
+
+  function eventLabel(type) {
+    return EVENT_LABELS[type] || type;
+  }
+
+  window.PtoNodeLineage = {
+    EVENT_LABELS,
+    buildLineageIndex,
+    eventLabel,
+    jumpTarget,
+    lineageAt,
+    nodeIdOf,
+    parseNodeId,
+    positionOf,
+    selectChain,
+    summarizeDump,
+    traceNode,
+  };
+})();
@@ -127,11 +127,59 @@ function parseSampleGraph(data) {
   };
 }
 
-// ── Main entry point — auto-detects format ─────────────────────────────────
+// ── PyPTO dump parser ──────────────────────────────────────────────────────
+// Handles the compiler dump format: functions[] with tensors / rawtensors / operations.
+// One function is parsed at a time (functions[0] unless options.funcIndex says otherwise);
+// CALL ops carry calleeHash / calleeIndex so the viewer can drill into the callee.
+
+function pyptoCalleeHash(op) {
+  return op?.calleehash != null ? String(op.calleehash) : null;
+}
+
+// Summary of every function in a dump: counts plus CALL relationships (by function index).
+function listPyptoFunctions(data) {
+  const funcs = data?.functions || [];
+  const indexByHash = new Map();
+  funcs.forEach((func, index) => {
+    if (func.hash != null && !indexByHash.has(String(func.hash))) indexByHash.set(String(func.hash), index);
+  });
+
+  const summaries = funcs.map((func, index) => ({
+    index,
+    name: func.func_magicname || func.rawname || `function ${index}`,
+    rawName: func.rawname || null,
+    hash: func.hash != null ? String(func.hash) : null,
+    funcMagic: func.funcmagic ?? null,
+    parentFuncMagic: func.parent_funcmagic ?? null,
+    opCount: (func.operations || []).length,
+    tensorCount: (func.tensors || []).length,
+    incastCount: (func.incasts || []).length,
+    outcastCount: (func.outcasts || []).length,
+    calls: [],   // [{ opMagic, calleeHash, calleeIndex }]
+    callers: [], // [{ opMagic, callerIndex }]
+  }));
+
+  funcs.forEach((func, index) => {
+    for (const op of func.operations || []) {
+      const calleeHash = pyptoCalleeHash(op);
+      if (calleeHash == null) continue;
+      const calleeIndex = indexByHash.has(calleeHash) ? indexByHash.get(calleeHash) : null;
+      summaries[index].calls.push({ opMagic: op.opmagic, calleeHash, calleeIndex });
+      if (calleeIndex != null) summaries[calleeIndex].callers.push({ opMagic: op.opmagic, callerIndex: index });
+    }
+  });
+
+  return summaries;
+}
 
-function parseGraph(data) {
-  if (Array.isArray(data.nodes) && !data.functions) return parseSampleGraph(data);
-  const func = data.functions[0];
+function parsePyptoGraph(data, { funcIndex = 0 } = {}) {
+  const funcs = data.functions;
+  if (!funcs[funcIndex]) throw new Error(`PyPTO dump has no function #${funcIndex}`);
+  const func = funcs[funcIndex];
+  const funcIndexByHash = new Map();
+  funcs.forEach((f, i) => {
+    if (f.hash != null && !funcIndexByHash.has(String(f.hash))) funcIndexByHash.set(String(f.hash), i);
+  });
 
   const tensorList   = func.tensors    || [];
   const rawTensorList = func.rawtensors || [];
@@ -206,6 +254,7 @@ function parseGraph(data) {
         format: rt.format ?? 0,
         offset: tensor.offset || [],
         memId: tensor.mem_id,
+        memRange: tensor.mem_range || null,
         memType: tensor.mem_type || null,
         kind: tensor.kind,
         lifeRange: tensor.life_range,
@@ -215,9 +264,10 @@ function parseGraph(data) {
   }
 
   // ── Operation nodes ────────────────────────────────────────────
-  for (const op of opList) {
+  opList.forEach((op, opIndex) => {
     const magic = op.opmagic;
     const firstOut = (op.ooperands || []).length > 0 ? tensorMap.get(op.ooperands[0]) : null;
+    const calleeHash = pyptoCalleeHash(op);
     nodes.push({
       id: `op_${magic}`,
       type: 'op',
@@ -225,6 +275,7 @@ function parseGraph(data) {
       subLabel: op.opcode,
       data: {
         magic,
+        opIndex, // position in the function's operations; tensor life_range counts in these
         opcode: op.opcode,
         kind: op.kind,
         latency: op.latency,
@@ -236,6 +287,7 @@ function parseGraph(data) {
         semanticLabel: op.semantic_label?.label ?? null,
         semanticFile:  op.semantic_label?.filename ?? null,
         semanticLine:  op.semantic_label?.lineno ?? null,
+        ...(calleeHash != null ? { calleeHash, calleeIndex: funcIndexByHash.get(calleeHash) ?? null } : {}),
       }
     });
 
@@ -251,12 +303,14 @@ function parseGraph(data) {
         edges.push({ source: `op_${magic}`, target: `t_${tId}` });
       }
     }
-  }
+  });
 
   const meta = {
     name: func.func_magicname || func.rawname || 'graph',
     hash: func.hash,
     funcId: func._funcid,
+    funcIndex,
+    functionCount: funcs.length,
     file: func.file,
     totalNodes: nodes.length,
     totalEdges: edges.length,
@@ -268,3 +322,116 @@ function parseGraph(data) {
 
   return { nodes, edges, meta };
 }
+
+// ── Format registry ────────────────────────────────────────────────────────
+// Adapters map an input (parsed JSON, text or ArrayBuffer) into {nodes, edges, meta}.
+// Adapter shape: { id, label, extensions: ['.onnx'], binary, priority, detect(input, fileName), parse(input, fileName, options) }
+
+const GRAPH_FORMATS = [];
+
+function registerGraphFormat(adapter) {
+  if (!adapter?.id || typeof adapter.detect !== 'function' || typeof adapter.parse !== 'function') {
+    throw new Error('registerGraphFormat: adapter needs id, detect() and parse()');
+  }
+  const existing = GRAPH_FORMATS.findIndex(f => f.id === adapter.id);
+  if (existing >= 0) GRAPH_FORMATS.splice(existing, 1);
+  GRAPH_FORMATS.push({ priority: 0, extensions: [], binary: false, ...adapter });
+  GRAPH_FORMATS.sort((a, b) => b.priority - a.priority);
+}
+
+function fileExtension(fileName) {
+  const m = String(fileName || '').toLowerCase().match(/\.[a-z0-9]+$/);
+  return m ? m[0] : '';
+}
+
+function findGraphFormat(input, fileName) {
+  return GRAPH_FORMATS.find(f => {
+    try { return f.detect(input, fileName || ''); } catch (_) { return false; }
+  }) || null;
+}
+
+function graphFileExtensions() {
+  return [...new Set(GRAPH_FORMATS.flatMap(f => f.extensions))];
+}
+
+function isGraphFileName(fileName) {
+  return graphFileExtensions().includes(fileExtension(fileName));
+}
+
+// File name part of a URL or nav ref, so extension-based detection ignores the path, query and hash.
+function graphFileNameOf(ref) {
+  return String(ref || '').split(/[?#]/)[0].split('/').pop();
+}
+
+function isBinaryGraphFileName(fileName) {
+  const ext = fileExtension(fileName);
+  return GRAPH_FORMATS.some(f => f.binary && f.extensions.includes(ext));
+}
+
+// Parsed JSON for JSON text, raw text otherwise (GE dumps, DOT).
+function decodeGraphText(text) {
+  const head = text.trimStart()[0];
+  return head === '{' || head === '[' ? JSON.parse(text) : text;
+}
+
+// Read a File into the input an adapter expects: ArrayBuffer for binary formats,
+// parsed JSON for JSON text, raw text otherwise.
+function readGraphFileInput(file) {
+  if (isBinaryGraphFileName(file?.name)) return file.arrayBuffer();
+  return file.text().then(decodeGraphText);
+}
+
+// Same as readGraphFileInput for a fetch() Response; fileName (or the URL) picks binary vs text.
+function readGraphResponse(response, fileName) {
+  if (isBinaryGraphFileName(graphFileNameOf(fileName))) return response.arrayBuffer();
+  return response.text().then(decodeGraphText);
+}
+
+function buildGraphMeta(nodes, edges, base = {}) {
+  const countType = (type) => nodes.filter(n => n.type === type).length;
+  return {
+    hash: '',
+    funcId: 0,
+    file: '',
+    ...base,
+    name: base.name || 'graph',
+    totalNodes: nodes.length,
+    totalEdges: edges.length,
+    incastCount: countType('incast'),
+    outcastCount: countType('outcast'),
+    opCount: countType('op'),
+    tensorCount: countType('tensor'),
+  };
+}
+
+// ── Main entry point — auto-detects format ─────────────────────────────────
+
+// options are passed through to the adapter (e.g. { funcIndex } for PyPTO dumps).
+function parseGraph(data, fileName, options = {}) {
+  const format = findGraphFormat(data, fileName);
+  if (!format) {
+    const ext = fileExtension(fileName);
+    throw new Error(`Unrecognized graph format${ext ? ` (${ext})` : ''}`);
+  }
+  const graph = format.parse(data, fileName, options);
+  graph.meta = { ...(graph.meta || {}), format: format.id };
+  return graph;
+}
+
+registerGraphFormat({
+  id: 'pto-sample',
+  label: 'Annotated nodes/edges JSON',
+  extensions: ['.json'],
+  priority: 10,
+  detect: (data) => !!data && typeof data === 'object' && Array.isArray(data.nodes) && !data.functions,
+  parse: (data) => parseSampleGraph(data),
+});
+
+registerGraphFormat({
+  id: 'pypto',
+  label: 'PyPTO compiler dump',
+  extensions: ['.json'],
+  priority: 10,
+  detect: (data) => !!data && typeof data === 'object' && Array.isArray(data.functions),
+  parse: (data, fileName, options) => parsePyptoGraph(data, options),
+});
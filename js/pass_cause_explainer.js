@@ -7,6 +7,14 @@
     'DuplicateOp',
     'MergeViewAssemble',
     'RemoveRedundantOp',
+    'AutoCast',
+    'AssignMemoryType',
+    'GraphPartition',
+    'GenerateMoveOp',
+    'SubgraphToFunction',
+    'AddAlloc',
+    'OoOSchedule',
+    'InsertSync',
   ]);
 
   function normalizePassName(name) {
@@ -363,7 +371,10 @@
         generatedAt: Date.now(),
       });
     }
-    return readPairGraph(pair).then(({ beforeGraph, afterGraph }) => explainGraphs(pair, beforeGraph, afterGraph));
+    return Promise.all([
+      readPairGraph(pair),
+      window.PtoPassCauseRuleDsl?.whenLoaded?.(),
+    ]).then(([{ beforeGraph, afterGraph }]) => explainGraphs(pair, beforeGraph, afterGraph));
   }
 
   window.PtoPassCauseExplainer = {
@@ -49,6 +49,7 @@
             id: pairId(pass, path, snapshot),
             passIndex: pass.pass_index,
             passName: pass.pass_name,
+            dir: pass.dir || null,
             normalizedPassName: normalizePassName(pass.pass_name),
             stage: pass.stage || 'Unknown',
             functionName: path.path_label || '',
@@ -0,0 +1,460 @@
+#!/usr/bin/env node
+/**
+ * pass_cause_report.js — Headless Pass Cause report for a PyPTO output folder.
+ *
+ * Runs the same pair → diff → explain pipeline as pass-ir/explain.html: the browser modules
+ * are loaded unchanged into a vm context whose `window` is the context itself, and dumps are
+ * read from disk instead of fetched. Rule packs listed in pass-ir/rules/index.json are
+ * registered, plus any given with --rules.
+ *
+ * Usage:
+ *   node js/pass_cause_report.js <output_dir> [options]
+ *
+ * Options:
+ *   --format md|html|json   Report format (default: from --out extension, else md)
+ *   --out <file>            Write the report here instead of stdout
+ *   --path <id>             Only this path (e.g. PATH3_56); repeatable
+ *   --snap <key|all>        Snapshot to explain: main (default), ROOT, LEAF_<id> or all
+ *   --pass <name>           Only passes with this name or index; repeatable
+ *   --rules <file>          Extra rule pack (*.rules.json); repeatable
+ *   --max-steps <n>         Steps listed per pair in md / html (default 20, JSON keeps all)
+ *
+ * Exit status: 0 when every pair was explained, 1 on bad arguments or when a pair failed to load.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const vm   = require('vm');
+
+const JS_DIR = __dirname;
+const RULES_MANIFEST = path.join(JS_DIR, '..', 'pass-ir', 'rules', 'index.json');
+const BROWSER_MODULES = [
+  'parser.js',
+  'nav_index_builder.js',
+  'pass_cause_source_schema.js',
+  'pass_cause_semantic.js',
+  'pass_cause_dump_schema.js',
+  'pass_cause_pairs.js',
+  'pass_cause_diff.js',
+  'pass_cause_rules.js',
+  'pass_cause_rule_dsl.js',
+  'pass_cause_explainer.js',
+];
+const FORMATS = ['md', 'html', 'json'];
+const CONFIDENCE_LABELS = {
+  'source-rule matched': 'rule',
+  'source-rule fallback': 'fallback',
+  'schema-diff': 'schema',
+  'diff-inferred': 'inferred',
+  unexplained: 'unexplained',
+};
+
+// ── Arguments ────────────────────────────────────────────────────────────────
+
+function usage(message) {
+  if (message) console.error(`error: ${message}\n`);
+  const header = fs.readFileSync(__filename, 'utf8').match(/\/\*\*([\s\S]*?)\*\//)[1];
+  console.error(header.replace(/^ \* ?/gm, '').trim());
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const opts = { root: null, format: null, out: null, paths: [], snap: 'main', passes: [], rules: [], maxSteps: 20 };
+  const repeatable = { '--path': 'paths', '--pass': 'passes', '--rules': 'rules' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') usage();
+    if (!arg.startsWith('--')) {
+      if (opts.root) usage(`unexpected argument ${arg}`);
+      opts.root = arg;
+      continue;
+    }
+    const value = argv[++i];
+    if (value == null) usage(`${arg} needs a value`);
+    if (repeatable[arg]) opts[repeatable[arg]].push(value);
+    else if (arg === '--format') opts.format = value;
+    else if (arg === '--out') opts.out = value;
+    else if (arg === '--snap') opts.snap = value;
+    else if (arg === '--max-steps') opts.maxSteps = Number(value);
+    else usage(`unknown option ${arg}`);
+  }
+  if (!opts.root) usage('missing <output_dir>');
+  if (!fs.existsSync(opts.root) || !fs.statSync(opts.root).isDirectory()) usage(`${opts.root} is not a directory`);
+  if (!opts.format) {
+    const ext = opts.out ? path.extname(opts.out).slice(1).toLowerCase() : '';
+    opts.format = ext === 'markdown' ? 'md' : FORMATS.includes(ext) ? ext : 'md';
+  }
+  if (!FORMATS.includes(opts.format)) usage(`--format must be one of ${FORMATS.join(', ')}`);
+  if (!Number.isInteger(opts.maxSteps) || opts.maxSteps < 0) usage('--max-steps must be a non-negative integer');
+  return opts;
+}
+
+// ── Pipeline ─────────────────────────────────────────────────────────────────
+
+function loadBrowserModules() {
+  const context = vm.createContext({ console, URL, setTimeout, clearTimeout, Promise });
+  context.window = context;
+  for (const file of BROWSER_MODULES) {
+    const full = path.join(JS_DIR, file);
+    vm.runInContext(fs.readFileSync(full, 'utf8'), context, { filename: full });
+  }
+  context.PtoPassIrState = {
+    readJsonRef: (ref) => fs.promises.readFile(ref, 'utf8').then(JSON.parse),
+  };
+  return context;
+}
+
+function readJsonFile(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function registerRulePacks(window, extraPacks) {
+  const files = [];
+  if (fs.existsSync(RULES_MANIFEST)) {
+    const manifest = readJsonFile(RULES_MANIFEST);
+    for (const pack of manifest.packs || []) files.push(path.join(path.dirname(RULES_MANIFEST), pack));
+  }
+  files.push(...extraPacks);
+  return files.map(file => {
+    const result = window.PtoPassCauseRuleDsl.registerRulePack(readJsonFile(file), file);
+    return { file, name: result.name || path.basename(file), rules: result.rules.length, errors: result.errors };
+  });
+}
+
+function walkJson(dir, results = []) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) walkJson(full, results);
+    else if (entry.name.endsWith('.json')) results.push(full);
+  }
+  return results;
+}
+
+function selectPairs(pairs, opts) {
+  return pairs.filter(pair => {
+    if (opts.paths.length && !opts.paths.includes(pair.pathId)) return false;
+    if (opts.snap !== 'all' && pair.snapshotKey !== opts.snap) return false;
+    if (opts.passes.length && !opts.passes.some(query => (
+      query === pair.passName || query === pair.dir || Number(query) === pair.passIndex
+    ))) return false;
+    return true;
+  });
+}
+
+function countBy(items, keyOf) {
+  const out = {};
+  for (const item of items) {
+    const key = keyOf(item);
+    out[key] = (out[key] || 0) + 1;
+  }
+  return out;
+}
+
+// Keeps what the report shows; graphs and the diff index are dropped with the result.
+function summarizeResult(pair, result) {
+  const steps = result.explanations.map(step => ({
+    ruleId: step.ruleId || null,
+    confidence: step.confidence,
+    changeType: step.changeType || null,
+    title: step.title,
+    summary: step.summary || '',
+    nodes: (step.nodeIds || []).length,
+    edges: (step.edgeIds || []).length,
+  }));
+  const ruleHits = {};
+  for (const step of steps) {
+    if (step.confidence === 'unexplained' || !step.ruleId) continue;
+    ruleHits[step.ruleId] = (ruleHits[step.ruleId] || 0) + 1;
+  }
+  return {
+    ...pairRecord(pair),
+    coverageTier: result.coverageTier || result.summary?.coverageTier || 'uncovered',
+    headline: result.summary?.headline || '',
+    stats: result.diff ? { ...result.diff.stats } : null,
+    graphCounts: result.diff ? {
+      before: result.diff.graphCounts.before,
+      after: result.diff.graphCounts.after,
+      byOpcode: result.diff.graphCounts.byOpcode,
+    } : null,
+    confidence: countBy(steps, step => step.confidence),
+    ruleHits,
+    steps,
+  };
+}
+
+function pairRecord(pair) {
+  return {
+    id: pair.id,
+    passIndex: pair.passIndex,
+    passName: pair.passName,
+    dir: pair.dir,
+    stage: pair.stage,
+    pathId: pair.pathId,
+    functionName: pair.functionName,
+    snapshotKey: pair.snapshotKey,
+    status: pair.status,
+    before: pair.beforeRef?.filePath || null,
+    after: pair.afterRef?.filePath || null,
+  };
+}
+
+function buildTotals(records) {
+  const ready = records.filter(record => record.status === 'ready');
+  const steps = ready.flatMap(record => record.steps || []);
+  const rules = new Map();
+  for (const record of ready) {
+    for (const [ruleId, count] of Object.entries(record.ruleHits || {})) {
+      const hit = rules.get(ruleId) || { ruleId, passName: record.passName, pairs: 0, steps: 0 };
+      hit.pairs += 1;
+      hit.steps += count;
+      rules.set(ruleId, hit);
+    }
+  }
+  return {
+    pairs: records.length,
+    ready: ready.length,
+    failed: records.filter(record => record.error).length,
+    changedPairs: ready.filter(record => record.steps?.length).length,
+    steps: steps.length,
+    confidence: countBy(steps, step => step.confidence),
+    ruleHits: [...rules.values()].sort((a, b) => b.steps - a.steps || a.ruleId.localeCompare(b.ruleId)),
+  };
+}
+
+async function buildReport(opts) {
+  const window = loadBrowserModules();
+  const rulePacks = registerRulePacks(window, opts.rules.map(file => path.resolve(file)));
+  const root = path.resolve(opts.root);
+  const entries = walkJson(root).map(file => ({
+    relativePath: path.relative(root, file).replace(/\\/g, '/'),
+    ref: file,
+  }));
+  const navIndex = window.buildNavIndexFromFileEntries(entries, { basePath: root });
+  const pairs = selectPairs(window.PtoPassCausePairs.buildPairsFromNavIndex(navIndex), opts);
+
+  const records = [];
+  for (let i = 0; i < pairs.length; i++) {
+    const pair = pairs[i];
+    console.error(`[${i + 1}/${pairs.length}] ${pair.id}`);
+    if (pair.status !== 'ready') {
+      records.push(pairRecord(pair));
+      continue;
+    }
+    try {
+      records.push(summarizeResult(pair, await window.PtoPassCauseExplainer.explainPair(pair)));
+    } catch (err) {
+      records.push({ ...pairRecord(pair), error: err?.message || String(err) });
+    }
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    root,
+    filters: { paths: opts.paths, snap: opts.snap, passes: opts.passes },
+    rulePacks,
+    totals: buildTotals(records),
+    pairs: records,
+  };
+}
+
+// ── Rendering ────────────────────────────────────────────────────────────────
+
+function signed(n) {
+  return n > 0 ? `+${n}` : String(n);
+}
+
+function opcodeDelta(record) {
+  const byOpcode = record.graphCounts?.byOpcode || {};
+  return Object.entries(byOpcode)
+    .filter(([, c]) => c.net)
+    .sort((a, b) => Math.abs(b[1].net) - Math.abs(a[1].net) || a[0].localeCompare(b[0]))
+    .map(([opcode, c]) => `${opcode} ${signed(c.net)}`)
+    .join(', ');
+}
+
+function stepCounts(record) {
+  if (record.error) return 'error';
+  if (record.status !== 'ready') return record.status;
+  const c = record.confidence || {};
+  return `${record.steps.length - (c.unexplained || 0)}/${record.steps.length}`;
+}
+
+function pairHeading(record) {
+  return `${String(record.passIndex).padStart(3, '0')} ${record.passName} · ${record.pathId} · ${record.snapshotKey}`;
+}
+
+function summaryRows(report) {
+  return report.pairs.map(record => {
+    const s = record.stats;
+    return [
+      `${String(record.passIndex).padStart(3, '0')} ${record.passName}`,
+      record.pathId,
+      record.snapshotKey,
+      record.coverageTier || '',
+      s ? signed(s.addedNodes) : '',
+      s ? `-${s.removedNodes}` : '',
+      s ? String(s.modifiedNodes) : '',
+      s ? signed(s.addedEdges) : '',
+      s ? `-${s.removedEdges}` : '',
+      s ? String(s.rewires) : '',
+      stepCounts(record),
+      Object.keys(record.ruleHits || {}).length ? Object.entries(record.ruleHits).map(([id, n]) => `${id} ×${n}`).join(', ') : '',
+    ];
+  });
+}
+
+const SUMMARY_HEAD = ['Pass', 'Path', 'Snap', 'Coverage', '+nodes', '−nodes', '~nodes', '+edges', '−edges', 'Rewires', 'Explained', 'Rule hits'];
+const RULE_HEAD = ['Rule', 'Pass', 'Pairs', 'Steps'];
+
+function totalsLine(totals) {
+  const byLabel = Object.entries(totals.confidence)
+    .map(([confidence, n]) => `${n} ${CONFIDENCE_LABELS[confidence] || confidence}`)
+    .join(', ');
+  return `${totals.pairs} pairs · ${totals.ready} ready · ${totals.changedPairs} changed · `
+    + `${totals.steps} steps${byLabel ? ` (${byLabel})` : ''}${totals.failed ? ` · ${totals.failed} failed` : ''}`;
+}
+
+function mdCell(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function mdTable(head, rows) {
+  return [
+    `| ${head.map(mdCell).join(' | ')} |`,
+    `| ${head.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(mdCell).join(' | ')} |`),
+  ].join('\n');
+}
+
+function renderMarkdown(report, { maxSteps }) {
+  const out = [
+    '# Pass cause report',
+    '',
+    `\`${report.root}\` · ${report.generatedAt}`,
+    '',
+    totalsLine(report.totals),
+    '',
+    mdTable(SUMMARY_HEAD, summaryRows(report)),
+  ];
+  if (report.totals.ruleHits.length) {
+    out.push('', '## Rule hits', '', mdTable(RULE_HEAD, report.totals.ruleHits.map(hit => [hit.ruleId, hit.passName, hit.pairs, hit.steps])));
+  }
+  out.push('', '## Passes');
+  for (const record of report.pairs) {
+    out.push('', `### ${pairHeading(record)}`, '');
+    if (record.error) {
+      out.push(`Failed: ${record.error}`);
+      continue;
+    }
+    if (record.status !== 'ready') {
+      out.push(`Pair status: ${record.status}`);
+      continue;
+    }
+    out.push(`${record.headline} · coverage \`${record.coverageTier}\``);
+    const delta = opcodeDelta(record);
+    if (delta) out.push('', `Opcodes: ${delta}`);
+    if (record.steps.length) out.push('');
+    for (const step of record.steps.slice(0, maxSteps)) {
+      const rule = step.ruleId ? ` \`${step.ruleId}\`` : '';
+      const summary = step.summary ? ` — ${step.summary.replace(/\n/g, ' ')}` : '';
+      out.push(`- **${CONFIDENCE_LABELS[step.confidence] || step.confidence}** ${step.title}${rule}${summary}`);
+    }
+    if (record.steps.length > maxSteps) out.push(`- … ${record.steps.length - maxSteps} more steps`);
+  }
+  for (const pack of report.rulePacks.filter(p => p.errors.length)) {
+    out.push('', `> Rule pack ${pack.name}: ${pack.errors.length} invalid rules skipped`);
+  }
+  return `${out.join('\n')}\n`;
+}
+
+function esc(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function htmlTable(head, rows) {
+  return `<table><thead><tr>${head.map(h => `<th>${esc(h)}</th>`).join('')}</tr></thead>`
+    + `<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${esc(cell)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+}
+
+function renderHtml(report, { maxSteps }) {
+  const sections = report.pairs.map(record => {
+    let body;
+    if (record.error) body = `<p class="err">Failed: ${esc(record.error)}</p>`;
+    else if (record.status !== 'ready') body = `<p class="muted">Pair status: ${esc(record.status)}</p>`;
+    else {
+      const delta = opcodeDelta(record);
+      const steps = record.steps.slice(0, maxSteps).map(step => `
+        <li class="step ${esc(CONFIDENCE_LABELS[step.confidence] || '')}">
+          <span class="tag">${esc(CONFIDENCE_LABELS[step.confidence] || step.confidence)}</span>
+          <b>${esc(step.title)}</b>${step.ruleId ? ` <code>${esc(step.ruleId)}</code>` : ''}
+          ${step.summary ? `<div class="muted">${esc(step.summary)}</div>` : ''}
+        </li>`).join('');
+      const more = record.steps.length > maxSteps ? `<li class="muted">… ${record.steps.length - maxSteps} more steps</li>` : '';
+      body = `<p>${esc(record.headline)} · coverage <code>${esc(record.coverageTier)}</code></p>
+        ${delta ? `<p class="muted">Opcodes: ${esc(delta)}</p>` : ''}
+        ${steps || more ? `<ul>${steps}${more}</ul>` : ''}`;
+    }
+    return `<section><h3>${esc(pairHeading(record))}</h3>${body}</section>`;
+  }).join('\n');
+  const ruleHits = report.totals.ruleHits.length
+    ? `<h2>Rule hits</h2>${htmlTable(RULE_HEAD, report.totals.ruleHits.map(hit => [hit.ruleId, hit.passName, hit.pairs, hit.steps]))}`
+    : '';
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<title>Pass cause report</title>
+<style>
+  body { font: 13px/1.5 -apple-system, "Segoe UI", "PingFang SC", sans-serif; margin: 24px; color: #1f2328; }
+  table { border-collapse: collapse; margin: 8px 0 16px; }
+  th, td { border: 1px solid #d0d7de; padding: 3px 8px; text-align: left; white-space: nowrap; }
+  th { background: #f6f8fa; }
+  code { font: 12px ui-monospace, Menlo, monospace; background: #f6f8fa; padding: 0 4px; border-radius: 4px; }
+  section { border-top: 1px solid #d0d7de; padding-top: 4px; }
+  ul { padding-left: 18px; }
+  .muted { color: #656d76; }
+  .err { color: #cf222e; }
+  .tag { display: inline-block; min-width: 72px; font-size: 11px; color: #656d76; }
+  .step.rule .tag, .step.fallback .tag { color: #1a7f37; }
+  .step.unexplained .tag { color: #cf222e; }
+</style>
+</head>
+<body>
+<h1>Pass cause report</h1>
+<p class="muted"><code>${esc(report.root)}</code> · ${esc(report.generatedAt)}</p>
+<p>${esc(totalsLine(report.totals))}</p>
+${htmlTable(SUMMARY_HEAD, summaryRows(report))}
+${ruleHits}
+<h2>Passes</h2>
+${sections}
+</body>
+</html>
+`;
+}
+
+function renderReport(report, opts) {
+  if (opts.format === 'json') return `${JSON.stringify(report, null, 2)}\n`;
+  if (opts.format === 'html') return renderHtml(report, opts);
+  return renderMarkdown(report, opts);
+}
+
+// ── Main ─────────────────────────────────────────────────────────────────────
+
+const opts = parseArgs(process.argv.slice(2));
+buildReport(opts).then(report => {
+  const text = renderReport(report, opts);
+  if (opts.out) {
+    fs.writeFileSync(opts.out, text);
+    console.error(`✓ ${totalsLine(report.totals)} → ${opts.out}`);
+  } else {
+    process.stdout.write(text);
+  }
+  if (report.totals.failed) process.exitCode = 1;
+}).catch(err => {
+  console.error(err?.stack || err);
+  process.exit(1);
+});
@@ -0,0 +1,513 @@
+/**
+ * pass_cause_rule_dsl.js - Declarative JSON rule packs for Pass cause explanations.
+ *
+ * A pack selects diff entities (removed / added / modified ops or tensors) with opcode,
+ * memType and field predicates, groups them into steps, and names the nodes and edges to
+ * highlight on each side plus the narrative text. Packs compile to the same
+ * { id, passName, source, summary, match } rules as pass_cause_rules.js and are registered
+ * next to them. Format: pass-ir/rules/README.md.
+ */
+(function () {
+  const SOURCE_ROOT = '/Users/yin/gitcode/pypto-master/framework/src/passes';
+
+  const CHANGES = new Set(['removed', 'added', 'modified']);
+  const KINDS = new Set(['op', 'tensor', 'any']);
+  const GROUP_BY = new Set(['opcode', 'memType', 'field', 'subgraphId', 'node', 'none']);
+  const CONSUMER_CONDITIONS = new Set(['any', 'rewired', 'rewired-to-input', 'none']);
+  const NODE_SELECTORS = new Set(['nodes', 'inputs', 'outputs', 'producers', 'consumers', 'rewiredConsumers', 'replacementInputs']);
+  const EDGE_SELECTORS = new Set(['incident', 'consumers', 'rewires']);
+  const MAX_STEPS = 16;
+  const MAX_BADGES = 20;
+
+  const DEFAULT_HIGHLIGHT = {
+    removed: {
+      before: { primary: ['nodes', 'outputs'], secondary: ['inputs', 'consumers'], edges: ['incident', 'rewires'], badge: '删除' },
+      after: { primary: ['rewiredConsumers', 'replacementInputs'], secondary: [], edges: ['rewires'], badge: '' },
+    },
+    added: {
+      before: { primary: ['rewiredConsumers'], secondary: [], edges: ['rewires'], badge: '' },
+      after: { primary: ['nodes', 'outputs'], secondary: ['inputs', 'consumers'], edges: ['incident', 'rewires'], badge: '新增' },
+    },
+    modified: {
+      before: { primary: ['nodes'], secondary: ['producers', 'consumers'], edges: ['incident'], badge: '' },
+      after: { primary: ['nodes'], secondary: ['producers', 'consumers'], edges: ['incident'], badge: '更新' },
+    },
+  };
+
+  const loads = [];
+
+  function rulesApi() {
+    return window.PtoPassCauseRules;
+  }
+
+  function diffApi() {
+    return window.PtoPassCauseDiff;
+  }
+
+  function asList(value) {
+    if (value == null) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  function render(template, vars) {
+    return String(template ?? '').replace(/\{(\w+)\}/g, (_, key) => (vars[key] ?? ''));
+  }
+
+  // ── Predicates ──────────────────────────────────────────────────
+  function normalizeMemType(value) {
+    if (value == null) return '';
+    const label = String(typeof value === 'number' ? rulesApi().memTypeLabel(value) : value).toUpperCase();
+    return label === 'GM' ? 'DDR' : label;
+  }
+
+  function normalizeOpcode(value) {
+    return String(value ?? '').toUpperCase().replace(/^OP_/, '');
+  }
+
+  // Plain values compare after `normalize`; '/regex/flags' strings test the normalized value.
+  function compilePattern(value, normalize) {
+    const tests = asList(value).map(item => {
+      const regex = typeof item === 'string' ? item.match(/^\/(.+)\/([a-z]*)$/) : null;
+      if (regex) {
+        const re = new RegExp(regex[1], regex[2]);
+        return candidate => re.test(candidate);
+      }
+      const expected = normalize(item);
+      return candidate => candidate === expected;
+    });
+    if (!tests.length) return null;
+    return raw => {
+      const candidate = normalize(raw);
+      return tests.some(test => test(candidate));
+    };
+  }
+
+  function fieldValue(node, field) {
+    if (field === 'opcode') return rulesApi().baseOpcode(node);
+    if (field === 'memType') return rulesApi().memTypeOf(node);
+    return String(field).split('.').reduce((value, key) => (value == null ? undefined : value[key]), node?.data);
+  }
+
+  function nodePredicate(spec) {
+    const opcodeTest = compilePattern(spec?.opcode, normalizeOpcode);
+    const memTypeTest = compilePattern(spec?.memType, normalizeMemType);
+    return node => {
+      if (!node) return false;
+      if (opcodeTest && (node.type !== 'op' || !opcodeTest(rulesApi().baseOpcode(node)))) return false;
+      if (memTypeTest && !memTypeTest(rulesApi().memTypeOf(node))) return false;
+      return true;
+    };
+  }
+
+  // ── Validation ──────────────────────────────────────────────────
+  function validatePatterns(value, path, errors) {
+    asList(value).forEach((item, i) => {
+      if (typeof item !== 'string' && typeof item !== 'number') {
+        errors.push(`${path}[${i}]: 必须是字符串、数字或 /regex/`);
+        return;
+      }
+      const regex = typeof item === 'string' ? item.match(/^\/(.+)\/([a-z]*)$/) : null;
+      if (!regex) return;
+      try {
+        new RegExp(regex[1], regex[2]);
+      } catch (error) {
+        errors.push(`${path}[${i}]: 正则无效：${error.message}`);
+      }
+    });
+  }
+
+  function validateSelectors(list, allowed, path, errors) {
+    asList(list).forEach(name => {
+      if (!allowed.has(name)) errors.push(`${path}: 未知选择器 "${name}"，可选 ${[...allowed].join('/')}`);
+    });
+  }
+
+  function validateRule(spec, path = 'rule') {
+    const errors = [];
+    if (!spec || typeof spec !== 'object') return [`${path}: 必须是对象`];
+    if (!spec.id || typeof spec.id !== 'string') errors.push(`${path}.id: 必填字符串`);
+    if (!spec.pass || typeof spec.pass !== 'string') errors.push(`${path}.pass: 必填字符串`);
+    const match = spec.match;
+    if (!match || typeof match !== 'object') {
+      errors.push(`${path}.match: 必填对象`);
+      return errors;
+    }
+    if (!CHANGES.has(match.change)) errors.push(`${path}.match.change: 必须是 ${[...CHANGES].join('/')}`);
+    if (match.kind != null && !KINDS.has(match.kind)) errors.push(`${path}.match.kind: 必须是 ${[...KINDS].join('/')}`);
+    if (match.consumers != null && !CONSUMER_CONDITIONS.has(match.consumers)) {
+      errors.push(`${path}.match.consumers: 必须是 ${[...CONSUMER_CONDITIONS].join('/')}`);
+    }
+    if (match.fields != null && match.change !== 'modified') errors.push(`${path}.match.fields: 只用于 change=modified`);
+    if (match.before != null && match.change !== 'modified') errors.push(`${path}.match.before: 只用于 change=modified`);
+    validatePatterns(match.opcode, `${path}.match.opcode`, errors);
+    validatePatterns(match.memType, `${path}.match.memType`, errors);
+    validatePatterns(match.before?.opcode, `${path}.match.before.opcode`, errors);
+    validatePatterns(match.before?.memType, `${path}.match.before.memType`, errors);
+    if (spec.groupBy != null && !GROUP_BY.has(spec.groupBy)) errors.push(`${path}.groupBy: 必须是 ${[...GROUP_BY].join('/')}`);
+    for (const side of ['before', 'after']) {
+      const target = spec.highlight?.[side];
+      if (!target) continue;
+      validateSelectors(target.primary, NODE_SELECTORS, `${path}.highlight.${side}.primary`, errors);
+      validateSelectors(target.secondary, NODE_SELECTORS, `${path}.highlight.${side}.secondary`, errors);
+      validateSelectors(target.edges, EDGE_SELECTORS, `${path}.highlight.${side}.edges`, errors);
+    }
+    validateSelectors(spec.confidence?.require, new Set([...NODE_SELECTORS, 'rewires']), `${path}.confidence.require`, errors);
+    if (!spec.title) errors.push(`${path}.title: 必填`);
+    return errors;
+  }
+
+  function validateRulePack(pack) {
+    if (!pack || typeof pack !== 'object' || !Array.isArray(pack.rules)) return ['rules: 必须是数组'];
+    const errors = [];
+    if (pack.version != null && pack.version !== 1) errors.push(`version: 不支持的版本 ${pack.version}`);
+    const seen = new Set();
+    pack.rules.forEach((spec, i) => {
+      errors.push(...validateRule(spec, `rules[${i}]`));
+      if (spec?.id && seen.has(spec.id)) errors.push(`rules[${i}].id: 重复的 id "${spec.id}"`);
+      if (spec?.id) seen.add(spec.id);
+    });
+    return errors;
+  }
+
+  // ── Matching ────────────────────────────────────────────────────
+  function operandIds(node, key) {
+    return (node?.type === 'op' ? node.data?.[key] || [] : []).map(diffApi().tensorId).filter(Boolean);
+  }
+
+  function rewireIndex(rewires) {
+    const byBefore = new Map();
+    const byAfter = new Map();
+    const byConsumer = new Map();
+    const push = (map, key, item) => {
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(item);
+    };
+    for (const item of rewires || []) {
+      push(byBefore, item.beforeInputTensorId, item);
+      push(byAfter, item.afterInputTensorId, item);
+      push(byConsumer, item.consumerOpId, item);
+    }
+    return { byBefore, byAfter, byConsumer };
+  }
+
+  function relatedRewires(item, change, index) {
+    const node = item.before || item.after;
+    const tensors = node.type === 'op' ? operandIds(node, 'ooperands') : [node.id];
+    if (change === 'removed') return tensors.flatMap(id => index.byBefore.get(id) || []);
+    if (change === 'added') return tensors.flatMap(id => index.byAfter.get(id) || []);
+    return index.byConsumer.get(item.id) || [];
+  }
+
+  function consumersOnSide(context, item, side) {
+    const node = item[side] || item.before || item.after;
+    const index = side === 'before' ? context.diff.beforeIndex : context.diff.afterIndex;
+    const tensors = node.type === 'op' ? operandIds(node, 'ooperands') : [node.id];
+    return tensors.flatMap(id => diffApi().consumersOf(index, id));
+  }
+
+  function passesConsumers(context, item, condition, change) {
+    if (!condition || condition === 'any') return true;
+    if (condition === 'none') return !consumersOnSide(context, item, change === 'removed' ? 'before' : 'after').length;
+    if (!item.rewires.length) return false;
+    if (condition === 'rewired-to-input') {
+      const inputs = new Set(operandIds(item.before || item.after, 'ioperands'));
+      return item.rewires.some(rewire => inputs.has(rewire.afterInputTensorId));
+    }
+    return true;
+  }
+
+  function collectItems(context, spec) {
+    const match = spec.match;
+    const kind = match.kind || 'op';
+    const kindOk = node => kind === 'any' || (kind === 'op') === (node.type === 'op');
+    const test = nodePredicate(match);
+    const items = [];
+
+    if (match.change === 'removed' || match.change === 'added') {
+      const nodes = match.change === 'removed' ? context.diff.nodes.removed : context.diff.nodes.added;
+      nodes.filter(node => kindOk(node) && test(node)).forEach(node => items.push({
+        id: node.id,
+        before: match.change === 'removed' ? node : null,
+        after: match.change === 'added' ? node : null,
+        fields: [],
+      }));
+    } else {
+      const fields = asList(match.fields);
+      const beforeTest = nodePredicate(match.before);
+      const modifiedIds = new Set(context.diff.nodes.modified.map(item => item.id));
+      const fieldChanges = new Map();
+      (context.diff.fieldChanges || []).forEach(change => {
+        if (!fieldChanges.has(change.nodeId)) fieldChanges.set(change.nodeId, []);
+        fieldChanges.get(change.nodeId).push(change.path.replace(/^data\./, ''));
+      });
+      for (const after of context.diff.afterIndex.nodeById.values()) {
+        if (!kindOk(after) || !test(after)) continue;
+        const before = context.diff.beforeIndex.nodeById.get(after.id);
+        if (!before || (match.before && !beforeTest(before))) continue;
+        const changed = fields.length
+          ? fields.filter(field => !rulesApi().valuesEqual(fieldValue(before, field), fieldValue(after, field)))
+          : (modifiedIds.has(after.id) ? fieldChanges.get(after.id) || ['*'] : []);
+        if (changed.length) items.push({ id: after.id, before, after, fields: changed });
+      }
+    }
+
+    const index = rewireIndex(context.diff.rewires);
+    items.forEach(item => {
+      item.rewires = relatedRewires(item, match.change, index);
+    });
+    return items.filter(item => passesConsumers(context, item, match.consumers, match.change));
+  }
+
+  function groupKey(item, groupBy) {
+    const node = item.after || item.before;
+    if (groupBy === 'opcode') return node.type === 'op' ? rulesApi().baseOpcode(node) : node.type;
+    if (groupBy === 'memType') return rulesApi().memTypeLabel(rulesApi().memTypeOf(node));
+    if (groupBy === 'field') return item.fields.join(', ');
+    if (groupBy === 'subgraphId') return String(node.data?.subgraphId ?? '无');
+    if (groupBy === 'node') return item.id;
+    return '';
+  }
+
+  // ── Highlight targets ───────────────────────────────────────────
+  function selectNodes(context, items, side, selector) {
+    const index = side === 'before' ? context.diff.beforeIndex : context.diff.afterIndex;
+    const ids = [];
+    for (const item of items) {
+      const node = item[side] || item.before || item.after;
+      const isOp = node.type === 'op';
+      if (selector === 'nodes') ids.push(item.id);
+      else if (selector === 'inputs') ids.push(...operandIds(node, 'ioperands'));
+      else if (selector === 'outputs') ids.push(...operandIds(node, 'ooperands'));
+      else if (selector === 'consumers') ids.push(...consumersOnSide(context, item, side).map(op => op.id));
+      else if (selector === 'producers') {
+        const tensors = isOp ? operandIds(node, 'ioperands') : [node.id];
+        tensors.forEach(id => {
+          const producer = diffApi().producerOf(index, id);
+          if (producer) ids.push(producer.id);
+        });
+      } else if (selector === 'rewiredConsumers') ids.push(...item.rewires.map(rewire => rewire.consumerOpId));
+      else if (selector === 'replacementInputs') ids.push(...item.rewires.map(rewire => rewire.afterInputTensorId));
+    }
+    return [...new Set(ids.filter(id => id && index.nodeById.has(id)))];
+  }
+
+  function selectEdges(context, items, side, selector) {
+    const index = side === 'before' ? context.diff.beforeIndex : context.diff.afterIndex;
+    const ids = [];
+    for (const item of items) {
+      if (selector === 'incident') {
+        (index.inEdgesByTarget.get(item.id) || []).forEach(edge => ids.push(diffApi().edgeId(edge)));
+        (index.outEdgesBySource.get(item.id) || []).forEach(edge => ids.push(diffApi().edgeId(edge)));
+      } else if (selector === 'consumers') {
+        const node = item[side] || item.before || item.after;
+        const tensors = node.type === 'op' ? operandIds(node, 'ooperands') : [node.id];
+        tensors.forEach(id => (index.outEdgesBySource.get(id) || []).forEach(edge => ids.push(diffApi().edgeId(edge))));
+      } else if (selector === 'rewires') {
+        ids.push(...item.rewires.map(rewire => (side === 'before' ? rewire.beforeEdgeId : rewire.afterEdgeId)));
+      }
+    }
+    return [...new Set(ids.filter(id => id && index.edgeById.has(id)))];
+  }
+
+  function sidePayload(context, items, side, target, vars) {
+    const primaryNodeIds = asList(target.primary).flatMap(selector => selectNodes(context, items, side, selector));
+    const primarySet = new Set(primaryNodeIds);
+    const secondaryNodeIds = asList(target.secondary)
+      .flatMap(selector => selectNodes(context, items, side, selector))
+      .filter(id => !primarySet.has(id));
+    const edgeIds = [...new Set(asList(target.edges).flatMap(selector => selectEdges(context, items, side, selector)))];
+    const badge = render(target.badge, vars);
+    const present = side === 'before' ? context.diff.beforeIndex : context.diff.afterIndex;
+    const badged = items.map(item => item.id).filter(id => present.nodeById.has(id)).slice(0, MAX_BADGES);
+    return {
+      graphRef: (side === 'before' ? context.pair?.beforeRef?.ref : context.pair?.afterRef?.ref) || '',
+      primaryNodeIds: [...primarySet],
+      secondaryNodeIds: [...new Set(secondaryNodeIds)],
+      edgeIds,
+      badges: badge ? Object.fromEntries(badged.map(id => [id, badge])) : {},
+      dimOthers: true,
+    };
+  }
+
+  function defaultChangeType(change, kind, rewired) {
+    if (change === 'modified') return 'field-update';
+    if (change === 'removed') return rewired ? 'rewired-input' : `removed-${kind === 'tensor' ? 'tensor' : 'op'}`;
+    return rewired ? 'add-and-rewire' : `added-${kind === 'tensor' ? 'tensor' : 'op'}`;
+  }
+
+  function defaultTransition(change, rewired) {
+    if (change === 'modified') return 'field-update';
+    if (change === 'removed') return rewired ? 'remove-and-rewire' : 'remove';
+    return rewired ? 'add-and-rewire' : 'add';
+  }
+
+  function confidenceFor(context, spec, items, rewires) {
+    const required = asList(spec.confidence?.require);
+    const satisfied = required.every(name => (name === 'rewires'
+      ? rewires.length > 0
+      : selectNodes(context, items, 'before', name).length + selectNodes(context, items, 'after', name).length > 0));
+    return satisfied
+      ? (spec.confidence?.matched || 'source-rule matched')
+      : (spec.confidence?.fallback || 'diff-inferred');
+  }
+
+  function makeStep(context, rule, spec, key, items) {
+    const change = spec.match.change;
+    const kind = spec.match.kind || 'op';
+    const nodes = items.map(item => item.after || item.before);
+    const rewires = [...new Set(items.flatMap(item => item.rewires))];
+    const ops = nodes.filter(node => node.type === 'op');
+    const vars = {
+      pass: spec.pass,
+      key,
+      count: String(items.length),
+      opcode: rulesApi().histogramText(ops.map(node => rulesApi().baseOpcode(node))),
+      memType: rulesApi().histogramText(nodes.filter(node => node.type !== 'op')
+        .map(node => rulesApi().memTypeLabel(rulesApi().memTypeOf(node)))),
+      fields: rulesApi().histogramText(items.flatMap(item => item.fields)),
+      rewires: String(rewires.length),
+    };
+    const highlight = DEFAULT_HIGHLIGHT[change];
+    const before = sidePayload(context, items, 'before', { ...highlight.before, ...(spec.highlight?.before || {}) }, vars);
+    const after = sidePayload(context, items, 'after', { ...highlight.after, ...(spec.highlight?.after || {}) }, vars);
+    const evidence = Array.isArray(spec.evidence)
+      ? spec.evidence.map(item => ({ label: render(item.label, vars), value: render(item.value, vars) }))
+      : [
+          { label: '匹配节点', value: vars.count },
+          ...(vars.opcode ? [{ label: 'opcode', value: vars.opcode }] : []),
+          ...(vars.fields ? [{ label: '字段', value: vars.fields }] : []),
+          ...(rewires.length ? [{ label: '消费者重连', value: vars.rewires }] : []),
+        ];
+    const net = change === 'removed' ? -items.length : change === 'added' ? items.length : 0;
+
+    return rulesApi().explanation(rule, context, {
+      title: render(spec.title, vars),
+      summary: spec.narrative ? render(spec.narrative, vars) : rule.summary,
+      changeType: spec.changeType || defaultChangeType(change, kind, rewires.length > 0),
+      focusSide: spec.focusSide || (change === 'removed' ? 'before' : 'after'),
+      confidence: confidenceFor(context, spec, items, rewires),
+      nodeIds: [...before.primaryNodeIds, ...after.primaryNodeIds, ...before.secondaryNodeIds, ...after.secondaryNodeIds],
+      edgeIds: [...before.edgeIds, ...after.edgeIds],
+      before,
+      after,
+      transition: {
+        type: spec.transition || defaultTransition(change, rewires.length > 0),
+        fromNodeIds: before.primaryNodeIds,
+        toNodeIds: after.primaryNodeIds,
+        removedEdgeIds: change === 'removed' ? before.edgeIds : [],
+        addedEdgeIds: change === 'modified' ? [] : after.edgeIds,
+        durationMs: 900,
+      },
+      counts: {
+        matchedNodes: items.length,
+        rewiredEdges: rewires.length,
+        fieldChanges: change === 'modified' ? items.reduce((sum, item) => sum + item.fields.length, 0) : 0,
+        netNodes: net,
+      },
+      evidence,
+    });
+  }
+
+  // ── Compile / register ──────────────────────────────────────────
+  function resolveSource(source, sourceRoot) {
+    if (!source?.file) return null;
+    const file = String(source.file);
+    return {
+      file: /^(\/|[A-Za-z]:[\\/])/.test(file) ? file : `${sourceRoot}/${file}`,
+      functions: asList(source.functions),
+    };
+  }
+
+  function compileRule(spec, { sourceRoot = SOURCE_ROOT, packName = '' } = {}) {
+    const groupBy = spec.groupBy || ((spec.match.kind || 'op') === 'op' ? 'opcode' : 'none');
+    const maxSteps = Number.isFinite(spec.maxSteps) ? spec.maxSteps : MAX_STEPS;
+    const rule = {
+      id: spec.id,
+      passName: spec.pass,
+      source: resolveSource(spec.source, sourceRoot),
+      summary: spec.summary || spec.narrative || '',
+      declarative: true,
+      pack: packName,
+      match(context) {
+        const items = collectItems(context, spec);
+        const groups = new Map();
+        items.forEach(item => {
+          const key = groupKey(item, groupBy);
+          if (!groups.has(key)) groups.set(key, []);
+          groups.get(key).push(item);
+        });
+        return [...groups.entries()]
+          .slice(0, maxSteps)
+          .map(([key, group]) => makeStep(context, rule, spec, key, group));
+      },
+    };
+    return rule;
+  }
+
+  /** Compile a pack; invalid rules are skipped and reported in `errors`. */
+  function compileRulePack(pack, label = '') {
+    const errors = validateRulePack(pack);
+    if (!Array.isArray(pack?.rules)) return { name: label, rules: [], errors };
+    const name = pack.name || label;
+    const sourceRoot = pack.sourceRoot || SOURCE_ROOT;
+    const rules = pack.rules
+      .filter((spec, i) => !validateRule(spec, `rules[${i}]`).length)
+      .map(spec => compileRule(spec, { sourceRoot, packName: name }));
+    return { name, rules, errors };
+  }
+
+  function registerRulePack(pack, label = '') {
+    const result = compileRulePack(pack, label);
+    if (result.errors.length) console.warn(`Pass cause rule pack ${result.name || label}:\n${result.errors.join('\n')}`);
+    rulesApi()?.registerRules?.(result.rules);
+    return result;
+  }
+
+  function fetchJson(url) {
+    return fetch(url).then(response => {
+      if (!response.ok) throw new Error(`读取 ${url} 失败：${response.status}`);
+      return response.json();
+    });
+  }
+
+  function track(promise) {
+    const settled = promise.catch(error => {
+      console.warn('Pass cause rule pack unavailable:', error?.message || error);
+      return null;
+    });
+    loads.push(settled);
+    return settled;
+  }
+
+  function loadRulePack(url) {
+    return track(fetchJson(url).then(pack => registerRulePack(pack, url)));
+  }
+
+  // Manifest: { "packs": ["default.json", ...] }, paths relative to the manifest.
+  function loadRuleManifest(url) {
+    return track(fetchJson(url).then(manifest => {
+      const base = new URL(url, window.location?.href);
+      return Promise.all(asList(manifest?.packs).map(pack => loadRulePack(new URL(pack, base).href)));
+    }));
+  }
+
+  /** Resolves once every pack requested so far has loaded or failed. */
+  function whenLoaded() {
+    return Promise.all(loads).then(() => undefined);
+  }
+
+  window.PtoPassCauseRuleDsl = {
+    compileRule,
+    compileRulePack,
+    loadRuleManifest,
+    loadRulePack,
+    registerRulePack,
+    validateRule,
+    validateRulePack,
+    whenLoaded,
+  };
+
+  if (window.PTO_PASS_CAUSE_RULE_MANIFEST && typeof fetch === 'function') {
+    loadRuleManifest(window.PTO_PASS_CAUSE_RULE_MANIFEST);
+  }
+})();
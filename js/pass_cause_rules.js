@@ -7,6 +7,12 @@
   const DUMMY_OPCODES = new Set(['VIEW', 'EXPAND', 'REGISTER_COPY', 'ASSEMBLE', 'RESHAPE']);
   const DUPLICATED_OPCODES = new Set(['VIEW', 'GATHER_IN_L1']);
   const MERGE_OPCODES = new Set(['VIEW', 'ASSEMBLE']);
+  const SYNC_OPCODE_RE = /^(SYNC|BAR|PHASE|SET_FLAG|WAIT_FLAG|CV_SYNC)/;
+  const MOVE_OPCODE_RE = /^(COPY_IN|COPY_OUT|L1_TO_|L0C_TO_|L0C_COPY|UB_COPY|UB_TO_|GATHER_IN_)/;
+  const ALLOC_OPCODE_RE = /(^|_)ALLOC$/;
+  const ALLOC_MEM_TYPES = { UB_ALLOC: 0, L1_ALLOC: 1, L0A_ALLOC: 2, L0B_ALLOC: 3, L0C_ALLOC: 4 };
+  const MEM_TYPE_LABELS = { 0: 'UB', 1: 'L1', 2: 'L0A', 3: 'L0B', 4: 'L0C', 15: 'DDR' };
+  const DDR_MEM_TYPES = new Set([15, 'DDR', 'GM']);
 
   function opcode(node) {
     return String(node?.data?.opcode || node?.label || '').toUpperCase();
@@ -76,6 +82,63 @@
     return window.PtoPassCauseDiff.consumersOf(context.diff.afterIndex, tensorNodeId);
   }
 
+  function baseOpcode(node) {
+    return opcode(node).replace(/^OP_/, '');
+  }
+
+  function memTypeOf(node) {
+    const mem = node?.data?.memType;
+    if (mem == null) return null;
+    if (typeof mem === 'object') return mem.tobe ?? mem.asis ?? null;
+    return mem;
+  }
+
+  function memTypeLabel(code) {
+    if (code == null || code === '') return '未知';
+    return MEM_TYPE_LABELS[code] || String(code);
+  }
+
+  function operandTensorIds(node) {
+    return [
+      ...(node.data?.ioperands || []).map(tensorId),
+      ...(node.data?.ooperands || []).map(tensorId),
+    ].filter(Boolean);
+  }
+
+  function operandEdgeIds(node) {
+    return [
+      ...(node.data?.ioperands || []).map(t => `${tensorId(t)}->${node.id}`),
+      ...(node.data?.ooperands || []).map(t => `${node.id}->${tensorId(t)}`),
+    ];
+  }
+
+  function groupByKey(items, keyFn) {
+    const groups = new Map();
+    items.forEach(item => {
+      const key = keyFn(item);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    });
+    return groups;
+  }
+
+  // Nodes present on both sides, in After order; `changed` filters by a before/after predicate.
+  function commonNodes(context, type, changed) {
+    const out = [];
+    for (const after of context.diff.afterIndex.nodeById.values()) {
+      if (type && (type === 'op') !== (after.type === 'op')) continue;
+      const before = context.diff.beforeIndex.nodeById.get(after.id);
+      if (before && (!changed || changed(before, after))) out.push({ id: after.id, before, after });
+    }
+    return out;
+  }
+
+  function histogramText(values) {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    return [...counts.entries()].map(([value, count]) => `${value} ${count}`).join(', ');
+  }
+
   function matchRemoveRedundantReshape(context, rule) {
     const out = [];
     const removedReshapes = context.diff.nodes.removed.filter(node => node.type === 'op' && opcode(node) === 'RESHAPE');
@@ -420,6 +483,718 @@
     return out;
   }
 
+  function castConversion(index, node) {
+    const input = index.nodeById.get(tensorId(node.data?.ioperands?.[0]));
+    const output = index.nodeById.get(tensorId(node.data?.ooperands?.[0]));
+    return `${input?.data?.dtype || '?'} → ${output?.data?.dtype || '?'}`;
+  }
+
+  function matchAutoCast(context, rule) {
+    const out = [];
+    const beforeIndex = context.diff.beforeIndex;
+    const addedCasts = context.diff.nodes.added.filter(node => node.type === 'op' && baseOpcode(node) === 'CAST');
+    const removedCasts = context.diff.nodes.removed.filter(node => node.type === 'op' && baseOpcode(node) === 'CAST');
+
+    for (const [conversion, nodes] of groupByKey(addedCasts, node => castConversion(context.diff.afterIndex, node)).entries()) {
+      const castIds = nodes.map(node => node.id);
+      const inputTensorIds = nodes.flatMap(node => (node.data?.ioperands || []).map(tensorId)).filter(Boolean);
+      const outputTensorIds = nodes.flatMap(node => (node.data?.ooperands || []).map(tensorId)).filter(Boolean);
+      const castEdgeIds = nodes.flatMap(operandEdgeIds);
+      const rewires = context.diff.rewires.filter(item => outputTensorIds.includes(item.afterInputTensorId));
+      const consumerIds = [...new Set(rewires.map(item => item.consumerOpId))];
+      const addedTensorCount = outputTensorIds.filter(id => !beforeIndex.nodeById.has(id)).length;
+
+      out.push(explanation(rule, context, {
+        title: `插入 CAST ${conversion}`,
+        summary: '消费者要求的 dtype 与输入张量不一致，这个 Pass 插入 CAST，并把消费者改接到转换后的张量。',
+        changeType: 'added-op',
+        focusSide: 'after',
+        sideMode: rewires.length ? 'split' : 'after',
+        confidence: rewires.length ? 'source-rule matched' : 'diff-inferred',
+        nodeIds: [...castIds, ...inputTensorIds, ...outputTensorIds, ...consumerIds],
+        edgeIds: [...castEdgeIds, ...rewires.flatMap(item => item.edgeIds || [])],
+        before: {
+          graphRef: context.pair?.beforeRef?.ref || '',
+          primaryNodeIds: consumerIds,
+          secondaryNodeIds: rewires.map(item => item.beforeInputTensorId),
+          edgeIds: rewires.map(item => item.beforeEdgeId),
+          badges: Object.fromEntries(consumerIds.map(id => [id, '原 dtype 输入'])),
+          dimOthers: true,
+        },
+        after: {
+          graphRef: context.pair?.afterRef?.ref || '',
+          primaryNodeIds: [...castIds, ...outputTensorIds, ...consumerIds],
+          secondaryNodeIds: inputTensorIds,
+          edgeIds: [...castEdgeIds, ...rewires.map(item => item.afterEdgeId)],
+          badges: Object.fromEntries(castIds.map(id => [id, '新增 CAST'])),
+          dimOthers: true,
+        },
+        transition: {
+          type: 'add-and-rewire',
+          fromNodeIds: rewires.map(item => item.beforeInputTensorId),
+          toNodeIds: [...castIds, ...outputTensorIds],
+          removedEdgeIds: rewires.map(item => item.beforeEdgeId),
+          addedEdgeIds: [...castEdgeIds, ...rewires.map(item => item.afterEdgeId)],
+          durationMs: 900,
+        },
+        counts: {
+          addedOps: nodes.length,
+          addedTensors: addedTensorCount,
+          rewiredEdges: rewires.length,
+          netNodes: nodes.length + addedTensorCount,
+        },
+        evidence: [
+          { label: 'dtype 转换', value: conversion },
+          { label: '新增 CAST', value: String(nodes.length) },
+          { label: '消费者重连', value: String(rewires.length) },
+        ],
+      }));
+    }
+
+    if (removedCasts.length) {
+      const castIds = removedCasts.map(node => node.id);
+      const outputTensorIds = removedCasts.flatMap(node => (node.data?.ooperands || []).map(tensorId)).filter(Boolean);
+      const castEdgeIds = removedCasts.flatMap(operandEdgeIds);
+      const rewires = context.diff.rewires.filter(item => outputTensorIds.includes(item.beforeInputTensorId));
+      const consumerIds = [...new Set(rewires.map(item => item.consumerOpId))];
+
+      out.push(explanation(rule, context, {
+        title: `删除 ${removedCasts.length} 个多余 CAST`,
+        summary: '输入与目标 dtype 已一致或相邻 CAST 可以抵消，这个 Pass 删除 CAST，并把消费者改接回原张量。',
+        changeType: rewires.length ? 'rewired-input' : 'removed-op',
+        focusSide: 'before',
+        sideMode: rewires.length ? 'split' : 'before',
+        confidence: rewires.length ? 'source-rule matched' : 'diff-inferred',
+        nodeIds: [...castIds, ...removedCasts.flatMap(operandTensorIds), ...consumerIds],
+        edgeIds: [...castEdgeIds, ...rewires.flatMap(item => item.edgeIds || [])],
+        before: {
+          graphRef: context.pair?.beforeRef?.ref || '',
+          primaryNodeIds: castIds,
+          secondaryNodeIds: removedCasts.flatMap(operandTensorIds),
+          edgeIds: castEdgeIds,
+          badges: Object.fromEntries(castIds.map(id => [id, '删除'])),
+          dimOthers: true,
+        },
+        after: {
+          graphRef: context.pair?.afterRef?.ref || '',
+          primaryNodeIds: [...consumerIds, ...rewires.map(item => item.afterInputTensorId)],
+          edgeIds: rewires.map(item => item.afterEdgeId),
+          badges: Object.fromEntries(consumerIds.map(id => [id, '消费者改接'])),
+          dimOthers: true,
+        },
+        transition: {
+          type: rewires.length ? 'remove-and-rewire' : 'remove',
+          fromNodeIds: [...castIds, ...outputTensorIds],
+          toNodeIds: [...consumerIds, ...rewires.map(item => item.afterInputTensorId)],
+          removedEdgeIds: castEdgeIds,
+          addedEdgeIds: rewires.map(item => item.afterEdgeId),
+          durationMs: 900,
+        },
+        counts: {
+          removedOps: removedCasts.length,
+          removedTensors: outputTensorIds.length,
+          rewiredEdges: rewires.length,
+          netNodes: -(removedCasts.length + outputTensorIds.length),
+        },
+        evidence: [
+          { label: 'dtype 转换', value: histogramText(removedCasts.map(node => castConversion(beforeIndex, node))) },
+          { label: '删除 CAST', value: String(removedCasts.length) },
+          { label: '消费者重连', value: String(rewires.length) },
+        ],
+      }));
+    }
+
+    const retyped = commonNodes(context, 'tensor', (before, after) => (before.data?.dtype || '') !== (after.data?.dtype || ''));
+    if (retyped.length) {
+      const ids = retyped.map(item => item.id);
+      out.push(explanation(rule, context, {
+        title: `调整 ${retyped.length} 个张量 dtype`,
+        summary: '这个 Pass 按算子的 dtype 约束直接改写张量 dtype，而不是插入 CAST。',
+        changeType: 'dtype-updated',
+        focusSide: 'after',
+        sideMode: 'split',
+        nodeIds: ids,
+        edgeIds: [],
+        before: {
+          graphRef: context.pair?.beforeRef?.ref || '',
+          primaryNodeIds: ids,
+          edgeIds: [],
+          badges: Object.fromEntries(retyped.slice(0, 20).map(item => [item.id, item.before.data?.dtype || '?'])),
+          dimOthers: true,
+        },
+        after: {
+          graphRef: context.pair?.afterRef?.ref || '',
+          primaryNodeIds: ids,
+          edgeIds: [],
+          badges: Object.fromEntries(retyped.slice(0, 20).map(item => [item.id, item.after.data?.dtype || '?'])),
+          dimOthers: true,
+        },
+        transition: { type: 'field-update', fromNodeIds: ids, toNodeIds: ids, durationMs: 900 },
+        counts: { fieldChanges: retyped.length, netNodes: 0 },
+        evidence: [
+          { label: 'dtype 变化', value: histogramText(retyped.map(item => `${item.before.data?.dtype || '?'} → ${item.after.data?.dtype || '?'}`)) },
+          { label: '修改张量', value: String(retyped.length) },
+        ],
+      }));
+    }
+
+    return out;
+  }
+
+  function isDdrMemType(code) {
+    return DDR_MEM_TYPES.has(typeof code === 'string' ? code.toUpperCase() : code);
+  }
+
+  // Producer and consumer edges of tensors in `index`, plus the ops on their other end.
+  function tensorNeighbourhood(index, tensorIds) {
+    const opIds = new Set();
+    const edgeIds = [];
+    tensorIds.forEach(id => {
+      (index.inEdgesByTarget.get(id) || []).forEach(edge => {
+        opIds.add(edge.source);
+        edgeIds.push(window.PtoPassCauseDiff.edgeId(edge));
+      });
+      (index.outEdgesBySource.get(id) || []).forEach(edge => {
+        opIds.add(edge.target);
+        edgeIds.push(window.PtoPassCauseDiff.edgeId(edge));
+      });
+    });
+    return { opIds: [...opIds], edgeIds };
+  }
+
+  function matchAssignMemoryType(context, rule) {
+    const out = [];
+    const changed = commonNodes(context, 'tensor', (before, after) => !valuesEqual(memTypeOf(before), memTypeOf(after)));
+
+    for (const [target, items] of groupByKey(changed, item => memTypeLabel(memTypeOf(item.after))).entries()) {
+      const ids = items.map(item => item.id);
+      const forcedDdr = items.filter(item => item.after.data?.subgraphBoundary && isDdrMemType(memTypeOf(item.after)));
+      const beforeSide = tensorNeighbourhood(context.diff.beforeIndex, ids);
+      const afterSide = tensorNeighbourhood(context.diff.afterIndex, ids);
+
+      out.push(explanation(rule, context, {
+        title: `分配 ${target} memory type`,
+        summary: forcedDdr.length
+          ? '这个 Pass 按 opcode 的输入/输出约束设置张量 memory type；子图边界张量被强制放到 DDR。'
+          : '这个 Pass 按 opcode 的输入/输出约束设置张量 memory type。',
+        changeType: 'memory-updated',
+        focusSide: 'after',
+        sideMode: 'split',
+        nodeIds: [...ids, ...afterSide.opIds],
+        edgeIds: afterSide.edgeIds,
+        before: {
+          graphRef: context.pair?.beforeRef?.ref || '',
+          primaryNodeIds: ids,
+          secondaryNodeIds: beforeSide.opIds,
+          edgeIds: beforeSide.edgeIds,
+          badges: Object.fromEntries(items.slice(0, 20).map(item => [item.id, memTypeLabel(memTypeOf(item.before))])),
+          dimOthers: true,
+        },
+        after: {
+          graphRef: context.pair?.afterRef?.ref || '',
+          primaryNodeIds: ids,
+          secondaryNodeIds: afterSide.opIds,
+          edgeIds: afterSide.edgeIds,
+          badges: Object.fromEntries(items.slice(0, 20).map(item => [
+            item.id,
+            forcedDdr.includes(item) ? '边界 → DDR' : target,
+          ])),
+          dimOthers: true,
+        },
+        transition: { type: 'field-update', fromNodeIds: ids, toNodeIds: ids, durationMs: 900 },
+        counts: { fieldChanges: items.length, forcedDdr: forcedDdr.length, netNodes: 0 },
+        evidence: [
+          { label: '原 memory type', value: histogramText(items.map(item => memTypeLabel(memTypeOf(item.before)))) },
+          { label: '目标 memory type', value: target },
+          { label: '修改张量', value: String(items.length) },
+          ...(forcedDdr.length ? [{ label: '边界强制 DDR', value: String(forcedDdr.length) }] : []),
+        ],
+      }));
+    }
+
+    return out;
+  }
+
+  function subgraphIdOf(node) {
+    const id = node?.data?.subgraphId;
+    return id == null ? null : id;
+  }
+
+  function subgraphStep(rule, context, subgraphId, items) {
+    const afterIndex = context.diff.afterIndex;
+    const opIds = items.map(item => item.id);
+    const tensorIds = [...new Set(items.flatMap(item => operandTensorIds(item.after)))];
+    // A tensor is a boundary when some producer/consumer lives in another subgraph.
+    const boundaryIds = tensorIds.filter(id => {
+      const producer = window.PtoPassCauseDiff.producerOf(afterIndex, id);
+      const consumers = afterConsumers(context, id);
+      return [producer, ...consumers].some(op => op && subgraphIdOf(op) !== subgraphId);
+    });
+    const edgeIds = items.flatMap(item => operandEdgeIds(item.after));
+
+    return explanation(rule, context, {
+      title: subgraphId == null ? `${items.length} 个算子移出子图` : `划分子图 ${subgraphId}`,
+      summary: '这个 Pass 按 core type、memory 和 DAG 依赖把算子划入子图；跨子图的张量成为子图边界。',
+      changeType: 'partitioned',
+      focusSide: 'after',
+      nodeIds: [...opIds, ...tensorIds],
+      edgeIds,
+      after: {
+        graphRef: context.pair?.afterRef?.ref || '',
+        primaryNodeIds: opIds,
+        secondaryNodeIds: tensorIds,
+        edgeIds,
+        badges: {
+          ...Object.fromEntries(boundaryIds.slice(0, 20).map(id => [id, '边界'])),
+          ...Object.fromEntries(opIds.slice(0, 20).map(id => [id, `SG ${subgraphId ?? '-'}`])),
+        },
+        dimOthers: true,
+      },
+      transition: { type: 'field-update', fromNodeIds: opIds, toNodeIds: opIds, durationMs: 900 },
+      counts: { fieldChanges: items.length, boundaryTensors: boundaryIds.length, netNodes: 0 },
+      evidence: [
+        { label: '子图', value: String(subgraphId ?? '无') },
+        { label: '算子数', value: String(items.length) },
+        { label: '边界张量', value: String(boundaryIds.length) },
+        { label: '原子图', value: histogramText(items.map(item => String(subgraphIdOf(item.before) ?? '无'))) },
+      ],
+    });
+  }
+
+  function matchGraphPartition(context, rule) {
+    const changed = commonNodes(context, 'op', (before, after) => subgraphIdOf(before) !== subgraphIdOf(after));
+    const groups = [...groupByKey(changed, item => subgraphIdOf(item.after)).entries()]
+      .sort((a, b) => b[1].length - a[1].length);
+    const out = groups.slice(0, 16).map(([subgraphId, items]) => subgraphStep(rule, context, subgraphId, items));
+
+    const rest = groups.slice(16);
+    if (rest.length) {
+      const opIds = rest.flatMap(([, items]) => items.map(item => item.id));
+      out.push(explanation(rule, context, {
+        title: `其余 ${rest.length} 个子图`,
+        summary: '其余子图的划分方式相同，这里合并为一步展示。',
+        changeType: 'partitioned',
+        focusSide: 'after',
+        nodeIds: opIds,
+        edgeIds: rest.flatMap(([, items]) => items.flatMap(item => operandEdgeIds(item.after))),
+        counts: { fieldChanges: opIds.length, netNodes: 0 },
+        evidence: [
+          { label: '子图数', value: String(rest.length) },
+          { label: '算子数', value: String(opIds.length) },
+        ],
+      }));
+    }
+
+    return out;
+  }
+
+  function movePath(index, node) {
+    const input = index.nodeById.get(tensorId(node.data?.ioperands?.[0]));
+    const output = index.nodeById.get(tensorId(node.data?.ooperands?.[0]));
+    return `${memTypeLabel(memTypeOf(input))} → ${memTypeLabel(memTypeOf(output))}`;
+  }
+
+  function matchGenerateMoveOp(context, rule) {
+    const out = [];
+    const rewritten = commonNodes(context, 'op', (before, after) => (
+      baseOpcode(before) === 'VIEW' && MOVE_OPCODE_RE.test(baseOpcode(after))
+    )).map(item => item.after);
+    const rewrittenIds = new Set(rewritten.map(node => node.id));
+    const added = context.diff.nodes.added.filter(node => node.type === 'op' && MOVE_OPCODE_RE.test(baseOpcode(node)));
+
+    for (const [op, nodes] of groupByKey([...rewritten, ...added], baseOpcode).entries()) {
+      const opIds = nodes.map(node => node.id);
+      const viewIds = opIds.filter(id => rewrittenIds.has(id));
+      const tensorIds = [...new Set(nodes.flatMap(operandTensorIds))];
+      const edgeIds = nodes.flatMap(operandEdgeIds);
+      const addedCount = nodes.length - viewIds.length;
+
+      out.push(explanation(rule, context, {
+        title: viewIds.length ? `VIEW 改写为 ${op}` : `新增 ${op} 搬运`,
+        summary: '这个 Pass 根据输入/输出张量的 memory type 确定搬运路径，把 VIEW 改写为实际的数据搬运算子。',
+        changeType: viewIds.length ? 'opcode-rewrite' : 'added-op',
+        focusSide: 'after',
+        sideMode: viewIds.length ? 'split' : 'after',
+        confidence: viewIds.length ? 'source-rule matched' : 'diff-inferred',
+        nodeIds: [...opIds, ...tensorIds],
+        edgeIds,
+        before: {
+          graphRef: context.pair?.beforeRef?.ref || '',
+          primaryNodeIds: viewIds,
+          edgeIds: nodes.filter(node => rewrittenIds.has(node.id)).flatMap(operandEdgeIds),
+          badges: Object.fromEntries(viewIds.slice(0, 20).map(id => [id, 'VIEW'])),
+          dimOthers: true,
+        },
+        after: {
+          graphRef: context.pair?.afterRef?.ref || '',
+          primaryNodeIds: opIds,
+          secondaryNodeIds: tensorIds,
+          edgeIds,
+          badges: Object.fromEntries(opIds.slice(0, 20).map(id => [id, rewrittenIds.has(id) ? op : `新增 ${op}`])),
+          dimOthers: true,
+        },
+        transition: {
+          type: addedCount ? 'add-move-op' : 'opcode-rewrite',
+          fromNodeIds: viewIds,
+          toNodeIds: opIds,
+          addedEdgeIds: nodes.filter(node => !rewrittenIds.has(node.id)).flatMap(operandEdgeIds),
+          durationMs: 900,
+        },
+        counts: {
+          rewrittenOps: viewIds.length,
+          addedOps: addedCount,
+          netNodes: addedCount,
+        },
+        evidence: [
+          { label: '搬运 opcode', value: op },
+          { label: 'memory 路径', value: histogramText(nodes.map(node => movePath(context.diff.afterIndex, node))) },
+          { label: 'VIEW 改写', value: String(viewIds.length) },
+          ...(addedCount ? [{ label: '新增算子', value: String(addedCount) }] : []),
+        ],
+      }));
+    }
+
+    return out;
+  }
+
+  function matchSubgraphToFunction(context, rule) {
+    const out = [];
+    const calls = context.diff.nodes.added.filter(node => node.type === 'op' && baseOpcode(node) === 'CALL');
+    const removedBySubgraph = groupByKey(
+      context.diff.nodes.removed.filter(node => node.type === 'op' && baseOpcode(node) !== 'CALL'),
+      subgraphIdOf
+    );
+    const claimed = new Set();
+
+    for (const call of calls) {
+      // The outlined subgraph is the removed group sharing the most tensors with the CALL.
+      const callTensorIds = new Set(operandTensorIds(call));
+      let best = null;
+      let bestOverlap = 0;
+      for (const [subgraphId, nodes] of removedBySubgraph.entries()) {
+        if (claimed.has(subgraphId)) continue;
+        const overlap = new Set(nodes.flatMap(operandTensorIds).filter(id => callTensorIds.has(id))).size;
+        if (overlap > bestOverlap) {
+          best = subgraphId;
+          bestOverlap = overlap;
+        }
+      }
+      const outlined = bestOverlap ? removedBySubgraph.get(best) : [];
+      if (outlined.length) claimed.add(best);
+
+      const outlinedIds = outlined.map(node => node.id);
+      const outlinedTensorIds = [...new Set(outlined.flatMap(operandTensorIds))];
+      const internalTensorIds = outlinedTensorIds.filter(id => !context.diff.afterIndex.nodeById.has(id));
+      const outlinedEdgeIds = outlined.flatMap(operandEdgeIds);
+      const callEdgeIds = operandEdgeIds(call);
+
+      out.push(explanation(rule, context, {
+        title: outlined.length ? `子图 ${best ?? '-'} 转为 CALL` : `新增 CALL #${call.data?.magic ?? ''}`.trim(),
+        summary: '这个 Pass 把分区后的子图提取成 leaf function，并在 root function 中用一个 CALL 算子替代，子图边界张量成为 CALL 的参数。',
+        changeType: outlined.length ? 'outlined-call' : 'added-op',
+        focusSide: outlined.length ? 'before' : 'after',
+        sideMode: outlined.length ? 'split' : 'after',
+        confidence: outlined.length ? 'source-rule matched' : 'diff-inferred',
+        nodeIds: [call.id, ...callTensorIds, ...outlinedIds, ...internalTensorIds],
+        edgeIds: [...outlinedEdgeIds, ...callEdgeIds],
+        before: {
+          graphRef: context.pair?.beforeRef?.ref || '',
+          primaryNodeIds: [...outlinedIds, ...internalTensorIds],
+          secondaryNodeIds: outlinedTensorIds.filter(id => callTensorIds.has(id)),
+          edgeIds: outlinedEdgeIds,
+          badges: Object.fromEntries(outlinedIds.slice(0, 20).map(id => [id, '移入 leaf'])),
+          dimOthers: true,
+        },
+        after: {
+          graphRef: context.pair?.afterRef?.ref || '',
+          primaryNodeIds: [call.id],
+          secondaryNodeIds: [...callTensorIds],
+          edgeIds: callEdgeIds,
+          badges: { [call.id]: 'CALL' },
+          dimOthers: true,
+        },
+        transition: {
+          type: outlined.length ? 'remove-and-call' : 'add',
+          fromNodeIds: [...outlinedIds, ...internalTensorIds],
+          toNodeIds: [call.id],
+          removedEdgeIds: outlinedEdgeIds,
+          addedEdgeIds: callEdgeIds,
+          durationMs: 900,
+        },
+        counts: {
+          removedOps: outlinedIds.length,
+          removedTensors: internalTensorIds.length,
+          addedOps: 1,
+          netNodes: 1 - outlinedIds.length - internalTensorIds.length,
+        },
+        evidence: [
+          { label: 'CALL', value: nodeTitle(call) },
+          ...(call.data?.calleeHash != null ? [{ label: 'callee', value: String(call.data.calleeHash) }] : []),
+          ...(outlined.length ? [{ label: '原子图', value: String(best ?? '无') }] : []),
+          { label: '移入 leaf 的算子', value: String(outlinedIds.length) },
+          { label: '参数张量', value: String(callTensorIds.size) },
+        ],
+      }));
+    }
+
+    return out;
+  }
+
+  function matchAddAlloc(context, rule) {
+    const out = [];
+    const allocs = context.diff.nodes.added.filter(node => node.type === 'op' && ALLOC_OPCODE_RE.test(baseOpcode(node)));
+    const afterIndex = context.diff.afterIndex;
+
+    for (const [op, nodes] of groupByKey(allocs, baseOpcode).entries()) {
+      const allocIds = nodes.map(node => node.id);
+      const level = memTypeLabel(ALLOC_MEM_TYPES[op]);
+      // Non-DDR outputs on the alloc's memory level; one alloc per distinct buffer (memId).
+      const targets = [...afterIndex.nodeById.values()].filter(node => (
+        node.type !== 'op'
+        && ALLOC_MEM_TYPES[op] != null
+        && memTypeLabel(memTypeOf(node)) === level
+        && window.PtoPassCauseDiff.producerOf(afterIndex, node.id)
+      ));
+      const buffers = new Set(targets.map(node => node.data?.memId ?? node.id));
+      const targetIds = targets.slice(0, 40).map(node => node.id);
+      const producerSide = tensorNeighbourhood(afterIndex, targetIds);
+      const producerEdgeIds = producerSide.edgeIds.filter(id => targetIds.some(t => id.endsWith(`->${t}`)));
+
+      out.push(explanation(rule, context, {
+        title: `插入 ${nodes.length} 个 ${op}`,
+        summary: '这个 Pass 为尚未分配的非 DDR 输出张量插入 alloc 算子，调度时由它占用对应层级的 buffer。',
+        changeType: 'added-op',
+        focusSide: 'after',
+        confidence: targets.length && buffers.size === nodes.length ? 'source-rule matched' : 'diff-inferred',
+        nodeIds: [...allocIds, ...targetIds],
+        edgeIds: producerEdgeIds,
+        after: {
+          graphRef: context.pair?.afterRef?.ref || '',
+          primaryNodeIds: allocIds,
+          secondaryNodeIds: targetIds,
+          edgeIds: producerEdgeIds,
+          badges: Object.fromEntries(allocIds.slice(0, 20).map(id => [id, '新增 alloc'])),
+          dimOthers: true,
+        },
+        transition: { type: 'add', fromNodeIds: [], toNodeIds: allocIds, addedEdgeIds: [], durationMs: 900 },
+        counts: { addedOps: nodes.length, targetBuffers: buffers.size, netNodes: nodes.length },
+        evidence: [
+          { label: 'alloc opcode', value: op },
+          { label: 'memory 层级', value: level },
+          { label: '新增 alloc', value: String(nodes.length) },
+          { label: '待分配 buffer', value: String(buffers.size) },
+        ],
+      }));
+    }
+
+    return out;
+  }
+
+  // Indexes of one longest increasing subsequence of `values`.
+  function inOrderIndexes(values) {
+    const tails = [];
+    const tailIndex = [];
+    const prev = new Array(values.length).fill(-1);
+    values.forEach((value, i) => {
+      let lo = 0;
+      let hi = tails.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (tails[mid] < value) lo = mid + 1;
+        else hi = mid;
+      }
+      tails[lo] = value;
+      tailIndex[lo] = i;
+      prev[i] = lo > 0 ? tailIndex[lo - 1] : -1;
+    });
+    const keep = new Set();
+    for (let i = tails.length ? tailIndex[tails.length - 1] : -1; i >= 0; i = prev[i]) keep.add(i);
+    return keep;
+  }
+
+  function matchOoOSchedule(context, rule) {
+    const out = [];
+    // Rank both sides over the ops they share, so inserted or removed ops do not count as moves.
+    const afterIds = new Set((context.diff.afterGraph?.nodes || []).filter(node => node.type === 'op').map(node => node.id));
+    const beforeRank = new Map((context.diff.beforeGraph?.nodes || [])
+      .filter(node => node.type === 'op' && afterIds.has(node.id))
+      .map((node, index) => [node.id, index]));
+    const afterOps = (context.diff.afterGraph?.nodes || []).filter(node => node.type === 'op' && beforeRank.has(node.id));
+    const afterRank = new Map(afterOps.map((node, index) => [node.id, index]));
+    const ranks = afterOps.map(node => beforeRank.get(node.id));
+    const kept = inOrderIndexes(ranks);
+    const moved = afterOps.filter((node, index) => !kept.has(index));
+
+    if (moved.length) {
+      const movedIds = moved.map(node => node.id);
+      // Incoming edges show the dependencies the new order still respects.
+      const inputEdgeIds = moved.flatMap(node => (node.data?.ioperands || []).map(t => `${tensorId(t)}->${node.id}`));
+      const maxShift = afterOps.reduce((max, node, index) => Math.max(max, Math.abs(index - beforeRank.get(node.id))), 0);
+
+      out.push(explanation(rule, context, {
+        title: `乱序调度移动 ${moved.length} 个算子`,
+        summary: '这个 Pass 按数据依赖、latency 和 buffer 占用估计重新排序算子；其余算子保持原有相对顺序。',
+        changeType: 'reordered',
+        focusSide: 'after',
+        sideMode: 'split',
+        nodeIds: movedIds,
+        edgeIds: inputEdgeIds,
+        before: {
+          graphRef: context.pair?.beforeRef?.ref || '',
+          primaryNodeIds: movedIds,
+          edgeIds: inputEdgeIds,
+          badges: Object.fromEntries(moved.slice(0, 20).map(node => [node.id, `#${beforeRank.get(node.id)}`])),
+          dimOthers: true,
+        },
+        after: {
+          graphRef: context.pair?.afterRef?.ref || '',
+          primaryNodeIds: movedIds,
+          edgeIds: inputEdgeIds,
+          badges: Object.fromEntries(moved.slice(0, 20).map(node => [node.id, `#${afterRank.get(node.id)}`])),
+          dimOthers: true,
+        },
+        transition: { type: 'reorder', fromNodeIds: movedIds, toNodeIds: movedIds, durationMs: 900 },
+        counts: { reorderedOps: moved.length, keptOps: kept.size, netNodes: 0 },
+        evidence: [
+          { label: '调度算子', value: String(afterOps.length) },
+          { label: '保持相对顺序', value: String(kept.size) },
+          { label: '移动算子', value: String(moved.length) },
+          { label: '最大位移', value: String(maxShift) },
+        ],
+      }));
+    }
+
+    const retimed = commonNodes(context, 'op', (before, after) => (
+      (before.data?.latency ?? null) !== (after.data?.latency ?? null)
+      || !valuesEqual(before.data?.opAttr || {}, after.data?.opAttr || {})
+    ));
+    if (retimed.length) {
+      const ids = retimed.map(item => item.id);
+      const attrKeys = retimed.flatMap(item => {
+        const before = item.before.data?.opAttr || {};
+        const after = item.after.data?.opAttr || {};
+        return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+          .filter(key => !valuesEqual(before[key], after[key]));
+      });
+      const latencyChanges = retimed.filter(item => (item.before.data?.latency ?? null) !== (item.after.data?.latency ?? null));
+
+      out.push(explanation(rule, context, {
+        title: `更新 ${retimed.length} 个算子的调度属性`,
+        summary: '排序后这个 Pass 回写 latency、lastUse 等调度属性，供后续内存复用和同步插入使用。',
+        changeType: 'attr-updated',
+        focusSide: 'after',
+        nodeIds: ids,
+        edgeIds: [],
+        transition: { type: 'field-update', fromNodeIds: ids, toNodeIds: ids, durationMs: 900 },
+        counts: { fieldChanges: retimed.length, netNodes: 0 },
+        evidence: [
+          { label: 'latency 变化', value: String(latencyChanges.length) },
+          ...(attrKeys.length ? [{ label: 'attr 字段', value: histogramText(attrKeys) }] : []),
+        ],
+      }));
+    }
+
+    return out;
+  }
+
+  function syncPipeText(node) {
+    const queue = node.data?.syncQueue;
+    if (!queue) return baseOpcode(node);
+    return `pipe ${queue.pipe_id ?? '?'} → ${queue.trig_pipe ?? '?'}`;
+  }
+
+  function matchInsertSync(context, rule) {
+    const out = [];
+    const isSync = node => node.type === 'op' && SYNC_OPCODE_RE.test(baseOpcode(node));
+    const afterOps = (context.diff.afterGraph?.nodes || []).filter(node => node.type === 'op');
+    const position = new Map(afterOps.map((node, index) => [node.id, index]));
+    const addedSyncs = context.diff.nodes.added.filter(isSync);
+    const removedSyncs = context.diff.nodes.removed.filter(isSync);
+
+    // The ops a sync separates: the nearest non-sync op scheduled before and after it.
+    const neighbour = (node, step) => {
+      for (let i = position.get(node.id) + step; i >= 0 && i < afterOps.length; i += step) {
+        if (!isSync(afterOps[i])) return afterOps[i];
+      }
+      return null;
+    };
+
+    for (const [op, nodes] of groupByKey(addedSyncs, baseOpcode).entries()) {
+      const syncIds = nodes.map(node => node.id);
+      const sources = [];
+      const targets = [];
+      const dependencyEdgeIds = [];
+      nodes.forEach(node => {
+        const source = neighbour(node, -1);
+        const target = neighbour(node, 1);
+        if (source) sources.push(source.id);
+        if (target) targets.push(target.id);
+        if (!source || !target) return;
+        const targetInputs = new Set(target.data?.ioperands || []);
+        (source.data?.ooperands || []).filter(t => targetInputs.has(t)).forEach(t => {
+          dependencyEdgeIds.push(`${source.id}->${tensorId(t)}`, `${tensorId(t)}->${target.id}`);
+        });
+      });
+      const edgeIds = [...nodes.flatMap(operandEdgeIds), ...dependencyEdgeIds];
+
+      out.push(explanation(rule, context, {
+        title: `插入 ${nodes.length} 个 ${op}`,
+        summary: '前后算子运行在不同 pipe/core 上且存在数据依赖，这个 Pass 在两者之间插入同步算子。',
+        changeType: 'added-op',
+        focusSide: 'after',
+        confidence: dependencyEdgeIds.length ? 'source-rule matched' : 'diff-inferred',
+        nodeIds: [...syncIds, ...sources, ...targets],
+        edgeIds,
+        after: {
+          graphRef: context.pair?.afterRef?.ref || '',
+          primaryNodeIds: syncIds,
+          secondaryNodeIds: [...sources, ...targets],
+          edgeIds,
+          badges: {
+            ...Object.fromEntries(sources.slice(0, 20).map(id => [id, '前序'])),
+            ...Object.fromEntries(targets.slice(0, 20).map(id => [id, '后序'])),
+            ...Object.fromEntries(syncIds.slice(0, 20).map(id => [id, '新增同步'])),
+          },
+          dimOthers: true,
+        },
+        transition: { type: 'add', fromNodeIds: sources, toNodeIds: syncIds, addedEdgeIds: nodes.flatMap(operandEdgeIds), durationMs: 900 },
+        counts: { addedOps: nodes.length, netNodes: nodes.length },
+        evidence: [
+          { label: '同步 opcode', value: op },
+          { label: 'pipe', value: histogramText(nodes.map(syncPipeText)) },
+          { label: '数据依赖', value: String(dependencyEdgeIds.length / 2) },
+        ],
+      }));
+    }
+
+    if (removedSyncs.length) {
+      const syncIds = removedSyncs.map(node => node.id);
+      out.push(explanation(rule, context, {
+        title: `删除 ${removedSyncs.length} 个多余同步`,
+        summary: '依赖已由其它同步覆盖，这个 Pass 删除重复的同步算子。',
+        changeType: 'removed-op',
+        focusSide: 'before',
+        nodeIds: syncIds,
+        edgeIds: removedSyncs.flatMap(operandEdgeIds),
+        before: {
+          graphRef: context.pair?.beforeRef?.ref || '',
+          primaryNodeIds: syncIds,
+          edgeIds: removedSyncs.flatMap(operandEdgeIds),
+          badges: Object.fromEntries(syncIds.slice(0, 20).map(id => [id, '删除'])),
+          dimOthers: true,
+        },
+        transition: { type: 'remove', fromNodeIds: syncIds, toNodeIds: [], removedEdgeIds: removedSyncs.flatMap(operandEdgeIds), durationMs: 900 },
+        counts: { removedOps: removedSyncs.length, netNodes: -removedSyncs.length },
+        evidence: [
+          { label: '同步 opcode', value: histogramText(removedSyncs.map(baseOpcode)) },
+          { label: '删除算子数', value: String(removedSyncs.length) },
+        ],
+      }));
+    }
+
+    return out;
+  }
+
   const RULES = [
     {
       id: 'remove-redundant-reshape.rewire-consumers',
@@ -462,18 +1237,117 @@
       summary: '当谓词证明 VIEW、EXPAND、REGISTER_COPY、ASSEMBLE 或 RESHAPE 是冗余操作时删除它们。',
       match: matchRemoveRedundantOp,
     },
+    {
+      id: 'auto-cast.insert-cast',
+      passName: 'AutoCast',
+      source: {
+        file: `${SOURCE_ROOT}/tensor_graph_pass/auto_cast.cpp`,
+        functions: ['RunOnFunction', 'InsertCast'],
+      },
+      summary: '按 dtype 约束插入或删除 CAST，并改接相关消费者。',
+      match: matchAutoCast,
+    },
+    {
+      id: 'assign-memory-type.set-mem-type',
+      passName: 'AssignMemoryType',
+      source: {
+        file: `${SOURCE_ROOT}/tile_graph_pass/data_path/assign_memory_type.cpp`,
+        functions: ['RunOnFunction', 'RunOnOperation'],
+      },
+      summary: '按 opcode 输入/输出约束设置张量 memory type，子图边界张量强制放到 DDR。',
+      match: matchAssignMemoryType,
+    },
+    {
+      id: 'graph-partition.assign-subgraph',
+      passName: 'GraphPartition',
+      source: {
+        file: `${SOURCE_ROOT}/tile_graph_pass/graph_partition/iso_partitioner.cpp`,
+        functions: ['RunOnFunction'],
+      },
+      summary: '把算子划入子图，并标出跨子图的边界张量。',
+      match: matchGraphPartition,
+    },
+    {
+      id: 'generate-move-op.rewrite-view',
+      passName: 'GenerateMoveOp',
+      source: {
+        file: `${SOURCE_ROOT}/tile_graph_pass/data_path/generate_move_op.cpp`,
+        functions: ['RunOnFunction', 'CreateMoveOp'],
+      },
+      summary: '按 memory 路径把 VIEW 改写为 COPY_IN、L1_TO_L0* 等实际搬运算子。',
+      match: matchGenerateMoveOp,
+    },
+    {
+      id: 'subgraph-to-function.outline-call',
+      passName: 'SubgraphToFunction',
+      source: {
+        file: `${SOURCE_ROOT}/tile_graph_pass/subgraph_to_function.cpp`,
+        functions: ['RunOnFunction'],
+      },
+      summary: '把分区后的子图提取成 leaf function，并用 CALL 算子替代。',
+      match: matchSubgraphToFunction,
+    },
+    {
+      id: 'add-alloc.insert-alloc',
+      passName: 'AddAlloc',
+      source: {
+        file: `${SOURCE_ROOT}/block_graph_pass/schedule_ooo/add_alloc.cpp`,
+        functions: ['RunOnFunction', 'AddAndCheckAlloc'],
+      },
+      summary: '为未分配的非 DDR 输出张量插入 alloc 算子。',
+      match: matchAddAlloc,
+    },
+    {
+      id: 'ooo-schedule.reorder',
+      passName: 'OoOSchedule',
+      source: {
+        file: `${SOURCE_ROOT}/block_graph_pass/schedule_ooo/schedule_ooo.cpp`,
+        functions: ['RunOnFunction', 'SortOps'],
+      },
+      summary: '按依赖、latency 和 buffer 估计重排算子，并回写调度属性。',
+      match: matchOoOSchedule,
+    },
+    {
+      id: 'insert-sync.insert-sync',
+      passName: 'InsertSync',
+      source: {
+        file: `${SOURCE_ROOT}/block_graph_pass/insert_sync.cpp`,
+        functions: ['RunOnFunction', 'InsertSync'],
+      },
+      summary: '在跨 pipe/core 的数据依赖之间插入同步算子。',
+      match: matchInsertSync,
+    },
   ];
 
+  // Rules compiled from declarative packs (pass_cause_rule_dsl.js); a later rule replaces one with the same id.
+  const registeredRules = [];
+
+  function registerRules(rules) {
+    for (const rule of rules || []) {
+      const index = registeredRules.findIndex(item => item.id === rule.id);
+      if (index >= 0) registeredRules.splice(index, 1, rule);
+      else registeredRules.push(rule);
+    }
+    return registeredRules.length;
+  }
+
   function rulesForPass(passName) {
     const normalize = window.PtoPassCausePairs?.normalizePassName || ((v) => String(v || ''));
     const name = normalize(passName);
-    return RULES.filter(rule => normalize(rule.passName) === name);
+    return [...RULES, ...registeredRules].filter(rule => normalize(rule.passName) === name);
   }
 
   window.PtoPassCauseRules = {
     RULES,
     rulesForPass,
+    registerRules,
+    explanation,
     opcode,
+    baseOpcode,
+    memTypeOf,
+    memTypeLabel,
+    histogramText,
+    valuesEqual,
     nodeTitle,
   };
 })();
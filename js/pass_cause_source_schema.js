@@ -83,7 +83,7 @@
 
   const PASS_SOURCE_SCHEMA = [
     pass({ name: 'RemoveRedundantReshape', stage: 'Tensor', category: 'redundancy', source: { file: src('tensor_graph_pass/remove_redundant_reshape.cpp'), functions: ['RunOnFunction'] }, rewriteTargets: ['op', 'edge'], coverageTier: 'rule', matchSignals: ['removed OP_RESHAPE', 'consumer input rewired to reshape input'], narrativeTemplate: '删除等价 RESHAPE，并把消费者改接到原输入 tensor。' }),
-    pass({ name: 'AutoCast', stage: 'Tensor', category: 'dtype', source: { file: src('tensor_graph_pass/auto_cast.cpp'), functions: ['RunOnFunction', 'InsertCast'] }, rewriteTargets: ['op', 'tensor', 'edge', 'dtype'], matchSignals: ['added/removed OP_CAST', 'dtype changed'], narrativeTemplate: '根据 dtype 约束插入、合并或删除 CAST。' }),
+    pass({ name: 'AutoCast', stage: 'Tensor', category: 'dtype', source: { file: src('tensor_graph_pass/auto_cast.cpp'), functions: ['RunOnFunction', 'InsertCast'] }, rewriteTargets: ['op', 'tensor', 'edge', 'dtype'], coverageTier: 'rule', matchSignals: ['added/removed OP_CAST', 'dtype changed'], narrativeTemplate: '根据 dtype 约束插入、合并或删除 CAST。' }),
     pass({ name: 'InferMemoryConflict', stage: 'Tensor', category: 'copy', source: { file: src('tensor_graph_pass/infer_memory_conflict.cpp'), functions: ['RunOnFunction'] }, rewriteTargets: ['op', 'tensor', 'edge'], matchSignals: ['added OP_REGISTER_COPY', 'memory conflict around view/reshape chain'], narrativeTemplate: '发现 view/reshape 链上的内存冲突后插入 REGISTER_COPY。' }),
     pass({ name: 'RemoveUndrivenView', stage: 'Tensor', category: 'redundancy', source: { file: src('tensor_graph_pass/remove_undriven_view.cpp'), functions: ['RunOnFunction'] }, rewriteTargets: ['op', 'edge'], matchSignals: ['removed OP_VIEW', 'ASSEMBLE_SSA changed to ASSEMBLE'], narrativeTemplate: '删除没有真实 producer 驱动的 VIEW，并修正 assemble 类型。' }),
     pass({ name: 'ExpandFunction', stage: 'Tensor', category: 'function', source: { file: src('tensor_graph_pass/expand_function.cpp'), functions: ['RunOnFunction', 'ExpandOperationInto'] }, rewriteTargets: ['op', 'tensor', 'edge', 'attr'], matchSignals: ['many added tile ops', 'function expanded'], narrativeTemplate: '把 tensor graph op 展开为 tile graph op，并复制相关 attr。' }),
@@ -92,12 +92,12 @@
     pass({ name: 'SplitRawTensor', stage: 'Tile', category: 'layout', source: { file: src('tile_graph_pass/graph_optimization/split_raw.cpp'), functions: ['RunOnFunction'] }, rewriteTargets: ['tensor', 'edge'], coverageTier: 'rule', matchSignals: ['raw tensor split', 'VIEW/ASSEMBLE producer-consumer boundary'], narrativeTemplate: '把可被 VIEW/ASSEMBLE 边界隔离的 raw tensor 拆开。' }),
     pass({ name: 'SplitLargeFanoutTensor', stage: 'Tile', category: 'layout', source: { file: src('tile_graph_pass/graph_optimization/split_large_fanout_tensor.cpp'), functions: ['RunOnFunction'] }, rewriteTargets: ['tensor', 'op', 'edge', 'shape'], coverageTier: 'rule', matchSignals: ['large fanout tensor split', 'added VIEW/ASSEMBLE'], narrativeTemplate: '把多消费者大 tensor 拆为更小的 view/assemble 路径。' }),
     pass({ name: 'DuplicateOp', stage: 'Tile', category: 'copy', source: { file: src('tile_graph_pass/graph_optimization/duplicate_op.cpp'), functions: ['RunOnFunction', 'Process'] }, rewriteTargets: ['op', 'tensor', 'edge'], coverageTier: 'rule', matchSignals: ['added VIEW/GATHER_IN_L1 clone', 'fanout split'], narrativeTemplate: '复制多消费者 producer，让不同 consumer 不再共享同一输出。' }),
-    pass({ name: 'AssignMemoryType', stage: 'Tile', category: 'memory', source: { file: src('tile_graph_pass/data_path/assign_memory_type.cpp'), functions: ['RunOnFunction', 'RunOnOperation'] }, rewriteTargets: ['tensor', 'memory'], matchSignals: ['memType changed', 'boundary tensor forced DDR'], narrativeTemplate: '按 opcode 输入输出约束设置 tensor memory type。' }),
+    pass({ name: 'AssignMemoryType', stage: 'Tile', category: 'memory', source: { file: src('tile_graph_pass/data_path/assign_memory_type.cpp'), functions: ['RunOnFunction', 'RunOnOperation'] }, rewriteTargets: ['tensor', 'memory'], coverageTier: 'rule', matchSignals: ['memType changed', 'boundary tensor forced DDR'], narrativeTemplate: '按 opcode 输入输出约束设置 tensor memory type。' }),
     pass({ name: 'InferDiscontinuousInput', stage: 'Tile', category: 'layout', source: { file: src('tile_graph_pass/graph_optimization/infer_discontinuous_input.cpp'), functions: ['RunOnFunction'] }, rewriteTargets: ['op', 'tensor', 'edge', 'memory'], matchSignals: ['added VIEW/ASSEMBLE', 'UB/DDR adapter tensor'], narrativeTemplate: '发现非连续输入或 memory mismatch 后插入适配路径。' }),
     pass({ name: 'RemoveRedundantOp', stage: 'Tile', category: 'redundancy', source: { file: src('tile_graph_pass/graph_optimization/remove_redundant_op.cpp'), functions: ['RunOnFunction'] }, rewriteTargets: ['op', 'tensor', 'edge'], coverageTier: 'rule', matchSignals: ['removed VIEW/EXPAND/REGISTER_COPY/ASSEMBLE/RESHAPE', 'consumer rewired'], narrativeTemplate: '删除能被等价输入替代的 dummy operation，并重连 consumer。' }),
     pass({ name: 'InsertOpForViewAssemble', stage: 'Tile', category: 'copy', source: { file: src('tile_graph_pass/graph_optimization/insert_op_for_viewassemble.cpp'), functions: ['RunOnFunction'] }, rewriteTargets: ['op', 'tensor', 'edge', 'memory'], coverageTier: 'rule', matchSignals: ['inserted ASSEMBLE -> DDR tensor -> VIEW'], narrativeTemplate: '在 view/assemble 路径之间插入隔离 op，修补 memory path。' }),
     pass({ name: 'SplitK', stage: 'Tile', category: 'fusion', source: { file: src('tile_graph_pass/graph_optimization/split_k.cpp'), functions: ['RunOnFunction', 'EliminateReduceAcc'] }, rewriteTargets: ['op', 'edge', 'attr'], coverageTier: 'rule', matchSignals: ['removed OP_REDUCE_ACC', 'copy_out atomic_add attr'], narrativeTemplate: '把 REDUCE_ACC 折叠到 copy_out atomic_add 路径中。' }),
-    pass({ name: 'GraphPartition', stage: 'Tile', category: 'partition', source: { file: src('tile_graph_pass/graph_partition/iso_partitioner.cpp'), functions: ['RunOnFunction'] }, rewriteTargets: ['op', 'tensor', 'subgraph', 'attr'], matchSignals: ['subgraphId/scope/isCube changed'], narrativeTemplate: '根据 core type、memory 和 DAG 依赖构建分区。' }),
+    pass({ name: 'GraphPartition', stage: 'Tile', category: 'partition', source: { file: src('tile_graph_pass/graph_partition/iso_partitioner.cpp'), functions: ['RunOnFunction'] }, rewriteTargets: ['op', 'tensor', 'subgraph', 'attr'], coverageTier: 'rule', matchSignals: ['subgraphId/scope/isCube changed'], narrativeTemplate: '根据 core type、memory 和 DAG 依赖构建分区。' }),
     pass({ name: 'ReduceCopyMerge', stage: 'Tile', category: 'partition', source: { file: src('tile_graph_pass/graph_partition/reduce_copy.cpp'), functions: ['RunOnFunction'] }, rewriteTargets: ['subgraph', 'schedule'], matchSignals: ['reduce/copy color node merged'], narrativeTemplate: '合并 reduce/copy 相关分区。' }),
     pass({ name: 'NBufferMerge', stage: 'Tile', category: 'partition', source: { file: src('tile_graph_pass/graph_partition/n_buffer_merge.cpp'), functions: ['RunOnFunction'] }, rewriteTargets: ['subgraph', 'schedule'], matchSignals: ['N-buffer partition merged'], narrativeTemplate: '合并可复用的 copy-in/compute N-buffer 分区。' }),
     pass({ name: 'L1CopyInReuseMerge', stage: 'Tile', category: 'copy', source: { file: src('tile_graph_pass/graph_partition/l1_copy_reuse.cpp'), functions: ['RunOnFunction'] }, rewriteTargets: ['op', 'subgraph', 'edge'], matchSignals: ['DDR->L1 copy-in reused', 'removed redundant view'], narrativeTemplate: '复用 L1 copy-in 路径，减少重复搬运。' }),
@@ -110,16 +110,16 @@
     pass({ name: 'ReplaceTensor', stage: 'Tile', category: 'layout', source: { file: src('tile_graph_pass/graph_constraint/replace_tensor.cpp'), functions: ['RunOnFunction'] }, rewriteTargets: ['tensor', 'edge', 'memory'], matchSignals: ['tensor replacement', 'boundary tensor rewired'], narrativeTemplate: '根据 replace graph 和边界关系替换 logical tensor。' }),
     pass({ name: 'PreGraphProcess', stage: 'Tile', category: 'layout', source: { file: src('tile_graph_pass/graph_constraint/pre_graph/pre_graph.cpp'), functions: ['RunOnFunction'] }, rewriteTargets: ['op', 'tensor', 'attr', 'color'], matchSignals: ['tensor color/boundary initialized', 'redundant assemble removed'], narrativeTemplate: '初始化 graph constraint 信息并执行预处理合并。' }),
     pass({ name: 'InferDynShape', stage: 'Tile', category: 'shape', source: { file: src('tile_graph_pass/graph_constraint/infer_dyn_shape.cpp'), functions: ['RunOnFunction', 'InferShape'] }, rewriteTargets: ['shape', 'attr', 'topo'], matchSignals: ['dynValidShape/shape changed'], narrativeTemplate: '按拓扑顺序推导动态 shape 和 valid shape。' }),
-    pass({ name: 'SubgraphToFunction', stage: 'Tile', category: 'function', source: { file: src('tile_graph_pass/subgraph_to_function.cpp'), functions: ['RunOnFunction'] }, rewriteTargets: ['function', 'op', 'tensor', 'edge'], matchSignals: ['leaf/root snapshots', 'OP_CALL inserted', 'subfunction created'], narrativeTemplate: '把分区后的子图转成 leaf function 和 CALL。' }),
+    pass({ name: 'SubgraphToFunction', stage: 'Tile', category: 'function', source: { file: src('tile_graph_pass/subgraph_to_function.cpp'), functions: ['RunOnFunction'] }, rewriteTargets: ['function', 'op', 'tensor', 'edge'], coverageTier: 'rule', matchSignals: ['leaf/root snapshots', 'OP_CALL inserted', 'subfunction created'], narrativeTemplate: '把分区后的子图转成 leaf function 和 CALL。' }),
     pass({ name: 'InferParamIndex', stage: 'Block', category: 'codegen', source: { file: src('block_graph_pass/infer_param_index.cpp'), functions: ['RunOnFunction'] }, rewriteTargets: ['attr', 'call param'], matchSignals: ['param index attr changed'], narrativeTemplate: '为 call、GM tensor 和动态属性推断参数索引。' }),
     pass({ name: 'SrcDstBufferMerge', stage: 'Block', category: 'memory', source: { file: src('block_graph_pass/memory_reuse/merge_src_dst_buffer.cpp'), functions: ['RunOnFunction'] }, rewriteTargets: ['tensor', 'memory'], matchSignals: ['memory range/storage merged'], narrativeTemplate: '合并 copy src/dst 可复用 buffer。' }),
-    pass({ name: 'AddAlloc', stage: 'Block', category: 'memory', source: { file: src('block_graph_pass/schedule_ooo/add_alloc.cpp'), functions: ['RunOnFunction', 'AddAndCheckAlloc'] }, rewriteTargets: ['op', 'tensor', 'schedule'], matchSignals: ['added ALLOC op', 'schedule changed'], narrativeTemplate: '为未分配的非 DDR 输出插入 alloc op。' }),
-    pass({ name: 'OoOSchedule', stage: 'Block', category: 'schedule', source: { file: src('block_graph_pass/schedule_ooo/schedule_ooo.cpp'), functions: ['RunOnFunction', 'SortOps'] }, rewriteTargets: ['schedule', 'attr'], matchSignals: ['operation order changed', 'lastUse/latency attr changed'], narrativeTemplate: '按依赖、latency 和 buffer 估计执行乱序调度。' }),
+    pass({ name: 'AddAlloc', stage: 'Block', category: 'memory', source: { file: src('block_graph_pass/schedule_ooo/add_alloc.cpp'), functions: ['RunOnFunction', 'AddAndCheckAlloc'] }, rewriteTargets: ['op', 'tensor', 'schedule'], coverageTier: 'rule', matchSignals: ['added ALLOC op', 'schedule changed'], narrativeTemplate: '为未分配的非 DDR 输出插入 alloc op。' }),
+    pass({ name: 'OoOSchedule', stage: 'Block', category: 'schedule', source: { file: src('block_graph_pass/schedule_ooo/schedule_ooo.cpp'), functions: ['RunOnFunction', 'SortOps'] }, rewriteTargets: ['schedule', 'attr'], coverageTier: 'rule', matchSignals: ['operation order changed', 'lastUse/latency attr changed'], narrativeTemplate: '按依赖、latency 和 buffer 估计执行乱序调度。' }),
     pass({ name: 'TuneTileOpSeqForVF', stage: 'Block', category: 'schedule', source: { file: src('block_graph_pass/tune_tileopseq_for_vf.cpp'), functions: ['RunOnFunction'] }, rewriteTargets: ['schedule'], matchSignals: ['tile op sequence changed'], narrativeTemplate: '在 VF 配置下重排 tile op 序列。' }),
     pass({ name: 'GlobalMemoryReuse', stage: 'Block', category: 'memory', source: { file: src('block_graph_pass/memory_reuse/global_memory_reuse.cpp'), functions: ['RunOnFunction', 'Allocate'] }, rewriteTargets: ['tensor', 'memory'], matchSignals: ['workspace storage assigned/reused'], narrativeTemplate: '基于生命周期为 workspace tensor 分配或复用 storage。' }),
     pass({ name: 'RemoveAlloc', stage: 'Block', category: 'redundancy', source: { file: src('block_graph_pass/schedule_ooo/remove_alloc.cpp'), functions: ['RunOnFunction'] }, rewriteTargets: ['op'], matchSignals: ['removed ALLOC opcode'], narrativeTemplate: '删除调度后不再需要的 alloc op。' }),
     pass({ name: 'CopyOutResolve', stage: 'Block', category: 'sync', source: { file: src('block_graph_pass/copy_out_resolve.cpp'), functions: ['RunOnFunction', 'InsertCopyOutResolveForLeaf'] }, rewriteTargets: ['op', 'schedule', 'attr'], matchSignals: ['added/removed AICPU_CALL', 'copy_out resolve counter'], narrativeTemplate: '为最后 copy_out 插入或合并 resolve 标记。' }),
-    pass({ name: 'InsertSync', stage: 'Block', category: 'sync', source: { file: src('block_graph_pass/insert_sync.cpp'), functions: ['RunOnFunction', 'InsertSync'] }, rewriteTargets: ['op', 'schedule', 'dependency'], matchSignals: ['added/removed SYNC/BAR/PHASE op'], narrativeTemplate: '根据 pipe/core 和 memory dependency 插入同步。' }),
+    pass({ name: 'InsertSync', stage: 'Block', category: 'sync', source: { file: src('block_graph_pass/insert_sync.cpp'), functions: ['RunOnFunction', 'InsertSync'] }, rewriteTargets: ['op', 'schedule', 'dependency'], coverageTier: 'rule', matchSignals: ['added/removed SYNC/BAR/PHASE op'], narrativeTemplate: '根据 pipe/core 和 memory dependency 插入同步。' }),
     pass({ name: 'TuneSyncForVF', stage: 'Block', category: 'sync', source: { file: src('block_graph_pass/tune_sync_for_vf.cpp'), functions: ['RunOnFunction'] }, rewriteTargets: ['schedule', 'sync op'], matchSignals: ['sync order changed'], narrativeTemplate: '在 VF 配置下调整 sync 排布。' }),
     pass({ name: 'MixSubgraphSplit', stage: 'Block', category: 'function', source: { file: src('block_graph_pass/mix_subgraph_split.cpp'), functions: ['RunOnFunction'] }, rewriteTargets: ['function', 'op', 'attr'], matchSignals: ['function clone/split', 'mixId/resourceType/programId changed'], narrativeTemplate: '拆分混合资源子图并设置 mix 相关 attr。' }),
     pass({ name: 'LoopaxesProc', stage: 'Block', category: 'schedule', source: { file: src('block_graph_pass/loopaxes_proc.cpp'), functions: ['RunOnFunction', 'UpdateOpLoopAxes'] }, rewriteTargets: ['op attr'], matchSignals: ['loopAxes/loopGroup attr changed'], narrativeTemplate: '为 VF fuse 支持 op 标记 loop axes 和 loop group。' }),
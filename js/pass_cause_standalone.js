@@ -1486,7 +1486,21 @@
     }
   }
 
+  // `*.rules.json` files in an opened folder are declarative rule packs (pass-ir/rules/README.md).
+  async function loadLocalRulePacks(entries) {
+    const packEntries = (entries || []).filter(entry => entry.file && /\.rules\.json$/i.test(entry.relativePath || ''));
+    if (!packEntries.length || !window.PtoPassCauseRuleDsl) return;
+    for (const entry of packEntries) {
+      try {
+        window.PtoPassCauseRuleDsl.registerRulePack(JSON.parse(await entry.file.text()), entry.relativePath);
+      } catch (error) {
+        console.warn(`Pass cause rule pack ${entry.relativePath}:`, error);
+      }
+    }
+  }
+
   async function loadEntries(entries, sourceLabel, options = {}) {
+    await loadLocalRulePacks(entries);
     setStatus('正在建立 Pass 索引');
     mapEntries(entries, sourceLabel, options);
     if (!readyPairs().length) {
@@ -0,0 +1,122 @@
+/**
+ * pass_diff_stats.js - Per-pass change counts for the nav timeline heatmap.
+ *
+ * Compares each pass's Before and After by `magic` on the raw dump summaries from
+ * node_lineage.js; cheaper than the full pass-cause diff, and enough to size a pass.
+ */
+(function () {
+  const OP_FIELDS = ['opcode', 'inputMagics', 'outputMagics', 'subgraphId', 'latency', 'opAttr'];
+  const TENSOR_FIELDS = ['shape', 'offset', 'dtype', 'memType', 'memId', 'memRange'];
+
+  function sameList(a, b) {
+    return a.length === b.length && a.every((value, i) => value === b[i]);
+  }
+
+  function fieldChanged(before, after, field) {
+    return Array.isArray(before[field]) ? !sameList(before[field], after[field]) : before[field] !== after[field];
+  }
+
+  function compareNodes(beforeNodes, afterNodes, fields, onModified) {
+    let added = 0;
+    let removed = 0;
+    let modified = 0;
+    for (const [magic, node] of afterNodes) {
+      const prev = beforeNodes.get(magic);
+      if (!prev) {
+        added++;
+        continue;
+      }
+      const changed = fields.filter(field => fieldChanged(prev, node, field));
+      if (!changed.length) continue;
+      modified++;
+      onModified?.(changed);
+    }
+    for (const magic of beforeNodes.keys()) {
+      if (!afterNodes.has(magic)) removed++;
+    }
+    return { added, removed, modified };
+  }
+
+  /**
+   * Counts for one Before → After pair of dump summaries:
+   * { ops: { added, removed, modified, before, after }, tensors: {...}, memType, shape, score }
+   * memType / shape count tensors whose memory type or shape changed; score is the number of
+   * added, removed and modified ops and tensors.
+   */
+  function diffSummaries(before, after) {
+    let memType = 0;
+    let shape = 0;
+    const ops = compareNodes(before.ops, after.ops, OP_FIELDS);
+    const tensors = compareNodes(before.tensors, after.tensors, TENSOR_FIELDS, (changed) => {
+      if (changed.includes('memType')) memType++;
+      if (changed.includes('shape')) shape++;
+    });
+    ops.before = before.ops.size;
+    ops.after = after.ops.size;
+    tensors.before = before.tensors.size;
+    tensors.after = after.tensors.size;
+    return {
+      ops,
+      tensors,
+      memType,
+      shape,
+      score: ops.added + ops.removed + ops.modified + tensors.added + tensors.removed + tensors.modified,
+    };
+  }
+
+  /**
+   * Reads the chain of one path / snapshot pass by pass and reports each pass as it finishes:
+   * onPass(pair, stats) with stats from diffSummaries(), or { error } when a dump can't be used.
+   * Stops early once isCancelled() returns true.
+   */
+  async function computePassStats(pairs, { pathId = null, snapshotKey = 'main', readJson, onPass, isCancelled } = {}) {
+    const lineage = window.PtoNodeLineage;
+    if (!lineage) throw new Error('node_lineage.js is not loaded');
+    const chain = lineage.selectChain(pairs, { pathId, snapshotKey });
+    let prevRef = null;
+    let prevAfter = null;
+    for (const pair of chain) {
+      if (isCancelled?.()) return;
+      try {
+        const before = pair.beforeRef.ref === prevRef && prevAfter
+          ? prevAfter
+          : lineage.summarizeDump(await readJson(pair.beforeRef.ref));
+        const after = lineage.summarizeDump(await readJson(pair.afterRef.ref));
+        if (isCancelled?.()) return;
+        prevRef = pair.afterRef.ref;
+        prevAfter = after;
+        onPass?.(pair, before && after ? diffSummaries(before, after) : { error: 'not a PyPTO dump' });
+      } catch (err) {
+        prevRef = null;
+        prevAfter = null;
+        onPass?.(pair, { error: err?.message || String(err) });
+      }
+    }
+  }
+
+  function signed(n) {
+    return n > 0 ? `+${n}` : String(n);
+  }
+
+  function describeStats(stats) {
+    if (!stats) return '';
+    if (stats.error) return `stats unavailable: ${stats.error}`;
+    if (!stats.score) return 'no change';
+    const { ops, tensors } = stats;
+    const lines = [
+      `ops +${ops.added} −${ops.removed} ~${ops.modified} (${ops.before} → ${ops.after}, ${signed(ops.after - ops.before)})`,
+      `tensors +${tensors.added} −${tensors.removed} ~${tensors.modified} (${tensors.before} → ${tensors.after})`,
+    ];
+    const fields = [];
+    if (stats.memType) fields.push(`memType ${stats.memType}`);
+    if (stats.shape) fields.push(`shape ${stats.shape}`);
+    if (fields.length) lines.push(fields.join(' · '));
+    return lines.join('\n');
+  }
+
+  window.PtoPassDiffStats = {
+    computePassStats,
+    describeStats,
+    diffSummaries,
+  };
+})();
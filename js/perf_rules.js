@@ -0,0 +1,602 @@
+/**
+ * perf_rules.js - Declarative bottleneck rule packs for swimlane performance diagnoses.
+ *
+ * A pack names thresholds (`params`), and rules that compute a metric from the analyzer's
+ * summary, compare it against per-severity levels and fill in the description, root causes
+ * and recommendations. Packs tagged with a `chip` only apply when that chip is selected and
+ * override generic params and rules with the same id. Shared by pypto-swimlane-perf-tool
+ * (analyzer.js) and swimlane (buildExplanations). Format: pypto-swimlane-perf-tool/rules/README.md.
+ */
+(function () {
+  const SEVERITIES = ['critical', 'warning', 'info'];
+  const SEVERITY_LABELS = { critical: '严重', warning: '警告', info: '提示' };
+  const PRIORITIES = new Set(['high', 'medium', 'low']);
+  const PRIORITY_LABELS = { high: '高优先级', medium: '中优先级', low: '低优先级' };
+  const TEXT_FIELDS = ['title', 'description', 'detail', 'impact'];
+  const MAX_AFFECTED = 20;
+
+  const packs = [];
+  const loads = [];
+  const warned = new Set();
+
+  function asList(value) {
+    if (value == null) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  // ── Expressions ─────────────────────────────────────────────────
+  // Numbers, 'strings', true / false / null, identifiers with `.field` access, `$param`,
+  // + - * / %, comparisons, && || !, ?: and calls to FUNCTIONS. Nothing else is reachable.
+  const TOKEN_RE = /\s*(?:(\d+(?:\.\d+)?(?:e[+-]?\d+)?)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|(\$?[A-Za-z_][\w]*)|(===|!==|==|!=|<=|>=|&&|\|\||[-+*/%<>!?:.,()]))/y;
+
+  function tokenize(source) {
+    const tokens = [];
+    TOKEN_RE.lastIndex = 0;
+    let index = 0;
+    while (index < source.length) {
+      if (!source.slice(index).trim()) break;
+      TOKEN_RE.lastIndex = index;
+      const m = TOKEN_RE.exec(source);
+      if (!m) throw new Error(`无法识别「${source.slice(index).trim().slice(0, 12)}」`);
+      index = TOKEN_RE.lastIndex;
+      if (m[1]) tokens.push({ type: 'num', value: Number(m[1]) });
+      else if (m[2]) tokens.push({ type: 'str', value: m[2].slice(1, -1).replace(/\\(.)/g, '$1') });
+      else if (m[3]) tokens.push({ type: 'id', value: m[3] });
+      else tokens.push({ type: 'op', value: m[4] });
+    }
+    return tokens;
+  }
+
+  function parseExpression(source) {
+    const tokens = tokenize(String(source));
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+    const expect = (value) => {
+      if (!isOp(value)) throw new Error(`缺少「${value}」`);
+      pos += 1;
+    };
+
+    function binary(next, ops) {
+      return () => {
+        let left = next();
+        while (peek()?.type === 'op' && ops.includes(peek().value)) {
+          const op = tokens[pos++].value;
+          left = { type: 'binary', op, left, right: next() };
+        }
+        return left;
+      };
+    }
+
+    function primary() {
+      const token = tokens[pos++];
+      if (!token) throw new Error('表达式不完整');
+      if (token.type === 'num' || token.type === 'str') return { type: 'lit', value: token.value };
+      if (token.type === 'op' && token.value === '(') {
+        const inner = conditional();
+        expect(')');
+        return inner;
+      }
+      if (token.type !== 'id') throw new Error(`意外的「${token.value}」`);
+      if (token.value === 'true' || token.value === 'false') return { type: 'lit', value: token.value === 'true' };
+      if (token.value === 'null') return { type: 'lit', value: null };
+      if (token.value.startsWith('$')) return { type: 'param', name: token.value.slice(1) };
+      if (isOp('(')) {
+        if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) throw new Error(`未知函数 ${token.value}()`);
+        pos += 1;
+        const args = [];
+        if (!isOp(')')) {
+          args.push(conditional());
+          while (isOp(',')) {
+            pos += 1;
+            args.push(conditional());
+          }
+        }
+        expect(')');
+        return { type: 'call', name: token.value, args };
+      }
+      return { type: 'name', name: token.value };
+    }
+
+    function member() {
+      let node = primary();
+      while (isOp('.')) {
+        pos += 1;
+        const field = tokens[pos++];
+        if (field?.type !== 'id') throw new Error('「.」后缺少字段名');
+        node = { type: 'member', object: node, field: field.value };
+      }
+      return node;
+    }
+
+    function unary() {
+      if (isOp('!') || isOp('-')) {
+        const op = tokens[pos++].value;
+        return { type: 'unary', op, arg: unary() };
+      }
+      return member();
+    }
+
+    const multiplicative = binary(unary, ['*', '/', '%']);
+    const additive = binary(multiplicative, ['+', '-']);
+    const relational = binary(additive, ['<', '>', '<=', '>=']);
+    const equality = binary(relational, ['==', '!=', '===', '!==']);
+    const and = binary(equality, ['&&']);
+    const or = binary(and, ['||']);
+
+    function conditional() {
+      const test = or();
+      if (!isOp('?')) return test;
+      pos += 1;
+      const consequent = conditional();
+      expect(':');
+      return { type: 'cond', test, consequent, alternate: conditional() };
+    }
+
+    const ast = conditional();
+    if (pos < tokens.length) throw new Error(`多余的「${tokens[pos].value}」`);
+    return ast;
+  }
+
+  const compiled = new Map();
+
+  function compileExpression(source) {
+    const key = String(source);
+    if (!compiled.has(key)) compiled.set(key, parseExpression(key));
+    return compiled.get(key);
+  }
+
+  function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+  }
+
+  // Comparisons only hold between finite numbers (or two strings), so a metric the current
+  // tool doesn't provide never satisfies a threshold.
+  function compare(op, a, b) {
+    const comparable = (isNumber(a) && isNumber(b)) || (typeof a === 'string' && typeof b === 'string');
+    if (!comparable) return false;
+    if (op === '<') return a < b;
+    if (op === '>') return a > b;
+    if (op === '<=') return a <= b;
+    return a >= b;
+  }
+
+  function same(a, b) {
+    if (a == null || b == null) return a == null && b == null;
+    return a === b;
+  }
+
+  function evaluate(node, scope) {
+    switch (node.type) {
+      case 'lit': return node.value;
+      case 'param': return scope.params[node.name];
+      case 'name': return scope.lookup(node.name);
+      case 'member': {
+        const object = evaluate(node.object, scope);
+        // Own fields only: packs can't reach prototype members.
+        return object != null && Object.prototype.hasOwnProperty.call(object, node.field) ? object[node.field] : undefined;
+      }
+      case 'call': return FUNCTIONS[node.name](scope, ...node.args.map(arg => evaluate(arg, scope)));
+      case 'unary': {
+        const value = evaluate(node.arg, scope);
+        return node.op === '!' ? !value : -value;
+      }
+      case 'cond': return evaluate(node.test, scope) ? evaluate(node.consequent, scope) : evaluate(node.alternate, scope);
+      case 'binary': {
+        if (node.op === '&&') return evaluate(node.left, scope) && evaluate(node.right, scope);
+        if (node.op === '||') return evaluate(node.left, scope) || evaluate(node.right, scope);
+        const a = evaluate(node.left, scope);
+        const b = evaluate(node.right, scope);
+        if (node.op === '+') return typeof a === 'string' || typeof b === 'string' ? `${a ?? ''}${b ?? ''}` : a + b;
+        if (node.op === '-') return a - b;
+        if (node.op === '*') return a * b;
+        if (node.op === '/') return b ? a / b : NaN;
+        if (node.op === '%') return a % b;
+        if (node.op === '==' || node.op === '===') return same(a, b);
+        if (node.op === '!=' || node.op === '!==') return !same(a, b);
+        return compare(node.op, a, b);
+      }
+      default: return undefined;
+    }
+  }
+
+  function run(source, scope) {
+    return evaluate(compileExpression(source), scope);
+  }
+
+  // List helpers take the per-item expression as a string, e.g. any(labels, "maxDur > 20").
+  function itemValues(scope, list, expr) {
+    if (!Array.isArray(list)) return [];
+    return list.map(item => run(expr, scope.child(item)));
+  }
+
+  function pickBy(scope, list, expr, better) {
+    if (!Array.isArray(list) || !list.length) return undefined;
+    const values = itemValues(scope, list, expr);
+    let best = 0;
+    values.forEach((value, i) => {
+      if (isNumber(value) && (!isNumber(values[best]) || better(value, values[best]))) best = i;
+    });
+    return list[best];
+  }
+
+  const FUNCTIONS = {
+    abs: (_, value) => Math.abs(value),
+    min: (_, ...values) => Math.min(...values),
+    max: (_, ...values) => Math.max(...values),
+    round: (_, value, digits = 0) => Number(Number(value).toFixed(digits)),
+    len: (_, list) => (Array.isArray(list) || typeof list === 'string' ? list.length : 0),
+    any: (scope, list, expr) => itemValues(scope, list, expr).some(Boolean),
+    count: (scope, list, expr) => itemValues(scope, list, expr).filter(Boolean).length,
+    sum: (scope, list, expr) => itemValues(scope, list, expr).reduce((total, value) => total + (isNumber(value) ? value : 0), 0),
+    maxOf: (scope, list, expr) => {
+      const values = itemValues(scope, list, expr).filter(isNumber);
+      return values.length ? values.reduce((a, b) => Math.max(a, b)) : undefined;
+    },
+    minOf: (scope, list, expr) => {
+      const values = itemValues(scope, list, expr).filter(isNumber);
+      return values.length ? values.reduce((a, b) => Math.min(a, b)) : undefined;
+    },
+    argmax: (scope, list, expr) => pickBy(scope, list, expr, (a, b) => a > b),
+    argmin: (scope, list, expr) => pickBy(scope, list, expr, (a, b) => a < b),
+  };
+
+  function makeScope(context, params, vars = null, parent = null) {
+    const scope = {
+      params,
+      lookup(name) {
+        if (vars && Object.prototype.hasOwnProperty.call(vars, name)) return vars[name];
+        if (parent) return parent.lookup(name);
+        return context?.[name];
+      },
+      child(item) {
+        return makeScope(context, params, item && typeof item === 'object' ? item : {}, scope);
+      },
+      extend(extra) {
+        return makeScope(context, params, extra, scope);
+      },
+    };
+    return scope;
+  }
+
+  // ── Templates ───────────────────────────────────────────────────
+  // "{expr}" or "{expr|format}"; format is a digit count, `pct` (value already in %) or a
+  // formatter supplied by the caller (e.g. `tick`).
+  const PLACEHOLDER_RE = /\{([^{}]+)\}/g;
+
+  function splitPlaceholder(body) {
+    const m = body.match(/^(.*?)\|\s*(\w+)\s*$/s);
+    return m ? { expr: m[1], format: m[2] } : { expr: body, format: '' };
+  }
+
+  function formatValue(value, format, formatters) {
+    if (format && formatters[format]) return formatters[format](value);
+    if (/^\d$/.test(format)) return isNumber(value) ? value.toFixed(Number(format)) : '—';
+    if (format === 'pct') return isNumber(value) ? `${value.toFixed(1)}%` : '—';
+    if (value == null || (typeof value === 'number' && !Number.isFinite(value))) return '—';
+    if (typeof value === 'number' && !Number.isInteger(value)) return String(Number(value.toFixed(2)));
+    return String(value);
+  }
+
+  function renderText(template, scope, options) {
+    return String(template ?? '').replace(PLACEHOLDER_RE, (_, body) => {
+      const { expr, format } = splitPlaceholder(body);
+      const text = formatValue(run(expr, scope), format, options.formatters);
+      return options.wrapValue ? options.wrapValue(text) : text;
+    });
+  }
+
+  // ── Validation ──────────────────────────────────────────────────
+  function checkExpression(source, path, errors) {
+    if (source == null) return;
+    if (typeof source === 'number' || typeof source === 'boolean') return;
+    if (typeof source !== 'string') {
+      errors.push(`${path}: 必须是表达式字符串或数字`);
+      return;
+    }
+    try {
+      compileExpression(source);
+    } catch (error) {
+      errors.push(`${path}: 表达式「${source}」无效：${error.message}`);
+    }
+  }
+
+  function checkTemplate(template, path, errors) {
+    if (template == null) return;
+    if (typeof template !== 'string') {
+      errors.push(`${path}: 必须是字符串`);
+      return;
+    }
+    for (const m of template.matchAll(PLACEHOLDER_RE)) {
+      checkExpression(splitPlaceholder(m[1]).expr, `${path} {${m[1]}}`, errors);
+    }
+  }
+
+  function checkTexts(spec, path, errors) {
+    TEXT_FIELDS.forEach(field => checkTemplate(spec[field], `${path}.${field}`, errors));
+    asList(spec.rootCause).forEach((cause, i) => checkTemplate(cause, `${path}.rootCause[${i}]`, errors));
+    if (spec.affected != null) {
+      const affected = spec.affected;
+      if (typeof affected === 'string') checkExpression(affected, `${path}.affected`, errors);
+      else if (typeof affected !== 'object') errors.push(`${path}.affected: 必须是表达式或对象`);
+      else {
+        if (!affected.from) errors.push(`${path}.affected.from: 缺少列表表达式`);
+        ['from', 'where', 'sortBy', 'field'].forEach(key => checkExpression(affected[key], `${path}.affected.${key}`, errors));
+      }
+    }
+    asList(spec.recommendations).forEach((rec, i) => {
+      const recPath = `${path}.recommendations[${i}]`;
+      if (!rec?.title) errors.push(`${recPath}.title: 必填`);
+      checkExpression(rec?.when, `${recPath}.when`, errors);
+      checkTemplate(rec?.title, `${recPath}.title`, errors);
+      checkTemplate(rec?.description, `${recPath}.description`, errors);
+      const priority = rec?.priority;
+      if (priority != null && typeof priority === 'object') {
+        Object.entries(priority).forEach(([severity, value]) => {
+          if (!SEVERITIES.includes(severity) || !PRIORITIES.has(value)) errors.push(`${recPath}.priority.${severity}: 无效的优先级`);
+        });
+      } else if (priority != null && !PRIORITIES.has(priority)) {
+        errors.push(`${recPath}.priority: 必须是 high、medium 或 low`);
+      }
+    });
+  }
+
+  function validateRule(spec, path = 'rule') {
+    const errors = [];
+    if (!spec || typeof spec !== 'object') return [`${path}: 必须是对象`];
+    if (!spec.id || typeof spec.id !== 'string') errors.push(`${path}.id: 必填`);
+    if (spec.disabled) return errors;
+    const levels = asList(spec.levels);
+    if (!levels.length && !SEVERITIES.includes(spec.severity)) {
+      errors.push(`${path}: 需要 levels，或 severity 加 when`);
+    }
+    if (levels.length && spec.metric == null) errors.push(`${path}.metric: 使用 levels 时必填`);
+    checkExpression(spec.when, `${path}.when`, errors);
+    checkExpression(spec.metric, `${path}.metric`, errors);
+    checkExpression(spec.each, `${path}.each`, errors);
+    Object.entries(spec.let || {}).forEach(([name, expr]) => checkExpression(expr, `${path}.let.${name}`, errors));
+    checkTemplate(spec.findingId, `${path}.findingId`, errors);
+    checkTexts(spec, path, errors);
+    levels.forEach((level, i) => {
+      const levelPath = `${path}.levels[${i}]`;
+      if (!SEVERITIES.includes(level?.severity)) errors.push(`${levelPath}.severity: 必须是 ${SEVERITIES.join(' / ')}`);
+      if (level?.below == null && level?.above == null) errors.push(`${levelPath}: 需要 below 或 above`);
+      checkExpression(level?.below, `${levelPath}.below`, errors);
+      checkExpression(level?.above, `${levelPath}.above`, errors);
+      checkTexts(level || {}, levelPath, errors);
+    });
+    return errors;
+  }
+
+  function validateRulePack(pack) {
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) return ['规则包必须是 JSON 对象'];
+    const errors = [];
+    if (pack.version != null && pack.version !== 1) errors.push(`version: 不支持的版本 ${pack.version}`);
+    if (pack.params != null && (typeof pack.params !== 'object' || Array.isArray(pack.params))) errors.push('params: 必须是对象');
+    Object.entries(pack.params || {}).forEach(([name, value]) => {
+      if (!isNumber(value) && typeof value !== 'string') errors.push(`params.${name}: 必须是数字或字符串`);
+    });
+    if (pack.rules != null && !Array.isArray(pack.rules)) errors.push('rules: 必须是数组');
+    asList(pack.rules).forEach((spec, i) => validateRule(spec, `rules[${i}]`).forEach(error => errors.push(error)));
+    return errors;
+  }
+
+  // ── Registry ────────────────────────────────────────────────────
+  function normalizeChip(chip) {
+    return chip ? String(chip).trim().toUpperCase() : '';
+  }
+
+  /** Register a pack; invalid rules are skipped and reported in `errors`. */
+  function registerRulePack(pack, label = '') {
+    const errors = validateRulePack(pack);
+    const name = pack?.name || label;
+    if (errors.length) console.warn(`Perf rule pack ${name}:\n${errors.join('\n')}`);
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) return { name, rules: [], errors };
+    const rules = asList(pack.rules).filter((spec, i) => !validateRule(spec, `rules[${i}]`).length);
+    const entry = {
+      name,
+      chip: normalizeChip(pack.chip),
+      description: pack.description || '',
+      params: { ...(pack.params || {}) },
+      rules,
+    };
+    const existing = packs.findIndex(item => item.name === name);
+    if (existing >= 0) packs[existing] = entry;
+    else packs.push(entry);
+    return { name, rules, errors };
+  }
+
+  function listPacks() {
+    return packs.map(({ name, chip, description, rules }) => ({ name, chip, description, ruleCount: rules.length }));
+  }
+
+  function chips() {
+    return [...new Set(packs.map(pack => pack.chip).filter(Boolean))];
+  }
+
+  // Generic packs first, then the chip's packs, each in registration order; a later rule with
+  // the same id replaces the earlier one, `"disabled": true` removes it.
+  function resolveRules(chip) {
+    const wanted = normalizeChip(chip);
+    const active = [
+      ...packs.filter(pack => !pack.chip),
+      ...packs.filter(pack => wanted && pack.chip === wanted),
+    ];
+    const params = {};
+    const rules = new Map();
+    active.forEach(pack => {
+      Object.assign(params, pack.params);
+      pack.rules.forEach(spec => {
+        rules.delete(spec.id);
+        if (!spec.disabled) rules.set(spec.id, { spec, pack: pack.name });
+      });
+    });
+    // String params are expressions over other params, e.g. "$utilWarn - 20".
+    const scope = makeScope(null, params);
+    Object.keys(params).forEach(name => {
+      if (typeof params[name] === 'string') params[name] = run(params[name], scope);
+    });
+    return { params, rules: [...rules.values()], packs: active.map(pack => pack.name) };
+  }
+
+  // ── Evaluation ──────────────────────────────────────────────────
+  function threshold(value, scope) {
+    return typeof value === 'string' ? run(value, scope) : value;
+  }
+
+  function matchLevel(levels, value, scope) {
+    for (const level of levels) {
+      const below = threshold(level.below, scope);
+      const above = threshold(level.above, scope);
+      if (level.below != null && compare('<', value, below)) return { level, limit: below };
+      if (level.above != null && compare('>', value, above)) return { level, limit: above };
+    }
+    return null;
+  }
+
+  // `affected` is either an expression (a name or list of names) or
+  // { from, where, sortBy, order, limit, field } picking items out of a list.
+  function collectAffected(spec, scope) {
+    if (!spec) return [];
+    if (typeof spec === 'string') return asList(run(spec, scope)).filter(name => name != null).slice(0, MAX_AFFECTED);
+    const list = run(spec.from, scope);
+    if (!Array.isArray(list)) return [];
+    let items = list.map(item => ({ item, child: scope.child(item) }));
+    if (spec.where) items = items.filter(({ child }) => run(spec.where, child));
+    if (spec.sortBy) {
+      const sign = spec.order === 'desc' ? -1 : 1;
+      items = items
+        .map(entry => ({ ...entry, key: run(spec.sortBy, entry.child) }))
+        .sort((a, b) => sign * ((a.key ?? 0) - (b.key ?? 0)));
+    }
+    const limit = Math.min(Number.isFinite(spec.limit) ? spec.limit : 5, MAX_AFFECTED);
+    return items.slice(0, limit).map(({ item, child }) => (spec.field ? run(spec.field, child) : item?.coreName ?? item?.name ?? item));
+  }
+
+  function buildRecommendations(specs, scope, severity, options) {
+    return asList(specs)
+      .filter(rec => rec.when == null || run(rec.when, scope))
+      .map(rec => {
+        const priority = (rec.priority && typeof rec.priority === 'object' ? rec.priority[severity] : rec.priority) || 'medium';
+        return {
+          priority,
+          priorityLabel: PRIORITY_LABELS[priority],
+          title: renderText(rec.title, scope, options),
+          description: renderText(rec.description, scope, options),
+          code: rec.code || '',
+          category: rec.category || 'general',
+        };
+      });
+  }
+
+  function evaluateRule(entry, scope, options, findings) {
+    const { spec } = entry;
+    let vars = {};
+    Object.entries(spec.let || {}).forEach(([name, expr]) => {
+      vars = { ...vars, [name]: run(expr, scope.extend(vars)) };
+    });
+    const local = scope.extend(vars);
+    if (spec.when != null && !run(spec.when, local)) return;
+    const value = spec.metric != null ? run(spec.metric, local) : undefined;
+
+    let severity = spec.severity;
+    let level = {};
+    let limit = null;
+    const levels = asList(spec.levels);
+    if (levels.length) {
+      const hit = matchLevel(levels, value, local);
+      if (!hit) return;
+      level = hit.level;
+      severity = level.severity;
+      limit = isNumber(hit.limit) ? hit.limit : null;
+    }
+
+    const pick = (field) => (level[field] !== undefined ? level[field] : spec[field]);
+    const valueScope = local.extend({ value, threshold: limit, severity });
+    const id = level.id || (spec.findingId ? renderText(spec.findingId, valueScope, { formatters: {} }) : spec.id);
+    findings.push({
+      id,
+      ruleId: spec.id,
+      pack: entry.pack,
+      severity,
+      severityLabel: SEVERITY_LABELS[severity],
+      title: renderText(pick('title') || spec.id, valueScope, options),
+      value: isNumber(value) ? value : null,
+      unit: spec.unit || '',
+      threshold: limit,
+      description: renderText(pick('description'), valueScope, options),
+      detail: renderText(pick('detail'), valueScope, options),
+      impact: renderText(pick('impact'), valueScope, options),
+      rootCause: asList(pick('rootCause')).map(cause => renderText(cause, valueScope, options)),
+      affected: collectAffected(pick('affected'), valueScope),
+      recommendations: buildRecommendations(pick('recommendations'), valueScope, severity, options),
+    });
+  }
+
+  /**
+   * Run the rules active for `chip` against `context` (the tool's metric summary) and return
+   * findings sorted by severity. A rule whose expressions throw is skipped and logged once.
+   * Options: formatters ({ name: value => text } for `{x|name}`), wrapValue (text => text).
+   */
+  function evaluateRules(context, { chip = null, formatters = {}, wrapValue = null } = {}) {
+    const { params, rules } = resolveRules(chip);
+    const root = makeScope(context, params);
+    const options = { formatters, wrapValue };
+    const findings = [];
+    rules.forEach(entry => {
+      try {
+        if (entry.spec.each == null) {
+          evaluateRule(entry, root, options, findings);
+          return;
+        }
+        const list = run(entry.spec.each, root);
+        if (Array.isArray(list)) list.forEach(item => evaluateRule(entry, root.child(item), options, findings));
+      } catch (error) {
+        const key = `${entry.pack}:${entry.spec.id}`;
+        if (!warned.has(key)) console.warn(`Perf rule ${entry.spec.id} (${entry.pack}) failed:`, error?.message || error);
+        warned.add(key);
+      }
+    });
+    const order = (severity) => SEVERITIES.indexOf(severity);
+    return findings
+      .map((finding, index) => ({ finding, index }))
+      .sort((a, b) => order(a.finding.severity) - order(b.finding.severity) || a.index - b.index)
+      .map(({ finding }) => finding);
+  }
+
+  function fetchJson(url) {
+    return fetch(url).then(response => {
+      if (!response.ok) throw new Error(`读取 ${url} 失败：${response.status}`);
+      return response.json();
+    });
+  }
+
+  function loadRulePack(url) {
+    const settled = fetchJson(url)
+      .then(pack => registerRulePack(pack, url))
+      .catch(error => {
+        console.warn('Perf rule pack unavailable:', error?.message || error);
+        return null;
+      });
+    loads.push(settled);
+    return settled;
+  }
+
+  /** Resolves once every pack requested so far has loaded or failed. */
+  function whenLoaded() {
+    return Promise.all(loads).then(() => undefined);
+  }
+
+  window.PtoPerfRules = {
+    chips,
+    compileExpression,
+    evaluateRules,
+    listPacks,
+    loadRulePack,
+    registerRulePack,
+    resolveRules,
+    validateRule,
+    validateRulePack,
+    whenLoaded,
+  };
+})();
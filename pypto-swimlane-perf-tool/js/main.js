@@ -9,10 +9,12 @@ class App {
   constructor() {
     this.parsedData = null;
     this.analysisResult = null;
+    this.chip = null;
     this.swimlane = null;
     this.isLoading = false;
 
     this._initElements();
+    this._initRulePacks();
     this._initSwimlane();
     this._bindEvents();
     this._showWelcome();
@@ -25,6 +27,9 @@ class App {
     this.fileDropdownMenu = document.getElementById('fileDropdownMenu');
     this.loadSampleBtn = document.getElementById('loadSampleBtn');
     this.loadLocalBtn = document.getElementById('loadLocalBtn');
+    this.loadRulesBtn = document.getElementById('loadRulesBtn');
+    this.rulePackInput = document.getElementById('rulePackInput');
+    this.chipSelect = document.getElementById('chipSelect');
     this.fitBtn = document.getElementById('fitBtn');
     this.exportBtn = document.getElementById('exportBtn');
     this.zoomInBtn = document.getElementById('zoomInBtn');
@@ -75,6 +80,58 @@ class App {
     this.cgPanelResize   = document.getElementById('cgPanelResize');
   }
 
+  // 芯片规则包：?chip=910B|A5 选择芯片，?rules=<url> 额外加载 JSON 规则包（可重复）
+  _initRulePacks() {
+    const params = new URLSearchParams(window.location.search);
+    this.chip = params.get('chip')?.toUpperCase() || null;
+    params.getAll('rules').forEach(url => {
+      PtoPerfRules.loadRulePack(url).then(result => {
+        if (!result) return;
+        this._renderChipOptions();
+        this._reanalyze();
+      });
+    });
+    this._renderChipOptions();
+  }
+
+  _renderChipOptions() {
+    if (!this.chipSelect) return;
+    const packs = PtoPerfRules.listPacks();
+    const chips = PtoPerfRules.chips();
+    if (this.chip && !chips.includes(this.chip)) chips.push(this.chip);
+    this.chipSelect.innerHTML = [
+      `<option value="">通用规则</option>`,
+      ...chips.map(chip => {
+        const names = packs.filter(p => p.chip === chip).map(p => p.name).join(', ');
+        return `<option value="${escapeHTML(chip)}" title="${escapeHTML(names)}">${escapeHTML(chip)}</option>`;
+      }),
+    ].join('');
+    this.chipSelect.value = this.chip || '';
+  }
+
+  _reanalyze() {
+    if (!this.parsedData) return;
+    this.analysisResult = analyzePerformance(this.parsedData, { chip: this.chip });
+    this._renderAll();
+  }
+
+  async _onRulePackSelected(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const result = PtoPerfRules.registerRulePack(JSON.parse(await file.text()), file.name);
+      if (result.errors.length) this._showError(`规则包 ${result.name} 有 ${result.errors.length} 处错误，详见控制台`);
+      const chip = PtoPerfRules.listPacks().find(p => p.name === result.name)?.chip;
+      if (chip) this.chip = chip;
+      this._renderChipOptions();
+      this._reanalyze();
+    } catch (err) {
+      console.error('导入规则包失败:', err);
+      this._showError(`导入规则包失败: ${err.message}`);
+    }
+  }
+
   _initSwimlane() {
     this.swimlane = new SwimlaneRenderer(this.swimlaneCanvas, this.swimlaneLabel);
     this.swimlane.onCoreClick = (coreName) => {
@@ -165,6 +222,15 @@ class App {
       this.fileInput.click();
     });
     this.fileInput.addEventListener('change', (e) => this._onFileSelected(e));
+    this.loadRulesBtn?.addEventListener('click', () => {
+      this.fileDropdownMenu?.classList.remove('open');
+      this.rulePackInput?.click();
+    });
+    this.rulePackInput?.addEventListener('change', (e) => this._onRulePackSelected(e));
+    this.chipSelect?.addEventListener('change', () => {
+      this.chip = this.chipSelect.value || null;
+      this._reanalyze();
+    });
 
     // 拖放加载
     document.addEventListener('dragover', (e) => e.preventDefault());
@@ -256,7 +322,7 @@ class App {
     this._showLoading('正在分析性能...');
     await new Promise(resolve => setTimeout(resolve, 0));
 
-    this.analysisResult = analyzePerformance(this.parsedData);
+    this.analysisResult = analyzePerformance(this.parsedData, { chip: this.chip });
 
     this._showLoading('正在渲染...');
     await new Promise(resolve => setTimeout(resolve, 0));
@@ -419,18 +485,20 @@ class App {
       <div class="bottleneck-item insight-card severity-${b.severity}" data-core="${b.affectedCores?.[0] || ''}" data-index="${i}">
         <div class="b-header">
           <span class="b-severity severity-badge-${b.severity}">${b.severityLabel}</span>
-          <span class="b-title">${b.type}</span>
-          <span class="b-value">${b.value.toFixed(1)}${b.unit}</span>
+          <span class="b-title">${escapeHTML(b.type)}</span>
+          <span class="b-value">${b.value != null ? `${b.value.toFixed(1)}${b.unit}` : ''}</span>
         </div>
-        <div class="b-desc">${b.description}</div>
-        <div class="b-detail">${b.detail}</div>
+        <div class="b-desc">${escapeHTML(b.description)}</div>
+        ${b.detail ? `<div class="b-detail">${escapeHTML(b.detail)}</div>` : ''}
+        ${b.rootCause.length ? `
         <div class="b-causes">
           <div class="b-causes-title">可能原因:</div>
-          ${b.rootCause.map(c => `<div class="b-cause-item">• ${c}</div>`).join('')}
-        </div>
+          ${b.rootCause.map(c => `<div class="b-cause-item">• ${escapeHTML(c)}</div>`).join('')}
+        </div>` : ''}
+        ${b.impact ? `
         <div class="b-impact">
-          <span class="b-impact-label">影响: </span>${b.impact}
-        </div>
+          <span class="b-impact-label">影响: </span>${escapeHTML(b.impact)}
+        </div>` : ''}
         ${b.affectedCores?.length > 0 ? `
         <div class="b-cores">
           <span class="b-cores-label">受影响核心: </span>
@@ -478,12 +546,12 @@ class App {
             <div class="rec-item insight-card">
               <div class="rec-header" onclick="this.parentElement.classList.toggle('expanded')">
                 <span class="rec-num">${i + 1}</span>
-                <span class="rec-title">${r.title}</span>
-                <span class="rec-category cat-${r.category}">${getCategoryLabel(r.category)}</span>
+                <span class="rec-title">${escapeHTML(r.title)}</span>
+                <span class="rec-category cat-${String(r.category).replace(/[^\w-]/g, '')}">${escapeHTML(getCategoryLabel(r.category))}</span>
                 <span class="rec-expand">▼</span>
               </div>
               <div class="rec-body">
-                <p class="rec-desc">${r.description}</p>
+                <p class="rec-desc">${escapeHTML(r.description)}</p>
                 ${r.code ? `
                 <div class="rec-code-wrap">
                   <div class="rec-code-header">
@@ -766,6 +834,7 @@ function getCategoryLabel(cat) {
     memory: '内存优化',
     graph_optimization: '图优化',
     architecture: '架构优化',
+    general: '通用',
   };
   return labels[cat] || cat;
 }
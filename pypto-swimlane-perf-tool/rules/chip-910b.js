@@ -0,0 +1,58 @@
+/**
+ * chip-910b.js - Atlas A2 (910B) 规则包
+ * AIC : AIV = 1 : 2，Cube 结果经 GM / L2 交给 Vector；在通用规则之上放宽 Cube/Vector
+ * 利用率差阈值，并增加 Cube→Vector 交接等待规则。
+ */
+
+'use strict';
+
+window.PtoPerfRules.registerRulePack({
+  version: 1,
+  name: 'chip-910b',
+  chip: '910B',
+  description: 'Atlas A2 (910B)：AIC : AIV = 1 : 2，Cube→Vector 经 GM / L2 中转',
+  params: {
+    // 1:2 的核数配比下 AIC / AIV 利用率天然有差距，差 30% 以内不报。
+    cubeVectorGap: 30,
+    cvHandoffBubble: 15,
+  },
+  rules: [
+    {
+      id: 'cv_handoff_gm_910b',
+      when: 'aicCount > 0 && aivCount > 0 && avgAicUtilization > avgAivUtilization',
+      metric: 'avgAivBubbleRate',
+      unit: '%',
+      title: 'Cube→Vector 交接等待（910B）',
+      description: 'AIV 气泡率 {avgAivBubbleRate|1}%，而 AIC 利用率 {avgAicUtilization|1}% 高于 AIV。910B 上 Cube 的输出要先写回 GM / L2 再由 Vector 读取，Vector 核常在等这次交接。',
+      detail: 'AIV 气泡率阈值 {threshold|1}%（chip-910b）',
+      affected: { from: 'aivMetrics', where: 'bubbleRate > threshold', sortBy: 'bubbleRate', order: 'desc', limit: 5 },
+      rootCause: [
+        'Cube 结果经 GM 中转，Vector 读取前需等待写回完成',
+        'Cube 与 Vector 子图切分过细，交接次数多',
+      ],
+      impact: 'Vector 核在交接处空转，Cube/Vector 流水无法重叠',
+      levels: [
+        { severity: 'warning', above: '$cvHandoffBubble' },
+      ],
+      recommendations: [
+        {
+          priority: 'medium',
+          title: '合并 Cube→Vector 相邻子图',
+          description: '把 Cube 输出与紧随其后的 Vector 处理放进同一子图范围，减少经 GM 的交接次数',
+          code: `pypto.set_pass_options(sg_set_scope=1)
+out = pypto.matmul(a, b)
+out = post_process(out)   # 紧随其后的 Vector 计算
+pypto.set_pass_options(sg_set_scope=-1)`,
+          category: 'graph_optimization',
+        },
+        {
+          priority: 'low',
+          title: '增大 Vector tile 摊薄交接开销',
+          description: '每次交接的数据量越大，GM 往返在 Vector 任务中的占比越小',
+          code: 'pypto.set_vec_tile_shapes(128, 128)',
+          category: 'tiling',
+        },
+      ],
+    },
+  ],
+});
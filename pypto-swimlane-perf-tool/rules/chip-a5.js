@@ -0,0 +1,53 @@
+/**
+ * chip-a5.js - A5 (Ascend 950) 规则包
+ * A5 新增 C-V 直连，Cube→Vector 不必经 GM 中转；调度阈值收紧，
+ * 并把 Cube→Vector 交接等待解释为未用上直连通路。
+ */
+
+'use strict';
+
+window.PtoPerfRules.registerRulePack({
+  version: 1,
+  name: 'chip-a5',
+  chip: 'A5',
+  description: 'A5 (Ascend 950)：C-V 直连，调度阈值更严格',
+  params: {
+    utilWarn: 75,
+    bubbleCritical: 15,
+    bubbleWarn: 8,
+    stitchGap: 80,
+    cvHandoffBubble: 10,
+  },
+  rules: [
+    {
+      id: 'cv_handoff_direct_a5',
+      when: 'aicCount > 0 && aivCount > 0 && avgAicUtilization > avgAivUtilization',
+      metric: 'avgAivBubbleRate',
+      unit: '%',
+      title: 'Cube→Vector 交接未走直连（A5）',
+      description: 'AIV 气泡率 {avgAivBubbleRate|1}%，而 AIC 利用率 {avgAicUtilization|1}% 高于 AIV。A5 上 Cube 输出可经 C-V 直连交给 Vector，这种等待通常说明数据仍在经 GM 往返。',
+      detail: 'AIV 气泡率阈值 {threshold|1}%（chip-a5）',
+      affected: { from: 'aivMetrics', where: 'bubbleRate > threshold', sortBy: 'bubbleRate', order: 'desc', limit: 5 },
+      rootCause: [
+        'Cube 与 Vector 分在不同子图，交接仍写回 GM',
+        '从 910B 迁移的算子保留了经 GM 中转的数据通路',
+      ],
+      impact: '没有用上 A5 的 C-V 直连，Vector 核在交接处空转',
+      levels: [
+        { severity: 'warning', above: '$cvHandoffBubble' },
+      ],
+      recommendations: [
+        {
+          priority: 'high',
+          title: '让 Cube→Vector 走 C-V 直连',
+          description: '把 Cube 输出与紧随其后的 Vector 处理放进同一子图范围，使交接留在片上，不再经 GM 往返',
+          code: `pypto.set_pass_options(sg_set_scope=1)
+out = pypto.matmul(a, b)
+out = post_process(out)   # 紧随其后的 Vector 计算
+pypto.set_pass_options(sg_set_scope=-1)`,
+          category: 'architecture',
+        },
+      ],
+    },
+  ],
+});
@@ -0,0 +1,398 @@
+/**
+ * default.js - 通用瓶颈规则包（不区分芯片）
+ * 利用率 / 气泡率 / 负载均衡 / Cube-Vector 平衡 / 长尾任务五类规则供 analyzer.js 使用；
+ * 末尾几条依赖 swimlane 查看器才提供的指标（seq gap、label、选区、选中 task），
+ * 在分析工具中自动跳过。格式见 rules/README.md。
+ */
+
+'use strict';
+
+window.PtoPerfRules.registerRulePack({
+  version: 1,
+  name: 'default',
+  description: '通用阈值',
+  params: {
+    utilCritical: 50,
+    utilWarn: 70,
+    bubbleCritical: 20,
+    bubbleWarn: 10,
+    balanceCritical: 50,
+    balanceWarn: 70,
+    cubeVectorGap: 25,
+    tailMinTasks: 5,
+    tailCv: 0.5,
+    tailRatio: 3,
+    sparseVectorUtil: 36,
+    sparseVectorGap: 120,
+    denseCubeUtil: 78,
+    denseCubeLabelDur: 20,
+    stitchGap: 120,
+    rangeVectorRatio: 0.55,
+  },
+  rules: [
+    {
+      id: 'utilization',
+      when: 'aicCount + aivCount > 0',
+      metric: 'avgUtilization',
+      unit: '%',
+      detail: 'AIC 平均: {avgAicUtilization|1}%，AIV 平均: {avgAivUtilization|1}%',
+      affected: { from: 'allMetrics', where: 'utilization < threshold', sortBy: 'utilization', limit: 5 },
+      levels: [
+        {
+          severity: 'critical',
+          below: '$utilCritical',
+          id: 'low_utilization',
+          title: '核心利用率低',
+          description: '平均核心利用率仅为 {avgUtilization|1}%，核心大量时间处于空闲状态',
+          rootCause: [
+            '任务粒度过小，调度开销占比高',
+            '任务间依赖关系导致长时间等待',
+            '内存访问不连续，导致 cache miss 频繁',
+            'Tilesize 设置不合理，算术强度低',
+          ],
+          impact: '严重影响算子吞吐量，核心算力未得到充分利用',
+        },
+        {
+          severity: 'warning',
+          below: '$utilWarn',
+          id: 'moderate_utilization',
+          title: '核心利用率偏低',
+          description: '平均核心利用率为 {avgUtilization|1}%，仍有较大优化空间',
+          rootCause: [
+            '任务调度策略待优化',
+            '等待前驱任务完成时间较长',
+            '内存访问模式有优化空间',
+          ],
+          impact: '影响算子性能，存在优化空间',
+        },
+      ],
+      recommendations: [
+        {
+          priority: { critical: 'high', warning: 'medium' },
+          title: '使用 L2 亲和调度',
+          description: '启用 L2 亲和调度模式，减少核心间通信开销，提升数据局部性',
+          code: `@pypto.jit(runtime_options={"device_sched_mode": 1})
+def your_operator(A, B):
+    # ... operator implementation`,
+          category: 'scheduling',
+        },
+        {
+          priority: { critical: 'high', warning: 'medium' },
+          title: '调整 Cube Tilesize',
+          description: '增大 Tilesize 提高算术强度，减少内存访问开销占比',
+          code: `# 对于 Cube 计算密集型算子
+pypto.set_cube_tile_shapes([128, 128], [128, 512], [128, 128])
+
+# 或尝试更大的 tile
+pypto.set_cube_tile_shapes([256, 256], [256, 512], [256, 256])`,
+          category: 'tiling',
+        },
+        {
+          when: 'avgAicUtilization < $utilCritical',
+          priority: 'medium',
+          title: '启用 CubeNBuffer 合并同构子图',
+          description: '合并相邻的同构子图，减少任务切换开销',
+          code: 'pypto.set_pass_options(cube_nbuffer_setting={0: 8})',
+          category: 'graph_optimization',
+        },
+      ],
+    },
+    {
+      id: 'bubble_rate',
+      when: 'aicCount + aivCount > 0',
+      metric: 'avgBubbleRate',
+      unit: '%',
+      detail: 'AIC 气泡率: {avgAicBubbleRate|1}%，AIV 气泡率: {avgAivBubbleRate|1}%',
+      affected: { from: 'allMetrics', where: 'bubbleRate > threshold', sortBy: 'bubbleRate', order: 'desc', limit: 5 },
+      levels: [
+        {
+          severity: 'critical',
+          above: '$bubbleCritical',
+          id: 'high_bubble_rate',
+          title: '调度气泡率高',
+          description: '平均气泡率为 {avgBubbleRate|1}%，任务间存在大量调度等待',
+          rootCause: [
+            '任务粒度过小，调度开销与执行时间比值高',
+            'stitch 参数设置过小，任务合并不足',
+            '循环展开因子不合适，产生大量小任务',
+          ],
+          impact: '严重浪费核心算力，任务调度开销超过实际计算时间',
+        },
+        {
+          severity: 'warning',
+          above: '$bubbleWarn',
+          id: 'moderate_bubble_rate',
+          title: '调度气泡率偏高',
+          description: '平均气泡率为 {avgBubbleRate|1}%，存在一定调度等待',
+          rootCause: ['调度策略有优化空间', '任务粒度可适当增大'],
+          impact: '影响算子性能，有优化潜力',
+        },
+      ],
+      recommendations: [
+        {
+          priority: { critical: 'high', warning: 'medium' },
+          title: '开启 loop_unroll 优化',
+          description: '对循环类任务开启 loop_unroll，减少循环调度开销，适用于动态轴范围较广的场景',
+          code: `# 在最内层循环添加 unroll_list
+for b_idx in pypto.loop(b_scalar, name="LOOP_b", idx_name="b_idx"):
+    for s1_idx in pypto.loop(s1_scalar, name="LOOP_s1", idx_name="s1_idx"):
+        # 最内层循环添加 unroll_list
+        for s2_idx in pypto.loop(s2_loop,
+                                  unroll_list=[8, 4, 2, 1],  # 根据循环次数调整
+                                  name="LOOP_s2",
+                                  idx_name="s2_idx"):
+            # 计算逻辑
+            pass
+
+# ⚠️ 重要: loop_unroll 必须放在最内层循环！`,
+          category: 'loop_optimization',
+        },
+        {
+          priority: { critical: 'high', warning: 'medium' },
+          title: '调整 Stitch 参数',
+          description: '增大 stitch_function_max_num，允许更多任务合并执行',
+          code: `@pypto.frontend.jit(
+    runtime_options={
+        "stitch_function_max_num": 128,  # 默认可能更小
+        "stitch_inner_memory": 16384,    # 16KB 内存限制
+    }
+)
+def your_operator(A, B):
+    pass`,
+          category: 'scheduling',
+        },
+        {
+          priority: 'medium',
+          title: '启用 L1Reuse 优化',
+          description: '启用 L1 缓存复用，减少重复加载开销',
+          code: 'pypto.set_pass_options(cube_l1_reuse_setting={0: 8})',
+          category: 'memory',
+        },
+      ],
+    },
+    {
+      id: 'aic_imbalance',
+      when: 'aicCount > 1',
+      let: {
+        busiest: "argmax(aicMetrics, 'totalActiveTime')",
+        idlest: "argmin(aicMetrics, 'totalActiveTime')",
+      },
+      metric: 'aicLoadBalance',
+      unit: '%',
+      title: 'AIC 核心负载不均衡',
+      description: 'AIC 核心负载均衡度仅 {aicLoadBalance|1}%，核心间工作量差异显著',
+      detail: '最忙: {busiest.coreName} ({busiest.totalActiveTime|1}μs), 最闲: {idlest.coreName} ({idlest.totalActiveTime|1}μs), 差值: {busiest.totalActiveTime - idlest.totalActiveTime|1}μs',
+      affected: { from: 'aicMetrics', sortBy: 'totalActiveTime', order: 'desc', limit: 3 },
+      rootCause: [
+        '任务分配策略不均，部分核心分配更多计算',
+        'Tile 切分不均匀，导致工作量差异',
+        '动态 shape 下边界 tile 处理时间更长',
+      ],
+      impact: '最快核心等待最慢核心，整体性能受限于负载最重的核心',
+      levels: [
+        { severity: 'critical', below: '$balanceCritical' },
+        { severity: 'warning', below: '$balanceWarn' },
+      ],
+      recommendations: [
+        {
+          priority: 'medium',
+          title: '使用 sg_set_scope 合并子图',
+          description: '通过子图范围控制，减少任务依赖和跨核通信，改善负载均衡',
+          code: `# 将相关操作放在同一子图范围内
+pypto.set_pass_options(sg_set_scope=1)
+# ... 计算密集型操作 ...
+tile_result = compute_intensive_op(data)
+pypto.set_pass_options(sg_set_scope=-1)`,
+          category: 'scheduling',
+        },
+        {
+          priority: 'medium',
+          title: '优化 Tile 切分策略',
+          description: '调整 tile size 使任务分配更均匀，减少核心间负载差异',
+          code: `# 对于 Vector 核心
+pypto.set_vec_tile_shapes(64, 64)  # [tile_m, tile_n]
+
+# 对于 Cube 核心
+pypto.set_cube_tile_shapes([128, 128], [128, 256], [128, 128])
+
+# 如有动态 shape，考虑使用 loop_unroll 处理边界
+for idx, k in pypto.loop_unroll(total // 64,
+                                  unroll_list=[64, 16, 4],
+                                  name="Main"):
+    if k <= 16:
+        pypto.set_vec_tile_shapes(16, 64)
+    else:
+        pypto.set_vec_tile_shapes(64, 64)`,
+          category: 'tiling',
+        },
+      ],
+    },
+    {
+      id: 'aiv_imbalance',
+      when: 'aivCount > 1',
+      let: {
+        busiest: "argmax(aivMetrics, 'totalActiveTime')",
+        idlest: "argmin(aivMetrics, 'totalActiveTime')",
+      },
+      metric: 'aivLoadBalance',
+      unit: '%',
+      title: 'AIV 核心负载不均衡',
+      description: 'AIV 核心负载均衡度仅 {aivLoadBalance|1}%，向量核心工作量分布不均',
+      detail: '最忙: {busiest.coreName} ({busiest.totalActiveTime|1}μs), 最闲: {idlest.coreName} ({idlest.totalActiveTime|1}μs)',
+      affected: { from: 'aivMetrics', sortBy: 'totalActiveTime', order: 'desc', limit: 3 },
+      rootCause: [
+        'Vector tile 切分不均',
+        '动态轴处理导致部分核心工作量更多',
+        '内存对齐问题影响某些核心的效率',
+      ],
+      impact: 'AIV 核心整体效率降低，部分核心空闲等待',
+      levels: [
+        { severity: 'critical', below: '$balanceCritical' },
+        { severity: 'warning', below: '$balanceWarn' },
+      ],
+      recommendations: [
+        {
+          priority: 'medium',
+          title: '使用 sg_set_scope 合并子图',
+          description: '通过子图范围控制，减少任务依赖和跨核通信，改善负载均衡',
+          code: `# 将相关操作放在同一子图范围内
+pypto.set_pass_options(sg_set_scope=1)
+# ... 计算密集型操作 ...
+tile_result = compute_intensive_op(data)
+pypto.set_pass_options(sg_set_scope=-1)`,
+          category: 'scheduling',
+        },
+        {
+          priority: 'medium',
+          title: '优化 Tile 切分策略',
+          description: '调整 tile size 使任务分配更均匀，减少核心间负载差异',
+          code: `# 对于 Vector 核心
+pypto.set_vec_tile_shapes(64, 64)  # [tile_m, tile_n]
+
+# 对于 Cube 核心
+pypto.set_cube_tile_shapes([128, 128], [128, 256], [128, 128])
+
+# 如有动态 shape，考虑使用 loop_unroll 处理边界
+for idx, k in pypto.loop_unroll(total // 64,
+                                  unroll_list=[64, 16, 4],
+                                  name="Main"):
+    if k <= 16:
+        pypto.set_vec_tile_shapes(16, 64)
+    else:
+        pypto.set_vec_tile_shapes(64, 64)`,
+          category: 'tiling',
+        },
+      ],
+    },
+    {
+      id: 'aic_aiv_imbalance',
+      when: 'aicCount > 0 && aivCount > 0',
+      let: {
+        utilGap: 'abs(avgAicUtilization - avgAivUtilization)',
+        dominant: "avgAicUtilization > avgAivUtilization ? 'AIC (Cube)' : 'AIV (Vector)'",
+        idle: "avgAicUtilization > avgAivUtilization ? 'AIV (Vector)' : 'AIC (Cube)'",
+      },
+      metric: 'utilGap',
+      unit: '%',
+      title: 'Cube/Vector 计算不平衡',
+      description: '{dominant} 核心利用率 ({max(avgAicUtilization, avgAivUtilization)|1}%) 显著高于 {idle} ({min(avgAicUtilization, avgAivUtilization)|1}%)',
+      detail: 'AIC 利用率: {avgAicUtilization|1}%，AIV 利用率: {avgAivUtilization|1}%',
+      rootCause: [
+        '算法计算主要集中在 {dominant} 核心，导致另一类型核心空闲等待',
+        '算子计算结构偏向某种计算类型 (矩阵乘 vs 逐元素)',
+        '任务调度未充分利用所有类型核心',
+      ],
+      impact: '{idle} 核心未被充分利用，硬件资源浪费',
+      levels: [
+        { severity: 'warning', above: '$cubeVectorGap' },
+      ],
+      recommendations: [
+        {
+          priority: 'medium',
+          title: '重新平衡 Cube/Vector 计算分配',
+          description: "{avgAicUtilization > avgAivUtilization ? '当前 Cube 核心负载较重，可尝试将部分操作分配给 Vector 核心处理' : '当前 Vector 核心负载较重，可尝试增大矩阵计算 tile 以提高 Cube 核心利用率'}",
+          code: `# 提高 AIC (Cube) 利用率: 增大矩阵 tile
+pypto.set_cube_tile_shapes([256, 256], [256, 512], [256, 256])
+
+# 提高 AIV (Vector) 利用率: 增大向量 tile
+pypto.set_vec_tile_shapes(128, 128)
+
+# 使用 L2 亲和调度确保数据局部性
+@pypto.jit(runtime_options={"device_sched_mode": 1})`,
+          category: 'architecture',
+        },
+      ],
+    },
+    {
+      id: 'long_tail',
+      each: 'allMetrics',
+      let: { cv: 'avgDuration > 0 ? stdDuration / avgDuration : 0' },
+      when: 'taskCount > $tailMinTasks && cv > $tailCv && maxDuration > avgDuration * $tailRatio',
+      severity: 'info',
+      findingId: 'long_tail_{coreName}',
+      metric: 'maxDuration',
+      unit: 'μs',
+      title: '长尾任务 ({coreName})',
+      description: '{coreName} 存在长尾任务，最长任务 {maxDuration|2}μs，平均 {avgDuration|2}μs，差异 {cv|1}x',
+      detail: '变异系数: {cv * 100|1}%，最大/最小比: {maxDuration / minDuration|1}x',
+      affected: 'coreName',
+      rootCause: [
+        '边界 tile 大小与内部 tile 不一致',
+        '内存访问模式在某些迭代中效率更低',
+      ],
+      impact: '少量长耗时任务影响整体执行时间',
+    },
+
+    // 以下规则只在 swimlane 查看器中生效（avgAivMaxGap / labels / range / selectedTask 由查看器提供）。
+    {
+      id: 'sparse_vector_lanes',
+      when: 'avgAivMaxGap > $sparseVectorGap',
+      metric: 'avgAivUtilization',
+      unit: '%',
+      title: 'Vector lanes are sparse',
+      description: 'AIV 平均利用率只有 {avgAivUtilization|pct}，平均最大气泡约 {avgAivMaxGap|tick}。这更像向量子图过碎，而不是单个 vector task 太慢。优先检查 `vec tile` 一致性，以及相关 op 是否被切进同一个同构子图。',
+      levels: [
+        { severity: 'warning', below: '$sparseVectorUtil' },
+      ],
+    },
+    {
+      id: 'dense_cube_heavy_task',
+      when: "any(labels, \"label == 'Query-Linear' && maxDur > $denseCubeLabelDur\")",
+      metric: 'avgAicUtilization',
+      unit: '%',
+      title: 'Cube is dense but still task-heavy',
+      description: 'AIC 已经很密，但 `Query-Linear` 仍然占据主导，单任务最长超过 {$denseCubeLabelDur|tick}。这说明问题更可能在 `cube tile` 贴合度，而不是调度空洞。',
+      levels: [
+        { severity: 'info', above: '$denseCubeUtil' },
+      ],
+    },
+    {
+      id: 'stitch_barrier',
+      metric: 'max(avgAicSeqGap, avgAivSeqGap)',
+      unit: 'μs',
+      title: 'Stitch barrier is visible',
+      description: 'lane 间跨 stitch 的平均等待仍然明显，AIC 约 {avgAicSeqGap|tick}，AIV 约 {avgAivSeqGap|tick}。这通常意味着 workspace / pool reset 触发了串行化等待，适合用 Before/After diff 去验证 barrier 是否被消除。',
+      levels: [
+        { severity: 'warning', above: '$stitchGap' },
+      ],
+    },
+    {
+      id: 'range_vector_light',
+      when: 'range != null',
+      metric: 'range.vectorUtil',
+      unit: '%',
+      title: 'Selected range is vector-light',
+      description: '当前区间的 Vector 利用率只有 {range.vectorUtil|pct}，明显低于 Cube 的 {range.cubeUtil|pct}。这类区间更适合看 `Query-Dequant / Key-LayerNorm / Key-Rope2D` 是否被拆散。',
+      levels: [
+        { severity: 'info', below: 'range.cubeUtil * $rangeVectorRatio' },
+      ],
+    },
+    {
+      id: 'task_upstream',
+      when: 'selectedTask.callOpMagic != null',
+      severity: 'info',
+      title: 'This task can be chased upstream',
+      description: '该 task 带有 callOpMagic={selectedTask.callOpMagic}，可以直接跳到 Pass IR。相比盯着条形图本身，更重要的是确认它属于哪个 block graph，和前后依赖是否造成了额外等待。',
+    },
+  ],
+});
@@ -188,7 +188,7 @@ function renderPreview(dataset, metrics) {
 
 function downloadDataset() {
   if (!lastDataset) return;
-  const blob = new Blob([JSON.stringify(lastDataset, null, 2)], { type: 'application/json' });
+  const blob = new Blob([JSON.stringify(lastDataset)], { type: 'application/json' });
   const url = URL.createObjectURL(blob);
   const anchor = document.createElement('a');
   anchor.href = url;
@@ -24,10 +24,12 @@
     openFolderBtn: document.getElementById('swOpenFolderBtn'),
     openLocalBtn: document.getElementById('swOpenLocalBtn'),
     openCompareBtn: document.getElementById('swOpenCompareBtn'),
+    openRunsBtn: document.getElementById('swOpenRunsBtn'),
     bindProgramBtn: document.getElementById('swBindProgramBtn'),
     folderInput: document.getElementById('swFolderInput'),
     fileInput: document.getElementById('swFileInput'),
     compareFileInput: document.getElementById('swCompareFileInput'),
+    runsFileInput: document.getElementById('swRunsFileInput'),
     programFileInput: document.getElementById('swProgramFileInput'),
     zoomInBtn: document.getElementById('swZoomInBtn'),
     zoomOutBtn: document.getElementById('swZoomOutBtn'),
@@ -49,11 +51,17 @@
     sortMode: document.getElementById('swSortMode'),
     toggleBubblesBtn: document.getElementById('swToggleBubbles'),
     measureModeBtn: document.getElementById('swMeasureModeBtn'),
+    criticalChainBtn: document.getElementById('swCriticalChainBtn'),
     clearRangeBtn: document.getElementById('swClearRangeBtn'),
     diffSummary: document.getElementById('swDiffSummary'),
     diffMetrics: document.getElementById('swDiffMetrics'),
     diffTopLanes: document.getElementById('swDiffTopLanes'),
     compareStatus: document.getElementById('swCompareStatus'),
+    runStats: document.getElementById('swRunStats'),
+    runStatsMeta: document.getElementById('swRunStatsMeta'),
+    runStatsMetrics: document.getElementById('swRunStatsMetrics'),
+    runStatsTabs: document.getElementById('swRunStatsTabs'),
+    runStatsTable: document.getElementById('swRunStatsTable'),
     bindingStatus: document.getElementById('swBindingStatus'),
     rangeSummary: document.getElementById('swRangeSummary'),
     laneInsights: document.getElementById('swLaneInsights'),
@@ -83,10 +91,13 @@
       compare: null,
     },
     compareSource: null,
+    runSet: null,
+    runStatsView: 'label', // 'label' | 'lane' | 'unstable'
     fileName: '',
     pxPerUnit: 8,
     matches: [],
     activeMatchIndex: -1,
+    matchesTruncated: false,
     selectedTaskRef: null,
     hoverTime: null,
     markers: [],
@@ -101,6 +112,8 @@
     compareMode: false,
     comparePresentation: 'diff', // 'compare' | 'diff'
     showBubbles: false,
+    showCriticalChain: false,
+    depFocusTaskId: null,
     measureMode: false,
     filters: {
       laneKinds: new Set(['fake', 'aic', 'aiv', 'aicpu', 'other']),
@@ -143,7 +156,26 @@
   const GAP_EMPHASIS_US = 24;
   const STRONG_GAP_US = 80;
   const MIN_BAR_SEGMENT_COUNTS_PX = 96;
+  const FLOW_PHASES = new Set(['s', 't', 'f']);
+  const FLOW_ENCLOSING_SCAN = 64;
+  const DEP_CHAIN_EDGE_LIMIT = 240;
+  const DEP_SVG_NS = 'http://www.w3.org/2000/svg';
+  const CANVAS_TASK_THRESHOLD = 20000;
+  const CANVAS_RENDERER_URL = './render/canvas-renderer.js';
+  const CANVAS_MAX_MATCHES = 100000;
+  const STREAM_MIN_BYTES = 32 * 1024 * 1024;
+  const STREAM_WORKER_URL = './trace-stream-worker.js';
+  const STREAM_LIST_SEPARATOR = '\u0000';
+  const RUN_UNSTABLE_CV = 0.2;
+  const RUN_UNSTABLE_MIN_US = 1;
+  const RUN_UNSTABLE_LIMIT = 200;
+  const RUN_TABLE_LIMIT = 60;
   let overlayRenderFrame = 0;
+  let searchTimer = 0;
+  let canvasRendererModule = null;
+  let canvasRendererLoad = null;
+  let streamWorkerUnavailable = typeof Worker === 'undefined';
+  let nextStreamJobId = 1;
 
   function buildChartRefs(prefix) {
     return {
@@ -160,6 +192,10 @@
       barElements: new Map(),
       laneElements: new Map(),
       overlay: null,
+      canvasRenderer: null,
+      canvasDataset: null,
+      canvasMatchIds: null,
+      canvasPointerDown: null,
     };
   }
 
@@ -590,141 +626,225 @@
     };
   }
 
-  function sortAndFinalizeLanes(laneEntries) {
-    const lanes = [];
+  // swimlane-bench output: tasks already carry relTs / relEnd, so they are completed in place
+  // instead of copied (these files run to millions of tasks).
+  function normalizeSyntheticTask(task, laneEntry, laneIndex, taskIndex) {
+    const relTs = Number(task.relTs) || 0;
+    const relEnd = Number.isFinite(Number(task.relEnd)) ? Number(task.relEnd) : relTs + (Number(task.dur) || 0);
+    const rawName = String(task.rawName || task.label || `task_${taskIndex}`);
+    const label = String(task.label || 'unknown');
+    task.id = String(task.id ?? `${laneEntry.threadName}-${taskIndex}`);
+    task.pid = 0;
+    task.tid = laneIndex;
+    task.threadName = laneEntry.threadName;
+    task.laneKind = laneEntry.laneKind;
+    task.processName = 'Synthetic';
+    task.rawName = rawName;
+    task.displayName = stripLabelSuffix(rawName, label) || rawName;
+    task.label = label;
+    task.ts = relTs;
+    task.relTs = relTs;
+    task.end = relEnd;
+    task.relEnd = relEnd;
+    task.dur = Math.max(0, relEnd - relTs);
+    task.seqNo = parseSafeIntegerLike(task.seqNo) ?? parseSeqNo(rawName);
+    task.taskId = task.taskId ?? taskIndex;
+    task.subGraphId = task.subGraphId ?? null;
+    task.subgraphKey = task.subGraphId != null ? `sg:${task.subGraphId}` : null;
+    task.inputRawMagic = Array.isArray(task.inputRawMagic) ? task.inputRawMagic : [];
+    task.outputRawMagic = Array.isArray(task.outputRawMagic) ? task.outputRawMagic : [];
+    task.eventHint = '';
+    task.executionHint = '';
+    task.line = 0;
+    task.gapBefore = 0;
+    task.gapAfter = 0;
+    task.overlapDur = 0;
+    task.rawArgs = {};
+    return task;
+  }
+
+  // Totals across lanes (label / kind stats, sequence numbers, span) for a dataset's lanes.
+  function createLaneTotals() {
     let globalMaxEnd = 1;
     const labelStats = new Map();
     const kindStats = new Map();
     const allSeqs = new Set();
 
-    laneEntries.forEach((entry) => {
-      const tasks = entry.tasks.slice().sort((a, b) => a.ts - b.ts || a.end - b.end);
-      const lineEnds = [];
-      let workDuration = 0;
-      let totalGap = 0;
-      let maxGap = 0;
-      let bubbleCount = 0;
-      const seqGroups = new Map();
+    return {
+      addTask(relEnd, dur, seqNo, label, laneKind) {
+        globalMaxEnd = Math.max(globalMaxEnd, relEnd);
+        if (seqNo != null) allSeqs.add(seqNo);
+        const key = label || 'unknown';
+        let labelEntry = labelStats.get(key);
+        if (!labelEntry) {
+          labelEntry = { label: key, count: 0, totalDur: 0, maxDur: 0, kinds: new Set() };
+          labelStats.set(key, labelEntry);
+        }
+        labelEntry.count += 1;
+        labelEntry.totalDur += dur;
+        labelEntry.maxDur = Math.max(labelEntry.maxDur, dur);
+        labelEntry.kinds.add(laneKind);
+      },
+      addLane(lane) {
+        if (!kindStats.has(lane.laneKind)) {
+          kindStats.set(lane.laneKind, {
+            laneCount: 0,
+            taskCount: 0,
+            workDuration: 0,
+            utilizationTotal: 0,
+            maxGapTotal: 0,
+            seqGapTotal: 0,
+          });
+        }
+        const kindEntry = kindStats.get(lane.laneKind);
+        kindEntry.laneCount += 1;
+        kindEntry.taskCount += lane.taskCount;
+        kindEntry.workDuration += lane.workDuration;
+        kindEntry.utilizationTotal += lane.utilization;
+        kindEntry.maxGapTotal += lane.maxGap;
+        kindEntry.seqGapTotal += lane.seqGapAvg;
+      },
+      finish(lanes) {
+        lanes.sort((a, b) => laneRank(a.threadName) - laneRank(b.threadName) || laneNumber(a.threadName) - laneNumber(b.threadName));
+        const labels = [...labelStats.values()].sort((a, b) => b.totalDur - a.totalDur || b.count - a.count);
+        const kinds = {};
+        kindStats.forEach((value, key) => {
+          kinds[key] = {
+            laneCount: value.laneCount,
+            taskCount: value.taskCount,
+            workDuration: value.workDuration,
+            avgUtilization: value.laneCount ? value.utilizationTotal / value.laneCount : 0,
+            avgMaxGap: value.laneCount ? value.maxGapTotal / value.laneCount : 0,
+            avgSeqGap: value.laneCount ? value.seqGapTotal / value.laneCount : 0,
+          };
+        });
+        return {
+          lanes,
+          labels,
+          kinds,
+          sequences: [...allSeqs].sort((a, b) => a - b),
+          span: globalMaxEnd,
+          maxEnd: globalMaxEnd,
+        };
+      },
+    };
+  }
 
-      tasks.forEach((task, index) => {
-        let line = lineEnds.findIndex((value) => task.ts >= value);
+  /**
+   * Line placement, gaps and stats of one lane. Tasks are added in start order; add()
+   * returns the line the task goes on and leaves the gap to the previous task in lastGap.
+   */
+  function createLaneAccumulator(totals, laneKind) {
+    const lineEnds = [];
+    const seqBounds = new Map(); // seqNo → { firstTs, lastEnd } in add() order
+    let count = 0;
+    let workDuration = 0;
+    let totalGap = 0;
+    let maxGap = 0;
+    let bubbleCount = 0;
+    let prevRelEnd = 0;
+    let firstTs = 0;
+
+    return {
+      lastGap: 0,
+      add(ts, end, relTs, relEnd, dur, seqNo, label) {
+        let line = lineEnds.findIndex((value) => ts >= value);
         if (line < 0) {
           line = lineEnds.length;
-          lineEnds.push(task.end);
+          lineEnds.push(end);
         } else {
-          lineEnds[line] = task.end;
+          lineEnds[line] = end;
         }
-        task.line = line;
-        if (index > 0) {
-          const prev = tasks[index - 1];
-          const gap = Math.max(0, task.relTs - prev.relEnd);
-          task.gapBefore = gap;
-          prev.gapAfter = gap;
+        this.lastGap = 0;
+        if (count > 0) {
+          const gap = Math.max(0, relTs - prevRelEnd);
+          this.lastGap = gap;
           totalGap += gap;
           maxGap = Math.max(maxGap, gap);
           if (gap >= GAP_EMPHASIS_US) bubbleCount += 1;
+        } else {
+          firstTs = relTs;
+        }
+        count += 1;
+        prevRelEnd = relEnd;
+        workDuration += dur;
+        if (seqNo != null) {
+          const bounds = seqBounds.get(seqNo);
+          if (bounds) bounds.lastEnd = relEnd;
+          else seqBounds.set(seqNo, { firstTs: relTs, lastEnd: relEnd });
         }
-        workDuration += task.dur;
-        globalMaxEnd = Math.max(globalMaxEnd, task.relEnd);
-        if (task.seqNo != null) allSeqs.add(task.seqNo);
-        if (task.seqNo != null) {
-          if (!seqGroups.has(task.seqNo)) seqGroups.set(task.seqNo, []);
-          seqGroups.get(task.seqNo).push(task);
+        totals.addTask(relEnd, dur, seqNo, label, laneKind);
+        return line;
+      },
+      // `tasks` may be null for a lane whose tasks are supplied some other way.
+      finish(threadName, tasks) {
+        const lastEnd = count ? prevRelEnd : 1;
+        const wallSpan = Math.max(1, lastEnd - firstTs);
+        const seqGapStats = [];
+        const seqKeys = [...seqBounds.keys()].sort((a, b) => a - b);
+        for (let i = 0; i < seqKeys.length - 1; i += 1) {
+          seqGapStats.push(Math.max(0, seqBounds.get(seqKeys[i + 1]).firstTs - seqBounds.get(seqKeys[i]).lastEnd));
         }
+        const lane = {
+          threadName,
+          laneKind,
+          threadKind: laneRank(threadName),
+          taskCount: count,
+          tasks,
+          lineCount: Math.max(1, lineEnds.length),
+          workDuration,
+          firstTs,
+          lastEnd,
+          wallSpan,
+          utilization: workDuration / wallSpan,
+          totalGap,
+          maxGap,
+          avgGap: count > 1 ? totalGap / (count - 1) : 0,
+          bubbleCount,
+          seqGapAvg: seqGapStats.length ? seqGapStats.reduce((sum, item) => sum + item, 0) / seqGapStats.length : 0,
+          seqGapMax: seqGapStats.reduce((max, gap) => Math.max(max, gap), 0),
+        };
+        totals.addLane(lane);
+        return lane;
+      },
+    };
+  }
 
-        const label = task.label || 'unknown';
-        if (!labelStats.has(label)) {
-          labelStats.set(label, {
-            label,
-            count: 0,
-            totalDur: 0,
-            maxDur: 0,
-            kinds: new Set(),
-          });
+  function sortAndFinalizeLanes(laneEntries) {
+    const totals = createLaneTotals();
+    const lanes = laneEntries.map((entry) => {
+      const tasks = entry.tasks.slice().sort((a, b) => a.ts - b.ts || a.end - b.end);
+      const lane = createLaneAccumulator(totals, entry.laneKind);
+      tasks.forEach((task, index) => {
+        task.line = lane.add(task.ts, task.end, task.relTs, task.relEnd, task.dur, task.seqNo, task.label);
+        if (index > 0) {
+          task.gapBefore = lane.lastGap;
+          tasks[index - 1].gapAfter = lane.lastGap;
         }
-        const labelEntry = labelStats.get(label);
-        labelEntry.count += 1;
-        labelEntry.totalDur += task.dur;
-        labelEntry.maxDur = Math.max(labelEntry.maxDur, task.dur);
-        labelEntry.kinds.add(task.laneKind);
       });
-
-      const firstTs = tasks.length ? tasks[0].relTs : 0;
-      const lastEnd = tasks.length ? tasks[tasks.length - 1].relEnd : 1;
-      const wallSpan = Math.max(1, lastEnd - firstTs);
-      const utilization = workDuration / wallSpan;
-      const seqGapStats = [];
-      const seqKeys = [...seqGroups.keys()].sort((a, b) => a - b);
-      for (let i = 0; i < seqKeys.length - 1; i += 1) {
-        const cur = seqGroups.get(seqKeys[i]);
-        const next = seqGroups.get(seqKeys[i + 1]);
-        const gap = Math.max(0, next[0].relTs - cur[cur.length - 1].relEnd);
-        seqGapStats.push(gap);
-      }
-
-      const lane = {
-        threadName: entry.threadName,
-        laneKind: entry.laneKind,
-        threadKind: laneRank(entry.threadName),
-        taskCount: tasks.length,
-        tasks,
-        lineCount: Math.max(1, lineEnds.length),
-        workDuration,
-        firstTs,
-        lastEnd,
-        wallSpan,
-        utilization,
-        totalGap,
-        maxGap,
-        avgGap: tasks.length > 1 ? totalGap / (tasks.length - 1) : 0,
-        bubbleCount,
-        seqGapAvg: seqGapStats.length ? seqGapStats.reduce((sum, item) => sum + item, 0) / seqGapStats.length : 0,
-        seqGapMax: seqGapStats.length ? Math.max(...seqGapStats) : 0,
-      };
-      lanes.push(lane);
-
-      if (!kindStats.has(lane.laneKind)) {
-        kindStats.set(lane.laneKind, {
-          laneCount: 0,
-          taskCount: 0,
-          workDuration: 0,
-          utilizationTotal: 0,
-          maxGapTotal: 0,
-          seqGapTotal: 0,
-        });
-      }
-      const kindEntry = kindStats.get(lane.laneKind);
-      kindEntry.laneCount += 1;
-      kindEntry.taskCount += lane.taskCount;
-      kindEntry.workDuration += lane.workDuration;
-      kindEntry.utilizationTotal += lane.utilization;
-      kindEntry.maxGapTotal += lane.maxGap;
-      kindEntry.seqGapTotal += lane.seqGapAvg;
-    });
-
-    lanes.sort((a, b) => laneRank(a.threadName) - laneRank(b.threadName) || laneNumber(a.threadName) - laneNumber(b.threadName));
-
-    const labels = [...labelStats.values()].sort((a, b) => b.totalDur - a.totalDur || b.count - a.count);
-    const kinds = {};
-    kindStats.forEach((value, key) => {
-      kinds[key] = {
-        laneCount: value.laneCount,
-        taskCount: value.taskCount,
-        workDuration: value.workDuration,
-        avgUtilization: value.laneCount ? value.utilizationTotal / value.laneCount : 0,
-        avgMaxGap: value.laneCount ? value.maxGapTotal / value.laneCount : 0,
-        avgSeqGap: value.laneCount ? value.seqGapTotal / value.laneCount : 0,
-      };
+      return lane.finish(entry.threadName, tasks);
     });
+    return totals.finish(lanes);
+  }
+
+  function assembleTraceDataset(fileName, raw, { count, eventAt, minTs, processNames, threadNames, flowEvents }) {
+    const baseTs = Number.isFinite(minTs) ? minTs : 0;
+    const grouped = new Map();
+    const tasks = new Array(count);
+
+    for (let index = 0; index < count; index += 1) {
+      const event = eventAt(index);
+      const threadKey = `${event.pid}-${event.tid}`;
+      const threadName = threadNames.get(threadKey) || `Thread ${event.tid ?? 0}`;
+      const processName = processNames.get(String(event.pid)) || `Process ${event.pid ?? 0}`;
+      const task = parseTraceTask(event, index, threadName, processName, baseTs);
+      tasks[index] = task;
+      if (!grouped.has(threadName)) grouped.set(threadName, { threadName, laneKind: laneKindFromName(threadName), tasks: [] });
+      grouped.get(threadName).tasks.push(task);
+    }
 
-    return {
-      lanes,
-      labels,
-      kinds,
-      sequences: [...allSeqs].sort((a, b) => a - b),
-      span: globalMaxEnd,
-      maxEnd: globalMaxEnd,
-    };
+    const finalized = sortAndFinalizeLanes([...grouped.values()]);
+    return finalizeDataset(fileName, raw, finalized, 'trace', linkFlowEvents(flowEvents, tasks));
   }
 
   function buildDataset(raw, fileName) {
@@ -733,6 +853,7 @@
       const processNames = new Map();
       const threadNames = new Map();
       const taskEvents = [];
+      const flowEvents = [];
 
       traceEvents.forEach((event) => {
         if (event?.name === 'process_name' && event.args?.name) {
@@ -743,53 +864,436 @@
       });
 
       traceEvents.forEach((event) => {
-        if (event?.ph === 'X' && typeof event.ts === 'number') taskEvents.push(event);
+        if (typeof event?.ts !== 'number') return;
+        if (event.ph === 'X') taskEvents.push(event);
+        else if (FLOW_PHASES.has(event.ph)) flowEvents.push(event);
       });
 
-      const minTs = taskEvents.length ? Math.min(...taskEvents.map((event) => Number(event.ts) || 0)) : 0;
-      const grouped = new Map();
-
-      taskEvents.forEach((event, index) => {
-        const threadKey = `${event.pid}-${event.tid}`;
-        const threadName = threadNames.get(threadKey) || `Thread ${event.tid ?? 0}`;
-        const processName = processNames.get(String(event.pid)) || `Process ${event.pid ?? 0}`;
-        const task = parseTraceTask(event, index, threadName, processName, minTs);
-        if (!grouped.has(threadName)) grouped.set(threadName, { threadName, laneKind: laneKindFromName(threadName), tasks: [] });
-        grouped.get(threadName).tasks.push(task);
+      return assembleTraceDataset(fileName, raw, {
+        count: taskEvents.length,
+        eventAt: (index) => taskEvents[index],
+        // Reduce rather than Math.min(...spread): spreading millions of arguments overflows the stack.
+        minTs: taskEvents.reduce((min, event) => Math.min(min, Number(event.ts) || 0), Infinity),
+        processNames,
+        threadNames,
+        flowEvents,
       });
-
-      const finalized = sortAndFinalizeLanes([...grouped.values()]);
-      return finalizeDataset(fileName, raw, finalized, 'trace');
     }
 
     if (Array.isArray(raw)) {
-      const allTasks = [];
+      let minTs = Infinity;
       raw.forEach((entry) => {
         (entry?.tasks || []).forEach((task) => {
-          allTasks.push(Number(task?.execStart) || 0);
+          minTs = Math.min(minTs, Number(task?.execStart) || 0);
         });
       });
-      const minTs = allTasks.length ? Math.min(...allTasks) : 0;
       const grouped = raw.map((entry, laneIndex) => ({
         threadName: String(entry?.coreType || `Core_${laneIndex}`),
         laneKind: laneKindFromName(entry?.coreType || `Core_${laneIndex}`),
         tasks: Array.isArray(entry?.tasks)
-          ? entry.tasks.map((task, taskIndex) => parseCoreTask(entry, laneIndex, task, taskIndex, minTs))
+          ? entry.tasks.map((task, taskIndex) => parseCoreTask(entry, laneIndex, task, taskIndex, Number.isFinite(minTs) ? minTs : 0))
           : [],
       }));
       const finalized = sortAndFinalizeLanes(grouped);
       return finalizeDataset(fileName, raw, finalized, 'core-task');
     }
 
+    if (Array.isArray(raw?.lanes)) {
+      const grouped = raw.lanes.map((entry, laneIndex) => {
+        const threadName = String(entry?.threadName || `lane_${laneIndex}`);
+        const laneEntry = { threadName, laneKind: entry?.laneKind || laneKindFromName(threadName), tasks: [] };
+        if (Array.isArray(entry?.tasks)) {
+          laneEntry.tasks = entry.tasks.map((task, taskIndex) => normalizeSyntheticTask(task, laneEntry, laneIndex, taskIndex));
+        }
+        return laneEntry;
+      });
+      const finalized = sortAndFinalizeLanes(grouped);
+      return finalizeDataset(fileName, raw, finalized, 'synthetic');
+    }
+
     throw new Error('Unsupported swimlane json format.');
   }
 
-  function finalizeDataset(fileName, raw, finalized, format) {
-    const taskMap = new Map();
-    const taskKeyMap = new Map();
+  // Column storage for a streamed trace. Batch columns from trace-stream-worker.js are copied
+  // into growable typed arrays; `text` bytes stay in the batch buffer they arrived in.
+  function createStreamStore() {
+    const decoder = new TextDecoder();
+    const names = [];
+    const nameIds = new Map();
+
+    return {
+      format: null,
+      schema: null,
+      count: 0,
+      columns: {},
+      strings: [],
+      textChunks: [],
+      chunkStarts: [],
+      minTs: 0,
+      ts: null, // start times: the trace `ts` column or the core-task `execStart` column
+      processNames: new Map(),
+      // Per-row values derived once while the batch is read (hot in rendering and stats).
+      label: new Int32Array(0),
+      seqNo: new Float64Array(0),
+      end: new Float64Array(0),
+      traceTaskId: new Float64Array(0),
+      rootHash: new Int32Array(0),
+      leafHash: new Int32Array(0),
+      callOpMagic: new Int32Array(0),
+      // Lane layout, filled by the lane builder.
+      line: new Int32Array(0),
+      gapBefore: new Float64Array(0),
+      gapAfter: new Float64Array(0),
+      laneOf: new Int32Array(0),
+      slot: new Int32Array(0),
+
+      intern(value) {
+        if (value == null) return -1;
+        let id = nameIds.get(value);
+        if (id === undefined) {
+          id = names.length;
+          names.push(value);
+          nameIds.set(value, id);
+        }
+        return id;
+      },
+      name(id) {
+        return id < 0 ? null : names[id];
+      },
+      // `val` / `text` columns hold either a number or a string reference.
+      value(field, row) {
+        const column = this.columns[field];
+        const ref = column.str[row];
+        if (ref >= 0) return column.len ? this.text(column, row) : this.strings[ref];
+        const num = column.num[row];
+        return Number.isNaN(num) ? undefined : num;
+      },
+      text(column, row) {
+        let lo = 0;
+        let hi = this.chunkStarts.length - 1;
+        while (lo < hi) {
+          const mid = (lo + hi + 1) >> 1;
+          if (this.chunkStarts[mid] <= row) lo = mid;
+          else hi = mid - 1;
+        }
+        const offset = column.str[row];
+        return decoder.decode(this.textChunks[lo].subarray(offset, offset + column.len[row]));
+      },
+      list(field, row) {
+        const ref = this.columns[field][row];
+        if (ref < 0) return undefined;
+        return this.strings[ref] ? this.strings[ref].split(STREAM_LIST_SEPARATOR) : [];
+      },
+    };
+  }
+
+  function growColumn(array, length) {
+    if (array.length >= length) return array;
+    const next = new array.constructor(Math.max(length, array.length * 2));
+    next.set(array);
+    return next;
+  }
+
+  /**
+   * A streamed task: fields are read from the store's columns on access, so the object
+   * itself is only a lane and a row. Layout fields write back into the columns.
+   */
+  class StreamTask {
+    constructor(lane, row) {
+      this._lane = lane;
+      this._row = row;
+    }
+
+    get _store() { return this._lane._stream; }
+    get id() { return `${this.threadName}-${this.taskId}-${this._row}`; }
+    get threadName() { return this._lane.threadName; }
+    get laneKind() { return this._lane.laneKind; }
+    get ts() { return this._store.ts[this._row]; }
+    get end() { return this._store.end[this._row]; }
+    get relTs() { return this.ts - this._store.minTs; }
+    get relEnd() { return this.end - this._store.minTs; }
+    get label() { return this._store.name(this._store.label[this._row]); }
+    get displayName() { return stripLabelSuffix(this.rawName, this.label) || this.rawName; }
+    get seqNo() {
+      const seqNo = this._store.seqNo[this._row];
+      return Number.isNaN(seqNo) ? null : seqNo;
+    }
+    get subGraphId() { return this._store.value('subGraphId', this._row) ?? null; }
+    get rootHash() { return this._store.name(this._store.rootHash[this._row]); }
+    get leafHash() { return this._store.name(this._store.leafHash[this._row]); }
+    get callOpMagic() { return this._store.name(this._store.callOpMagic[this._row]); }
+    get eventHint() { return String(this._store.value('eventHint', this._row) || ''); }
+    get executionHint() { return String(this._store.value('executionHint', this._row) || ''); }
+    get line() { return this._store.line[this._row]; }
+    set line(value) { this._store.line[this._row] = value; }
+    get gapBefore() { return this._store.gapBefore[this._row]; }
+    set gapBefore(value) { this._store.gapBefore[this._row] = value; }
+    get gapAfter() { return this._store.gapAfter[this._row]; }
+    set gapAfter(value) { this._store.gapAfter[this._row] = value; }
+    get overlapDur() { return 0; }
+  }
+
+  // Same fields as parseTraceTask().
+  class StreamTraceTask extends StreamTask {
+    get pid() { return this._store.value('pid', this._row) ?? 0; }
+    get tid() { return this._store.value('tid', this._row) ?? 0; }
+    get processName() {
+      const pid = this._store.value('pid', this._row);
+      return this._store.processNames.get(String(pid)) || `Process ${pid ?? 0}`;
+    }
+    get rawName() {
+      return String(this._store.value('name', this._row) || `${this.label} · task_${this.taskId}`);
+    }
+    get dur() { return Number(this._store.columns.dur[this._row]) || 0; }
+    get taskId() { return this._store.traceTaskId[this._row]; }
+    get subgraphKey() { return this.leafHash != null ? `leaf:${this.leafHash}` : null; }
+    get inputRawMagic() { return parseRawMagicList(this._store.value('ioperandHint', this._row)); }
+    get outputRawMagic() { return parseRawMagicList(this._store.value('ooperandHint', this._row)); }
+    get rawArgs() {
+      return {
+        color: this._store.value('color', this._row),
+        seqNo: this._store.value('seqNo', this._row),
+        taskId: this._store.value('taskId', this._row),
+      };
+    }
+  }
+
+  // Same fields as parseCoreTask().
+  class StreamCoreTask extends StreamTask {
+    get pid() { return 0; }
+    get tid() { return this._store.columns.lane[this._row]; }
+    get processName() { return 'Machine View'; }
+    get rawName() {
+      const store = this._store;
+      return String(store.value('taskName', this._row) || store.value('name', this._row) || `${this.label} · task_${this.taskId}`);
+    }
+    get dur() { return Math.max(0, this.end - this.ts); }
+    get taskId() { return this._store.value('taskId', this._row) ?? this._store.columns.index[this._row]; }
+    get subgraphKey() {
+      const subGraphId = this.subGraphId;
+      return subGraphId != null ? `sg:${subGraphId}` : null;
+    }
+    get inputRawMagic() { return (this._store.list('inputRawMagic', this._row) || []).map((item) => normalizeOpaqueId(item)).filter(Boolean); }
+    get outputRawMagic() { return (this._store.list('outputRawMagic', this._row) || []).map((item) => normalizeOpaqueId(item)).filter(Boolean); }
+    get rawArgs() { return {}; }
+  }
+
+  /**
+   * Builds a dataset from trace-stream-worker.js batches as they arrive. Each batch is
+   * appended to the column store and its rows to their lane's row list; finish() sorts the
+   * row lists, lays the lanes out and returns a dataset whose lane.tasks are StreamTask
+   * views over the rows, created per lane on first use.
+   */
+  function createStreamDatasetBuilder() {
+    const store = createStreamStore();
+    const sourceLanes = []; // { key, pid, tid, rows: Int32Array, count } in worker lane order
+
+    function appendColumns(batch) {
+      const at = store.count;
+      const length = at + batch.count;
+      Object.entries(batch.schema).forEach(([field, kind]) => {
+        const incoming = batch.columns[field];
+        if (kind === 'f64' || kind === 'i32' || kind === 'list') {
+          const ArrayType = kind === 'f64' ? Float64Array : Int32Array;
+          const column = growColumn(store.columns[field] || new ArrayType(0), length);
+          column.set(incoming, at);
+          store.columns[field] = column;
+          return;
+        }
+        const column = store.columns[field] || { num: new Float64Array(0), str: new Int32Array(0), len: kind === 'text' ? new Int32Array(0) : null };
+        column.num = growColumn(column.num, length);
+        column.num.set(incoming.num, at);
+        column.str = growColumn(column.str, length);
+        column.str.set(incoming.str, at);
+        if (column.len) {
+          column.len = growColumn(column.len, length);
+          column.len.set(incoming.len, at);
+        }
+        store.columns[field] = column;
+      });
+      store.textChunks.push(batch.text);
+      store.chunkStarts.push(at);
+      batch.strings.forEach((value) => store.strings.push(value));
+    }
+
+    // Fields every view reads all the time: computed once here instead of per access.
+    function deriveRows(from, to) {
+      const isTrace = store.format === 'trace';
+      const derived = ['label', 'rootHash', 'leafHash', 'callOpMagic', 'seqNo', 'end'];
+      if (isTrace) derived.push('traceTaskId');
+      derived.forEach((key) => { store[key] = growColumn(store[key], to); });
+      const { columns } = store;
+      store.ts = isTrace ? columns.ts : columns.execStart;
+      for (let row = from; row < to; row += 1) {
+        let label;
+        let seqNo;
+        let hint;
+        if (isTrace) {
+          const name = store.value('name', row);
+          hint = parseEventHint(store.value('eventHint', row));
+          label = String(store.value('color', row) || extractLabel(name) || 'unknown');
+          seqNo = parseSafeIntegerLike(store.value('seqNo', row)) ?? hint.seqNo ?? parseSeqNo(name);
+          store.traceTaskId[row] = parseSafeIntegerLike(store.value('taskId', row)) ?? hint.taskId ?? row;
+          store.end[row] = store.ts[row] + (Number(columns.dur[row]) || 0);
+        } else {
+          const ts = Number(columns.execStart[row]) || 0;
+          const end = columns.execEnd[row];
+          label = String(store.value('semanticLabel', row) || store.value('label', row) || store.value('taskLabel', row)
+            || `subGraph_${store.value('subGraphId', row) ?? 'unknown'}`);
+          const rawName = String(store.value('taskName', row) || store.value('name', row) || `${label} · task_${store.value('taskId', row) ?? columns.index[row]}`);
+          seqNo = parseSafeIntegerLike(store.value('seqNo', row)) ?? parseSeqNo(rawName);
+          hint = {
+            rootHash: normalizeOpaqueId(store.value('rootHash', row)),
+            leafHash: normalizeOpaqueId(store.value('leafHash', row)),
+            callOpMagic: normalizeOpaqueId(store.value('callOpMagic', row)),
+          };
+          columns.execStart[row] = ts;
+          store.end[row] = Number.isFinite(end) ? end : ts;
+        }
+        store.label[row] = store.intern(label);
+        store.seqNo[row] = seqNo ?? NaN;
+        store.rootHash[row] = store.intern(hint.rootHash);
+        store.leafHash[row] = store.intern(hint.leafHash);
+        store.callOpMagic[row] = store.intern(hint.callOpMagic);
+      }
+    }
+
+    function appendLaneRows(batch, from) {
+      batch.lanes.forEach((lane) => sourceLanes.push({ ...lane, rows: new Int32Array(64), count: 0 }));
+      const laneColumn = store.columns.lane;
+      for (let row = from; row < from + batch.count; row += 1) {
+        const lane = sourceLanes[laneColumn[row]];
+        if (lane.count === lane.rows.length) lane.rows = growColumn(lane.rows, lane.count + 1);
+        lane.rows[lane.count] = row;
+        lane.count += 1;
+      }
+    }
+
+    // Source lanes that resolve to the same thread name share one swimlane, as in buildDataset().
+    function groupSourceLanes(result) {
+      const grouped = new Map();
+      sourceLanes.forEach((lane, index) => {
+        const threadName = store.format === 'trace'
+          ? result.threadNames.get(lane.key) || `Thread ${lane.tid ?? 0}`
+          : String(result.coreTypes[index] || `Core_${index}`);
+        const key = store.format === 'trace' ? threadName : index;
+        if (!grouped.has(key)) grouped.set(key, { threadName, laneKind: laneKindFromName(threadName), sources: [] });
+        grouped.get(key).sources.push(lane);
+      });
+      return [...grouped.values()];
+    }
+
+    function buildLane(entry, laneIndex, totals, TaskType) {
+      const count = entry.sources.reduce((sum, source) => sum + source.count, 0);
+      const rows = new Int32Array(count);
+      let at = 0;
+      entry.sources.forEach((source) => {
+        rows.set(source.rows.subarray(0, source.count), at);
+        at += source.count;
+        source.rows = null;
+      });
+      const { ts, end, seqNo, label, line, gapBefore, gapAfter, laneOf, slot, minTs } = store;
+      rows.sort((a, b) => ts[a] - ts[b] || end[a] - end[b] || a - b);
+
+      const acc = createLaneAccumulator(totals, entry.laneKind);
+      const isTrace = store.format === 'trace';
+      const dur = isTrace ? store.columns.dur : null;
+      rows.forEach((row, index) => {
+        const seq = Number.isNaN(seqNo[row]) ? null : seqNo[row];
+        const taskDur = isTrace ? Number(dur[row]) || 0 : Math.max(0, end[row] - ts[row]);
+        line[row] = acc.add(ts[row], end[row], ts[row] - minTs, end[row] - minTs, taskDur, seq, store.name(label[row]));
+        gapBefore[row] = acc.lastGap;
+        gapAfter[row] = 0;
+        if (index > 0) gapAfter[rows[index - 1]] = acc.lastGap;
+        laneOf[row] = laneIndex;
+        slot[row] = index;
+      });
+
+      const lane = acc.finish(entry.threadName, null);
+      let tasks = null;
+      Object.defineProperty(lane, 'tasks', {
+        get() {
+          if (!tasks) tasks = Array.from(rows, (row) => new TaskType(lane, row));
+          return tasks;
+        },
+      });
+      lane.rows = rows;
+      lane._stream = store;
+      return lane;
+    }
+
+    return {
+      get taskCount() { return store.count; },
+      get laneCount() { return sourceLanes.length; },
+      append(batch) {
+        if (!batch.count && !batch.lanes.length) return;
+        store.format = store.format || (batch.schema.execStart ? 'core-task' : 'trace');
+        const from = store.count;
+        appendColumns(batch);
+        store.count += batch.count;
+        deriveRows(from, store.count);
+        appendLaneRows(batch, from);
+      },
+      finish(result, fileName) {
+        const format = result.format;
+        store.format = format;
+        store.minTs = result.minTs;
+        const threadNames = new Map(result.threadNames || []);
+        store.processNames = new Map(result.processNames || []);
+        ['line', 'laneOf', 'slot'].forEach((key) => { store[key] = new Int32Array(store.count); });
+        ['gapBefore', 'gapAfter'].forEach((key) => { store[key] = new Float64Array(store.count); });
+        if (!store.ts) store.ts = new Float64Array(0);
+        if (!store.columns.lane) store.columns.lane = new Int32Array(0);
+
+        const TaskType = format === 'trace' ? StreamTraceTask : StreamCoreTask;
+        const totals = createLaneTotals();
+        const builtLanes = groupSourceLanes({ ...result, threadNames })
+          .map((entry, laneIndex) => buildLane(entry, laneIndex, totals, TaskType));
+        const finalized = totals.finish(builtLanes.slice());
+
+        const taskAt = (row) => builtLanes[store.laneOf[row]].tasks[store.slot[row]];
+        const taskMap = {
+          get(id) {
+            const row = Number(String(id).slice(String(id).lastIndexOf('-') + 1));
+            if (!Number.isInteger(row) || row < 0 || row >= store.count) return undefined;
+            const task = taskAt(row);
+            return task.id === id ? task : undefined;
+          },
+        };
+        // Only comparisons look tasks up by composite key; build the index on first use.
+        let keyIndex = null;
+        const taskKeyMap = {
+          get(key) {
+            if (!keyIndex) {
+              keyIndex = new Map();
+              builtLanes.forEach((lane) => lane.tasks.forEach((task) => {
+                const composite = makeTaskCompositeKey(task);
+                if (composite && !keyIndex.has(composite)) keyIndex.set(composite, task);
+              }));
+            }
+            return keyIndex.get(key);
+          },
+        };
+        const flowEvents = result.flowEvents || [];
+        const flowEdges = flowEvents.length ? linkFlowEvents(flowEvents, builtLanes.flatMap((lane) => lane.tasks)) : [];
+        return finalizeDataset(fileName, null, finalized, format, flowEdges, { taskMap, taskKeyMap });
+      },
+    };
+  }
+
+  // `lookup` ({ taskMap, taskKeyMap }, each with a get()) replaces the task maps built here;
+  // streamed datasets pass it so finalizing does not touch every task.
+  function finalizeDataset(fileName, raw, finalized, format, flowEdges = [], lookup = null) {
+    const taskMap = lookup ? lookup.taskMap : new Map();
+    const taskKeyMap = lookup ? lookup.taskKeyMap : new Map();
     let totalTasks = 0;
     let totalWorkDuration = 0;
     finalized.lanes.forEach((lane) => {
+      if (lookup) {
+        totalTasks += lane.taskCount;
+        totalWorkDuration += lane.workDuration;
+        return;
+      }
       lane.tasks.forEach((task) => {
         totalTasks += 1;
         totalWorkDuration += task.dur;
@@ -813,9 +1317,92 @@
       totalWorkDuration,
       laneCount: finalized.lanes.length,
       laneMap: new Map(finalized.lanes.map((lane) => [lane.threadName, lane])),
+      ...indexFlowEdges(flowEdges),
     };
   }
 
+  function flowIdOf(event) {
+    const id = event.id ?? event.id2?.global ?? event.id2?.local;
+    return id == null ? null : `${event.cat ?? ''}::${id}`;
+  }
+
+  function findEnclosingTask(threadTasks, ts) {
+    let lo = 0;
+    let hi = threadTasks.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (threadTasks[mid].ts <= ts) lo = mid + 1;
+      else hi = mid;
+    }
+    // lo is the first task starting after ts; walk back to the innermost slice still open at ts.
+    for (let index = lo - 1; index >= 0 && index >= lo - FLOW_ENCLOSING_SCAN; index -= 1) {
+      if (threadTasks[index].end >= ts) return { task: threadTasks[index], next: threadTasks[lo] || null };
+    }
+    return { task: null, next: threadTasks[lo] || null };
+  }
+
+  function bindFlowStep(event, threadTasks) {
+    if (!threadTasks?.length) return null;
+    const { task, next } = findEnclosingTask(threadTasks, event.ts);
+    // Chrome trace binding: s/t and `bp: "e"` bind to the enclosing slice, a plain f to the next slice.
+    if (event.ph === 'f' && event.bp !== 'e') return next || task;
+    return task;
+  }
+
+  function linkFlowEvents(flowEvents, tasks) {
+    if (!flowEvents.length) return [];
+    const tasksByThread = new Map();
+    tasks.forEach((task) => {
+      const key = `${task.pid}-${task.tid}`;
+      if (!tasksByThread.has(key)) tasksByThread.set(key, []);
+      tasksByThread.get(key).push(task);
+    });
+    tasksByThread.forEach((list) => list.sort((a, b) => a.ts - b.ts || b.end - a.end));
+
+    const flows = new Map();
+    flowEvents.forEach((event, order) => {
+      const flowId = flowIdOf(event);
+      if (flowId == null) return;
+      if (!flows.has(flowId)) flows.set(flowId, []);
+      flows.get(flowId).push({ event, order });
+    });
+
+    const phaseRank = { s: 0, t: 1, f: 2 };
+    const edges = [];
+    const seen = new Set();
+    flows.forEach((steps, flowId) => {
+      steps.sort((a, b) => a.event.ts - b.event.ts || phaseRank[a.event.ph] - phaseRank[b.event.ph] || a.order - b.order);
+      let prev = null;
+      steps.forEach(({ event }) => {
+        const task = bindFlowStep(event, tasksByThread.get(`${event.pid}-${event.tid}`));
+        if (event.ph === 's') {
+          prev = task;
+          return;
+        }
+        if (!task || !prev) return;
+        const key = `${prev.id}->${task.id}`;
+        if (prev !== task && !seen.has(key)) {
+          seen.add(key);
+          edges.push({ flowId, from: prev.id, to: task.id, name: String(event.name || '') });
+        }
+        prev = event.ph === 'f' ? null : task;
+      });
+    });
+    return edges;
+  }
+
+  function indexFlowEdges(flowEdges) {
+    const flowPreds = new Map();
+    const flowSuccs = new Map();
+    flowEdges.forEach((edge) => {
+      if (!flowPreds.has(edge.to)) flowPreds.set(edge.to, []);
+      flowPreds.get(edge.to).push(edge);
+      if (!flowSuccs.has(edge.from)) flowSuccs.set(edge.from, []);
+      flowSuccs.get(edge.from).push(edge);
+    });
+    return { flowEdges, flowPreds, flowSuccs, criticalChain: undefined };
+  }
+
   function makeTaskCompositeKey(task) {
     const callOpMagic = normalizeOpaqueId(task.callOpMagic);
     if (callOpMagic) return `magic::${callOpMagic}`;
@@ -896,6 +1483,7 @@
         resourceRowHtml('主泳道', state.datasets.primary ? state.datasets.primary.name : '未载入', state.datasets.primary ? 'is-bound' : 'is-muted'),
         resourceRowHtml('参考泳道', state.datasets.compare ? state.datasets.compare.name : '未绑定', state.datasets.compare ? 'is-compare' : 'is-muted'),
         resourceRowHtml('Program', state.bindings.program ? state.bindings.program.name : '未绑定', state.bindings.program ? 'is-program' : 'is-muted'),
+        resourceRowHtml('多次运行', state.runSet ? `${state.runSet.runs.length} 次` : '未导入', state.runSet ? 'is-compare' : 'is-muted'),
       ].join('');
     }
   }
@@ -992,7 +1580,7 @@
     const lanes = dataset.lanes
       .filter((lane) => state.filters.laneKinds.has(lane.laneKind))
       .map((lane) => {
-        const visibleTasks = lane.tasks.filter(shouldShowTask);
+        const visibleTasks = state.filters.seqNos.size ? lane.tasks.filter(shouldShowTask) : lane.tasks;
         const visibleWork = visibleTasks.reduce((sum, task) => sum + task.dur, 0);
         const visibleMaxGap = visibleTasks.reduce((max, task) => Math.max(max, task.gapBefore || 0), 0);
         const visibleBubbleCount = visibleTasks.reduce((count, task) => count + ((task.gapBefore || 0) >= GAP_EMPHASIS_US ? 1 : 0), 0);
@@ -1169,6 +1757,7 @@
       }
       refs.barElements.clear();
       refs.laneElements.clear();
+      if (!dataset) destroyCanvasRenderer(chartKey);
       return;
     }
 
@@ -1178,7 +1767,8 @@
     const sharedSpan = getSharedSpan();
 
     refs.panelTitle.textContent = isCompare ? 'Reference' : 'Primary';
-    refs.panelMeta.textContent = `${dataset.name} · ${visible.length}/${dataset.laneCount} lanes · ${formatTick(dataset.span)}`;
+    const chainMeta = !isCompare && state.showCriticalChain ? describeCriticalChain(computeCriticalChain(dataset)) : '';
+    refs.panelMeta.textContent = `${dataset.name} · ${visible.length}/${dataset.laneCount} lanes · ${formatTick(dataset.span)}${chainMeta ? ` · ${chainMeta}` : ''}`;
     refs.laneHeader.textContent = `${dataset.name}`;
 
     renderTimeline(refs, sharedSpan);
@@ -1186,6 +1776,7 @@
     refs.laneMainTrack.innerHTML = '';
     refs.barElements.clear();
     refs.laneElements.clear();
+    const canvasRenderer = ensureCanvasRenderer(chartKey, dataset);
 
     const trackWidth = Math.max(refs.laneMainViewport.clientWidth - 24, Math.ceil(sharedSpan * state.pxPerUnit) + 32);
     refs.laneMainTrack.style.width = `${trackWidth}px`;
@@ -1246,6 +1837,8 @@
       laneRow.style.height = `${lane._height}px`;
       refs.laneMainTrack.appendChild(laneRow);
 
+      if (canvasRenderer) return;
+
       if (state.showBubbles) {
         entry.visibleTasks.forEach((task) => {
           const gap = task.gapBefore || 0;
@@ -1273,8 +1866,8 @@
         bar.style.background = colorForTask(task, state.filters.colorMode);
         bar.dataset.taskId = task.id;
         bar.dataset.chartKey = chartKey;
-        bar.dataset.search = `${task.rawName} ${task.label} ${task.threadName} ${task.seqNo ?? ''} ${task.callOpMagic ?? ''} ${task.rootHash ?? ''} ${task.leafHash ?? ''} ${task.inputRawMagic.join(' ')} ${task.outputRawMagic.join(' ')}`.toLowerCase();
-        bar.title = `${task.rawName}\n${task.threadName}\nstart=${task.relTs.toFixed(2)} end=${task.relEnd.toFixed(2)} dur=${task.dur.toFixed(2)}\nseq=${task.seqNo ?? '—'} gap=${formatTick(task.gapBefore || 0)}`;
+        bar.dataset.search = taskSearchText(task);
+        bar.title = taskTooltip(task);
         bar.addEventListener('click', () => {
           selectTask(chartKey, task.id);
           showTaskPopup(task, lane, chartKey, bar);
@@ -1294,18 +1887,40 @@
       });
     });
 
+    if (canvasRenderer) {
+      canvasRenderer.mount(refs.laneMainTrack);
+      canvasRenderer.setLanes(visible);
+      syncCanvasState(chartKey);
+    }
+
     renderOverlay(chartKey, sharedSpan);
     syncOverlay(chartKey);
   }
 
+  function taskSearchText(task) {
+    return `${task.rawName} ${task.label} ${task.threadName} ${task.seqNo ?? ''} ${task.callOpMagic ?? ''} ${task.rootHash ?? ''} ${task.leafHash ?? ''} ${task.inputRawMagic.join(' ')} ${task.outputRawMagic.join(' ')}`.toLowerCase();
+  }
+
+  function taskTooltip(task) {
+    return `${task.rawName}\n${task.threadName}\nstart=${task.relTs.toFixed(2)} end=${task.relEnd.toFixed(2)} dur=${task.dur.toFixed(2)}\nseq=${task.seqNo ?? '—'} gap=${formatTick(task.gapBefore || 0)}`;
+  }
+
   function renderOverlay(chartKey, span) {
     const refs = chartRefs[chartKey];
     if (refs.overlay) refs.overlay.remove();
 
     const overlay = document.createElement('div');
     overlay.className = 'sw-overlay-layer';
-
-    if (state.range.start != null && state.range.end != null) {
+    const canvasRenderer = refs.canvasRenderer;
+    const showHover = state.hoverTime != null && state.hoverTime >= 0 && state.hoverTime <= span;
+
+    if (canvasRenderer) {
+      canvasRenderer.setOverlay({
+        range: state.range.start != null && state.range.end != null ? { start: state.range.start, end: state.range.end } : null,
+        hoverTime: showHover ? state.hoverTime : null,
+        markers: state.markers,
+      });
+    } else if (state.range.start != null && state.range.end != null) {
       const start = Math.min(state.range.start, state.range.end);
       const end = Math.max(state.range.start, state.range.end);
       const fill = document.createElement('div');
@@ -1315,11 +1930,13 @@
       overlay.appendChild(fill);
     }
 
-    if (state.hoverTime != null && state.hoverTime >= 0 && state.hoverTime <= span) {
-      const line = document.createElement('div');
-      line.className = 'sw-ruler-line';
-      line.style.left = `${16 + Math.round(state.hoverTime * state.pxPerUnit)}px`;
-      overlay.appendChild(line);
+    if (showHover) {
+      if (!canvasRenderer) {
+        const line = document.createElement('div');
+        line.className = 'sw-ruler-line';
+        line.style.left = `${16 + Math.round(state.hoverTime * state.pxPerUnit)}px`;
+        overlay.appendChild(line);
+      }
 
       const tag = document.createElement('div');
       tag.className = 'sw-ruler-tag';
@@ -1329,10 +1946,12 @@
     }
 
     state.markers.forEach((marker) => {
-      const markerLine = document.createElement('div');
-      markerLine.className = 'sw-marker-line';
-      markerLine.style.left = `${16 + Math.round(marker.time * state.pxPerUnit)}px`;
-      overlay.appendChild(markerLine);
+      if (!canvasRenderer) {
+        const markerLine = document.createElement('div');
+        markerLine.className = 'sw-marker-line';
+        markerLine.style.left = `${16 + Math.round(marker.time * state.pxPerUnit)}px`;
+        overlay.appendChild(markerLine);
+      }
 
       const flag = document.createElement('button');
       flag.type = 'button';
@@ -1388,6 +2007,7 @@
     const scrollLeft = refs.laneMainViewport.scrollLeft;
     refs.laneLabelTrack.style.transform = `translateY(${-scrollTop}px)`;
     refs.timelineTrack.style.transform = `translateX(${-scrollLeft}px)`;
+    syncCanvasView(chartKey);
   }
 
   function mapSwimlaneColorModeToPassIr(mode) {
@@ -1444,6 +2064,7 @@
       refs.laneElements.forEach((row, threadName) => {
         row.classList.toggle('is-selected', !!state.selectedTaskRef && state.selectedTaskRef.threadName === threadName);
       });
+      syncCanvasState(chartKey);
     });
   }
 
@@ -1622,7 +2243,9 @@
       passIrActionLabel: taskCanOpenPassIr ? 'Pass IR 分屏联动' : '打开 Pass IR',
       sourceFlowActionLabel: taskCanOpenSourceFlow ? 'Source Flow 分屏联动' : '打开 Source Flow',
       depReason: canShowDeps
-        ? (ref.chartKey === 'primary' ? '主图会高亮当前任务的前后依赖。' : '将切回主图并高亮对应任务的前后依赖。')
+        ? (state.datasets.primary?.flowEdges.length
+          ? '主图会沿 trace flow 连线高亮当前任务的上下游依赖链。'
+          : (ref.chartKey === 'primary' ? '主图会高亮当前任务的前后依赖。' : '将切回主图并高亮对应任务的前后依赖。'))
         : (task ? '当前对比任务在主图里没有找到可映射的依赖视角。' : '先点击一个 task，再做深入联动。'),
       passIrReason: taskCanOpenPassIr
         ? '将带着当前任务焦点打开可交互 Pass IR 分屏。'
@@ -1639,10 +2262,10 @@
 
   function revealTaskInChart(chartKey, task) {
     const refs = chartRefs[chartKey];
-    const bar = refs?.barElements.get(task?.id);
-    if (!refs || !bar) return;
-    const left = bar.offsetLeft + bar.offsetWidth / 2 - refs.laneMainViewport.clientWidth / 2;
-    const top = bar.offsetTop + bar.offsetHeight / 2 - refs.laneMainViewport.clientHeight / 2;
+    const box = refs && task ? taskBox(chartKey, task.id) : null;
+    if (!box) return;
+    const left = box.left + box.width / 2 - refs.laneMainViewport.clientWidth / 2;
+    const top = box.top + box.height / 2 - refs.laneMainViewport.clientHeight / 2;
     refs.laneMainViewport.scrollTo({
       left: Math.max(0, left),
       top: Math.max(0, top),
@@ -1718,15 +2341,21 @@
     state.filters.searchQuery = dom.searchInput.value.trim().toLowerCase();
     state.matches = [];
     state.activeMatchIndex = -1;
+    state.matchesTruncated = false;
 
     ['primary', 'compare'].forEach((chartKey) => {
       const refs = chartRefs[chartKey];
+      const query = state.filters.searchQuery;
+      if (refs.canvasRenderer) {
+        refs.canvasMatchIds = query ? collectCanvasMatches(chartKey, query) : null;
+        syncCanvasState(chartKey);
+        return;
+      }
       refs.barElements.forEach((bar) => {
-        const query = state.filters.searchQuery;
         const isMatch = !!query && bar.dataset.search.includes(query);
         bar.classList.toggle('is-match', isMatch);
         bar.classList.toggle('is-dimmed', !!query && !isMatch);
-        if (isMatch) state.matches.push({ chartKey, bar });
+        if (isMatch) state.matches.push({ chartKey, bar, taskId: bar.dataset.taskId });
       });
     });
 
@@ -1744,16 +2373,19 @@
       return;
     }
     const nextIndex = ((index % state.matches.length) + state.matches.length) % state.matches.length;
-    state.matches.forEach((match) => match.bar.classList.remove('is-active'));
+    state.matches.forEach((match) => match.bar?.classList.remove('is-active'));
     const target = state.matches[nextIndex];
-    target.bar.classList.add('is-active');
+    target.bar?.classList.add('is-active');
     state.activeMatchIndex = nextIndex;
-    dom.searchCount.textContent = `${nextIndex + 1} / ${state.matches.length}`;
+    dom.searchCount.textContent = `${nextIndex + 1} / ${state.matches.length}${state.matchesTruncated ? '+' : ''}`;
+    syncCanvasState(target.chartKey);
 
     const refs = chartRefs[target.chartKey];
+    const box = taskBox(target.chartKey, target.taskId);
+    if (!box) return;
     refs.laneMainViewport.scrollTo({
-      top: Math.max(0, target.bar.offsetTop - refs.laneMainViewport.clientHeight / 2),
-      left: Math.max(0, target.bar.offsetLeft - 120),
+      top: Math.max(0, box.top - refs.laneMainViewport.clientHeight / 2),
+      left: Math.max(0, box.left - 120),
       behavior: 'smooth',
     });
   }
@@ -1815,6 +2447,11 @@
     refs.laneMainViewport.addEventListener('scroll', () => syncScroll(chartKey));
 
     refs.laneMainViewport.addEventListener('mousemove', (event) => {
+      if (refs.canvasRenderer && !state.measureMode) {
+        const hit = canvasHitFromEvent(chartKey, event);
+        refs.laneMainViewport.style.cursor = hit ? 'pointer' : '';
+        refs.laneMainViewport.title = hit ? taskTooltip(hit.task) : '';
+      }
       state.hoverTime = getTimeFromClientX(chartKey, event.clientX);
       if (state.range.selecting && state.range.chartKey === chartKey) {
         state.range.end = state.hoverTime;
@@ -1829,8 +2466,10 @@
     });
 
     refs.laneMainViewport.addEventListener('mousedown', (event) => {
+      refs.canvasPointerDown = { x: event.clientX, y: event.clientY };
       if (!state.measureMode) return;
       if (event.target.closest('.sw-bar')) return;
+      if (refs.canvasRenderer && canvasHitFromEvent(chartKey, event)) return;
       state.range.selecting = true;
       state.range.chartKey = chartKey;
       state.range.start = getTimeFromClientX(chartKey, event.clientX);
@@ -1840,6 +2479,16 @@
       event.preventDefault();
     });
 
+    refs.laneMainViewport.addEventListener('click', (event) => {
+      if (!refs.canvasRenderer || event.target.closest('.sw-marker-flag')) return;
+      const down = refs.canvasPointerDown;
+      if (down && Math.hypot(event.clientX - down.x, event.clientY - down.y) > 3) return;
+      const hit = canvasHitFromEvent(chartKey, event);
+      if (!hit) return;
+      selectTask(chartKey, hit.task.id);
+      showTaskPopup(hit.task, hit.lane, chartKey, canvasTaskAnchor(chartKey, hit.task));
+    });
+
     refs.timelineViewport.addEventListener('mousemove', (event) => {
       const rect = refs.timelineViewport.getBoundingClientRect();
       const localX = event.clientX - rect.left + refs.laneMainViewport.scrollLeft - 16;
@@ -2011,47 +2660,103 @@
     renderJourneyPanel();
   }
 
-  function buildExplanations(datasetSummary, rangeMetrics, selectedTask) {
-    const items = [];
-    const aic = datasetSummary.kinds.aic || { avgUtilization: 0, avgSeqGap: 0, avgMaxGap: 0 };
-    const aiv = datasetSummary.kinds.aiv || { avgUtilization: 0, avgSeqGap: 0, avgMaxGap: 0 };
-
-    if (aiv.avgUtilization < 0.36 && aiv.avgMaxGap > 120) {
-      items.push({
-        title: 'Vector lanes are sparse',
-        body: `AIV 平均利用率只有 <code>${formatPercent(aiv.avgUtilization)}</code>，平均最大气泡约 <code>${formatTick(aiv.avgMaxGap)}</code>。这更像向量子图过碎，而不是单个 vector task 太慢。优先检查 <code>vec tile</code> 一致性，以及相关 op 是否被切进同一个同构子图。`,
-      });
-    }
+  // ─── Bottleneck Rules ──────────────────────────────────────────────────────
 
-    if (aic.avgUtilization > 0.78 && datasetSummary.labels.some((entry) => entry.label === 'Query-Linear' && entry.maxDur > 20)) {
-      items.push({
-        title: 'Cube is dense but still task-heavy',
-        body: `AIC 已经很密，但 <code>Query-Linear</code> 仍然占据主导，单任务最长超过 <code>20μs</code>。这说明问题更可能在 <code>cube tile</code> 贴合度，而不是调度空洞。`,
-      });
-    }
+  // Rule packs live in pypto-swimlane-perf-tool/rules and are shared with its analyzer; the
+  // context mirrors the analyzer's summary (utilization / bubble / balance in %, durations in μs)
+  // plus the viewer-only seq gaps, labels, selected range and task.
+  function requestedPerfChip() {
+    return new URLSearchParams(location.search).get('chip')?.toUpperCase() || null;
+  }
 
-    if (aic.avgSeqGap > 120 || aiv.avgSeqGap > 120) {
-      items.push({
-        title: 'Stitch barrier is visible',
-        body: `lane 间跨 stitch 的平均等待仍然明显，AIC 约 <code>${formatTick(aic.avgSeqGap)}</code>，AIV 约 <code>${formatTick(aiv.avgSeqGap)}</code>。这通常意味着 workspace / pool reset 触发了串行化等待，适合用 Before/After diff 去验证 barrier 是否被消除。`,
-      });
-    }
+  function loadBalanceOf(values) {
+    if (values.length <= 1) return 100;
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    if (mean <= 0) return 0;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+    return Math.max(0, Math.min(100, (1 - Math.sqrt(variance) / mean) * 100));
+  }
 
-    if (rangeMetrics && rangeMetrics.vectorUtil < rangeMetrics.cubeUtil * 0.55) {
-      items.push({
-        title: 'Selected range is vector-light',
-        body: `当前区间的 Vector 利用率只有 <code>${formatPercent(rangeMetrics.vectorUtil)}</code>，明显低于 Cube 的 <code>${formatPercent(rangeMetrics.cubeUtil)}</code>。这类区间更适合看 <code>Query-Dequant / Key-LayerNorm / Key-Rope2D</code> 是否被拆散。`,
-      });
-    }
+  function perfCoreMetrics(entry) {
+    const tasks = entry.visibleTasks;
+    let gapTotal = 0;
+    let maxDuration = 0;
+    let minDuration = Infinity;
+    let squares = 0;
+    const avgDuration = tasks.length ? entry.visibleWork / tasks.length : 0;
+    tasks.forEach((task, index) => {
+      if (index > 0 && task.gapBefore > 0.01) gapTotal += task.gapBefore;
+      maxDuration = Math.max(maxDuration, task.dur);
+      minDuration = Math.min(minDuration, task.dur);
+      squares += (task.dur - avgDuration) ** 2;
+    });
+    return {
+      coreName: entry.lane.threadName,
+      coreType: entry.lane.laneKind.toUpperCase(),
+      taskCount: tasks.length,
+      totalActiveTime: entry.visibleWork,
+      utilization: entry.visibleUtilization * 100,
+      bubbleRate: entry.visibleWork + gapTotal > 0 ? (gapTotal / (entry.visibleWork + gapTotal)) * 100 : 0,
+      avgDuration,
+      maxDuration,
+      minDuration: tasks.length ? minDuration : 0,
+      stdDuration: tasks.length ? Math.sqrt(squares / tasks.length) : 0,
+    };
+  }
 
-    if (selectedTask && selectedTask.callOpMagic != null) {
-      items.push({
-        title: 'This task can be chased upstream',
-        body: `该 task 带有 <code>callOpMagic=${selectedTask.callOpMagic}</code>，可以直接跳到 Pass IR。相比盯着条形图本身，更重要的是确认它属于哪个 block graph，和前后依赖是否造成了额外等待。`,
-      });
-    }
+  function buildPerfRuleContext(datasetSummary, rangeMetrics, selectedTask) {
+    const cores = datasetSummary.visibleLanes
+      .filter((entry) => entry.lane.laneKind === 'aic' || entry.lane.laneKind === 'aiv')
+      .map(perfCoreMetrics);
+    const aicMetrics = cores.filter((core) => core.coreType === 'AIC');
+    const aivMetrics = cores.filter((core) => core.coreType === 'AIV');
+    const avg = (list, field) => (list.length ? list.reduce((sum, core) => sum + core[field], 0) / list.length : 0);
+    const aic = datasetSummary.kinds.aic || { avgSeqGap: 0, avgMaxGap: 0 };
+    const aiv = datasetSummary.kinds.aiv || { avgSeqGap: 0, avgMaxGap: 0 };
+    return {
+      avgUtilization: avg(cores, 'utilization'),
+      avgAicUtilization: avg(aicMetrics, 'utilization'),
+      avgAivUtilization: avg(aivMetrics, 'utilization'),
+      avgBubbleRate: avg(cores, 'bubbleRate'),
+      avgAicBubbleRate: avg(aicMetrics, 'bubbleRate'),
+      avgAivBubbleRate: avg(aivMetrics, 'bubbleRate'),
+      aicLoadBalance: loadBalanceOf(aicMetrics.map((core) => core.totalActiveTime)),
+      aivLoadBalance: loadBalanceOf(aivMetrics.map((core) => core.totalActiveTime)),
+      overallLoadBalance: loadBalanceOf(cores.map((core) => core.totalActiveTime)),
+      aicCount: aicMetrics.length,
+      aivCount: aivMetrics.length,
+      totalTasks: datasetSummary.totalTasks,
+      allMetrics: cores,
+      aicMetrics,
+      aivMetrics,
+      avgAicSeqGap: aic.avgSeqGap,
+      avgAivSeqGap: aiv.avgSeqGap,
+      avgAicMaxGap: aic.avgMaxGap,
+      avgAivMaxGap: aiv.avgMaxGap,
+      labels: datasetSummary.labels,
+      range: rangeMetrics ? { cubeUtil: rangeMetrics.cubeUtil * 100, vectorUtil: rangeMetrics.vectorUtil * 100 } : null,
+      selectedTask: selectedTask
+        ? { label: selectedTask.label, dur: selectedTask.dur, seqNo: selectedTask.seqNo, callOpMagic: selectedTask.callOpMagic }
+        : null,
+    };
+  }
 
-    return items.slice(0, 3);
+  // Rule text is plain; `code` spans (values are wrapped the same way) become <code>.
+  function ruleTextHtml(text) {
+    return escapeHtml(text).replace(/`([^`]+)`/g, '<code>$1</code>');
+  }
+
+  function buildExplanations(datasetSummary, rangeMetrics, selectedTask) {
+    if (!window.PtoPerfRules) return [];
+    const findings = window.PtoPerfRules.evaluateRules(buildPerfRuleContext(datasetSummary, rangeMetrics, selectedTask), {
+      chip: requestedPerfChip(),
+      formatters: { tick: formatTick, pct: (value) => formatPercent(value / 100) },
+      wrapValue: (text) => `\`${text}\``,
+    });
+    return findings.slice(0, 3).map((finding) => ({
+      title: finding.title,
+      body: ruleTextHtml([finding.description, finding.detail].filter(Boolean).join('。')),
+    }));
   }
 
   function renderDiffSummary() {
@@ -2073,9 +2778,12 @@
     const aicGapDelta = primaryAic.avgSeqGap - compareAic.avgSeqGap;
     const aivGapDelta = primaryAiv.avgSeqGap - compareAiv.avgSeqGap;
     const taskDelta = primarySummary.totalTasks - compareSummary.totalTasks;
+    // With a run set loaded, a span delta inside ±2σ of run-to-run span is reported as noise.
+    const spanNoise = state.runSet && state.runSet.runs.length > 1 ? state.runSet.span.std * 2 : 0;
+    const spanWithinNoise = spanNoise > 0 && Math.abs(spanDelta) <= spanNoise;
 
     dom.diffMetrics.innerHTML = [
-      diffMetric('Span', signedTickDelta(spanDelta), spanDelta <= 0),
+      diffMetric('Span', `${signedTickDelta(spanDelta)}${spanNoise ? ` <span class="sw-diff-noise">噪声 ±${formatTick(spanNoise)}</span>` : ''}`, spanWithinNoise ? null : spanDelta <= 0),
       diffMetric('Tasks', `${taskDelta > 0 ? '+' : ''}${taskDelta}`, taskDelta <= 0),
       diffMetric('AIC gap', signedTickDelta(aicGapDelta), aicGapDelta <= 0),
       diffMetric('AIV gap', signedTickDelta(aivGapDelta), aivGapDelta <= 0),
@@ -2094,11 +2802,13 @@
       : '<div class="sw-list-empty">两个 profile 暂时无法按 lane 对齐。</div>';
   }
 
+  // improved: true / false colours the value; null leaves it neutral.
   function diffMetric(label, valueHtml, improved) {
+    const tone = improved == null ? '' : (improved ? 'is-good' : 'is-bad');
     return `
       <div class="sw-diff-metric">
         <div class="sw-diff-metric-label">${escapeHtml(label)}</div>
-        <div class="sw-diff-metric-value ${improved ? 'is-good' : 'is-bad'}">${valueHtml}</div>
+        <div class="sw-diff-metric-value ${tone}">${valueHtml}</div>
       </div>`;
   }
 
@@ -2119,11 +2829,290 @@
     return rows.sort((left, right) => Math.abs(right.gapDelta) - Math.abs(left.gapDelta) || Math.abs(right.spanDelta) - Math.abs(left.spanDelta));
   }
 
+  // ─── Run Statistics ────────────────────────────────────────────────────────
+
+  // Tasks are matched across runs by makeTaskCompositeKey() plus an occurrence counter,
+  // so repeated keys (same op in every stitch) pair up in order.
+  function forEachKeyedTask(dataset, visit) {
+    const seen = new Map();
+    dataset.lanes.forEach((lane) => lane.tasks.forEach((task, index) => {
+      const base = makeTaskCompositeKey(task);
+      const occurrence = seen.get(base) || 0;
+      seen.set(base, occurrence + 1);
+      visit(task, lane, index, `${base}#${occurrence}`);
+    }));
+  }
+
+  function datasetRunKeys(dataset) {
+    if (!dataset.runKeys) {
+      const byTask = new Map();
+      const byKey = new Map();
+      forEachKeyedTask(dataset, (task, _lane, _index, key) => {
+        byTask.set(task.id, key);
+        byKey.set(key, task.id);
+      });
+      dataset.runKeys = { byTask, byKey };
+    }
+    return dataset.runKeys;
+  }
+
+  function percentileOf(sorted, q) {
+    return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(q * sorted.length) - 1))];
+  }
+
+  // { n, mean, p50, p95, variance, std, cv, min, max }; variance is the sample variance.
+  function describeSamples(values) {
+    const n = values.length;
+    if (!n) return null;
+    const sorted = Float64Array.from(values).sort();
+    let sum = 0;
+    for (let i = 0; i < n; i += 1) sum += sorted[i];
+    const mean = sum / n;
+    let squares = 0;
+    for (let i = 0; i < n; i += 1) squares += (sorted[i] - mean) ** 2;
+    const variance = n > 1 ? squares / (n - 1) : 0;
+    const std = Math.sqrt(variance);
+    return {
+      n,
+      mean,
+      p50: percentileOf(sorted, 0.5),
+      p95: percentileOf(sorted, 0.95),
+      variance,
+      std,
+      cv: mean > 0 ? std / mean : 0,
+      min: sorted[0],
+      max: sorted[n - 1],
+    };
+  }
+
+  function addRunSample(groups, name, task, index) {
+    if (!groups.has(name)) groups.set(name, { durs: [], gaps: [], total: 0, span: null });
+    const group = groups.get(name);
+    group.durs.push(task.dur);
+    if (index > 0) group.gaps.push(task.gapBefore || 0);
+    group.total += task.dur;
+  }
+
+  // Per-run samples; the dataset itself is dropped once this is built.
+  function summarizeRun(dataset) {
+    const run = {
+      name: dataset.name,
+      span: dataset.span,
+      totalTasks: dataset.totalTasks,
+      labels: new Map(),
+      lanes: new Map(),
+      tasks: new Map(),
+    };
+    forEachKeyedTask(dataset, (task, lane, index, key) => {
+      const label = task.label || 'unknown';
+      addRunSample(run.labels, label, task, index);
+      addRunSample(run.lanes, lane.threadName, task, index);
+      run.tasks.set(key, {
+        dur: task.dur,
+        gap: index > 0 ? task.gapBefore || 0 : null,
+        label,
+        threadName: lane.threadName,
+        name: task.displayName || task.rawName,
+      });
+    });
+    dataset.lanes.forEach((lane) => {
+      const group = run.lanes.get(lane.threadName);
+      if (group) group.span = lane.wallSpan;
+    });
+    return run;
+  }
+
+  function aggregateRunGroups(runs, pick) {
+    const groups = new Map();
+    runs.forEach((run) => pick(run).forEach((entry, name) => {
+      if (!groups.has(name)) groups.set(name, { name, durs: [], gaps: [], totals: [], counts: [], spans: [] });
+      const group = groups.get(name);
+      // Loops, not push(...spread): a label can have millions of samples.
+      entry.durs.forEach((value) => group.durs.push(value));
+      entry.gaps.forEach((value) => group.gaps.push(value));
+      group.totals.push(entry.total);
+      group.counts.push(entry.durs.length);
+      if (entry.span != null) group.spans.push(entry.span);
+    }));
+    return [...groups.values()]
+      .map((group) => ({
+        name: group.name,
+        runs: group.totals.length,
+        count: describeSamples(group.counts),
+        dur: describeSamples(group.durs),
+        gap: describeSamples(group.gaps),
+        total: describeSamples(group.totals),
+        span: describeSamples(group.spans),
+      }))
+      .sort((a, b) => b.total.mean - a.total.mean);
+  }
+
+  function describeTaskRuns(entry) {
+    const dur = describeSamples(entry.durs);
+    const gap = describeSamples(entry.gaps);
+    const reasons = [];
+    if (entry.durs.length >= 2 && dur.cv >= RUN_UNSTABLE_CV && dur.std >= RUN_UNSTABLE_MIN_US) reasons.push('dur');
+    if (gap && gap.n >= 2 && gap.std >= Math.max(RUN_UNSTABLE_MIN_US, GAP_EMPHASIS_US / 2) && gap.std >= dur.mean * RUN_UNSTABLE_CV) reasons.push('gap');
+    return { dur, gap, reasons };
+  }
+
+  /**
+   * Aggregates N runs of the same kernel: span and task-count spread, per-label and per-lane
+   * duration / gap distributions, and tasks whose duration or preceding gap varies across runs.
+   */
+  function computeRunStats(runs) {
+    const samples = new Map();
+    runs.forEach((run) => run.tasks.forEach((sample, key) => {
+      if (!samples.has(key)) {
+        samples.set(key, { key, label: sample.label, threadName: sample.threadName, name: sample.name, durs: [], gaps: [] });
+      }
+      const entry = samples.get(key);
+      entry.durs.push(sample.dur);
+      if (sample.gap != null) entry.gaps.push(sample.gap);
+    }));
+
+    const unstable = [];
+    let aligned = 0;
+    samples.forEach((entry) => {
+      if (entry.durs.length === runs.length) aligned += 1;
+      if (entry.durs.length < 2) return;
+      const stats = describeTaskRuns(entry);
+      if (stats.reasons.length) unstable.push({ ...entry, ...stats });
+    });
+    unstable.sort((a, b) => Math.max(b.dur.std, b.gap?.std || 0) - Math.max(a.dur.std, a.gap?.std || 0));
+
+    return {
+      runs: runs.map((run) => ({ name: run.name, span: run.span, totalTasks: run.totalTasks })),
+      span: describeSamples(runs.map((run) => run.span)),
+      taskCount: describeSamples(runs.map((run) => run.totalTasks)),
+      labels: aggregateRunGroups(runs, (run) => run.labels),
+      lanes: aggregateRunGroups(runs, (run) => run.lanes),
+      unstable: unstable.slice(0, RUN_UNSTABLE_LIMIT),
+      unstableTotal: unstable.length,
+      aligned,
+      samples,
+    };
+  }
+
+  async function loadRunSet(files) {
+    const runs = [];
+    for (const [index, file] of files.entries()) {
+      dom.fileMeta.textContent = `正在读取第 ${index + 1} / ${files.length} 次运行 · ${file.name}`;
+      runs.push(summarizeRun(await readDataset(file, file.name)));
+    }
+    state.runSet = computeRunStats(runs);
+    state.runStatsView = state.runSet.unstableTotal ? 'unstable' : 'label';
+    renderRunStats();
+    renderDiffSummary();
+    renderBindingStatus();
+    updateMeta();
+  }
+
+  function runStatCell(stats, field) {
+    if (!stats) return '<td>—</td>';
+    return `<td title="均值 ${formatTick(stats.mean)} · σ ${formatTick(stats.std)} · 方差 ${stats.variance.toFixed(2)} μs² · n=${formatNumber(stats.n)}">${formatTick(stats[field])}</td>`;
+  }
+
+  function runGroupTableHtml(rows, nameHeader) {
+    const body = rows.slice(0, RUN_TABLE_LIMIT).map((row) => `
+      <tr>
+        <td class="sw-run-name" title="${escapeHtml(row.name)}">${escapeHtml(row.name)}</td>
+        <td>${row.count ? row.count.mean.toFixed(row.count.std ? 1 : 0) : '—'}</td>
+        ${runStatCell(row.dur, 'mean')}${runStatCell(row.dur, 'p50')}${runStatCell(row.dur, 'p95')}${runStatCell(row.dur, 'std')}
+        ${runStatCell(row.gap, 'mean')}${runStatCell(row.gap, 'p95')}${runStatCell(row.gap, 'std')}
+        <td class="${row.total && row.total.cv >= RUN_UNSTABLE_CV ? 'is-bad' : ''}">${row.runs > 1 ? formatPercent(row.total.cv) : '—'}</td>
+      </tr>`).join('');
+    return `
+      <table class="sw-run-table">
+        <thead>
+          <tr><th rowspan="2">${escapeHtml(nameHeader)}</th><th rowspan="2">任务/次</th><th colspan="4">耗时</th><th colspan="3">间隙</th><th rowspan="2" title="每次运行该组总耗时的变异系数（σ / 均值）">总耗时 CV</th></tr>
+          <tr><th>均值</th><th>p50</th><th>p95</th><th>σ</th><th>均值</th><th>p95</th><th>σ</th></tr>
+        </thead>
+        <tbody>${body}</tbody>
+      </table>
+      ${rows.length > RUN_TABLE_LIMIT ? `<div class="sw-list-empty">按总耗时只列出前 ${RUN_TABLE_LIMIT} 项，共 ${formatNumber(rows.length)} 项。</div>` : ''}`;
+  }
+
+  function runUnstableTableHtml(runSet) {
+    if (!runSet.unstable.length) {
+      return `<div class="sw-list-empty">没有找到跨运行不稳定的任务（耗时 CV ≥ ${formatPercent(RUN_UNSTABLE_CV)} 且 σ ≥ ${formatTick(RUN_UNSTABLE_MIN_US)}，或前置间隙 σ 明显）。</div>`;
+    }
+    const primaryKeys = state.datasets.primary ? datasetRunKeys(state.datasets.primary).byKey : null;
+    const body = runSet.unstable.map((row) => `
+      <tr class="${primaryKeys?.has(row.key) ? 'is-linked' : ''}" data-run-key="${escapeHtml(row.key)}">
+        <td class="sw-run-name" title="${escapeHtml(`${row.name}\n${row.key}`)}">${escapeHtml(row.label)} · ${escapeHtml(row.threadName)}</td>
+        <td>${row.durs.length} / ${runSet.runs.length}</td>
+        ${runStatCell(row.dur, 'mean')}${runStatCell(row.dur, 'std')}
+        <td class="${row.reasons.includes('dur') ? 'is-bad' : ''}">${formatPercent(row.dur.cv)}</td>
+        ${runStatCell(row.gap, 'std')}
+        <td>${row.reasons.map((reason) => (reason === 'dur' ? '耗时' : '间隙')).join(' · ')}</td>
+      </tr>`).join('');
+    return `
+      <table class="sw-run-table">
+        <thead><tr><th>任务</th><th>出现</th><th>耗时均值</th><th>耗时 σ</th><th>CV</th><th>间隙 σ</th><th>不稳定</th></tr></thead>
+        <tbody>${body}</tbody>
+      </table>
+      ${runSet.unstableTotal > runSet.unstable.length ? `<div class="sw-list-empty">按波动只列出前 ${runSet.unstable.length} 个，共 ${formatNumber(runSet.unstableTotal)} 个不稳定任务。</div>` : ''}`;
+  }
+
+  function renderRunStats() {
+    const runSet = state.runSet;
+    if (!dom.runStats) return;
+    dom.runStats.hidden = !runSet;
+    if (!runSet) return;
+
+    const names = runSet.runs.map((run) => run.name);
+    dom.runStatsMeta.textContent = `${runSet.runs.length} 次运行 · ${names.slice(0, 3).join(', ')}${names.length > 3 ? ' …' : ''}`;
+    dom.runStatsMeta.title = names.join('\n');
+    dom.runStatsMetrics.innerHTML = [
+      diffMetric('Span', `${formatTick(runSet.span.mean)} ± ${formatTick(runSet.span.std)}`, null),
+      diffMetric('Span p50 / p95', `${formatTick(runSet.span.p50)} / ${formatTick(runSet.span.p95)}`, null),
+      diffMetric('Tasks', `${formatNumber(runSet.taskCount.mean)}${runSet.taskCount.std ? ` ± ${runSet.taskCount.std.toFixed(1)}` : ''} · 对齐 ${formatNumber(runSet.aligned)}`, null),
+      diffMetric('不稳定任务', formatNumber(runSet.unstableTotal), !runSet.unstableTotal),
+    ].join('');
+    dom.runStatsTabs.querySelectorAll('[data-run-view]').forEach((btn) => {
+      btn.classList.toggle('is-active', btn.dataset.runView === state.runStatsView);
+    });
+    if (state.runStatsView === 'lane') dom.runStatsTable.innerHTML = runGroupTableHtml(runSet.lanes, 'Lane');
+    else if (state.runStatsView === 'unstable') dom.runStatsTable.innerHTML = runUnstableTableHtml(runSet);
+    else dom.runStatsTable.innerHTML = runGroupTableHtml(runSet.labels, 'Label');
+  }
+
+  function revealRunTask(key) {
+    const dataset = state.datasets.primary;
+    const taskId = dataset ? datasetRunKeys(dataset).byKey.get(key) : null;
+    const task = taskId != null ? dataset.taskMap.get(taskId) : null;
+    if (!task) return;
+    selectTask('primary', task.id);
+    revealTaskInChart('primary', task);
+    flashTask('primary', task.id);
+  }
+
+  function runTaskPopupSection(task, chartKey) {
+    const runSet = state.runSet;
+    const dataset = state.datasets[chartKey];
+    if (!runSet || !dataset) return '';
+    const entry = runSet.samples.get(datasetRunKeys(dataset).byTask.get(task.id));
+    if (!entry) return '';
+    const { dur, gap, reasons } = describeTaskRuns(entry);
+    const rows = [
+      ['runs', `${entry.durs.length} / ${runSet.runs.length}`],
+      ['duration', `${formatTick(dur.mean)} ± ${formatTick(dur.std)} (CV ${formatPercent(dur.cv)})`],
+      ['p50 / p95', `${formatTick(dur.p50)} / ${formatTick(dur.p95)}`],
+      ['gap σ', gap ? formatTick(gap.std) : '—'],
+    ];
+    return `<div class="sw-popup-section">
+      <div class="sw-popup-section-title">Runs${reasons.length ? ' · 不稳定' : ''}</div>
+      ${rows.map(([k, v]) => `<div class="sw-popup-row"><span class="sw-popup-row-key">${escapeHtml(k)}</span><span class="sw-popup-row-val">${escapeHtml(v)}</span></div>`).join('')}
+    </div>`;
+  }
+
   function renderChartsOnly() {
     renderChart('primary');
     renderChart('compare');
     updateSearch();
     updateBarSelection();
+    syncDepOverlay();
   }
 
   function renderAll() {
@@ -2136,6 +3125,7 @@
     renderRangeSummaryCard();
     renderLaneInsightCards();
     renderDiffSummary();
+    renderRunStats();
     updateMeta();
   }
 
@@ -2145,6 +3135,14 @@
     dom.diffViewBtn.classList.toggle('is-active', state.compareMode && state.comparePresentation === 'diff');
     dom.measureModeBtn.classList.toggle('btn-primary', state.measureMode);
     dom.toggleBubblesBtn.classList.toggle('btn-primary', state.showBubbles);
+    if (dom.criticalChainBtn) {
+      const hasFlows = !!state.datasets.primary?.flowEdges.length;
+      dom.criticalChainBtn.disabled = !hasFlows;
+      dom.criticalChainBtn.classList.toggle('btn-primary', hasFlows && state.showCriticalChain);
+      dom.criticalChainBtn.title = hasFlows
+        ? `沿 trace flow 依赖找出最长的执行链（${formatNumber(state.datasets.primary.flowEdges.length)} 条 flow 连线）`
+        : '当前 trace 没有 flow 事件（ph: s / f）';
+    }
   }
 
   function updateMeta() {
@@ -2154,10 +3152,14 @@
     if (state.datasets.compare) chartRefs.compare.laneHeader.textContent = state.datasets.compare.name;
   }
 
-  function fitZoom() {
+  function fitScale() {
     const primaryViewport = chartRefs.primary.laneMainViewport;
     const width = Math.max(primaryViewport.clientWidth - 40, 640);
-    state.pxPerUnit = Math.max(8, width / getSharedSpan());
+    return width / getSharedSpan();
+  }
+
+  function fitZoom() {
+    state.pxPerUnit = anyChartUsesCanvas() ? fitScale() : Math.max(8, fitScale());
     renderChartsOnly();
   }
 
@@ -2177,7 +3179,11 @@
   }
 
   async function loadFromObject(raw, fileName, targetKey) {
-    const dataset = buildDataset(raw, fileName);
+    await loadDataset(buildDataset(raw, fileName), fileName, targetKey);
+  }
+
+  async function loadDataset(dataset, fileName, targetKey) {
+    await prepareRenderMode(dataset);
     state.datasets[targetKey] = dataset;
     if (targetKey === 'primary') {
       state.fileName = fileName;
@@ -2194,6 +3200,81 @@
     await loadFromObject(raw, fileName, targetKey);
   }
 
+  // Large local files and URL loads stream through the worker; small files, pages where the
+  // worker can't start (file://) and formats it doesn't know are parsed whole.
+  async function loadFromSource(source, fileName, targetKey) {
+    await loadDataset(await readDataset(source, fileName), fileName, targetKey);
+  }
+
+  async function readDataset(source, fileName) {
+    const isUrl = typeof source === 'string';
+    if (isUrl || source.size >= STREAM_MIN_BYTES) {
+      const streamed = await streamTraceFile(source, (progress) => renderLoadProgress(fileName, progress));
+      if (streamed) {
+        dom.fileMeta.textContent = `正在构建泳道 · ${fileName} · ${formatNumber(streamed.builder.taskCount)} 任务`;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        return streamed.builder.finish(streamed.result, fileName);
+      }
+    }
+    const text = isUrl ? await xhrLoadText(source) : await source.text();
+    return buildDataset(JSON.parse(text), fileName);
+  }
+
+  /**
+   * Parses a File or URL in trace-stream-worker.js, feeding each batch into a stream dataset
+   * builder as it arrives. Resolves with { builder, result } (result: the worker's lane
+   * names and flow events), or null when the format is not streamable or workers are
+   * unavailable.
+   */
+  function streamTraceFile(source, onProgress) {
+    if (streamWorkerUnavailable) return Promise.resolve(null);
+    return new Promise((resolve, reject) => {
+      let worker;
+      try {
+        worker = new Worker(STREAM_WORKER_URL);
+      } catch (error) {
+        console.warn('Trace stream worker unavailable, parsing on the main thread:', error);
+        streamWorkerUnavailable = true;
+        resolve(null);
+        return;
+      }
+      const id = nextStreamJobId++;
+      const builder = createStreamDatasetBuilder();
+      const settle = (callback, value) => {
+        worker.terminate();
+        callback(value);
+      };
+      worker.onmessage = (event) => {
+        const msg = event.data || {};
+        if (msg.id !== id) return;
+        if (msg.type === 'batch') {
+          try {
+            builder.append(msg.batch);
+          } catch (error) {
+            settle(reject, error);
+            return;
+          }
+          onProgress?.({ loaded: msg.loaded, total: msg.total, tasks: builder.taskCount, lanes: builder.laneCount });
+        } else if (msg.type === 'done') settle(resolve, { builder, result: msg.result });
+        else if (msg.type === 'unsupported') settle(resolve, null);
+        else if (msg.type === 'error') settle(reject, new Error(msg.message));
+      };
+      // A worker that cannot load fails once; later files go straight to the main thread.
+      worker.onerror = (event) => {
+        event.preventDefault?.();
+        console.warn('Trace stream worker unavailable, parsing on the main thread:', event.message || event);
+        streamWorkerUnavailable = true;
+        settle(resolve, null);
+      };
+      worker.postMessage(typeof source === 'string' ? { id, url: new URL(source, location.href).href } : { id, file: source });
+    });
+  }
+
+  function renderLoadProgress(fileName, { loaded, total, tasks, lanes }) {
+    const amount = total ? `${Math.min(100, Math.round((loaded / total) * 100))}%` : `${Math.round(loaded / 1048576)} MB`;
+    dom.fileMeta.textContent = `正在读取 ${fileName} · ${amount} · ${formatNumber(tasks)} 任务 / ${formatNumber(lanes)} 泳道`;
+  }
+
   async function xhrLoadText(file) {
     return new Promise((resolve, reject) => {
       const xhr = new XMLHttpRequest();
@@ -2217,8 +3298,7 @@
 
   async function loadFromQueryFile(file, targetKey) {
     if (await maybeLoadBuiltin(file, targetKey)) return true;
-    const text = await xhrLoadText(file);
-    await loadFromText(text, file.split('/').pop() || 'merged_swimlane.json', targetKey);
+    await loadFromSource(file, file.split('/').pop() || 'merged_swimlane.json', targetKey);
     if (targetKey === 'primary') await tryAutoBindProgram(file);
     return true;
   }
@@ -2252,8 +3332,7 @@
   }
 
   async function handleLocalFile(file, targetKey) {
-    const text = await file.text();
-    await loadFromText(text, file.name, targetKey);
+    await loadFromSource(file, file.name, targetKey);
   }
 
   async function bindProgramText(text, fileName) {
@@ -2277,8 +3356,6 @@
       throw new Error('所选文件夹里没有识别到 merged_swimlane.json / stitched_before.json / stitched_after.json。');
     }
 
-    const primaryText = await resources.primary.file.text();
-    const compareText = resources.compare ? await resources.compare.file.text() : null;
     const programText = resources.program ? await resources.program.file.text() : null;
 
     state.bindings.moduleDir = {
@@ -2297,10 +3374,10 @@
     state.compareMode = false;
     state.comparePresentation = 'diff';
 
-    await loadFromText(primaryText, baseName(resources.primary.relativePath), 'primary');
+    await loadFromSource(resources.primary.file, baseName(resources.primary.relativePath), 'primary');
 
-    if (compareText) {
-      await loadFromText(compareText, baseName(resources.compare.relativePath), 'compare');
+    if (resources.compare) {
+      await loadFromSource(resources.compare.file, baseName(resources.compare.relativePath), 'compare');
       state.compareSource = 'folder-auto';
       state.compareMode = true;
       state.comparePresentation = 'diff';
@@ -2442,6 +3519,10 @@
     closeResourcePanel();
     dom.compareFileInput.click();
   });
+  dom.openRunsBtn?.addEventListener('click', () => {
+    closeResourcePanel();
+    dom.runsFileInput.click();
+  });
   dom.bindProgramBtn?.addEventListener('click', () => {
     closeResourcePanel();
     dom.programFileInput.click();
@@ -2500,6 +3581,44 @@
     }
   });
 
+  dom.runsFileInput?.addEventListener('change', async (event) => {
+    const files = [...(event.target.files || [])];
+    if (!files.length) return;
+    try {
+      if (files.length < 2) {
+        alert('多次运行对比至少需要选择 2 个 swimlane JSON。');
+        return;
+      }
+      await loadRunSet(files);
+    } catch (error) {
+      console.error(error);
+      alert(error?.message || 'Failed to parse run JSON files.');
+      updateMeta();
+    } finally {
+      dom.runsFileInput.value = '';
+    }
+  });
+
+  dom.runStatsTabs?.addEventListener('click', (event) => {
+    const tab = event.target.closest('[data-run-view]');
+    if (tab) {
+      state.runStatsView = tab.dataset.runView;
+      renderRunStats();
+      return;
+    }
+    if (event.target.closest('[data-run-action="clear"]')) {
+      state.runSet = null;
+      renderRunStats();
+      renderDiffSummary();
+      renderBindingStatus();
+    }
+  });
+
+  dom.runStatsTable?.addEventListener('click', (event) => {
+    const row = event.target.closest('[data-run-key]');
+    if (row) revealRunTask(row.dataset.runKey);
+  });
+
   dom.programFileInput?.addEventListener('change', async (event) => {
     const file = event.target.files?.[0];
     if (!file) return;
@@ -2513,7 +3632,12 @@
     }
   });
 
-  dom.searchInput?.addEventListener('input', updateSearch);
+  dom.searchInput?.addEventListener('input', () => {
+    window.clearTimeout(searchTimer);
+    // Canvas datasets scan every task per query, so wait for typing to pause.
+    if (anyChartUsesCanvas()) searchTimer = window.setTimeout(updateSearch, 180);
+    else updateSearch();
+  });
   dom.searchToggleBtn?.addEventListener('click', () => {
     dom.searchToggleBtn.closest('.sw-search-group').classList.toggle('is-open');
     if (dom.searchToggleBtn.closest('.sw-search-group').classList.contains('is-open')) dom.searchInput.focus();
@@ -2549,7 +3673,8 @@
     renderChartsOnly();
   });
   dom.zoomOutBtn?.addEventListener('click', () => {
-    state.pxPerUnit = Math.max(0.4, state.pxPerUnit / 1.2);
+    const minScale = anyChartUsesCanvas() ? Math.min(0.4, fitScale()) : 0.4;
+    state.pxPerUnit = Math.max(minScale, state.pxPerUnit / 1.2);
     renderChartsOnly();
   });
   dom.zoomFitBtn?.addEventListener('click', fitZoom);
@@ -2595,6 +3720,15 @@
     dom.measureModeBtn.classList.toggle('btn-primary', state.measureMode);
     renderChartsOnly();
   });
+  dom.criticalChainBtn?.addEventListener('click', () => {
+    const dataset = state.datasets.primary;
+    if (!dataset?.flowEdges.length) return;
+    state.showCriticalChain = !state.showCriticalChain;
+    renderControlState();
+    renderChartsOnly();
+    const chain = state.showCriticalChain ? computeCriticalChain(dataset) : null;
+    if (chain) revealTaskInChart('primary', dataset.taskMap.get(chain.taskIds[0]));
+  });
   dom.clearRangeBtn?.addEventListener('click', clearRangeSelection);
   dom.colorMode?.addEventListener('change', () => {
     state.filters.colorMode = dom.colorMode.value;
@@ -2626,6 +3760,11 @@
     const params = new URLSearchParams(location.search);
     const action = params.get('action');
     const file = params.get('file');
+    params.getAll('rules').forEach((url) => {
+      window.PtoPerfRules?.loadRulePack(url).then((result) => {
+        if (result && state.datasets.primary) renderLaneInsightCards();
+      });
+    });
 
     try {
       if (action === 'open-file') {
@@ -2978,6 +4117,21 @@
       <div class="sw-popup-row"><span class="sw-popup-row-key">out</span><span class="sw-popup-row-val">${escapeHtml(task.outputRawMagic.length ? task.outputRawMagic.join(', ') : '—')}</span></div>
     </div>`);
 
+    const dataset = state.datasets[chartKey];
+    if (dataset?.flowEdges.length) {
+      const incoming = dataset.flowPreds.get(task.id) || [];
+      const outgoing = dataset.flowSuccs.get(task.id) || [];
+      const onChain = state.showCriticalChain && computeCriticalChain(dataset)?.taskIds.includes(task.id);
+      sections.push(`<div class="sw-popup-section">
+      <div class="sw-popup-section-title">Flow${onChain ? ' · 关键链' : ''}</div>
+      <div class="sw-popup-row"><span class="sw-popup-row-key">from</span><span class="sw-popup-row-val">${escapeHtml(incoming.length ? flowTaskNames(dataset, incoming, 'from') : '—')}</span></div>
+      <div class="sw-popup-row"><span class="sw-popup-row-key">to</span><span class="sw-popup-row-val">${escapeHtml(outgoing.length ? flowTaskNames(dataset, outgoing, 'to') : '—')}</span></div>
+    </div>`);
+    }
+
+    const runSection = runTaskPopupSection(task, chartKey);
+    if (runSection) sections.push(runSection);
+
     const splitDisabled = !ENABLE_SPLIT_VIEW;
     const passIrDisabled = splitDisabled || !canTaskOpenPassIr(task);
     const sourceFlowDisabled = splitDisabled || !canTaskOpenSourceFlow(task);
@@ -3130,94 +4284,400 @@
     });
   }
 
-  // ─── Dependency Lines ──────────────────────────────────────────────────────
+  // ─── Canvas Renderer ───────────────────────────────────────────────────────
 
-  function renderDepLines(selectedTask) {
-    const overlay = document.getElementById('swDepOverlay');
-    if (!overlay) return;
-    overlay.innerHTML = '';
+  function requestedRenderMode() {
+    const mode = new URLSearchParams(location.search).get('renderer');
+    return mode === 'canvas' || mode === 'dom' ? mode : null;
+  }
 
-    if (!selectedTask) return;
+  function loadCanvasRenderer() {
+    if (!canvasRendererLoad) {
+      canvasRendererLoad = import(CANVAS_RENDERER_URL)
+        .then((module) => {
+          canvasRendererModule = module;
+          return module;
+        })
+        .catch((error) => {
+          console.warn('Canvas renderer unavailable, falling back to DOM bars.', error);
+          return null;
+        });
+    }
+    return canvasRendererLoad;
+  }
 
-    const refs = chartRefs.primary;
-    const dataset = state.datasets.primary;
-    if (!dataset) return;
+  // Large traces switch to the canvas renderer; `?renderer=canvas|dom` forces either one.
+  async function prepareRenderMode(dataset) {
+    const mode = requestedRenderMode() || (dataset.totalTasks > CANVAS_TASK_THRESHOLD ? 'canvas' : 'dom');
+    dataset.renderMode = mode === 'canvas' && await loadCanvasRenderer() ? 'canvas' : 'dom';
+  }
+
+  function anyChartUsesCanvas() {
+    return ['primary', 'compare'].some((chartKey) => state.datasets[chartKey]?.renderMode === 'canvas');
+  }
 
-    const selectedBar = refs.barElements.get(selectedTask.id);
-    if (!selectedBar) return;
+  function destroyCanvasRenderer(chartKey) {
+    const refs = chartRefs[chartKey];
+    refs.canvasRenderer?.destroy();
+    refs.canvasRenderer = null;
+    refs.canvasDataset = null;
+    refs.canvasMatchIds = null;
+    refs.laneMainViewport.title = '';
+  }
+
+  function ensureCanvasRenderer(chartKey, dataset) {
+    const refs = chartRefs[chartKey];
+    if (dataset.renderMode !== 'canvas' || !canvasRendererModule) {
+      destroyCanvasRenderer(chartKey);
+      return null;
+    }
+    if (refs.canvasRenderer && refs.canvasDataset === dataset) return refs.canvasRenderer;
+    destroyCanvasRenderer(chartKey);
+    refs.canvasRenderer = new canvasRendererModule.SwimlaneCanvasRenderer({
+      colorResolver: { colorForTask },
+      lookupTask: (taskId) => dataset.taskMap.get(taskId),
+      gapEmphasis: GAP_EMPHASIS_US,
+      strongGap: STRONG_GAP_US,
+    });
+    refs.canvasDataset = dataset;
+    return refs.canvasRenderer;
+  }
 
+  function syncCanvasView(chartKey) {
+    const refs = chartRefs[chartKey];
+    if (!refs.canvasRenderer) return;
     const viewport = refs.laneMainViewport;
-    const viewportRect = viewport.getBoundingClientRect();
+    refs.canvasRenderer.setView({
+      width: viewport.clientWidth,
+      height: viewport.clientHeight,
+      scrollLeft: viewport.scrollLeft,
+      scrollTop: viewport.scrollTop,
+      pxPerUnit: state.pxPerUnit,
+    });
+  }
 
-    function barCenter(bar) {
-      const r = bar.getBoundingClientRect();
-      return {
-        x: r.left + r.width / 2 - viewportRect.left + viewport.scrollLeft,
-        y: r.top + r.height / 2 - viewportRect.top + viewport.scrollTop,
-      };
+  function syncCanvasState(chartKey) {
+    const refs = chartRefs[chartKey];
+    if (!refs.canvasRenderer) return;
+    const activeMatch = state.matches[state.activeMatchIndex];
+    refs.canvasRenderer.setState({
+      colorMode: state.filters.colorMode,
+      showBubbles: state.showBubbles,
+      selectedTaskId: state.selectedTaskRef?.chartKey === chartKey ? state.selectedTaskRef.taskId : null,
+      activeTaskId: activeMatch?.chartKey === chartKey ? activeMatch.taskId : null,
+      query: state.filters.searchQuery,
+      matchIds: refs.canvasMatchIds,
+    });
+  }
+
+  function canvasHitFromEvent(chartKey, event) {
+    const refs = chartRefs[chartKey];
+    if (!refs.canvasRenderer) return null;
+    const viewport = refs.laneMainViewport;
+    const rect = viewport.getBoundingClientRect();
+    return refs.canvasRenderer.hitTest(
+      event.clientX - rect.left + viewport.scrollLeft,
+      event.clientY - rect.top + viewport.scrollTop
+    );
+  }
+
+  // Stand-in for a bar element wherever a popup needs an anchor rect.
+  function canvasTaskAnchor(chartKey, task) {
+    const refs = chartRefs[chartKey];
+    return {
+      getBoundingClientRect() {
+        const viewport = refs.laneMainViewport;
+        const rect = viewport.getBoundingClientRect();
+        const box = taskBox(chartKey, task.id) || { left: 0, top: 0, width: 0, height: 0 };
+        const left = rect.left + box.left - viewport.scrollLeft;
+        const top = rect.top + box.top - viewport.scrollTop;
+        return { left, top, right: left + box.width, bottom: top + box.height, width: box.width, height: box.height };
+      },
+    };
+  }
+
+  // Track coordinates of a task, from its DOM bar or from the canvas layout.
+  function taskBox(chartKey, taskId) {
+    const refs = chartRefs[chartKey];
+    const bar = refs.barElements.get(taskId);
+    if (bar) return { left: bar.offsetLeft, top: bar.offsetTop, width: bar.offsetWidth, height: bar.offsetHeight };
+    const task = refs.canvasRenderer ? state.datasets[chartKey]?.taskMap.get(taskId) : null;
+    if (!task || !shouldShowTask(task)) return null;
+    return refs.canvasRenderer.taskRect(task);
+  }
+
+  function collectCanvasMatches(chartKey, query) {
+    const matchIds = new Set();
+    getVisibleLanes(state.datasets[chartKey]).forEach((entry) => {
+      entry.visibleTasks.forEach((task) => {
+        if (state.matchesTruncated || !taskSearchText(task).includes(query)) return;
+        matchIds.add(task.id);
+        state.matches.push({ chartKey, bar: null, taskId: task.id });
+        if (state.matches.length >= CANVAS_MAX_MATCHES) state.matchesTruncated = true;
+      });
+    });
+    return matchIds;
+  }
+
+  function flashTask(chartKey, taskId) {
+    const refs = chartRefs[chartKey];
+    const bar = refs.barElements.get(taskId);
+    if (bar) {
+      bar.classList.add('is-active');
+      setTimeout(() => bar.classList.remove('is-active'), 1500);
+      return;
     }
+    refs.canvasRenderer?.setState({ flashTaskId: taskId });
+    setTimeout(() => refs.canvasRenderer?.setState({ flashTaskId: null }), 1500);
+  }
+
+  // ─── Flow Dependencies ─────────────────────────────────────────────────────
+
+  function collectFlowChain(dataset, taskId) {
+    const ids = new Set([taskId]);
+    const edges = [];
+    [['flowPreds', 'from'], ['flowSuccs', 'to']].forEach(([mapKey, endKey]) => {
+      const stack = [taskId];
+      while (stack.length) {
+        (dataset[mapKey].get(stack.pop()) || []).forEach((edge) => {
+          edges.push(edge);
+          const other = edge[endKey];
+          if (ids.has(other)) return;
+          ids.add(other);
+          stack.push(other);
+        });
+      }
+    });
+    return { ids, edges };
+  }
 
-    const selCenter = barCenter(selectedBar);
+  // Longest path through the flow DAG, measured as execution plus the wait between each hop.
+  function computeCriticalChain(dataset) {
+    if (dataset.criticalChain !== undefined) return dataset.criticalChain;
+    dataset.criticalChain = null;
+    if (!dataset.flowEdges?.length) return null;
 
-    const inSet = new Set(selectedTask.inputRawMagic || []);
-    const outSet = new Set(selectedTask.outputRawMagic || []);
+    const indegree = new Map();
+    dataset.flowEdges.forEach((edge) => {
+      if (!indegree.has(edge.from)) indegree.set(edge.from, 0);
+      indegree.set(edge.to, (indegree.get(edge.to) || 0) + 1);
+    });
+    const queue = [...indegree].filter(([, degree]) => degree === 0).map(([id]) => id);
+    const best = new Map();
+    let tailId = null;
+    for (let head = 0; head < queue.length; head += 1) {
+      const id = queue[head];
+      const task = dataset.taskMap.get(id);
+      if (!best.has(id)) best.set(id, { length: task.dur, via: null });
+      const entry = best.get(id);
+      if (tailId == null || entry.length > best.get(tailId).length) tailId = id;
+      (dataset.flowSuccs.get(id) || []).forEach((edge) => {
+        const next = dataset.taskMap.get(edge.to);
+        const length = entry.length + Math.max(0, next.relTs - task.relEnd) + next.dur;
+        if (!best.has(edge.to) || length > best.get(edge.to).length) best.set(edge.to, { length, via: edge });
+        indegree.set(edge.to, indegree.get(edge.to) - 1);
+        if (indegree.get(edge.to) === 0) queue.push(edge.to);
+      });
+    }
+    if (tailId == null) return null;
 
-    const visibleTasks = [];
-    dataset.lanes.forEach((lane) => {
-      lane.tasks.forEach((task) => {
-        if (task.id !== selectedTask.id) visibleTasks.push(task);
+    const taskIds = [tailId];
+    const edges = [];
+    for (let via = best.get(tailId).via; via; via = best.get(via.from).via) {
+      edges.unshift(via);
+      taskIds.unshift(via.from);
+    }
+    const tasks = taskIds.map((id) => dataset.taskMap.get(id));
+    const busy = tasks.reduce((sum, task) => sum + task.dur, 0);
+    dataset.criticalChain = {
+      taskIds,
+      edges,
+      length: best.get(tailId).length,
+      busy,
+      wait: best.get(tailId).length - busy,
+      skipped: indegree.size - queue.length,
+    };
+    return dataset.criticalChain;
+  }
+
+  function describeCriticalChain(chain) {
+    if (!chain) return '';
+    const text = `关键链 ${chain.taskIds.length} tasks · ${formatTick(chain.length)}（执行 ${formatTick(chain.busy)} / 等待 ${formatTick(chain.wait)}）`;
+    return chain.skipped ? `${text} · ${chain.skipped} 个任务在环上未计入` : text;
+  }
+
+  function flowTaskNames(dataset, edges, endKey) {
+    const names = edges.slice(0, 3).map((edge) => {
+      const task = dataset.taskMap.get(edge[endKey]);
+      return task ? task.displayName || task.rawName : edge[endKey];
+    });
+    return edges.length > 3 ? `${names.join(', ')} +${edges.length - 3}` : names.join(', ');
+  }
+
+  // ─── Dependency Lines ──────────────────────────────────────────────────────
+
+  function resetDepOverlay() {
+    const overlay = document.getElementById('swDepOverlay');
+    const refs = chartRefs.primary;
+    refs.barElements.forEach((bar) => bar.classList.remove('is-dep-chain', 'is-critical'));
+    refs.canvasRenderer?.setState({ emphasis: null });
+    if (!overlay) return null;
+    overlay.innerHTML = '';
+
+    const dataset = state.datasets.primary;
+    if (!dataset) return null;
+
+    const defs = document.createElementNS(DEP_SVG_NS, 'defs');
+    ['in', 'out', 'chain', 'critical'].forEach((kind) => {
+      const marker = document.createElementNS(DEP_SVG_NS, 'marker');
+      marker.setAttribute('id', `swDepArrow-${kind}`);
+      marker.setAttribute('viewBox', '0 0 8 8');
+      marker.setAttribute('refX', '7');
+      marker.setAttribute('refY', '4');
+      marker.setAttribute('markerWidth', '6');
+      marker.setAttribute('markerHeight', '6');
+      marker.setAttribute('orient', 'auto');
+      const tip = document.createElementNS(DEP_SVG_NS, 'path');
+      tip.setAttribute('class', `sw-dep-arrow sw-dep-arrow-${kind}`);
+      tip.setAttribute('d', 'M 0,0 L 8,4 L 0,8 z');
+      marker.appendChild(tip);
+      defs.appendChild(marker);
+    });
+    overlay.appendChild(defs);
+
+    return {
+      overlay,
+      dataset,
+      refs,
+      viewport: refs.laneMainViewport,
+      emphasis: { chain: new Set(), critical: new Set() },
+      // anchor: 0 = left edge, 0.5 = center, 1 = right edge of the bar.
+      point(taskId, anchor = 0.5) {
+        const box = taskBox('primary', taskId);
+        return box ? { x: box.left + box.width * anchor, y: box.top + box.height / 2 } : null;
+      },
+    };
+  }
+
+  function markDepTasks(ctx, ids, kind) {
+    const cls = kind === 'critical' ? 'is-critical' : 'is-dep-chain';
+    ids.forEach((id) => {
+      ctx.refs.barElements.get(id)?.classList.add(cls);
+      ctx.emphasis[kind].add(id);
+    });
+  }
+
+  function drawDepCurve(ctx, from, to, cls, arrowKind = null) {
+    const cx = (from.x + to.x) / 2;
+    const cy = Math.min(from.y, to.y) - Math.abs(to.y - from.y) * 0.3 - 20;
+    const path = document.createElementNS(DEP_SVG_NS, 'path');
+    path.setAttribute('class', cls);
+    path.setAttribute('d', `M ${from.x},${from.y} Q ${cx},${cy} ${to.x},${to.y}`);
+    if (arrowKind) path.setAttribute('marker-end', `url(#swDepArrow-${arrowKind})`);
+    ctx.overlay.appendChild(path);
+  }
+
+  function drawDepDot(ctx, taskId, center, dotCls) {
+    const dot = document.createElementNS(DEP_SVG_NS, 'circle');
+    dot.setAttribute('class', dotCls);
+    dot.setAttribute('cx', String(center.x));
+    dot.setAttribute('cy', String(center.y));
+    dot.setAttribute('r', '5');
+    dot.addEventListener('click', () => {
+      ctx.viewport.scrollTo({
+        top: Math.max(0, center.y - ctx.viewport.clientHeight / 2),
+        left: Math.max(0, center.x - ctx.viewport.clientWidth / 2),
+        behavior: 'smooth',
       });
+      flashTask('primary', taskId);
+    });
+    ctx.overlay.appendChild(dot);
+  }
+
+  function drawFlowEdge(ctx, edge, kind) {
+    const from = ctx.point(edge.from, 1);
+    const to = ctx.point(edge.to, 0);
+    if (!from || !to) return false;
+    drawDepCurve(ctx, from, to, `dep-line sw-dep-line-${kind}`, kind);
+    return true;
+  }
+
+  function drawCriticalChain(ctx) {
+    const chain = computeCriticalChain(ctx.dataset);
+    if (!chain) return;
+    markDepTasks(ctx, chain.taskIds, 'critical');
+    chain.edges.forEach((edge) => drawFlowEdge(ctx, edge, 'critical'));
+  }
+
+  function drawFlowDeps(ctx, selectedTask) {
+    const { dataset } = ctx;
+    const chain = collectFlowChain(dataset, selectedTask.id);
+    markDepTasks(ctx, chain.ids, 'chain');
+
+    const incoming = dataset.flowPreds.get(selectedTask.id) || [];
+    const outgoing = dataset.flowSuccs.get(selectedTask.id) || [];
+    const direct = new Set([...incoming, ...outgoing]);
+    chain.edges
+      .filter((edge) => !direct.has(edge))
+      .slice(0, DEP_CHAIN_EDGE_LIMIT)
+      .forEach((edge) => drawFlowEdge(ctx, edge, 'chain'));
+
+    incoming.forEach((edge) => {
+      if (drawFlowEdge(ctx, edge, 'in')) drawDepDot(ctx, edge.from, ctx.point(edge.from), 'sw-dep-dot sw-dep-dot-in');
     });
+    outgoing.forEach((edge) => {
+      if (drawFlowEdge(ctx, edge, 'out')) drawDepDot(ctx, edge.to, ctx.point(edge.to), 'sw-dep-dot sw-dep-dot-out');
+    });
+  }
 
-    visibleTasks.forEach((task) => {
-      const bar = refs.barElements.get(task.id);
-      if (!bar) return;
+  // Without flow events, infer neighbours from overlapping raw-magic operands.
+  function drawOperandDeps(ctx, selectedTask, selCenter) {
+    const inSet = new Set(selectedTask.inputRawMagic || []);
+    const outSet = new Set(selectedTask.outputRawMagic || []);
+    if (!inSet.size && !outSet.size) return;
 
-      const taskOutputs = new Set(task.outputRawMagic || []);
-      const taskInputs = new Set(task.inputRawMagic || []);
+    ctx.dataset.lanes.forEach((lane) => lane.tasks.forEach((task) => {
+      if (task.id === selectedTask.id) return;
 
-      const isIn = [...inSet].some((m) => taskOutputs.has(m));
-      const isOut = [...outSet].some((m) => taskInputs.has(m));
+      const isIn = (task.outputRawMagic || []).some((m) => inSet.has(m));
+      const isOut = (task.inputRawMagic || []).some((m) => outSet.has(m));
 
       if (!isIn && !isOut) return;
 
-      const targetCenter = barCenter(bar);
+      const targetCenter = ctx.point(task.id);
+      if (!targetCenter) return;
       const cls = isIn ? 'dep-line sw-dep-line-in' : 'dep-line sw-dep-line-out';
       const dotCls = isIn ? 'sw-dep-dot sw-dep-dot-in' : 'sw-dep-dot sw-dep-dot-out';
 
-      const x1 = isIn ? targetCenter.x : selCenter.x;
-      const y1 = isIn ? targetCenter.y : selCenter.y;
-      const x2 = isIn ? selCenter.x : targetCenter.x;
-      const y2 = isIn ? selCenter.y : targetCenter.y;
-      const cx = (x1 + x2) / 2;
-      const cy = Math.min(y1, y2) - Math.abs(y2 - y1) * 0.3 - 20;
-
-      const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-      path.setAttribute('class', cls);
-      path.setAttribute('d', `M ${x1},${y1} Q ${cx},${cy} ${x2},${y2}`);
-      overlay.appendChild(path);
-
-      const dot = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-      dot.setAttribute('class', dotCls);
-      dot.setAttribute('cx', String(targetCenter.x));
-      dot.setAttribute('cy', String(targetCenter.y));
-      dot.setAttribute('r', '5');
-      dot.addEventListener('click', () => {
-        viewport.scrollTo({
-          top: Math.max(0, targetCenter.y - viewport.clientHeight / 2),
-          left: Math.max(0, targetCenter.x - viewport.clientWidth / 2),
-          behavior: 'smooth',
-        });
-        bar.classList.add('is-active');
-        setTimeout(() => bar.classList.remove('is-active'), 1500);
-      });
-      overlay.appendChild(dot);
-    });
+      drawDepCurve(ctx, isIn ? targetCenter : selCenter, isIn ? selCenter : targetCenter, cls);
+      drawDepDot(ctx, task.id, targetCenter, dotCls);
+    }));
+  }
+
+  function renderDepLines(selectedTask) {
+    state.depFocusTaskId = null;
+    const ctx = resetDepOverlay();
+    if (!ctx) return;
+    if (state.showCriticalChain) drawCriticalChain(ctx);
+
+    if (selectedTask) {
+      const selCenter = ctx.point(selectedTask.id);
+      if (selCenter) {
+        state.depFocusTaskId = selectedTask.id;
+        if (ctx.dataset.flowEdges.length) drawFlowDeps(ctx, selectedTask);
+        else drawOperandDeps(ctx, selectedTask, selCenter);
+      }
+    }
+    ctx.refs.canvasRenderer?.setState({ emphasis: ctx.emphasis });
   }
 
   function clearDepLines() {
-    const overlay = document.getElementById('swDepOverlay');
-    if (overlay) overlay.innerHTML = '';
+    renderDepLines(null);
+  }
+
+  function syncDepOverlay() {
+    const task = state.depFocusTaskId ? state.datasets.primary?.taskMap.get(state.depFocusTaskId) : null;
+    renderDepLines(task || null);
   }
 
   document.getElementById('swPopupClose')?.addEventListener('click', () => {
@@ -3238,13 +4698,7 @@
   initSplitDivider();
 
   chartRefs.primary.laneMainViewport.addEventListener('scroll', () => {
-    if (state.uiMode === 'task-popup') {
-      const dataset = state.datasets.primary;
-      if (dataset && state.selectedTaskRef?.chartKey === 'primary') {
-        const task = dataset.taskMap.get(state.selectedTaskRef.taskId);
-        if (task) renderDepLines(task);
-      }
-    }
+    if (state.depFocusTaskId || state.showCriticalChain) syncDepOverlay();
   });
 
   init();
@@ -0,0 +1,437 @@
+import { SwimlaneRendererCore } from './core-renderer.js';
+import { buildLaneTimeIndex, findVisibleTaskRange, hitTestLaneIndex, lowerBound } from './hit-test.js';
+
+const ORIGIN_X = 16;
+const MIN_BAR_PX = 2;
+const LABEL_MIN_PX = 48;
+const HIT_SLACK_PX = 2;
+// Above this many tasks per horizontal pixel a lane is drawn as 2px columns
+// instead of one rect per task, so draw cost follows the viewport, not the trace.
+const AGGREGATE_TASKS_PER_PX = 1;
+const AGGREGATE_COLUMN_PX = 2;
+
+const THEME_VARS = {
+  barBorder: ['--border-subtle', 'rgba(0,0,0,0.25)'],
+  label: ['--foreground', '#f3f1ee'],
+  selected: ['--foreground', '#f3f1ee'],
+  match: ['--sw-highlight', '#eab308'],
+  rangeFill: ['--sw-bound-bg', 'rgba(67,105,239,0.14)'],
+  rangeEdge: ['--sw-bound-border', 'rgba(67,105,239,0.4)'],
+  ruler: ['--border-strong', 'rgba(255,255,255,0.35)'],
+};
+
+const EMPHASIS_STYLES = {
+  critical: { color: 'rgba(226,84,84,0.9)', width: 2 },
+  chain: { color: null, width: 1 },
+};
+
+function taskStart(task) {
+  return task.relTs;
+}
+
+function taskEnd(task) {
+  return task.relEnd;
+}
+
+function taskLine(task) {
+  return task.line || 0;
+}
+
+export class SwimlaneCanvasRenderer extends SwimlaneRendererCore {
+  constructor(options = {}) {
+    super({
+      ...options,
+      metricsForLane: options.metricsForLane || ((entry) => entry.lane._metrics),
+    });
+    this.host = document.createElement('div');
+    this.host.className = 'sw-canvas-layer';
+    this.taskCanvas = document.createElement('canvas');
+    this.overlayCanvas = document.createElement('canvas');
+    this.host.appendChild(this.taskCanvas);
+    this.host.appendChild(this.overlayCanvas);
+    this.gapEmphasis = options.gapEmphasis || 24;
+    this.strongGap = options.strongGap || 80;
+    this.lookupTask = options.lookupTask || null;
+    this.laneIndexCache = new WeakMap();
+    this.laneByName = new Map();
+    this.view = {
+      colorMode: 'semantic',
+      showBubbles: false,
+      selectedTaskId: null,
+      activeTaskId: null,
+      query: '',
+      matchIds: null,
+      emphasis: null,
+      flashTaskId: null,
+    };
+    this.overlay = { range: null, hoverTime: null, markers: [] };
+    this.theme = null;
+    this.frame = 0;
+    this.lastStats = { mode: 'canvas', drawnTasks: 0, aggregatedLanes: 0, ms: 0 };
+  }
+
+  mount(trackEl) {
+    if (this.host.parentNode !== trackEl) trackEl.appendChild(this.host);
+    this.theme = null;
+  }
+
+  setLanes(entries) {
+    this.attachDataset({ lanes: entries });
+    this.laneByName = new Map(this.layout.offsets.map((offset) => [offset.lane.lane.threadName, offset]));
+    this.requestDraw();
+  }
+
+  setView({ width, height, scrollLeft, scrollTop, pxPerUnit }) {
+    this.setScale(pxPerUnit);
+    this.setViewportSize(width, height);
+    this.setScroll(scrollLeft, scrollTop);
+    this.host.style.transform = `translate(${this.viewport.camera.scrollLeft}px, ${this.viewport.camera.scrollTop}px)`;
+    this.requestDraw();
+  }
+
+  setState(patch) {
+    Object.assign(this.view, patch);
+    this.requestDraw();
+  }
+
+  setOverlay(overlay) {
+    this.overlay = { ...this.overlay, ...overlay };
+    this.drawOverlay();
+  }
+
+  requestDraw() {
+    if (this.frame) return;
+    this.frame = window.requestAnimationFrame(() => {
+      this.frame = 0;
+      this.draw();
+    });
+  }
+
+  destroy() {
+    if (this.frame) window.cancelAnimationFrame(this.frame);
+    this.frame = 0;
+    this.host.remove();
+  }
+
+  indexForEntry(entry) {
+    let index = this.laneIndexCache.get(entry.visibleTasks);
+    if (!index) {
+      index = buildLaneTimeIndex(entry.visibleTasks, taskStart, taskEnd);
+      this.laneIndexCache.set(entry.visibleTasks, index);
+    }
+    return index;
+  }
+
+  resolveTheme() {
+    if (this.theme) return this.theme;
+    const probe = document.createElement('span');
+    probe.style.display = 'none';
+    this.host.appendChild(probe);
+    const theme = {};
+    Object.entries(THEME_VARS).forEach(([key, [cssVar, fallback]]) => {
+      probe.style.color = '';
+      probe.style.color = `var(${cssVar}, ${fallback})`;
+      theme[key] = getComputedStyle(probe).color || fallback;
+    });
+    probe.remove();
+    this.theme = theme;
+    return theme;
+  }
+
+  prepareCanvas(canvas) {
+    const dpr = window.devicePixelRatio || 1;
+    const width = this.viewport.viewportWidth;
+    const height = this.viewport.viewportHeight;
+    if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+      canvas.width = Math.round(width * dpr);
+      canvas.height = Math.round(height * dpr);
+      canvas.style.width = `${width}px`;
+      canvas.style.height = `${height}px`;
+    }
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    return ctx;
+  }
+
+  timeWindow() {
+    const { scrollLeft, pxPerUnit } = this.viewport.camera;
+    const start = (scrollLeft - ORIGIN_X) / pxPerUnit;
+    return { start, end: start + this.viewport.viewportWidth / pxPerUnit };
+  }
+
+  colorFor(task) {
+    return this.colorResolver.colorForTask(task, this.view.colorMode);
+  }
+
+  isDimmed(task) {
+    return !!this.view.query && !this.view.matchIds?.has(task.id);
+  }
+
+  draw() {
+    const startedAt = performance.now();
+    const ctx = this.prepareCanvas(this.taskCanvas);
+    const theme = this.resolveTheme();
+    const { scrollTop } = this.viewport.camera;
+    const width = this.viewport.viewportWidth;
+    const visible = this.timeWindow();
+    let drawnTasks = 0;
+    let aggregatedLanes = 0;
+
+    ctx.font = '700 8px "JetBrains Mono", monospace';
+    ctx.textBaseline = 'middle';
+
+    this.getVisibleLanes().forEach((offset) => {
+      const top = offset.top - scrollTop;
+      const index = this.indexForEntry(offset.lane);
+      const range = findVisibleTaskRange(index, visible.start, visible.end);
+      if (range.end - range.start > width * AGGREGATE_TASKS_PER_PX) {
+        aggregatedLanes += 1;
+        this.drawAggregatedLane(ctx, index, range, offset, top, visible);
+      } else {
+        drawnTasks += this.drawLaneTasks(ctx, index, range, offset, top, visible, theme);
+      }
+    });
+
+    this.drawHighlights(ctx, theme);
+    this.lastStats = { mode: 'canvas', drawnTasks, aggregatedLanes, ms: performance.now() - startedAt };
+    this.drawOverlay();
+  }
+
+  drawLaneTasks(ctx, index, range, offset, top, visible, theme) {
+    const { scrollLeft, pxPerUnit } = this.viewport.camera;
+    const metrics = offset.metrics;
+    const pending = new Map();
+    let drawn = 0;
+
+    const flush = (line) => {
+      const run = pending.get(line);
+      if (!run) return;
+      ctx.globalAlpha = run.dimmed ? 0.22 : 0.98;
+      ctx.fillStyle = run.color;
+      ctx.fillRect(run.x, run.y, run.right - run.x, metrics.barHeight);
+      pending.delete(line);
+    };
+
+    for (let i = range.start; i < range.end; i += 1) {
+      const task = index.tasks[i];
+      if (task.relEnd < visible.start) continue;
+      const x = ORIGIN_X + task.relTs * pxPerUnit - scrollLeft;
+      const w = Math.max(MIN_BAR_PX, task.dur * pxPerUnit);
+      const line = taskLine(task);
+      const y = top + metrics.topPad + line * (metrics.barHeight + metrics.lineGap);
+
+      if (this.view.showBubbles && (task.gapBefore || 0) >= this.gapEmphasis) {
+        const gapW = task.gapBefore * pxPerUnit;
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = task.gapBefore >= this.strongGap ? 'rgba(249,115,22,0.10)' : 'rgba(201,16,125,0.08)';
+        ctx.fillRect(x - gapW, top + 2, gapW, offset.height - 4);
+      }
+
+      const color = this.colorFor(task);
+      const dimmed = this.isDimmed(task);
+      const run = pending.get(line);
+      // Sub-pixel neighbours of the same color merge into one rect.
+      if (run && w < MIN_BAR_PX * 2 && x <= run.right + 1 && run.color === color && run.dimmed === dimmed) {
+        run.right = Math.max(run.right, x + w);
+        drawn += 1;
+        continue;
+      }
+      flush(line);
+      pending.set(line, { x, y, right: x + w, color, dimmed });
+      drawn += 1;
+
+      if (w >= LABEL_MIN_PX && metrics.barHeight >= 8) {
+        flush(line);
+        ctx.globalAlpha = dimmed ? 0.3 : 1;
+        ctx.strokeStyle = theme.barBorder;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x + 0.5, y + 0.5, w - 1, metrics.barHeight - 1);
+        this.drawBarLabel(ctx, task, x, y, w, metrics.barHeight, theme);
+      }
+    }
+    pending.forEach((_, line) => flush(line));
+    ctx.globalAlpha = 1;
+    return drawn;
+  }
+
+  drawBarLabel(ctx, task, x, y, w, h, theme) {
+    const text = String(task.label || task.displayName || task.rawName || '').toUpperCase();
+    if (!text) return;
+    const maxWidth = w - 10;
+    let label = text;
+    if (ctx.measureText(label).width > maxWidth) {
+      const charWidth = ctx.measureText('M').width || 6;
+      const chars = Math.max(0, Math.floor(maxWidth / charWidth) - 1);
+      if (!chars) return;
+      label = `${text.slice(0, chars)}…`;
+    }
+    ctx.fillStyle = theme.label;
+    ctx.fillText(label, Math.max(x, 0) + 5, y + h / 2);
+  }
+
+  drawAggregatedLane(ctx, index, range, offset, top, visible) {
+    const { pxPerUnit } = this.viewport.camera;
+    const metrics = offset.metrics;
+    const width = this.viewport.viewportWidth;
+    const y = top + metrics.topPad;
+    const h = Math.max(2, offset.height - metrics.topPad - metrics.bottomPad);
+    const columnTime = AGGREGATE_COLUMN_PX / pxPerUnit;
+    let run = null;
+
+    const flush = () => {
+      if (!run) return;
+      ctx.globalAlpha = run.dimmed ? 0.22 : 0.98;
+      ctx.fillStyle = run.color;
+      ctx.fillRect(run.x, y, run.right - run.x, h);
+      run = null;
+    };
+
+    let cursor = range.start;
+    for (let x = 0; x < width; x += AGGREGATE_COLUMN_PX) {
+      const t0 = visible.start + x / pxPerUnit;
+      const t1 = t0 + columnTime;
+      const first = lowerBound(index.starts, t0, cursor, range.end);
+      const next = lowerBound(index.starts, t1, first, range.end);
+      cursor = first;
+      let task = null;
+      if (next > first) task = index.tasks[first + ((next - first) >> 1)];
+      else if (first > 0 && index.maxEnds[first - 1] > t0) task = index.tasks[first - 1];
+      if (!task) {
+        flush();
+        continue;
+      }
+      const color = this.colorFor(task);
+      const dimmed = this.isDimmed(task);
+      if (run && run.color === color && run.dimmed === dimmed && run.right >= x) {
+        run.right = x + AGGREGATE_COLUMN_PX;
+      } else {
+        flush();
+        run = { x, right: x + AGGREGATE_COLUMN_PX, color, dimmed };
+      }
+    }
+    flush();
+    ctx.globalAlpha = 1;
+  }
+
+  drawHighlights(ctx, theme) {
+    const outline = (taskId, color, lineWidth, task = null) => {
+      const rect = this.taskRectById(taskId, task);
+      if (!rect) return;
+      const box = this.toViewport(rect);
+      ctx.strokeStyle = color;
+      ctx.lineWidth = lineWidth;
+      ctx.strokeRect(box.left - lineWidth / 2, box.top - lineWidth / 2, box.width + lineWidth, box.height + lineWidth);
+    };
+
+    const emphasis = this.view.emphasis;
+    if (emphasis) {
+      Object.entries(EMPHASIS_STYLES).forEach(([key, style]) => {
+        (emphasis[key] || []).forEach((taskId) => outline(taskId, style.color || theme.selected, style.width));
+      });
+    }
+    if (this.view.matchIds && this.view.matchIds.size <= 2000) {
+      this.view.matchIds.forEach((taskId) => outline(taskId, theme.match, 2));
+    }
+    if (this.view.flashTaskId) outline(this.view.flashTaskId, theme.selected, 2);
+    if (this.view.activeTaskId) outline(this.view.activeTaskId, theme.selected, 2);
+    if (this.view.selectedTaskId) outline(this.view.selectedTaskId, theme.selected, 2);
+  }
+
+  drawOverlay() {
+    const ctx = this.prepareCanvas(this.overlayCanvas);
+    const theme = this.resolveTheme();
+    const { scrollLeft, pxPerUnit } = this.viewport.camera;
+    const height = this.viewport.viewportHeight;
+    const xOf = (time) => Math.round(ORIGIN_X + time * pxPerUnit - scrollLeft) + 0.5;
+
+    const range = this.overlay.range;
+    if (range && range.start != null && range.end != null) {
+      const x0 = xOf(Math.min(range.start, range.end));
+      const x1 = xOf(Math.max(range.start, range.end));
+      ctx.fillStyle = theme.rangeFill;
+      ctx.fillRect(x0, 0, Math.max(2, x1 - x0), height);
+      ctx.strokeStyle = theme.rangeEdge;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(x0, 0);
+      ctx.lineTo(x0, height);
+      ctx.moveTo(x1, 0);
+      ctx.lineTo(x1, height);
+      ctx.stroke();
+    }
+
+    (this.overlay.markers || []).forEach((marker) => {
+      ctx.strokeStyle = theme.rangeEdge;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(xOf(marker.time), 0);
+      ctx.lineTo(xOf(marker.time), height);
+      ctx.stroke();
+    });
+
+    if (this.overlay.hoverTime != null) {
+      ctx.strokeStyle = theme.ruler;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(xOf(this.overlay.hoverTime), 0);
+      ctx.lineTo(xOf(this.overlay.hoverTime), height);
+      ctx.stroke();
+    }
+  }
+
+  toViewport(rect) {
+    const { scrollLeft, scrollTop } = this.viewport.camera;
+    return { ...rect, left: rect.left - scrollLeft, top: rect.top - scrollTop };
+  }
+
+  taskRectById(taskId, task = null) {
+    const resolved = task || this.lookupTask?.(taskId);
+    return resolved ? this.taskRect(resolved) : null;
+  }
+
+  // Track (content) coordinates, matching a DOM bar's offsetLeft / offsetTop.
+  taskRect(task) {
+    const offset = this.laneByName.get(task.threadName);
+    if (!offset) return null;
+    const { pxPerUnit } = this.viewport.camera;
+    const metrics = offset.metrics;
+    return {
+      left: ORIGIN_X + task.relTs * pxPerUnit,
+      top: offset.top + metrics.topPad + taskLine(task) * (metrics.barHeight + metrics.lineGap),
+      width: Math.max(MIN_BAR_PX, task.dur * pxPerUnit),
+      height: metrics.barHeight,
+    };
+  }
+
+  hitTest(contentX, contentY) {
+    const offsets = this.layout.offsets;
+    let lo = 0;
+    let hi = offsets.length - 1;
+    let offset = null;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (contentY < offsets[mid].top) hi = mid - 1;
+      else if (contentY >= offsets[mid].top + offsets[mid].height) lo = mid + 1;
+      else {
+        offset = offsets[mid];
+        break;
+      }
+    }
+    if (!offset) return null;
+    const metrics = offset.metrics;
+    const line = Math.floor((contentY - offset.top - metrics.topPad) / (metrics.barHeight + metrics.lineGap));
+    if (line < 0) return null;
+    const { pxPerUnit } = this.viewport.camera;
+    const time = (contentX - ORIGIN_X) / pxPerUnit;
+    const task = hitTestLaneIndex(
+      this.indexForEntry(offset.lane),
+      time,
+      line,
+      (item) => Math.max(item.relEnd, item.relTs + MIN_BAR_PX / pxPerUnit),
+      taskLine,
+      HIT_SLACK_PX / pxPerUnit
+    );
+    return task ? { task, lane: offset.lane.lane } : null;
+  }
+}
@@ -34,3 +34,46 @@ export function hitTestLane(tasks, timeValue, lineValue, startAccessor, endAcces
   }
   return task;
 }
+
+// Lane tasks sorted by start may overlap (they are stacked on lines), so ends
+// are not monotonic. `maxEnds[i]` is the latest end among tasks[0..i], which is
+// monotonic and lets both window queries and hit tests stay logarithmic.
+export function buildLaneTimeIndex(tasks, startAccessor, endAccessor) {
+  const starts = new Float64Array(tasks.length);
+  const maxEnds = new Float64Array(tasks.length);
+  let maxEnd = -Infinity;
+  for (let i = 0; i < tasks.length; i += 1) {
+    starts[i] = startAccessor(tasks[i]);
+    maxEnd = Math.max(maxEnd, endAccessor(tasks[i]));
+    maxEnds[i] = maxEnd;
+  }
+  return { tasks, starts, maxEnds };
+}
+
+export function lowerBound(values, target, lo = 0, hi = values.length) {
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (values[mid] < target) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+export function findVisibleTaskRange(index, timeStart, timeEnd) {
+  const start = lowerBound(index.maxEnds, timeStart);
+  let end = lowerBound(index.starts, timeEnd, start);
+  while (end < index.starts.length && index.starts[end] <= timeEnd) end += 1;
+  return { start, end };
+}
+
+export function hitTestLaneIndex(index, timeValue, lineValue, endAccessor, lineAccessor, slack = 0, maxScan = 4096) {
+  const first = lowerBound(index.starts, timeValue + slack) - 1;
+  const stop = Math.max(-1, first - maxScan);
+  for (let i = first; i > stop && index.maxEnds[i] >= timeValue - slack; i -= 1) {
+    const task = index.tasks[i];
+    if (endAccessor(task) < timeValue - slack) continue;
+    if (lineAccessor && lineValue != null && lineAccessor(task) !== lineValue) continue;
+    return task;
+  }
+  return null;
+}
@@ -0,0 +1,672 @@
+/**
+ * trace-stream-worker.js - Streams a swimlane JSON file into typed-array task columns.
+ *
+ * Request:  { id, file } or { id, url }
+ * Replies:  { id, type: 'batch', loaded, total, batch }  (rows parsed since the last batch)
+ *           { id, type: 'done', result }                 (see createStreamDatasetBuilder() in app.js)
+ *           { id, type: 'unsupported' }                  (neither a Chrome trace nor a core-task array)
+ *           { id, type: 'error', message }
+ *
+ * The file is never held as one string or one parsed tree: the scanner walks the
+ * byte stream and only JSON.parses one trace event / one core task at a time.
+ * Field values are copied into typed-array columns that are handed to the page every
+ * BATCH_ROWS rows (or PROGRESS_BYTES of input) and then reused, so the worker only ever
+ * holds one batch. Every row carries the lane it belongs to.
+ * Cancellation is done by the caller terminating the worker.
+ */
+
+const FLOW_PHASES = new Set(['s', 't', 'f']);
+const BATCH_ROWS = 1 << 16;
+const PROGRESS_BYTES = 8 * 1024 * 1024;
+const LIST_SEPARATOR = '\u0000';
+
+// Column kinds: f64 = Number(value) (NaN when missing), i32 = integer, val = any JSON scalar
+// (number kept as number, anything else interned as a string), text = like val but strings
+// are UTF-8 encoded into the batch's byte buffer instead of interned (names and hints are
+// mostly unique per task; as JS strings they would cost more than the bytes), list = array
+// of scalars, interned as one string.
+const TRACE_SCHEMA = {
+  lane: 'i32',
+  ts: 'f64',
+  dur: 'f64',
+  pid: 'val',
+  tid: 'val',
+  name: 'text',
+  color: 'val',
+  seqNo: 'val',
+  taskId: 'val',
+  subGraphId: 'val',
+  eventHint: 'text',
+  executionHint: 'text',
+  ioperandHint: 'text',
+  ooperandHint: 'text',
+};
+
+const CORE_TASK_SCHEMA = {
+  lane: 'i32',
+  index: 'i32',
+  execStart: 'f64',
+  execEnd: 'f64',
+  semanticLabel: 'val',
+  label: 'val',
+  taskLabel: 'val',
+  taskName: 'text',
+  name: 'text',
+  taskId: 'val',
+  seqNo: 'val',
+  subGraphId: 'val',
+  rootHash: 'val',
+  leafHash: 'val',
+  callOpMagic: 'text',
+  eventHint: 'text',
+  executionHint: 'text',
+  inputRawMagic: 'list',
+  outputRawMagic: 'list',
+};
+
+// Interned strings live for the whole file; each batch carries only the ones added since the last.
+class StringPool {
+  constructor() {
+    this.ids = new Map();
+    this.strings = [];
+    this.sent = 0;
+  }
+
+  intern(value) {
+    let id = this.ids.get(value);
+    if (id === undefined) {
+      id = this.strings.length;
+      this.strings.push(value);
+      this.ids.set(value, id);
+    }
+    return id;
+  }
+
+  takeNew() {
+    const added = this.strings.slice(this.sent);
+    this.sent = this.strings.length;
+    return added;
+  }
+}
+
+// UTF-8 bytes of the batch's `text` values; a value is addressed by (offset, length).
+class TextBuffer {
+  constructor() {
+    this.encoder = new TextEncoder();
+    this.bytes = new Uint8Array(1 << 20);
+    this.length = 0;
+  }
+
+  append(value) {
+    // encodeInto writes at most 3 bytes per UTF-16 code unit.
+    const need = this.length + value.length * 3;
+    if (need > this.bytes.length) {
+      const next = new Uint8Array(Math.max(need, this.bytes.length * 2));
+      next.set(this.bytes.subarray(0, this.length));
+      this.bytes = next;
+    }
+    const offset = this.length;
+    this.length += this.encoder.encodeInto(value, this.bytes.subarray(offset)).written;
+    return offset;
+  }
+}
+
+// Every column lives in either a Float64Array or an Int32Array (a `val` column in one of
+// each, a `text` column in one Float64Array and two Int32Arrays), so the stores in push()
+// only ever see one array type.
+class ColumnStore {
+  constructor(schema, pool) {
+    this.schema = schema;
+    this.pool = pool;
+    this.text = new TextBuffer();
+    this.length = 0;
+    this.capacity = BATCH_ROWS;
+    this.f64 = [];
+    this.i32 = [];
+    this.fields = Object.entries(schema).map(([name, kind]) => ({
+      name,
+      kind,
+      num: kind === 'f64' || kind === 'val' || kind === 'text' ? this.f64.push(new Float64Array(this.capacity)) - 1 : -1,
+      str: kind === 'f64' ? -1 : this.i32.push(new Int32Array(this.capacity)) - 1,
+      len: kind === 'text' ? this.i32.push(new Int32Array(this.capacity)) - 1 : -1,
+    }));
+  }
+
+  // Only reached when a single input chunk holds more than BATCH_ROWS rows.
+  grow() {
+    const capacity = this.capacity * 2;
+    const copy = (prev, ArrayType) => {
+      const next = new ArrayType(capacity);
+      next.set(prev);
+      return next;
+    };
+    this.f64 = this.f64.map((prev) => copy(prev, Float64Array));
+    this.i32 = this.i32.map((prev) => copy(prev, Int32Array));
+    this.capacity = capacity;
+  }
+
+  // `values` are in schema order; positional so the hot loop stays monomorphic.
+  push(values) {
+    if (this.length === this.capacity) this.grow();
+    const row = this.length;
+    const { f64, i32, fields, pool } = this;
+    for (let k = 0; k < fields.length; k += 1) {
+      const field = fields[k];
+      const value = values[k];
+      switch (field.kind) {
+        case 'f64':
+          f64[field.num][row] = value === undefined ? NaN : Number(value);
+          break;
+        case 'i32':
+          i32[field.str][row] = value | 0;
+          break;
+        case 'list':
+          i32[field.str][row] = Array.isArray(value) ? pool.intern(value.map((item) => String(item)).join(LIST_SEPARATOR)) : -1;
+          break;
+        case 'text':
+          if (typeof value === 'number' || value === undefined || value === null) {
+            f64[field.num][row] = typeof value === 'number' ? value : NaN;
+            i32[field.str][row] = -1;
+          } else {
+            const text = String(value);
+            f64[field.num][row] = NaN;
+            i32[field.str][row] = this.text.append(text);
+            i32[field.len][row] = this.text.length - i32[field.str][row];
+          }
+          break;
+        default:
+          if (typeof value === 'number') {
+            f64[field.num][row] = value;
+            i32[field.str][row] = -1;
+          } else if (value === undefined || value === null) {
+            f64[field.num][row] = NaN;
+            i32[field.str][row] = -1;
+          } else {
+            f64[field.num][row] = NaN;
+            i32[field.str][row] = pool.intern(String(value));
+          }
+      }
+    }
+    this.length += 1;
+  }
+
+  /**
+   * Copies out the rows pushed since the last drain and empties the store for the next
+   * batch. Returns the batch (`text` offsets are into batch.text) and the buffers to transfer.
+   */
+  drain() {
+    const columns = {};
+    const transfer = [];
+    const trim = (array, length = this.length) => {
+      const trimmed = array.slice(0, length);
+      transfer.push(trimmed.buffer);
+      return trimmed;
+    };
+    this.fields.forEach(({ name, kind, num, str, len }) => {
+      if (kind === 'text') columns[name] = { num: trim(this.f64[num]), str: trim(this.i32[str]), len: trim(this.i32[len]) };
+      else if (kind === 'val') columns[name] = { num: trim(this.f64[num]), str: trim(this.i32[str]) };
+      else columns[name] = kind === 'f64' ? trim(this.f64[num]) : trim(this.i32[str]);
+    });
+    const batch = {
+      count: this.length,
+      schema: this.schema,
+      columns,
+      text: trim(this.text.bytes, this.text.length),
+      strings: this.pool.takeNew(),
+    };
+    this.length = 0;
+    this.text.length = 0;
+    return { batch, transfer };
+  }
+}
+
+const STATE_VALUE = 0;
+const STATE_VALUE_OR_END = 1;
+const STATE_KEY = 2;
+const STATE_KEY_OR_END = 3;
+const STATE_KEY_STRING = 4;
+const STATE_COLON = 5;
+const STATE_AFTER_VALUE = 6;
+const STATE_SKIP_STRING = 7;
+const STATE_SKIP_LITERAL = 8;
+const STATE_CAPTURE = 9;
+const STATE_DONE = 10;
+
+function isWhitespace(code) {
+  return code === 32 || code === 10 || code === 13 || code === 9;
+}
+
+function isDelimiter(code) {
+  return code === 44 || code === 93 || code === 125 || isWhitespace(code);
+}
+
+/**
+ * Incremental JSON walker. `frames` is the container stack: { type: 'obj', key } or
+ * { type: 'arr', index }. Every value whose position satisfies shouldCapture(frames) is
+ * handed to onValue(frames, text) as its raw JSON text; everything else is skipped
+ * without being stored.
+ */
+class JsonStreamScanner {
+  constructor({ shouldCapture, onValue, onRoot }) {
+    this.shouldCapture = shouldCapture;
+    this.onValue = onValue;
+    this.onRoot = onRoot;
+    this.frames = [];
+    this.state = STATE_VALUE;
+    this.escaped = false;
+    this.keyParts = [];
+    this.captureParts = [];
+    this.captureKind = null;
+    this.captureDepth = 0;
+    this.captureInString = false;
+  }
+
+  write(chunk) {
+    const length = chunk.length;
+    let i = 0;
+    let captureStart = this.state === STATE_CAPTURE ? 0 : -1;
+    let keyStart = this.state === STATE_KEY_STRING ? 0 : -1;
+
+    while (i < length) {
+      const code = chunk.charCodeAt(i);
+      switch (this.state) {
+        case STATE_CAPTURE: {
+          const end = this.scanCapture(chunk, i);
+          if (end < 0) {
+            i = length;
+            break;
+          }
+          this.captureParts.push(chunk.slice(captureStart, end));
+          const text = this.captureParts.join('');
+          this.captureParts = [];
+          captureStart = -1;
+          this.state = STATE_AFTER_VALUE;
+          this.onValue(this.frames, text);
+          i = end;
+          break;
+        }
+        case STATE_VALUE:
+        case STATE_VALUE_OR_END: {
+          if (isWhitespace(code)) {
+            i += 1;
+            break;
+          }
+          if (code === 93 && this.state === STATE_VALUE_OR_END) {
+            this.closeContainer();
+            i += 1;
+            break;
+          }
+          if (!this.frames.length) this.onRoot?.(code === 123 ? 'object' : code === 91 ? 'array' : 'scalar');
+          if (this.shouldCapture(this.frames)) {
+            this.beginCapture(code);
+            captureStart = i;
+            // A literal's first character is part of it; strings and containers resume after the opener.
+            if (this.captureKind !== 'literal') i += 1;
+            break;
+          }
+          if (code === 123) {
+            this.frames.push({ type: 'obj', key: null });
+            this.state = STATE_KEY_OR_END;
+          } else if (code === 91) {
+            this.frames.push({ type: 'arr', index: 0 });
+            this.state = STATE_VALUE_OR_END;
+          } else if (code === 34) {
+            this.escaped = false;
+            this.state = STATE_SKIP_STRING;
+          } else {
+            this.state = STATE_SKIP_LITERAL;
+            break;
+          }
+          i += 1;
+          break;
+        }
+        case STATE_KEY:
+        case STATE_KEY_OR_END: {
+          if (isWhitespace(code)) {
+            i += 1;
+            break;
+          }
+          if (code === 125 && this.state === STATE_KEY_OR_END) {
+            this.closeContainer();
+          } else if (code === 34) {
+            this.escaped = false;
+            this.keyParts = [];
+            keyStart = i + 1;
+            this.state = STATE_KEY_STRING;
+          } else {
+            throw new Error(`Unexpected character "${chunk[i]}" where an object key was expected.`);
+          }
+          i += 1;
+          break;
+        }
+        case STATE_KEY_STRING: {
+          if (this.escaped) {
+            this.escaped = false;
+          } else if (code === 92) {
+            this.escaped = true;
+          } else if (code === 34) {
+            this.keyParts.push(chunk.slice(keyStart, i));
+            const raw = this.keyParts.join('');
+            this.frames[this.frames.length - 1].key = raw.includes('\\') ? JSON.parse(`"${raw}"`) : raw;
+            keyStart = -1;
+            this.state = STATE_COLON;
+          }
+          i += 1;
+          break;
+        }
+        case STATE_COLON: {
+          if (code === 58) this.state = STATE_VALUE;
+          else if (!isWhitespace(code)) throw new Error(`Unexpected character "${chunk[i]}" where ":" was expected.`);
+          i += 1;
+          break;
+        }
+        case STATE_SKIP_STRING: {
+          if (this.escaped) this.escaped = false;
+          else if (code === 92) this.escaped = true;
+          else if (code === 34) this.state = STATE_AFTER_VALUE;
+          i += 1;
+          break;
+        }
+        case STATE_SKIP_LITERAL: {
+          if (isDelimiter(code)) this.state = STATE_AFTER_VALUE;
+          else i += 1;
+          break;
+        }
+        case STATE_AFTER_VALUE: {
+          if (!this.frames.length) {
+            this.state = STATE_DONE;
+            break;
+          }
+          if (isWhitespace(code)) {
+            i += 1;
+            break;
+          }
+          const frame = this.frames[this.frames.length - 1];
+          if (code === 44) {
+            if (frame.type === 'arr') {
+              frame.index += 1;
+              this.state = STATE_VALUE;
+            } else {
+              this.state = STATE_KEY;
+            }
+          } else if ((code === 93 && frame.type === 'arr') || (code === 125 && frame.type === 'obj')) {
+            this.closeContainer();
+          } else {
+            throw new Error(`Unexpected character "${chunk[i]}" after a value.`);
+          }
+          i += 1;
+          break;
+        }
+        default:
+          i = length;
+      }
+    }
+
+    if (this.state === STATE_CAPTURE && captureStart >= 0) this.captureParts.push(chunk.slice(captureStart));
+    if (this.state === STATE_KEY_STRING && keyStart >= 0) this.keyParts.push(chunk.slice(keyStart));
+  }
+
+  end() {
+    if (this.state === STATE_CAPTURE && this.captureKind === 'literal') {
+      const text = this.captureParts.join('');
+      this.captureParts = [];
+      this.state = STATE_AFTER_VALUE;
+      this.onValue(this.frames, text);
+    }
+    if (this.state === STATE_SKIP_LITERAL) this.state = STATE_AFTER_VALUE;
+    if (this.frames.length || (this.state !== STATE_AFTER_VALUE && this.state !== STATE_DONE)) {
+      throw new Error('Unexpected end of JSON input.');
+    }
+  }
+
+  closeContainer() {
+    this.frames.pop();
+    this.state = STATE_AFTER_VALUE;
+  }
+
+  beginCapture(code) {
+    this.state = STATE_CAPTURE;
+    this.captureParts = [];
+    this.captureInString = code === 34;
+    this.escaped = false;
+    if (code === 123 || code === 91) {
+      this.captureKind = 'container';
+      this.captureDepth = 1;
+    } else if (code === 34) {
+      this.captureKind = 'string';
+    } else {
+      this.captureKind = 'literal';
+    }
+  }
+
+  // Index just past the captured value, or -1 when it continues into the next chunk.
+  scanCapture(chunk, from) {
+    const length = chunk.length;
+    if (this.captureKind === 'literal') {
+      for (let i = from; i < length; i += 1) {
+        if (isDelimiter(chunk.charCodeAt(i))) return i;
+      }
+      return -1;
+    }
+    let inString = this.captureInString;
+    let escaped = this.escaped;
+    let depth = this.captureDepth;
+    for (let i = from; i < length; i += 1) {
+      const code = chunk.charCodeAt(i);
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (code === 92) escaped = true;
+        else if (code === 34) {
+          inString = false;
+          if (this.captureKind === 'string') return i + 1;
+        }
+      } else if (code === 34) {
+        inString = true;
+      } else if (code === 123 || code === 91) {
+        depth += 1;
+      } else if (code === 125 || code === 93) {
+        depth -= 1;
+        if (depth === 0) return i + 1;
+      }
+    }
+    this.captureInString = inString;
+    this.escaped = escaped;
+    this.captureDepth = depth;
+    return -1;
+  }
+}
+
+// Collectors hand out their rows through drain(); `lanes` in a batch are the lanes first
+// seen in it, `lane` column values index the lanes of the whole file.
+function createTraceCollector(pool) {
+  const store = new ColumnStore(TRACE_SCHEMA, pool);
+  const laneIds = new Map(); // `${pid}-${tid}` → lane index
+  let newLanes = [];
+  const processNames = [];
+  const threadNames = [];
+  const flowEvents = [];
+  let minTs = Infinity;
+  let seenTraceEvents = false;
+
+  return {
+    get pendingRows() { return store.length; },
+    get supported() { return seenTraceEvents; },
+    shouldCapture(frames) {
+      if (frames.length === 1 && frames[0].key === 'traceEvents') seenTraceEvents = true;
+      return frames.length === 2 && frames[0].key === 'traceEvents' && frames[1].type === 'arr';
+    },
+    onValue(_frames, text) {
+      const event = JSON.parse(text);
+      if (event?.name === 'process_name' && event.args?.name) {
+        processNames.push([String(event.pid), String(event.args.name)]);
+      } else if (event?.name === 'thread_name' && event.args?.name) {
+        threadNames.push([`${event.pid}-${event.tid}`, String(event.args.name)]);
+      }
+      if (typeof event?.ts !== 'number') return;
+      if (event.ph === 'X') {
+        const args = event.args || {};
+        minTs = Math.min(minTs, Number(event.ts) || 0);
+        const key = `${event.pid}-${event.tid}`;
+        let lane = laneIds.get(key);
+        if (lane === undefined) {
+          lane = laneIds.size;
+          laneIds.set(key, lane);
+          newLanes.push({ key, pid: event.pid ?? null, tid: event.tid ?? null });
+        }
+        store.push([
+          lane,
+          event.ts,
+          event.dur,
+          event.pid,
+          event.tid,
+          event.name,
+          args.color,
+          args.seqNo,
+          args.taskId,
+          args.subGraphId,
+          args['event-hint'],
+          args['execution-hint'],
+          args['ioperand-hint'],
+          args['ooperand-hint'],
+        ]);
+      } else if (FLOW_PHASES.has(event.ph)) {
+        const { ph, id, id2, cat, pid, tid, ts, bp, name } = event;
+        flowEvents.push({ ph, id, id2, cat, pid, tid, ts, bp, name });
+      }
+    },
+    drain() {
+      const drained = store.drain();
+      drained.batch.lanes = newLanes;
+      newLanes = [];
+      return drained;
+    },
+    finish() {
+      return {
+        format: 'trace',
+        minTs: Number.isFinite(minTs) ? minTs : 0,
+        laneCount: laneIds.size,
+        processNames,
+        threadNames,
+        flowEvents,
+      };
+    },
+  };
+}
+
+function createCoreTaskCollector(pool) {
+  const store = new ColumnStore(CORE_TASK_SCHEMA, pool);
+  const coreTypes = [];
+  let laneCount = 0;
+  let sentLanes = 0;
+  let minTs = Infinity;
+
+  return {
+    get pendingRows() { return store.length; },
+    get supported() { return true; },
+    shouldCapture(frames) {
+      if (frames.length === 1) laneCount = Math.max(laneCount, frames[0].index + 1);
+      if (frames.length === 2) return frames[1].type === 'obj' && frames[1].key === 'coreType';
+      return frames.length === 3 && frames[1].key === 'tasks' && frames[2].type === 'arr';
+    },
+    onValue(frames, text) {
+      const value = JSON.parse(text);
+      const laneIndex = frames[0].index;
+      if (frames.length === 2) {
+        coreTypes[laneIndex] = value;
+        return;
+      }
+      const task = value || {};
+      minTs = Math.min(minTs, Number(task.execStart) || 0);
+      store.push([
+        laneIndex,
+        frames[2].index,
+        task.execStart,
+        task.execEnd,
+        task.semanticLabel,
+        task.label,
+        task.taskLabel,
+        task.taskName,
+        task.name,
+        task.taskId,
+        task.seqNo,
+        task.subGraphId,
+        task.rootHash,
+        task.leafHash,
+        task.callOpMagic,
+        task.eventHint,
+        task.executionHint,
+        task.inputRawMagic,
+        task.outputRawMagic,
+      ]);
+    },
+    // A lane's coreType may follow its tasks, so names are only settled in finish().
+    drain() {
+      const drained = store.drain();
+      drained.batch.lanes = Array.from({ length: laneCount - sentLanes }, (_, offset) => ({ key: String(sentLanes + offset) }));
+      sentLanes = laneCount;
+      return drained;
+    },
+    finish() {
+      return {
+        format: 'core-task',
+        minTs: Number.isFinite(minTs) ? minTs : 0,
+        laneCount,
+        coreTypes: Array.from({ length: laneCount }, (_, index) => coreTypes[index]),
+      };
+    },
+  };
+}
+
+async function openSource({ file, url }) {
+  if (file) return { reader: file.stream().getReader(), total: file.size };
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Failed to load ${url}`);
+  return { reader: response.body.getReader(), total: Number(response.headers.get('content-length')) || 0 };
+}
+
+async function streamTrace(id, source) {
+  const pool = new StringPool();
+  let collector = null;
+  const scanner = new JsonStreamScanner({
+    onRoot(kind) {
+      collector = kind === 'array' ? createCoreTaskCollector(pool) : createTraceCollector(pool);
+    },
+    shouldCapture: (frames) => !!collector && collector.shouldCapture(frames),
+    onValue: (frames, text) => collector.onValue(frames, text),
+  });
+
+  const { reader, total } = await openSource(source);
+  const decoder = new TextDecoder();
+  let loaded = 0;
+  let nextProgress = PROGRESS_BYTES;
+  const postBatch = () => {
+    const { batch, transfer } = collector.drain();
+    self.postMessage({ id, type: 'batch', loaded, total, batch }, transfer);
+  };
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    loaded += value.byteLength;
+    scanner.write(decoder.decode(value, { stream: true }));
+    if (collector && (collector.pendingRows >= BATCH_ROWS || loaded >= nextProgress)) {
+      nextProgress = loaded + PROGRESS_BYTES;
+      postBatch();
+    }
+  }
+  scanner.write(decoder.decode());
+  scanner.end();
+
+  if (!collector?.supported) {
+    self.postMessage({ id, type: 'unsupported' });
+    return;
+  }
+  postBatch();
+  self.postMessage({ id, type: 'done', result: collector.finish() });
+}
+
+self.onmessage = (event) => {
+  const { id, file, url } = event.data || {};
+  streamTrace(id, { file, url }).catch((error) => {
+    self.postMessage({ id, type: 'error', message: error?.message || String(error) });
+  });
+};